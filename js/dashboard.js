@@ -23,7 +23,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Parallel data load
   const [statsRes, sharedRes, familyRes] = await Promise.allSettled([
     apiFetch('/api/documents/stats'),
-    apiFetch('/api/documents/shared-with-me'),
+    apiFetch('/api/documents/shared-with-me?limit=1'), // only the total is needed
     apiFetch('/api/family/count'),
   ]);
 
@@ -42,15 +42,17 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.getElementById('statFamily').textContent = familyRes.status === 'fulfilled'
     ? familyRes.value.count ?? 0 : '—';
 
-  // Recent documents (last 5)
+  // Recent documents (last 5), anything due for renewal, and quota usage
   loadRecentDocs();
+  loadExpiringDocs();
+  loadQuota();
 });
 
 async function loadRecentDocs() {
   const container = document.getElementById('recentDocsList');
   try {
-    const res  = await apiFetch('/api/documents');
-    const docs = (res.documents || []).slice(0, 5);
+    const res  = await apiFetch('/api/documents?limit=5');
+    const docs = res.documents || [];
 
     if (docs.length === 0) {
       container.innerHTML = `
@@ -66,6 +68,7 @@ async function loadRecentDocs() {
     }
 
     container.innerHTML = `<div class="doc-list">${docs.map(docItem).join('')}</div>`;
+    loadThumbnails(container);
   } catch (err) {
     container.innerHTML = `
       <div class="alert alert-danger">
@@ -75,12 +78,52 @@ async function loadRecentDocs() {
   }
 }
 
-function docItem(doc) {
+/** Documents expiring in the next 90 days (or already expired); hidden when there are none */
+async function loadExpiringDocs() {
+  try {
+    const res  = await apiFetch('/api/documents/expiring?days=90');
+    const docs = res.documents || [];
+    if (docs.length === 0) return;
+
+    document.getElementById('expiringDocsList').innerHTML =
+      `<div class="doc-list">${docs.map(expiringItem).join('')}</div>`;
+    document.getElementById('expiringCard').style.display = '';
+  } catch (_) { }
+}
+
+function expiringItem(doc) {
   const { icon, cls } = getFileIcon(doc.mimeType);
-  const meta = getCategoryMeta(doc.category);
+  const when = doc.daysLeft <= 0
+    ? '<span class="badge badge-danger"><i class="fas fa-exclamation-triangle"></i> Expired</span>'
+    : `<span class="badge ${doc.daysLeft <= 30 ? 'badge-danger' : 'badge-warning'}">
+         <i class="fas fa-hourglass-half"></i> ${doc.daysLeft === 1 ? '1 day' : `${doc.daysLeft} days`} left
+       </span>`;
   return `
     <div class="doc-item">
       <div class="doc-icon ${cls}"><i class="fas ${icon}"></i></div>
+      <div class="doc-info">
+        <div class="doc-name">${escapeHtml(doc.title)}</div>
+        <div class="doc-meta">
+          ${when}
+          <span class="doc-meta-item"><i class="fas fa-calendar-times"></i> ${formatDate(doc.expiryDate)}</span>
+          ${doc.issuingAuthority
+      ? `<span class="doc-meta-item"><i class="fas fa-landmark"></i> ${escapeHtml(doc.issuingAuthority)}</span>`
+      : ''}
+        </div>
+      </div>
+      <div class="doc-actions">
+        <a href="documents.html" class="btn btn-ghost btn-sm btn-icon" title="View">
+          <i class="fas fa-arrow-right"></i>
+        </a>
+      </div>
+    </div>`;
+}
+
+function docItem(doc) {
+  const meta = getCategoryMeta(doc.category);
+  return `
+    <div class="doc-item">
+      ${docThumb(doc)}
       <div class="doc-info">
         <div class="doc-name">${escapeHtml(doc.title)}</div>
         <div class="doc-meta">
@@ -96,3 +139,32 @@ function docItem(doc) {
       </div>
     </div>`;
 }
+
+/** Usage against the user's own quota and each family group's; counts versions and the trash */
+async function loadQuota() {
+  try {
+    const { quota } = await apiFetch('/api/documents/quota');
+    const meters = [
+      { label: 'Your storage', ...quota.user },
+      ...quota.families.map(f => ({ label: `${f.name} (family)`, ...f })),
+    ];
+    document.getElementById('quotaMeters').innerHTML = meters.map(quotaMeter).join('');
+    document.getElementById('quotaCard').style.display = '';
+  } catch (_) { }
+}
+
+function quotaMeter(q) {
+  const level = q.percent >= 95 ? 'danger' : q.percent >= 80 ? 'warning' : '';
+  return `
+    <div class="quota-meter">
+      <div class="quota-meter-label">
+        <span>${escapeHtml(q.label)} <span class="badge badge-muted">${escapeHtml(q.plan)}</span></span>
+        <span>${formatFileSize(q.usedBytes)} of ${formatFileSize(q.limitBytes)}</span>
+      </div>
+      <div class="upload-progress">
+        <div class="upload-progress-bar ${level}" style="width:${Math.min(100, q.percent)}%"></div>
+      </div>
+      ${level ? `<div class="form-hint">${q.percent >= 100 ? 'Full — uploads are paused.' : `${q.percent}% used.`}
+        Empty the trash or delete documents to free space.</div>` : ''}
+    </div>`;
+}
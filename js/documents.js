@@ -6,9 +6,28 @@
 
 let currentTab = 'mine';
 let familyMembers = [];
+let familyGroups = [];
 let shareTargetId = null;
 let shareTargetDoc = null; // full doc object for revocation list
 let searchDebounce = null;
+let nextCursor = null; // cursor for the next page of the current list
+let loadedCount = 0;
+let versionsTargetId = null;
+let versionsTargetTitle = '';
+let versionsTargetIsOwner = false;
+let editTargetId = null;
+let editTargetIdFields = null; // masked idFields of the document being edited
+let linksTargetId = null;
+let folders = [];          // caller's folders, flat — tree is built from parentId
+let unfiledCount = 0;
+let currentFolder = '';    // '' = all documents, 'root' = in no folder, else a folder id
+let currentTag = '';
+let folderEditId = null;   // folder being renamed / moved; null = creating one
+let moveTargetId = null;
+let uploadBatch = [];      // { file, title, category, error } per file of a multi-file upload
+let selectedDocs = new Map(); // id → doc, for the bulk action bar
+let bulkAction = null;     // 'recategorize' | 'tag' | 'share' | 'combine' while the bulk modal is open
+let exportPollTimer = null; // refreshes the export list while a background export runs
 
 document.addEventListener('DOMContentLoaded', async () => {
   await requireAuth('../index.html');
@@ -30,6 +49,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   loadStats();
   loadFamilyMembers();
+  loadFolders();
   loadDocs();
 
   // Tab switching
@@ -41,7 +61,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         b.classList.toggle('active', isActive);
         b.style.borderBottomColor = isActive ? 'var(--accent)' : 'transparent';
       });
-      document.getElementById('filterBar').style.display = currentTab === 'mine' ? 'flex' : 'none';
+      document.getElementById('filterBar').style.display = currentTab === 'trash' ? 'none' : 'flex';
+      document.getElementById('docsLayout').classList.toggle('no-folders', currentTab !== 'mine');
+      renderActiveTag();
       loadDocs();
     });
   });
@@ -52,26 +74,69 @@ document.addEventListener('DOMContentLoaded', async () => {
     searchDebounce = setTimeout(loadDocs, 400);
   });
 
-  // Category filter
+  // Category / type filters and sort order
   document.getElementById('categoryFilter').addEventListener('change', loadDocs);
+  document.getElementById('typeFilter').addEventListener('change', loadDocs);
+  document.getElementById('sortSelect').addEventListener('change', loadDocs);
+
+  // Pagination
+  document.getElementById('loadMoreBtn').addEventListener('click', loadMoreDocs);
 
   // Upload button
-  document.getElementById('uploadBtn').addEventListener('click', () => openModal('uploadModal'));
+  document.getElementById('uploadBtn').addEventListener('click', openUploadModal);
+  document.getElementById('duplicatesBtn').addEventListener('click', openDuplicatesModal);
+  document.getElementById('exportsBtn').addEventListener('click', openExportsModal);
 
   // Upload form
   document.getElementById('uploadForm').addEventListener('submit', handleUpload);
 
-  // Auto-fill title from filename
+  // New version form (inside versions modal)
+  document.getElementById('versionUploadForm').addEventListener('submit', handleVersionUpload);
+
+  // Edit details form
+  document.getElementById('editForm').addEventListener('submit', handleEdit);
+
+  // ID number input appears for ID categories only
+  document.getElementById('uploadCategory').addEventListener('change', onUploadCategoryChange);
+  document.getElementById('editCategory').addEventListener('change', () => toggleIdFields('edit'));
+
+  // Share link form
+  document.getElementById('linkCreateForm').addEventListener('submit', handleLinkCreate);
+
+  // Folder create / rename / move, and moving a document into a folder
+  document.getElementById('folderForm').addEventListener('submit', handleFolderSave);
+  document.getElementById('moveForm').addEventListener('submit', handleMoveDoc);
+
+  // One file: auto-fill the title from its name. Several: one row per file
   document.getElementById('uploadFile').addEventListener('change', (e) => {
-    const file = e.target.files[0];
-    if (file) {
+    const files = [...e.target.files];
+    uploadBatch = files.length > 1
+      ? files.map(file => ({ file, title: titleFromFileName(file.name), category: defaultBatchCategory(), error: null }))
+      : [];
+    if (files.length === 1) {
       const titleInput = document.getElementById('uploadTitle');
-      if (!titleInput.value) {
-        titleInput.value = file.name.replace(/\.[^/.]+$/, '').replace(/[-_]/g, ' ');
-      }
+      if (!titleInput.value) titleInput.value = titleFromFileName(files[0].name);
     }
+    updateUploadMode();
+  });
+  document.getElementById('uploadCombine').addEventListener('change', () => {
+    readUploadBatch();
+    const titleInput = document.getElementById('uploadTitle');
+    if (!titleInput.value && uploadBatch.length) titleInput.value = titleFromFileName(uploadBatch[0].file.name);
+    updateUploadMode();
   });
 
+  // Export / import archives
+  document.getElementById('exportForm').addEventListener('submit', handleExport);
+  document.getElementById('importForm').addEventListener('submit', handleImport);
+  document.getElementById('exportPassphrase').addEventListener('input', (e) => {
+    document.getElementById('exportConfirmGroup').style.display = e.target.value ? '' : 'none';
+  });
+
+  // Bulk actions on selected documents
+  document.getElementById('bulkForm').addEventListener('submit', handleBulkSubmit);
+  document.getElementById('bulkSelectAll').addEventListener('change', (e) => selectAllLoaded(e.target.checked));
+
   // Close preview modal on overlay click
   document.getElementById('previewModal').addEventListener('click', (e) => {
     if (e.target === e.currentTarget) closeModal('previewModal');
@@ -84,7 +149,7 @@ async function loadStats() {
   try {
     const [statsRes, sharedRes] = await Promise.all([
       apiFetch('/api/documents/stats'),
-      apiFetch('/api/documents/shared-with-me'),
+      apiFetch('/api/documents/shared-with-me?limit=1'), // only the total is needed
     ]);
     const s = statsRes.stats;
     document.getElementById('statTotal').textContent = s.totalDocs ?? 0;
@@ -95,42 +160,371 @@ async function loadStats() {
   } catch (_) { }
 }
 
-/* ── Family members (for share modal) ─────────────────────── */
+/* ── Family members + groups (for share modal) ────────────── */
 
 async function loadFamilyMembers() {
   try {
-    const res = await apiFetch('/api/family/members');
-    familyMembers = res.members || [];
+    const [membersRes, groupsRes] = await Promise.all([
+      apiFetch('/api/family/members'),
+      apiFetch('/api/family/groups'),
+    ]);
+    familyMembers = membersRes.members || [];
+    familyGroups = groupsRes.groups || [];
   } catch (_) {
     familyMembers = [];
+    familyGroups = [];
+  }
+}
+
+/* ── Folders ────────────────────────────────────────────────── */
+
+async function loadFolders() {
+  try {
+    const res = await apiFetch('/api/folders');
+    folders = res.folders || [];
+    unfiledCount = res.unfiledCount || 0;
+  } catch (_) {
+    folders = [];
+    unfiledCount = 0;
+  }
+  if (currentFolder && currentFolder !== 'root' && !folders.some(f => f.id === currentFolder)) {
+    currentFolder = '';
+  }
+  renderFolderTree();
+}
+
+function childFolders(parentId) {
+  return folders.filter(f => (f.parentId || null) === parentId);
+}
+
+/** Folders in tree order with their depth, skipping the subtree under excludeId */
+function flattenFolders(excludeId = null, parentId = null, depth = 0) {
+  return childFolders(parentId)
+    .filter(f => f.id !== excludeId)
+    .flatMap(f => [{ folder: f, depth }, ...flattenFolders(excludeId, f.id, depth + 1)]);
+}
+
+/** <option>s for a folder picker; "" means no folder */
+function folderOptions(selectedId, excludeId = null, noneLabel = 'No folder') {
+  return `<option value="">${noneLabel}</option>` + flattenFolders(excludeId).map(({ folder, depth }) =>
+    `<option value="${folder.id}" ${folder.id === selectedId ? 'selected' : ''}>${'\u00a0\u00a0'.repeat(depth)}${escapeHtml(folder.name)}</option>`
+  ).join('');
+}
+
+function renderFolderTree() {
+  const row = (id, icon, name, count, depth = 0, actions = '') => `
+    <div class="folder-row ${currentFolder === id ? 'active' : ''}" style="padding-left:${8 + depth * 14}px;"
+         onclick="selectFolder('${id}')">
+      <i class="fas ${icon}"></i>
+      <span class="folder-name">${escapeHtml(name)}</span>
+      <span class="folder-count">${count}</span>
+      ${actions}
+    </div>`;
+
+  const actions = (f) => `
+    <span class="folder-actions">
+      <button class="btn btn-ghost btn-sm btn-icon" title="Rename / move"
+              onclick="event.stopPropagation(); openFolderModal('${f.id}')">
+        <i class="fas fa-pen"></i>
+      </button>
+      <button class="btn btn-ghost btn-sm btn-icon text-danger" title="Delete folder"
+              onclick="event.stopPropagation(); deleteFolder('${f.id}')">
+        <i class="fas fa-trash"></i>
+      </button>
+    </span>`;
+
+  const total = unfiledCount + folders.reduce((sum, f) => sum + f.documentCount, 0);
+  document.getElementById('folderTree').innerHTML =
+    row('', 'fa-layer-group', 'All documents', total) +
+    row('root', 'fa-inbox', 'Unfiled', unfiledCount) +
+    flattenFolders().map(({ folder, depth }) =>
+      row(folder.id, currentFolder === folder.id ? 'fa-folder-open' : 'fa-folder',
+        folder.name, folder.documentCount, depth, actions(folder))).join('');
+}
+
+function selectFolder(id) {
+  currentFolder = id;
+  renderFolderTree();
+  loadDocs();
+}
+
+function openFolderModal(folderId = null) {
+  folderEditId = folderId;
+  const folder = folders.find(f => f.id === folderId);
+  const parentId = folder
+    ? folder.parentId
+    : (currentFolder && currentFolder !== 'root' ? currentFolder : null);
+
+  document.getElementById('folderModalTitle').textContent = folder ? 'Edit Folder' : 'New Folder';
+  document.getElementById('folderName').value = folder ? folder.name : '';
+  // A folder cannot be moved below itself, so its own subtree is left out
+  document.getElementById('folderParent').innerHTML = folderOptions(parentId, folderId, 'Top level');
+  openModal('folderModal');
+  document.getElementById('folderName').focus();
+}
+
+async function handleFolderSave(e) {
+  e.preventDefault();
+  const name = document.getElementById('folderName').value.trim();
+  const parentId = document.getElementById('folderParent').value || null;
+  const btn = document.getElementById('folderSubmitBtn');
+
+  if (!name) { showToast('Please enter a folder name', 'warning'); return; }
+
+  btn.disabled = true;
+  btn.innerHTML = '<span class="spinner"></span> Saving…';
+
+  try {
+    await apiFetch(folderEditId ? `/api/folders/${folderEditId}` : '/api/folders', {
+      method: folderEditId ? 'PATCH' : 'POST',
+      body: JSON.stringify({ name, parentId }),
+    });
+    showToast(folderEditId ? 'Folder updated' : 'Folder created', 'success');
+    closeModal('folderModal');
+    loadFolders();
+  } catch (err) {
+    showToast(err.message, 'error');
+  } finally {
+    btn.disabled = false;
+    btn.innerHTML = '<i class="fas fa-save"></i> Save';
+  }
+}
+
+async function deleteFolder(id) {
+  const folder = folders.find(f => f.id === id);
+  if (!folder) return;
+  const ok = await confirmAction('Delete Folder', `Delete the folder "${folder.name}"? It must be empty.`, 'Delete');
+  if (!ok) return;
+
+  try {
+    await apiFetch(`/api/folders/${id}`, { method: 'DELETE' });
+    showToast('Folder deleted', 'success');
+    if (currentFolder === id) {
+      currentFolder = '';
+      loadDocs();
+    }
+    loadFolders();
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+function openMoveModal(id, title, folderId) {
+  moveTargetId = id;
+  document.getElementById('moveModalTitle').textContent = `Move "${title}"`;
+  document.getElementById('moveFolder').innerHTML = folderOptions(folderId || null);
+  openModal('moveModal');
+}
+
+async function handleMoveDoc(e) {
+  e.preventDefault();
+  const folderId = document.getElementById('moveFolder').value || null;
+  const btn = document.getElementById('moveSubmitBtn');
+
+  btn.disabled = true;
+  btn.innerHTML = '<span class="spinner"></span> Moving…';
+
+  try {
+    await apiFetch(`/api/documents/${moveTargetId}/folder`, {
+      method: 'PATCH',
+      body: JSON.stringify({ folderId }),
+    });
+    showToast('Document moved', 'success');
+    closeModal('moveModal');
+    loadDocs();
+    loadFolders();
+  } catch (err) {
+    showToast(err.message, 'error');
+  } finally {
+    btn.disabled = false;
+    btn.innerHTML = '<i class="fas fa-folder-open"></i> Move';
+  }
+}
+
+/* ── Validity (issue / expiry dates) ────────────────────────── */
+
+const EXPIRY_WARNING_DAYS = 90;
+
+/** Whole days until an ISO date; negative once it has passed */
+function daysUntil(iso) {
+  return Math.ceil((new Date(iso) - Date.now()) / (24 * 60 * 60 * 1000));
+}
+
+function expiryBadge(doc) {
+  if (!doc.expiryDate) return '';
+  const days = daysUntil(doc.expiryDate);
+  if (days <= 0) {
+    return `<span class="badge badge-danger"><i class="fas fa-exclamation-triangle"></i> Expired ${formatDate(doc.expiryDate)}</span>`;
+  }
+  const cls = days <= EXPIRY_WARNING_DAYS ? 'badge-warning' : 'badge-muted';
+  return `<span class="badge ${cls}" title="${days} days left"><i class="fas fa-calendar-times"></i> Expires ${formatDate(doc.expiryDate)}</span>`;
+}
+
+/** ISO timestamp → value for <input type="date"> */
+function toDateInput(iso) {
+  return iso ? iso.slice(0, 10) : '';
+}
+
+/** Issue / expiry / authority inputs with the given id prefix, as request fields */
+function readValidityFields(prefix) {
+  return {
+    issueDate: document.getElementById(`${prefix}IssueDate`).value || null,
+    expiryDate: document.getElementById(`${prefix}ExpiryDate`).value || null,
+    issuingAuthority: document.getElementById(`${prefix}Authority`).value.trim(),
+  };
+}
+
+/* ── Structured ID fields ───────────────────────────────────── */
+
+const ID_FIELD_INPUTS = {
+  aadhaar:         { label: 'Aadhaar number',         placeholder: '1234 5678 9012' },
+  pan:             { label: 'PAN',                    placeholder: 'ABCPE1234F' },
+  passport:        { label: 'Passport number',        placeholder: 'K1234567' },
+  driving_license: { label: 'Driving licence number', placeholder: 'MH12 20110012345' },
+};
+const ID_REVEAL_MS = 30 * 1000; // how long a revealed number stays on screen
+
+/** Show the ID number input when the selected category has structured fields */
+function toggleIdFields(prefix) {
+  const category = document.getElementById(`${prefix}Category`).value;
+  const spec = ID_FIELD_INPUTS[category];
+  document.getElementById(`${prefix}IdGroup`).style.display = spec ? '' : 'none';
+  if (!spec) return;
+
+  document.getElementById(`${prefix}IdLabel`).textContent = spec.label;
+  document.getElementById(`${prefix}IdNumber`).placeholder = spec.placeholder;
+  if (prefix === 'edit') {
+    document.getElementById('editIdHint').textContent =
+      editTargetIdFields && editTargetIdFields.kind === category
+        ? `Saved: ${editTargetIdFields.number}. Leave empty to keep it.`
+        : 'Optional — validated, stored encrypted and shown masked.';
+  }
+}
+
+/** { number } for the ID input with the given prefix, or null if empty / not an ID category */
+function readIdFields(prefix) {
+  const category = document.getElementById(`${prefix}Category`).value;
+  const number = document.getElementById(`${prefix}IdNumber`).value.trim();
+  return ID_FIELD_INPUTS[category] && number ? { number } : null;
+}
+
+function idFieldsBadge(doc) {
+  if (!doc.idFields) return '';
+  const detail = doc.idFields.entityType || doc.idFields.stateName || '';
+  return `<span class="badge badge-muted id-number" id="idnum-${doc.id}"${detail ? ` title="${escapeHtml(detail)}"` : ''}>
+            <i class="fas fa-id-card"></i>
+            <span class="id-number-value">${escapeHtml(doc.idFields.number)}</span>
+            <button type="button" class="id-reveal" title="Show full number" onclick="revealIdNumber('${doc.id}')">
+              <i class="fas fa-eye"></i>
+            </button>
+          </span>`;
+}
+
+/** Fetch the unmasked number (audited server-side) and show it briefly */
+async function revealIdNumber(id) {
+  const badge = document.getElementById(`idnum-${id}`);
+  const value = badge.querySelector('.id-number-value');
+  const btn = badge.querySelector('.id-reveal');
+  btn.disabled = true;
+
+  try {
+    const res = await apiFetch(`/api/documents/${id}/id-fields/reveal`, { method: 'POST' });
+    const masked = value.textContent;
+    value.textContent = res.idFields.number;
+    setTimeout(() => {
+      value.textContent = masked;
+      btn.disabled = false;
+    }, ID_REVEAL_MS);
+  } catch (err) {
+    showToast(err.message, 'error');
+    btn.disabled = false;
   }
 }
 
+/* ── Tags ───────────────────────────────────────────────────── */
+
+/** "tax 2024, Dad" → ['tax 2024', 'dad'] (the server normalizes the same way) */
+function parseTagInput(value) {
+  return value.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+}
+
+function filterByTag(tag) {
+  currentTag = tag;
+  renderActiveTag();
+  loadDocs();
+}
+
+function clearTagFilter() {
+  filterByTag('');
+}
+
+function renderActiveTag() {
+  const el = document.getElementById('activeTagFilter');
+  const show = currentTag && currentTab !== 'trash';
+  el.style.display = show ? '' : 'none';
+  el.innerHTML = show ? `
+    <span class="tag-chip active">
+      #${escapeHtml(currentTag)}
+      <button class="tag-chip-clear" title="Clear tag filter" onclick="clearTagFilter()">&times;</button>
+    </span>` : '';
+}
+
 /* ── Load documents ─────────────────────────────────────────── */
 
+const PAGE_SIZE = 20;
+
+/** Query string for the current tab's filters, sort and (optionally) cursor */
+function listParams(cursor) {
+  const params = new URLSearchParams({ limit: PAGE_SIZE });
+  const search = document.getElementById('searchInput').value.trim();
+  const category = document.getElementById('categoryFilter').value;
+  const mimeType = document.getElementById('typeFilter').value;
+  const [sort, order] = document.getElementById('sortSelect').value.split(':');
+
+  if (search) params.set('search', search);
+  if (category) params.set('category', category);
+  if (currentTag && currentTab !== 'trash') params.set('tag', currentTag);
+  if (currentFolder && currentTab === 'mine') params.set('folderId', currentFolder);
+  if (mimeType) params.set('mimeType', mimeType);
+  params.set('sort', sort);
+  params.set('order', order);
+  if (cursor) params.set('cursor', cursor);
+  return params;
+}
+
+async function fetchDocPage(cursor) {
+  if (currentTab === 'trash') return apiFetch('/api/documents/trash');
+  const path = currentTab === 'shared' ? '/api/documents/shared-with-me' : '/api/documents';
+  return apiFetch(`${path}?${listParams(cursor)}`);
+}
+
+function updateLoadMore(total) {
+  document.getElementById('loadMoreWrap').style.display = nextCursor ? '' : 'none';
+  document.getElementById('docCountLabel').textContent = `Showing ${loadedCount} of ${total}`;
+}
+
 async function loadDocs() {
   const container = document.getElementById('docList');
   container.innerHTML = '<div class="empty-state"><span class="spinner spinner-lg"></span></div>';
+  nextCursor = null;
+  loadedCount = 0;
+  updateLoadMore(0);
+  clearSelection();
 
   try {
-    let res;
-    if (currentTab === 'shared') {
-      res = await apiFetch('/api/documents/shared-with-me');
-    } else {
-      const search = document.getElementById('searchInput').value.trim();
-      const category = document.getElementById('categoryFilter').value;
-      const params = new URLSearchParams();
-      if (search) params.set('search', search);
-      if (category) params.set('category', category);
-      res = await apiFetch(`/api/documents?${params}`);
-    }
+    const res = await fetchDocPage(null);
 
     const docs = res.documents || [];
     if (docs.length === 0) {
       container.innerHTML = emptyState();
       return;
     }
-    container.innerHTML = `<div class="doc-list">${docs.map(renderDocItem).join('')}</div>`;
+    const render = currentTab === 'trash' ? renderTrashItem : renderDocItem;
+    container.innerHTML = `<div class="doc-list">${docs.map(render).join('')}</div>`;
+    loadThumbnails(container);
+    nextCursor = res.nextCursor || null;
+    loadedCount = docs.length;
+    updateLoadMore(res.total);
   } catch (err) {
     container.innerHTML = `
       <div class="alert alert-danger">
@@ -140,7 +534,41 @@ async function loadDocs() {
   }
 }
 
+async function loadMoreDocs() {
+  if (!nextCursor) return;
+  const btn = document.getElementById('loadMoreBtn');
+  const tab = currentTab;
+  btn.disabled = true;
+  btn.innerHTML = '<span class="spinner"></span> Loading…';
+
+  try {
+    const res = await fetchDocPage(nextCursor);
+    if (tab !== currentTab) return; // user switched tabs meanwhile
+
+    const docs = res.documents || [];
+    document.querySelector('#docList .doc-list')
+      .insertAdjacentHTML('beforeend', docs.map(renderDocItem).join(''));
+    loadThumbnails(document.getElementById('docList'));
+    updateBulkBar();
+    nextCursor = res.nextCursor || null;
+    loadedCount += docs.length;
+    updateLoadMore(res.total);
+  } catch (err) {
+    showToast(err.message, 'error');
+  } finally {
+    btn.disabled = false;
+    btn.innerHTML = '<i class="fas fa-chevron-down"></i> Load more';
+  }
+}
+
 function emptyState() {
+  if (currentTab === 'trash') {
+    return `<div class="empty-state">
+      <i class="fas fa-trash-restore"></i>
+      <h3>Trash is empty</h3>
+      <p>Deleted documents stay here for a while so you can restore them.</p>
+    </div>`;
+  }
   if (currentTab === 'shared') {
     return `<div class="empty-state">
       <i class="fas fa-share-alt"></i>
@@ -152,52 +580,115 @@ function emptyState() {
     <i class="fas fa-folder-open"></i>
     <h3>No documents yet</h3>
     <p>Upload your first document to get started.</p>
-    <button class="btn btn-primary btn-sm mt-4" onclick="openModal('uploadModal')">
+    <button class="btn btn-primary btn-sm mt-4" onclick="openUploadModal()">
       <i class="fas fa-upload"></i> Upload Document
     </button>
   </div>`;
 }
 
-function canPreview(mimeType) {
-  // Only images keep the inline preview modal, as PDF preview and download now behave similarly
-  return mimeType && mimeType.startsWith('image/');
+function canPreview(doc) {
+  // Images always; PDFs once their first-page preview has been rendered
+  return Boolean(doc.mimeType && (doc.mimeType.startsWith('image/') || doc.hasThumbnail));
+}
+
+/** Number of people and groups a document is shared with */
+function shareCount(doc) {
+  return (doc.sharedWith || []).length + (doc.sharedWithGroups || []).length;
+}
+
+/** Search excerpt with the server's highlight ranges wrapped in <mark> */
+function renderSnippet(snippet) {
+  let html = '';
+  let pos = 0;
+  snippet.highlights.forEach(([start, end]) => {
+    html += `${escapeHtml(snippet.text.slice(pos, start))}<mark>${escapeHtml(snippet.text.slice(start, end))}</mark>`;
+    pos = end;
+  });
+  return html + escapeHtml(snippet.text.slice(pos));
 }
 
 function renderDocItem(doc) {
-  const { icon, cls } = getFileIcon(doc.mimeType);
   const meta = getCategoryMeta(doc.category);
   const isOwner = currentTab !== 'shared';
-  const previewable = canPreview(doc.mimeType);
+  const canEdit = isOwner || doc.myPermission === 'write';
+  const previewable = canPreview(doc);
 
   return `
-    <div class="doc-item" data-id="${doc.id}">
-      <div class="doc-icon ${cls}"><i class="fas ${icon}"></i></div>
+    <div class="doc-item selectable ${selectedDocs.has(doc.id) ? 'selected' : ''}" data-id="${doc.id}">
+      <input type="checkbox" class="doc-select" title="Select" ${selectedDocs.has(doc.id) ? 'checked' : ''}
+             onchange='toggleDocSelection(${JSON.stringify(doc)}, this.checked)'>
+      ${docThumb(doc)}
       <div class="doc-info">
         <div class="doc-name">${escapeHtml(doc.title)}</div>
         <div class="doc-meta">
           <span class="badge ${meta.color}">${meta.label}</span>
           <span class="doc-meta-item"><i class="fas fa-calendar-alt"></i>${formatDate(doc.uploadDate)}</span>
           <span class="doc-meta-item"><i class="fas fa-file"></i>${formatFileSize(doc.fileSize)}</span>
-          ${doc.sharedWith && doc.sharedWith.length > 0
-      ? `<span class="badge badge-info"><i class="fas fa-share-alt"></i> Shared with ${doc.sharedWith.length}</span>`
+          ${doc.versionCount > 1
+      ? `<span class="doc-meta-item"><i class="fas fa-history"></i>v${doc.currentVersion} of ${doc.versionCount}</span>`
+      : ''}
+          ${idFieldsBadge(doc)}
+          ${expiryBadge(doc)}
+          ${doc.integrityStatus === 'mismatch'
+      ? '<span class="badge badge-danger" title="The stored file does not match its integrity record — see Version history"><i class="fas fa-shield-alt"></i> Integrity check failed</span>'
+      : ''}
+          ${doc.myAccessExpiresAt
+      ? `<span class="badge badge-warning"><i class="fas fa-hourglass-half"></i> Access until ${formatDate(doc.myAccessExpiresAt)}</span>`
+      : ''}
+          ${(doc.sharedVia || []).filter(v => v.type === 'group').map(v =>
+        `<span class="badge badge-info"><i class="fas fa-users"></i> via ${escapeHtml(v.groupName)}</span>`).join('')}
+          ${shareCount(doc) > 0
+      ? `<span class="badge badge-info"><i class="fas fa-share-alt"></i> Shared with ${shareCount(doc)}</span>`
       : ''}
         </div>
+        ${(doc.tags || []).length ? `
+        <div class="doc-tags">
+          ${doc.tags.map(t =>
+        `<span class="tag-chip" title="Show documents tagged ${escapeHtml(t)}" onclick="filterByTag('${escapeHtml(t)}')">#${escapeHtml(t)}</span>`).join('')}
+        </div>` : ''}
+        ${doc.snippet ? `<div class="doc-snippet">${renderSnippet(doc.snippet)}</div>` : ''}
       </div>
       <div class="doc-actions">
         ${previewable ? `
         <button class="btn btn-ghost btn-sm btn-icon" title="Preview"
-                onclick="previewDoc('${doc.id}', '${escapeHtml(doc.title)}', '${doc.mimeType}')">
+                onclick="previewDoc('${doc.id}', '${escapeHtml(doc.title)}', ${doc.hasThumbnail})">
           <i class="fas fa-eye"></i>
         </button>` : ''}
         <button class="btn btn-ghost btn-sm btn-icon" title="Download"
                 onclick="downloadDoc('${doc.id}', '${escapeHtml(doc.title)}')">
           <i class="fas fa-download"></i>
         </button>
+        ${isOwner && doc.mimeType === 'application/pdf' ? `
+        <button class="btn btn-ghost btn-sm btn-icon" title="Split into pages"
+                onclick="splitDoc('${doc.id}', '${escapeHtml(doc.title)}')">
+          <i class="fas fa-cut"></i>
+        </button>` : ''}
+        <button class="btn btn-ghost btn-sm btn-icon" title="Version history"
+                onclick="openVersionsModal('${doc.id}', '${escapeHtml(doc.title)}', ${isOwner}, ${canEdit})">
+          <i class="fas fa-history"></i>
+        </button>
+        ${canEdit ? `
+        <button class="btn btn-ghost btn-sm btn-icon" title="Edit details"
+                onclick='openEditModal(${JSON.stringify(doc)})'>
+          <i class="fas fa-pen"></i>
+        </button>` : ''}
         ${isOwner ? `
+        <button class="btn btn-ghost btn-sm btn-icon" title="Move to folder"
+                onclick="openMoveModal('${doc.id}', '${escapeHtml(doc.title)}', ${doc.folderId ? `'${doc.folderId}'` : 'null'})">
+          <i class="fas fa-folder-open"></i>
+        </button>
+        <button class="btn btn-ghost btn-sm btn-icon" title="Access history"
+                onclick="openHistoryModal('${doc.id}', '${escapeHtml(doc.title)}')">
+          <i class="fas fa-clipboard-list"></i>
+        </button>
         <button class="btn btn-ghost btn-sm btn-icon" title="Share / manage access"
                 onclick='openShareModal(${JSON.stringify(doc)})'>
           <i class="fas fa-share-alt"></i>
         </button>
+        <button class="btn btn-ghost btn-sm btn-icon" title="Public share links"
+                onclick="openLinksModal('${doc.id}', '${escapeHtml(doc.title)}')">
+          <i class="fas fa-link"></i>
+        </button>
         <button class="btn btn-ghost btn-sm btn-icon text-danger" title="Delete"
                 onclick="deleteDoc('${doc.id}', '${escapeHtml(doc.title)}')">
           <i class="fas fa-trash"></i>
@@ -206,10 +697,40 @@ function renderDocItem(doc) {
     </div>`;
 }
 
+function renderTrashItem(doc) {
+  const { icon, cls } = getFileIcon(doc.mimeType);
+  const meta = getCategoryMeta(doc.category);
+
+  return `
+    <div class="doc-item" data-id="${doc.id}">
+      <div class="doc-icon ${cls}"><i class="fas ${icon}"></i></div>
+      <div class="doc-info">
+        <div class="doc-name">${escapeHtml(doc.title)}</div>
+        <div class="doc-meta">
+          <span class="badge ${meta.color}">${meta.label}</span>
+          <span class="doc-meta-item"><i class="fas fa-trash"></i>Deleted ${formatDate(doc.deletedAt)}</span>
+          <span class="doc-meta-item"><i class="fas fa-hourglass-half"></i>Purged after ${formatDate(doc.purgeAfter)}</span>
+          <span class="doc-meta-item"><i class="fas fa-file"></i>${formatFileSize(doc.fileSize)}</span>
+        </div>
+      </div>
+      <div class="doc-actions">
+        <button class="btn btn-secondary btn-sm" title="Restore"
+                onclick="restoreDoc('${doc.id}', '${escapeHtml(doc.title)}')">
+          <i class="fas fa-undo"></i> Restore
+        </button>
+        <button class="btn btn-ghost btn-sm btn-icon text-danger" title="Delete forever"
+                onclick="purgeDoc('${doc.id}', '${escapeHtml(doc.title)}')">
+          <i class="fas fa-times-circle"></i>
+        </button>
+      </div>
+    </div>`;
+}
+
 /* ── Preview ─────────────────────────────────────────────────── */
 
-async function previewDoc(id, title, mimeType) {
-  // Images only: render inline in preview modal
+async function previewDoc(id, title, hasPreview) {
+  // Rendered preview when there is one (images and PDF first pages);
+  // otherwise the original image
   const frame   = document.getElementById('previewFrame');
   const img     = document.getElementById('previewImage');
   const spinner = document.getElementById('previewSpinner');
@@ -219,6 +740,7 @@ async function previewDoc(id, title, mimeType) {
   frame.style.display   = 'none';
   img.style.display     = 'none';
   spinner.style.display = 'flex';
+  if (img.src.startsWith('blob:')) URL.revokeObjectURL(img.src); // previous preview
   frame.src             = '';
   img.src               = '';
   label.textContent     = title;
@@ -227,9 +749,14 @@ async function previewDoc(id, title, mimeType) {
   openModal('previewModal');
 
   try {
-    const res = await apiFetch(`/api/documents/${id}/download`);
+    let src;
+    if (hasPreview) {
+      src = URL.createObjectURL(await apiFetchBlob(`/api/documents/${id}/thumbnail?size=preview`));
+    } else {
+      src = (await apiFetch(`/api/documents/${id}/download`)).url;
+    }
     spinner.style.display = 'none';
-    img.src           = res.url;
+    img.src           = src;
     img.alt           = title;
     img.style.display = '';
   } catch (err) {
@@ -242,12 +769,139 @@ async function previewDoc(id, title, mimeType) {
 
 /* ── Upload ─────────────────────────────────────────────────── */
 
+function openUploadModal() {
+  // New uploads land in the folder being viewed
+  const folderId = currentTab === 'mine' && currentFolder !== 'root' ? currentFolder : null;
+  document.getElementById('uploadFolder').innerHTML = folderOptions(folderId || null);
+  updateUploadMode();
+  openModal('uploadModal');
+}
+
+/** "tax_return-2024.pdf" → "tax return 2024" (the server names untitled bulk files the same way) */
+function titleFromFileName(name) {
+  return name.replace(/\.[^/.]+$/, '').replace(/[-_]/g, ' ');
+}
+
+function defaultBatchCategory() {
+  return document.getElementById('uploadCategory').value || 'other';
+}
+
+const PAGE_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+/** Several images can be combined into one PDF instead of uploaded one by one */
+function isCombiningUpload() {
+  return uploadBatch.length > 1
+    && uploadBatch.every(item => PAGE_IMAGE_TYPES.includes(item.file.type))
+    && document.getElementById('uploadCombine').checked;
+}
+
+/**
+ * Several files = batch mode: per-file title/category rows replace the
+ * single-document fields — unless they are combined into one PDF, which
+ * takes the single-document fields and shows the rows as its pages
+ */
+function updateUploadMode() {
+  const batch = uploadBatch.length > 0;
+  const combine = isCombiningUpload();
+  document.querySelectorAll('#uploadForm [data-single-only]').forEach(el => {
+    el.style.display = batch && !combine ? 'none' : '';
+  });
+  document.getElementById('uploadBatchGroup').style.display = batch ? '' : 'none';
+  document.getElementById('uploadCombineRow').style.display =
+    batch && uploadBatch.every(item => PAGE_IMAGE_TYPES.includes(item.file.type)) ? '' : 'none';
+  document.getElementById('uploadBatchHint').style.display = combine ? 'none' : '';
+  if (combine) {
+    document.getElementById('uploadIdGroup').style.display = 'none';
+    renderCombinePages();
+  } else if (batch) {
+    document.getElementById('uploadIdGroup').style.display = 'none';
+    renderUploadBatch();
+  } else {
+    toggleIdFields('upload');
+  }
+}
+
+function onUploadCategoryChange() {
+  if (!uploadBatch.length) { toggleIdFields('upload'); return; }
+  if (isCombiningUpload()) return;
+  readUploadBatch();
+  uploadBatch.forEach(item => { item.category = defaultBatchCategory(); });
+  renderUploadBatch();
+}
+
+function renderUploadBatch() {
+  document.getElementById('uploadBatchList').innerHTML = uploadBatch.map((item, i) => `
+    <div class="batch-row" data-index="${i}">
+      <i class="fas ${getFileIcon(item.file.type).icon}" title="${escapeHtml(item.file.name)}"></i>
+      <input type="text" class="form-control" data-batch-title value="${escapeHtml(item.title)}"
+             placeholder="Title" autocomplete="off">
+      <select class="form-control" data-batch-category>
+        ${Object.entries(CATEGORIES).map(([value, meta]) =>
+          `<option value="${value}" ${value === item.category ? 'selected' : ''}>${meta.label}</option>`).join('')}
+      </select>
+      <span class="batch-status ${item.error ? 'text-danger' : 'text-muted'}">
+        ${item.error ? escapeHtml(item.error) : formatFileSize(item.file.size)}
+      </span>
+    </div>`).join('');
+}
+
+/** The batch as pages of the PDF being assembled, with buttons to reorder them */
+function renderCombinePages() {
+  document.getElementById('uploadBatchList').innerHTML = uploadBatch.map((item, i) => `
+    <div class="batch-row" data-index="${i}">
+      <i class="fas fa-file-image"></i>
+      <span class="text-sm">Page ${i + 1} · ${escapeHtml(item.file.name)}</span>
+      <span class="batch-order">
+        <button type="button" class="btn btn-ghost btn-sm btn-icon" title="Move up"
+                onclick="moveUploadPage(${i}, -1)" ${i === 0 ? 'disabled' : ''}>
+          <i class="fas fa-arrow-up"></i>
+        </button>
+        <button type="button" class="btn btn-ghost btn-sm btn-icon" title="Move down"
+                onclick="moveUploadPage(${i}, 1)" ${i === uploadBatch.length - 1 ? 'disabled' : ''}>
+          <i class="fas fa-arrow-down"></i>
+        </button>
+      </span>
+      <span class="batch-status text-muted">${formatFileSize(item.file.size)}</span>
+    </div>`).join('');
+}
+
+function moveUploadPage(index, delta) {
+  const [item] = uploadBatch.splice(index, 1);
+  uploadBatch.splice(index + delta, 0, item);
+  renderCombinePages();
+}
+
+/** Copy edits from the batch rows back into uploadBatch */
+function readUploadBatch() {
+  if (isCombiningUpload()) return;
+  document.querySelectorAll('#uploadBatchList .batch-row').forEach(row => {
+    const item = uploadBatch[Number(row.dataset.index)];
+    if (!row.querySelector('[data-batch-title]')) return; // rendered as combine pages
+    item.title = row.querySelector('[data-batch-title]').value.trim();
+    item.category = row.querySelector('[data-batch-category]').value;
+  });
+}
+
+function resetUploadForm() {
+  document.getElementById('uploadForm').reset();
+  uploadBatch = [];
+  updateUploadMode();
+  showUploadProgress(null);
+}
+
 async function handleUpload(e) {
   e.preventDefault();
+  if (isCombiningUpload()) return handleCombineUpload();
+  if (uploadBatch.length) return handleBatchUpload();
+
   const fileInput = document.getElementById('uploadFile');
   const title = document.getElementById('uploadTitle').value.trim();
   const category = document.getElementById('uploadCategory').value;
   const desc = document.getElementById('uploadDesc').value.trim();
+  const tags = parseTagInput(document.getElementById('uploadTags').value);
+  const folderId = document.getElementById('uploadFolder').value;
+  const validity = readValidityFields('upload');
+  const idFields = readIdFields('upload');
   const btn = document.getElementById('uploadSubmitBtn');
 
   if (!fileInput.files[0]) { showToast('Please select a file', 'warning'); return; }
@@ -257,20 +911,33 @@ async function handleUpload(e) {
   btn.disabled = true;
   btn.innerHTML = '<span class="spinner"></span> Uploading…';
 
+  const file = fileInput.files[0];
+  const fields = {
+    title,
+    description: desc,
+    tags,
+    folderId,
+    ...validity,
+    ...(idFields && { idFields }),
+  };
+
   try {
-    const fd = new FormData();
-    fd.append('file', fileInput.files[0]);
-    fd.append('title', title);
-    fd.append('category', category);
-    fd.append('description', desc);
+    // Sent in chunks through an upload session, so a dropped connection
+    // resumes where it stopped — even after reopening the page
+    const session = await openUploadSession(file, category);
+    await sendUploadChunks(file, session);
 
-    await apiFetch('/api/documents/upload', { method: 'POST', body: fd });
+    btn.innerHTML = '<span class="spinner"></span> Checking file…';
+    showUploadProgress(file.size, file.size, 'Checking and encrypting…');
+    const completed = await completeUploadSession(file, session, fields);
+    if (!completed) return;
 
     showToast('Document uploaded successfully', 'success');
     closeModal('uploadModal');
-    document.getElementById('uploadForm').reset();
+    resetUploadForm();
     loadDocs();
     loadStats();
+    loadFolders();
   } catch (err) {
     showToast(err.message, 'error');
   } finally {
@@ -279,86 +946,1248 @@ async function handleUpload(e) {
   }
 }
 
-/* ── Download ───────────────────────────────────────────────── */
+/* ── Resumable upload sessions ──────────────────────────────── */
 
-async function downloadDoc(id, title) {
-  try {
-    showToast('Starting download...', 'info');
-    const res = await apiFetch(`/api/documents/${id}/download`);
-    
-    // Try to extract original extension from the URL if the title doesn't have one
-    let ext = '';
+const UPLOAD_CHUNK_BYTES = 2 * 1024 * 1024;
+const UPLOAD_RETRY_DELAYS = [1000, 2000, 5000, 10000, 20000, 30000]; // then give up
+
+/** Width of the progress bar and its caption; null hides it */
+function showUploadProgress(sent, total, note) {
+  const group = document.getElementById('uploadProgressGroup');
+  if (sent === null) { group.style.display = 'none'; return; }
+  const pct = total ? Math.floor((sent / total) * 100) : 0;
+  group.style.display = '';
+  document.getElementById('uploadProgressBar').style.width = `${pct}%`;
+  document.getElementById('uploadProgressText').textContent =
+    note || `${formatFileSize(sent)} of ${formatFileSize(total)} (${pct}%)`;
+}
+
+/** localStorage key remembering the session of a file, so a reload can resume it */
+function uploadSessionKey(file) {
+  return `uploadSession:${file.name}:${file.size}:${file.lastModified}`;
+}
+
+/** The still-open session from an earlier attempt at this file, or a new one */
+async function openUploadSession(file, category) {
+  const key = uploadSessionKey(file);
+  const savedId = localStorage.getItem(key);
+  if (savedId) {
     try {
-      const urlObj = new URL(res.url);
-      const pathname = decodeURIComponent(urlObj.pathname);
-      const match = pathname.match(/\.([a-zA-Z0-9]+)$/);
-      if (match) ext = '.' + match[1];
+      const { session } = await apiFetch(`/api/documents/upload/sessions/${savedId}`);
+      if (session.status === 'open' && session.totalSize === file.size && session.category === category) {
+        return session;
+      }
+      // Category changed since — its size limit may differ, so start over
+      apiFetch(`/api/documents/upload/sessions/${savedId}`, { method: 'DELETE' }).catch(() => {});
     } catch (_) {}
-    
-    let downloadName = title;
-    if (ext && !downloadName.toLowerCase().endsWith(ext.toLowerCase())) {
-      downloadName += ext;
-    }
+    localStorage.removeItem(key);
+  }
+
+  const { session } = await apiFetch('/api/documents/upload/sessions', {
+    method: 'POST',
+    body: JSON.stringify({ fileName: file.name, fileSize: file.size, category, mimeType: file.type || undefined }),
+  });
+  localStorage.setItem(key, session.id);
+  return session;
+}
 
+function waitForOnline() {
+  return navigator.onLine
+    ? Promise.resolve()
+    : new Promise(resolve => window.addEventListener('online', resolve, { once: true }));
+}
+
+/** Send the rest of the file, picking up from the server's offset after any failure */
+async function sendUploadChunks(file, session) {
+  const chunkSize = Math.min(UPLOAD_CHUNK_BYTES, session.chunkMaxBytes);
+  let offset = session.receivedBytes;
+  let attempt = 0;
+  showUploadProgress(offset, file.size);
+
+  while (offset < file.size) {
+    const chunk = file.slice(offset, offset + chunkSize);
     try {
-      // Preferred approach: fetch as Blob to force download and bypass cross-origin restrictions on the `download` attribute
-      const fetchRes = await fetch(res.url);
-      if (!fetchRes.ok) throw new Error(`Blob fetch failed: ${fetchRes.status}`);
-      
-      const blob = await fetchRes.blob();
-      const objUrl = URL.createObjectURL(blob);
-      
-      const a = document.createElement('a');
-      a.href = objUrl;
-      a.download = downloadName;
-      document.body.appendChild(a);
-      a.click();
-      
-      // Cleanup
-      setTimeout(() => {
-        document.body.removeChild(a);
-        URL.revokeObjectURL(objUrl);
-      }, 100);
-      
-    } catch (blobErr) {
-      console.warn('[downloadDoc] Blob download failed, using fallback:', blobErr);
-      
-      // Fallback approach: open cross-origin URL in new tab using a temporary <a>
-      const a = document.createElement('a');
-      a.href = res.url;
-      a.download = downloadName;
-      a.target = '_blank';
-      a.rel = 'noopener noreferrer';
-      
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      
-      showToast('Download started in a new tab.', 'success');
+      const res = await apiPutBytes(
+        `/api/documents/upload/sessions/${session.id}?offset=${offset}`,
+        chunk,
+        loaded => showUploadProgress(offset + loaded, file.size)
+      );
+      offset = res.session.receivedBytes;
+      attempt = 0;
+    } catch (err) {
+      if (err.data && err.data.code === 'OFFSET_MISMATCH') {
+        offset = err.data.receivedBytes;
+        continue;
+      }
+      // 4xx are final; network failures and 5xx are retried
+      if ((err.status && err.status < 500) || attempt >= UPLOAD_RETRY_DELAYS.length) throw err;
+      showUploadProgress(offset, file.size, navigator.onLine ? 'Connection problem — retrying…' : 'Offline — waiting for a connection…');
+      await waitForOnline();
+      await new Promise(resolve => setTimeout(resolve, UPLOAD_RETRY_DELAYS[attempt++]));
+      // The chunk may have arrived even though the response did not
+      try {
+        offset = (await apiFetch(`/api/documents/upload/sessions/${session.id}`)).session.receivedBytes;
+      } catch (_) {}
     }
-  } catch (err) {
-    showToast('Download failed: ' + err.message, 'error');
   }
+  showUploadProgress(file.size, file.size);
 }
 
-/* ── Delete ─────────────────────────────────────────────────── */
-
-async function deleteDoc(id, title) {
-  const confirmed = await confirmAction(
-    'Delete Document',
-    `Delete "${title}"? This cannot be undone.`,
-    'Delete',
-    true
-  );
-  if (!confirmed) return;
+/**
+ * Turn a fully sent session into a document. Resolves to false if the user
+ * declined to keep a duplicate (the session is then cancelled).
+ */
+async function completeUploadSession(file, session, fields) {
+  const key = uploadSessionKey(file);
+  const complete = (extra) => apiFetch(`/api/documents/upload/sessions/${session.id}/complete`, {
+    method: 'POST',
+    body: JSON.stringify({ ...fields, ...extra }),
+  });
 
   try {
-    await apiFetch(`/api/documents/${id}`, { method: 'DELETE' });
-    showToast('Document deleted', 'success');
-    loadDocs();
-    loadStats();
+    try {
+      await complete({});
+    } catch (err) {
+      if (!err.data || err.data.code !== 'DUPLICATE_CONTENT') throw err;
+      const keep = await confirmAction(
+        'Possible duplicate',
+        `${err.message} Upload it again anyway? Both documents will share one stored copy.`,
+        'Upload anyway',
+        false
+      );
+      if (!keep) {
+        apiFetch(`/api/documents/upload/sessions/${session.id}`, { method: 'DELETE' }).catch(() => {});
+        localStorage.removeItem(key);
+        showUploadProgress(null);
+        return false;
+      }
+      await complete({ allowDuplicate: true });
+    }
   } catch (err) {
-    showToast('Delete failed: ' + err.message, 'error');
+    // Rejected files end the session; anything else can be completed again
+    if ([415, 422].includes(err.status)) localStorage.removeItem(key);
+    throw err;
+  }
+
+  localStorage.removeItem(key);
+  return true;
+}
+
+/** POST /upload/bulk for a list of { file, title, category }; resolves to the per-file results */
+async function postBatch(items, allowDuplicate) {
+  const fd = new FormData();
+  items.forEach(item => fd.append('files', item.file));
+  fd.append('items', JSON.stringify(items.map(({ title, category }) => ({ title, category }))));
+  fd.append('description', document.getElementById('uploadDesc').value.trim());
+  fd.append('tags', parseTagInput(document.getElementById('uploadTags').value).join(','));
+  fd.append('folderId', document.getElementById('uploadFolder').value);
+  if (allowDuplicate) fd.append('allowDuplicate', 'true');
+
+  try {
+    return (await apiFetch('/api/documents/upload/bulk', { method: 'POST', body: fd })).results;
+  } catch (err) {
+    // Nothing uploaded still comes with a per-file report
+    if (err.data && err.data.results) return err.data.results;
+    throw err;
+  }
+}
+
+async function handleBatchUpload() {
+  readUploadBatch();
+  const btn = document.getElementById('uploadSubmitBtn');
+
+  if (uploadBatch.length > 20) { showToast('Upload at most 20 files at a time', 'warning'); return; }
+  if (uploadBatch.some(item => !item.title)) { showToast('Every file needs a title', 'warning'); return; }
+
+  btn.disabled = true;
+  btn.innerHTML = `<span class="spinner"></span> Uploading ${uploadBatch.length} files…`;
+
+  try {
+    let results = await postBatch(uploadBatch, false);
+
+    // Files already in the library: ask once, then retry just those
+    const dupes = results.filter(r => r.code === 'DUPLICATE_CONTENT');
+    if (dupes.length) {
+      const keep = await confirmAction(
+        'Possible duplicates',
+        `${dupes.length === 1 ? '1 file is' : `${dupes.length} files are`} already in your documents. ` +
+        'Upload anyway? Duplicates share one stored copy.',
+        'Upload anyway',
+        false
+      );
+      if (keep) {
+        const retried = await postBatch(dupes.map(r => uploadBatch[r.index]), true);
+        retried.forEach((r, i) => { results[dupes[i].index] = { ...r, index: dupes[i].index }; });
+      }
+    }
+
+    const uploaded = results.filter(r => r.success).length;
+    if (uploaded) {
+      loadDocs();
+      loadStats();
+      loadFolders();
+    }
+    if (uploaded === results.length) {
+      showToast(`${uploaded} documents uploaded`, 'success');
+      closeModal('uploadModal');
+      resetUploadForm();
+      return;
+    }
+
+    // Keep only the files that failed, each with its reason
+    uploadBatch = results
+      .filter(r => !r.success)
+      .map(r => ({ ...uploadBatch[r.index], error: r.message }));
+    renderUploadBatch();
+    showToast(`${uploaded} of ${results.length} uploaded — the rest are listed with the reason`, 'warning');
+  } catch (err) {
+    showToast(err.message, 'error');
+  } finally {
+    btn.disabled = false;
+    btn.innerHTML = '<i class="fas fa-upload"></i> Upload';
+  }
+}
+
+/* ── Combine images into a PDF ──────────────────────────────── */
+
+/**
+ * POST /assemble. `pages` are Files to upload or ids of image documents, in
+ * page order; `fields` are the POST /upload fields. Asks once about a
+ * duplicate. Resolves to the response, or null if the user declined.
+ */
+async function postAssemble(pages, fields) {
+  const send = (allowDuplicate) => {
+    const fd = new FormData();
+    const order = pages.map(page => {
+      if (typeof page === 'string') return { documentId: page };
+      fd.append('files', page);
+      return { file: fd.getAll('files').length - 1 };
+    });
+    fd.append('pages', JSON.stringify(order));
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== null && value !== undefined && value !== '') fd.append(key, value);
+    });
+    if (allowDuplicate) fd.append('allowDuplicate', 'true');
+    return apiFetch('/api/documents/assemble', { method: 'POST', body: fd });
+  };
+
+  try {
+    return await send(false);
+  } catch (err) {
+    if (!err.data || err.data.code !== 'DUPLICATE_CONTENT') throw err;
+    const keep = await confirmAction(
+      'Possible duplicate',
+      `${err.message} Save it again anyway? Both documents will share one stored copy.`,
+      'Save anyway',
+      false
+    );
+    return keep ? send(true) : null;
+  }
+}
+
+async function handleCombineUpload() {
+  const title = document.getElementById('uploadTitle').value.trim();
+  const category = document.getElementById('uploadCategory').value;
+  const btn = document.getElementById('uploadSubmitBtn');
+
+  if (!title) { showToast('Title is required', 'warning'); return; }
+  if (!category) { showToast('Please select a category', 'warning'); return; }
+  if (uploadBatch.length > 30) { showToast('A PDF can have at most 30 pages', 'warning'); return; }
+
+  btn.disabled = true;
+  btn.innerHTML = `<span class="spinner"></span> Building a ${uploadBatch.length}-page PDF…`;
+  try {
+    const res = await postAssemble(uploadBatch.map(item => item.file), {
+      title,
+      category,
+      description: document.getElementById('uploadDesc').value.trim(),
+      tags: parseTagInput(document.getElementById('uploadTags').value).join(','),
+      folderId: document.getElementById('uploadFolder').value,
+      ...readValidityFields('upload'),
+    });
+    if (!res) return;
+
+    showToast(`Saved as a ${res.pageCount}-page PDF`, 'success');
+    closeModal('uploadModal');
+    resetUploadForm();
+    loadDocs();
+    loadStats();
+    loadFolders();
+  } catch (err) {
+    showToast(err.message, 'error');
+  } finally {
+    btn.disabled = false;
+    btn.innerHTML = '<i class="fas fa-upload"></i> Upload';
+  }
+}
+
+/** The selected image documents → one PDF (bulk bar), in selection order */
+async function combineSelected() {
+  const docs = [...selectedDocs.values()];
+  const title = document.getElementById('bulkCombineTitle').value.trim();
+  if (!title) { showToast('Title is required', 'warning'); return false; }
+
+  const first = docs[0];
+  const res = await postAssemble(docs.map(doc => doc.id), {
+    title,
+    category: first.category,
+    tags: (first.tags || []).join(','),
+    folderId: first.folderId || '',
+    trashSources: document.getElementById('bulkCombineTrash').checked ? 'true' : '',
+  });
+  if (!res) return false;
+
+  showToast(`Saved as a ${res.pageCount}-page PDF` +
+    (res.trashed.length ? ` — ${res.trashed.length} images moved to trash` : ''), 'success');
+  clearSelection();
+  loadDocs();
+  loadStats();
+  return true;
+}
+
+/* ── Split a PDF into pages ─────────────────────────────────── */
+
+async function splitDoc(id, title) {
+  const ok = await confirmAction(
+    'Split into pages',
+    `Save every page of "${title}" as its own PDF document? The original is kept.`,
+    'Split',
+    false
+  );
+  if (!ok) return;
+
+  showToast('Splitting…', 'info');
+  let res;
+  try {
+    res = await apiFetch(`/api/documents/${id}/split`, { method: 'POST', body: JSON.stringify({}) });
+  } catch (err) {
+    if (!err.data || !err.data.results) { showToast(err.message, 'error'); return; }
+    res = err.data;
+  }
+
+  if (res.created) {
+    loadDocs();
+    loadStats();
+  }
+  const failure = res.results.find(r => !r.success);
+  showToast(failure ? `${res.message} Page ${failure.page}: ${failure.message}` : res.message,
+    failure ? 'warning' : 'success');
+}
+
+/* ── Bulk actions ───────────────────────────────────────────── */
+
+function toggleDocSelection(doc, selected) {
+  if (selected) selectedDocs.set(doc.id, doc);
+  else selectedDocs.delete(doc.id);
+  const item = document.querySelector(`#docList .doc-item[data-id="${doc.id}"]`);
+  if (item) item.classList.toggle('selected', selected);
+  updateBulkBar();
+}
+
+function selectAllLoaded(selected) {
+  document.querySelectorAll('#docList .doc-item.selectable').forEach(item => {
+    const box = item.querySelector('.doc-select');
+    if (box.checked !== selected) {
+      box.checked = selected;
+      box.dispatchEvent(new Event('change'));
+    }
+  });
+}
+
+function clearSelection() {
+  selectedDocs.clear();
+  document.querySelectorAll('#docList .doc-item.selected').forEach(item => {
+    item.classList.remove('selected');
+    item.querySelector('.doc-select').checked = false;
+  });
+  updateBulkBar();
+}
+
+function updateBulkBar() {
+  const count = selectedDocs.size;
+  const loaded = document.querySelectorAll('#docList .doc-item.selectable').length;
+  document.getElementById('bulkBar').style.display = count ? '' : 'none';
+  document.getElementById('bulkCount').textContent = `${count} selected`;
+  document.getElementById('bulkSelectAll').checked = count > 0 && count === loaded;
+  // Deleting and sharing are for the owner; shared documents can only be edited
+  document.querySelectorAll('#bulkBar [data-owner-only]').forEach(btn => {
+    btn.style.display = currentTab === 'mine' ? '' : 'none';
+  });
+}
+
+const BULK_TITLES = {
+  recategorize: 'Change category',
+  tag: 'Edit tags',
+  share: 'Share documents',
+  combine: 'Combine into one PDF',
+};
+
+function openBulkModal(action) {
+  bulkAction = action;
+  document.getElementById('bulkModalTitle').textContent =
+    `${BULK_TITLES[action]} (${selectedDocs.size})`;
+  document.querySelectorAll('#bulkForm [data-bulk-action]').forEach(el => {
+    el.style.display = el.dataset.bulkAction === action ? '' : 'none';
+  });
+
+  if (action === 'combine') {
+    const docs = [...selectedDocs.values()];
+    if (docs.some(doc => !PAGE_IMAGE_TYPES.includes(doc.mimeType))) {
+      showToast('Only JPG and PNG images can be combined into a PDF', 'warning');
+      return;
+    }
+    document.getElementById('bulkCombineTitle').value = docs[0].title;
+    document.getElementById('bulkCombineTrash').checked = false;
+  }
+  if (action === 'tag') {
+    document.getElementById('bulkAddTags').value = '';
+    document.getElementById('bulkRemoveTags').value = '';
+  }
+  if (action === 'share') {
+    if (!familyMembers.length && !familyGroups.length) {
+      showToast('Add family members first from the Family page', 'warning');
+      return;
+    }
+    document.getElementById('bulkShareTarget').innerHTML =
+      familyGroups.map(g => `<option value="group:${g.id}">Everyone in ${escapeHtml(g.name)}</option>`).join('') +
+      familyMembers.map(m => `<option value="user:${m.uid}">${escapeHtml(m.displayName || m.email)}</option>`).join('');
+    document.getElementById('bulkSharePermission').value = 'read';
+    document.getElementById('bulkSharePurpose').value = '';
+    const expiryInput = document.getElementById('bulkShareExpiry');
+    expiryInput.value = '';
+    expiryInput.min = new Date().toISOString().slice(0, 10);
+  }
+  openModal('bulkModal');
+}
+
+/** Fields for POST /bulk from the bulk modal, for the open action */
+function readBulkFields() {
+  if (bulkAction === 'recategorize') {
+    return { category: document.getElementById('bulkCategory').value };
+  }
+  if (bulkAction === 'tag') {
+    return {
+      addTags: parseTagInput(document.getElementById('bulkAddTags').value),
+      removeTags: parseTagInput(document.getElementById('bulkRemoveTags').value),
+    };
+  }
+  const [type, id] = document.getElementById('bulkShareTarget').value.split(':');
+  const until = document.getElementById('bulkShareExpiry').value;
+  return {
+    ...(type === 'group' ? { groupId: id } : { targetUid: id }),
+    permission: document.getElementById('bulkSharePermission').value,
+    purpose: document.getElementById('bulkSharePurpose').value.trim(),
+    // A chosen day includes the whole day in the user's timezone
+    expiresAt: until ? new Date(`${until}T23:59:59`).toISOString() : null,
+  };
+}
+
+async function handleBulkSubmit(e) {
+  e.preventDefault();
+  if (bulkAction === 'combine') {
+    const btn = document.getElementById('bulkSubmitBtn');
+    btn.disabled = true;
+    btn.innerHTML = '<span class="spinner"></span> Building PDF…';
+    try {
+      if (await combineSelected()) closeModal('bulkModal');
+    } catch (err) {
+      showToast(err.message, 'error');
+    } finally {
+      btn.disabled = false;
+      btn.innerHTML = 'Apply';
+    }
+    return;
+  }
+
+  const fields = readBulkFields();
+  if (bulkAction === 'tag' && !fields.addTags.length && !fields.removeTags.length) {
+    showToast('Enter tags to add or remove', 'warning');
+    return;
+  }
+
+  const btn = document.getElementById('bulkSubmitBtn');
+  btn.disabled = true;
+  btn.innerHTML = '<span class="spinner"></span> Applying…';
+  try {
+    if (await runBulkAction(bulkAction, fields)) closeModal('bulkModal');
+  } finally {
+    btn.disabled = false;
+    btn.innerHTML = 'Apply';
+  }
+}
+
+async function bulkDelete() {
+  const count = selectedDocs.size;
+  const ok = await confirmAction(
+    'Delete documents',
+    `Move ${count === 1 ? 'this document' : `these ${count} documents`} to the trash? You can restore them from the Trash tab.`,
+    'Move to trash'
+  );
+  if (ok) runBulkAction('delete', {});
+}
+
+/**
+ * POST /bulk for the selected documents and report the outcome.
+ * @returns {Promise<boolean>} false if the request itself was refused
+ */
+async function runBulkAction(action, fields) {
+  let res;
+  try {
+    res = await apiFetch('/api/documents/bulk', {
+      method: 'POST',
+      body: JSON.stringify({ action, ids: [...selectedDocs.keys()], ...fields }),
+    });
+  } catch (err) {
+    showToast(err.message, 'error');
+    return false;
+  }
+
+  if (res.failed === 0) {
+    showToast(`${res.succeeded} documents updated`, 'success');
+  } else {
+    const reasons = [...new Set(res.results.filter(r => !r.success).map(r => r.message))];
+    showToast(`${res.succeeded} updated, ${res.failed} failed: ${reasons.join(' ')}`, res.succeeded ? 'warning' : 'error');
+  }
+  loadDocs();
+  if (action === 'delete') loadStats();
+  return true;
+}
+
+/* ── Download ───────────────────────────────────────────────── */
+
+async function downloadDoc(id, title, version) {
+  try {
+    showToast('Starting download...', 'info');
+    // Streamed by the API with our token — no bearer URL ever leaves the page
+    const blob = await apiFetchBlob(version
+      ? `/api/documents/${id}/file?version=${version}`
+      : `/api/documents/${id}/file`);
+
+    const ext = extensionForMime(blob.type);
+    let downloadName = title;
+    if (ext && !downloadName.toLowerCase().endsWith(ext)) {
+      downloadName += ext;
+    }
+    saveBlob(blob, downloadName);
+  } catch (err) {
+    showToast('Download failed: ' + err.message, 'error');
+  }
+}
+
+function extensionForMime(mimeType) {
+  const map = {
+    'application/pdf': '.pdf', 'image/jpeg': '.jpg', 'image/jpg': '.jpg', 'image/png': '.png', 'image/webp': '.webp',
+  };
+  return map[mimeType] || '';
+}
+
+/* ── Versions ───────────────────────────────────────────────── */
+
+function openVersionsModal(id, title, isOwner, canEdit) {
+  versionsTargetId = id;
+  versionsTargetTitle = title;
+  versionsTargetIsOwner = isOwner;
+  document.getElementById('versionsTitle').textContent = `Versions — ${title}`;
+  // Write grantees may upload new versions; only the owner may restore old ones
+  document.getElementById('versionUploadForm').style.display = canEdit ? '' : 'none';
+  document.getElementById('versionUploadForm').reset();
+  // Receipts are signed statements for the owner to hand on
+  document.getElementById('integrityReceiptBtn').style.display = isOwner ? '' : 'none';
+  document.getElementById('integrityResult').innerHTML =
+    '<span class="form-hint">Re-check every stored version against the hashes recorded when it was uploaded.</span>';
+  openModal('versionsModal');
+  loadVersions();
+}
+
+async function loadVersions() {
+  const container = document.getElementById('versionList');
+  container.innerHTML = '<div class="empty-state"><span class="spinner"></span></div>';
+
+  try {
+    const res = await apiFetch(`/api/documents/${versionsTargetId}/versions`);
+    const me = firebase.auth().currentUser;
+
+    container.innerHTML = `<div class="member-list">${res.versions.map(v => `
+      <div class="member-item">
+        <div class="member-avatar">v${v.version}</div>
+        <div class="member-info">
+          <div class="member-name">
+            ${escapeHtml(v.originalName || v.title || `Version ${v.version}`)}
+            ${v.isCurrent ? '<span class="badge badge-success">Current</span>' : ''}
+          </div>
+          <div class="member-email">
+            ${formatDate(v.uploadedAt)} · ${formatFileSize(v.fileSize)} ·
+            ${me && v.uploadedBy === me.uid ? 'You' : 'Shared user'}
+            ${v.note ? ` · ${escapeHtml(v.note)}` : ''}
+          </div>
+        </div>
+        <button class="btn btn-ghost btn-sm btn-icon" title="Download this version"
+                onclick="downloadDoc('${versionsTargetId}', '${escapeHtml(versionsTargetTitle)}', ${v.version})">
+          <i class="fas fa-download"></i>
+        </button>
+        ${versionsTargetIsOwner && !v.isCurrent ? `
+        <button class="btn btn-secondary btn-sm" onclick="restoreVersion(${v.version})">
+          <i class="fas fa-undo"></i> Restore
+        </button>` : ''}
+      </div>`).join('')}
+    </div>`;
+  } catch (err) {
+    container.innerHTML = `<div class="alert alert-danger">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+async function restoreVersion(version) {
+  const confirmed = await confirmAction(
+    'Restore Version',
+    `Make version ${version} the current file? Newer versions stay in the history.`,
+    'Restore',
+    false
+  );
+  if (!confirmed) return;
+
+  try {
+    await apiFetch(`/api/documents/${versionsTargetId}/versions/${version}/restore`, { method: 'POST' });
+    showToast(`Version ${version} restored`, 'success');
+    loadVersions();
+    loadDocs();
+  } catch (err) {
+    showToast('Restore failed: ' + err.message, 'error');
+  }
+}
+
+/* ── Integrity ──────────────────────────────────────────────── */
+
+const INTEGRITY_RESULTS = {
+  verified:   { cls: 'alert-success', icon: 'fa-check-circle', text: 'Every stored version matches the hash recorded at upload.' },
+  mismatch:   { cls: 'alert-danger', icon: 'fa-exclamation-triangle', text: 'The stored files do not match the integrity record.' },
+  unreadable: { cls: 'alert-warning', icon: 'fa-exclamation-circle', text: 'A stored file could not be read. Try again later.' },
+  unrecorded: { cls: 'alert-info', icon: 'fa-info-circle', text: 'This document has no integrity record yet — one is made shortly after upload.' },
+};
+
+async function verifyIntegrity() {
+  const container = document.getElementById('integrityResult');
+  const btn = document.getElementById('verifyIntegrityBtn');
+  btn.disabled = true;
+  container.innerHTML = '<span class="spinner"></span>';
+
+  try {
+    const { integrity } = await apiFetch(`/api/documents/${versionsTargetId}/verify`);
+    const result = INTEGRITY_RESULTS[integrity.status] || INTEGRITY_RESULTS.unreadable;
+    container.innerHTML = `
+      <div class="alert ${result.cls}">
+        <i class="fas ${result.icon}"></i> ${result.text}
+        ${integrity.failures.length ? `<ul>${integrity.failures.map(f => `<li>${escapeHtml(f)}</li>`).join('')}</ul>` : ''}
+        ${integrity.ledger.headHash
+      ? `<div class="form-hint">Checked ${formatDate(integrity.checkedAt)} · ledger ${integrity.ledger.entries} entries, head <code>${integrity.ledger.headHash.slice(0, 16)}…</code></div>`
+      : ''}
+      </div>`;
+    loadDocs();
+  } catch (err) {
+    container.innerHTML = `<div class="alert alert-danger">${escapeHtml(err.message)}</div>`;
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function downloadIntegrityReceipt() {
+  const btn = document.getElementById('integrityReceiptBtn');
+  btn.disabled = true;
+  try {
+    const blob = await apiFetchBlob(`/api/documents/${versionsTargetId}/integrity-receipt`);
+    saveBlob(blob, `${versionsTargetTitle} — integrity receipt.json`);
+    showToast('Receipt downloaded', 'success');
+  } catch (err) {
+    showToast('Receipt failed: ' + err.message, 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function handleVersionUpload(e) {
+  e.preventDefault();
+  const fileInput = document.getElementById('versionFile');
+  const note = document.getElementById('versionNote').value.trim();
+  const btn = document.getElementById('versionSubmitBtn');
+
+  if (!fileInput.files[0]) { showToast('Please select a file', 'warning'); return; }
+
+  btn.disabled = true;
+  btn.innerHTML = '<span class="spinner"></span> Uploading…';
+
+  try {
+    const fd = new FormData();
+    fd.append('file', fileInput.files[0]);
+    if (note) fd.append('note', note);
+
+    await apiFetch(`/api/documents/${versionsTargetId}/versions`, { method: 'POST', body: fd });
+
+    showToast('New version uploaded', 'success');
+    document.getElementById('versionUploadForm').reset();
+    loadVersions();
+    loadDocs();
+    loadStats();
+  } catch (err) {
+    showToast(err.message, 'error');
+  } finally {
+    btn.disabled = false;
+    btn.innerHTML = '<i class="fas fa-upload"></i> Upload new version';
+  }
+}
+
+/* ── Edit details ───────────────────────────────────────────── */
+
+function openEditModal(doc) {
+  editTargetId = doc.id;
+  document.getElementById('editTitle').value = doc.title;
+  document.getElementById('editCategory').value = doc.category;
+  document.getElementById('editDesc').value = doc.description || '';
+  document.getElementById('editTags').value = (doc.tags || []).join(', ');
+  document.getElementById('editIssueDate').value = toDateInput(doc.issueDate);
+  document.getElementById('editExpiryDate').value = toDateInput(doc.expiryDate);
+  document.getElementById('editAuthority').value = doc.issuingAuthority || '';
+  editTargetIdFields = doc.idFields || null;
+  document.getElementById('editIdNumber').value = '';
+  toggleIdFields('edit');
+  openModal('editModal');
+}
+
+async function handleEdit(e) {
+  e.preventDefault();
+  const title = document.getElementById('editTitle').value.trim();
+  const category = document.getElementById('editCategory').value;
+  const description = document.getElementById('editDesc').value.trim();
+  const tags = parseTagInput(document.getElementById('editTags').value);
+  const idFields = readIdFields('edit');
+  const btn = document.getElementById('editSubmitBtn');
+
+  if (!title) { showToast('Please enter a title', 'warning'); return; }
+
+  btn.disabled = true;
+  btn.innerHTML = '<span class="spinner"></span> Saving…';
+
+  try {
+    await apiFetch(`/api/documents/${editTargetId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({
+        title, category, description, tags, ...readValidityFields('edit'), ...(idFields && { idFields }),
+      }),
+    });
+    showToast('Document updated', 'success');
+    closeModal('editModal');
+    loadDocs();
+    loadStats();
+  } catch (err) {
+    showToast(err.message, 'error');
+  } finally {
+    btn.disabled = false;
+    btn.innerHTML = '<i class="fas fa-save"></i> Save';
+  }
+}
+
+/* ── Public share links ─────────────────────────────────────── */
+
+const LINK_STATUS_BADGES = {
+  active:    { label: 'Active',  cls: 'badge-success' },
+  expired:   { label: 'Expired', cls: 'badge-warning' },
+  exhausted: { label: 'Used up', cls: 'badge-warning' },
+  revoked:   { label: 'Revoked', cls: 'badge-danger' },
+  locked:    { label: 'Locked',  cls: 'badge-danger' },
+};
+
+function openLinksModal(id, title) {
+  linksTargetId = id;
+  document.getElementById('linksTitle').textContent = `Share links — ${title}`;
+  document.getElementById('linkCreateForm').reset();
+  document.getElementById('linkExpiry').min = new Date().toISOString().slice(0, 10);
+  document.getElementById('linkCreated').style.display = 'none';
+  openModal('linksModal');
+  loadLinks();
+}
+
+async function loadLinks() {
+  const container = document.getElementById('linkList');
+  container.innerHTML = '<div class="empty-state"><span class="spinner"></span></div>';
+
+  try {
+    const res = await apiFetch(`/api/documents/${linksTargetId}/links`);
+    if (res.links.length === 0) {
+      container.innerHTML = '<p class="text-sm text-muted">No share links yet.</p>';
+      return;
+    }
+
+    container.innerHTML = `<div class="member-list">${res.links.map(l => {
+      const badge = LINK_STATUS_BADGES[l.status] || { label: l.status, cls: 'badge-info' };
+      return `
+      <div class="member-item">
+        <div class="member-avatar"><i class="fas ${l.requiresPasscode ? 'fa-lock' : 'fa-link'}"></i></div>
+        <div class="member-info">
+          <div class="member-name">
+            ${escapeHtml(l.label || 'Share link')}
+            <span class="badge ${badge.cls}">${badge.label}</span>
+          </div>
+          <div class="member-email">
+            ${l.downloadCount}${l.maxDownloads ? ` of ${l.maxDownloads}` : ''} downloads ·
+            expires ${formatDate(l.expiresAt)}
+          </div>
+        </div>
+        ${l.status !== 'revoked' ? `
+        <button class="btn btn-danger-outline btn-sm" onclick="revokeLink('${l.id}')">
+          <i class="fas fa-times"></i> Revoke
+        </button>` : ''}
+      </div>`;
+    }).join('')}
+    </div>`;
+  } catch (err) {
+    container.innerHTML = `<div class="alert alert-danger">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+async function handleLinkCreate(e) {
+  e.preventDefault();
+  const label = document.getElementById('linkLabel').value.trim();
+  const until = document.getElementById('linkExpiry').value;
+  const maxDownloads = document.getElementById('linkMaxDownloads').value;
+  const passcode = document.getElementById('linkPasscode').value;
+  const btn = document.getElementById('linkSubmitBtn');
+
+  btn.disabled = true;
+  btn.innerHTML = '<span class="spinner"></span> Creating…';
+
+  try {
+    const res = await apiFetch(`/api/documents/${linksTargetId}/links`, {
+      method: 'POST',
+      body: JSON.stringify({
+        label,
+        expiresAt: until ? new Date(`${until}T23:59:59`).toISOString() : undefined,
+        maxDownloads: maxDownloads ? Number(maxDownloads) : undefined,
+        passcode: passcode || undefined,
+      }),
+    });
+
+    document.getElementById('linkCreateForm').reset();
+    document.getElementById('linkCreatedUrl').value = res.link.url;
+    document.getElementById('linkCreated').style.display = 'flex';
+    showToast('Share link created', 'success');
+    loadLinks();
+  } catch (err) {
+    showToast(err.message, 'error');
+  } finally {
+    btn.disabled = false;
+    btn.innerHTML = '<i class="fas fa-link"></i> Create link';
+  }
+}
+
+async function copyCreatedLink() {
+  const input = document.getElementById('linkCreatedUrl');
+  try {
+    await navigator.clipboard.writeText(input.value);
+    showToast('Link copied', 'success');
+  } catch (_) {
+    input.select();
+    showToast('Press Ctrl+C to copy', 'info');
+  }
+}
+
+async function revokeLink(linkId) {
+  const confirmed = await confirmAction(
+    'Revoke Link',
+    'Anyone holding this link will no longer be able to download the document.',
+    'Revoke',
+    true
+  );
+  if (!confirmed) return;
+
+  try {
+    await apiFetch(`/api/documents/${linksTargetId}/links/${linkId}`, { method: 'DELETE' });
+    showToast('Share link revoked', 'success');
+    loadLinks();
+  } catch (err) {
+    showToast('Revoke failed: ' + err.message, 'error');
+  }
+}
+
+/* ── Access history ──────────────────────────────────────────── */
+
+const AUDIT_ACTION_LABELS = {
+  'document.upload':          { label: 'Uploaded',          icon: 'fa-upload' },
+  'document.download':        { label: 'Downloaded',        icon: 'fa-download' },
+  'document.share':           { label: 'Shared',            icon: 'fa-share-alt' },
+  'document.share_revoke':    { label: 'Access revoked',    icon: 'fa-user-slash' },
+  'document.share_update':    { label: 'Permission changed', icon: 'fa-user-edit' },
+  'document.share_expire':    { label: 'Access expired',    icon: 'fa-hourglass-end' },
+  'document.update':          { label: 'Details edited',    icon: 'fa-pen' },
+  'document.move':            { label: 'Moved to folder',   icon: 'fa-folder-open' },
+  'document.expiry_reminder': { label: 'Renewal reminder sent', icon: 'fa-bell' },
+  'document.id_reveal':       { label: 'Viewed full ID number', icon: 'fa-id-card' },
+  'document.preview':         { label: 'Previewed',         icon: 'fa-eye' },
+  'document.upload_blocked':  { label: 'Upload blocked', icon: 'fa-shield-alt' },
+  'document.version_add':     { label: 'New version',       icon: 'fa-code-branch' },
+  'document.version_restore': { label: 'Version restored',  icon: 'fa-undo' },
+  'document.delete':          { label: 'Moved to trash',    icon: 'fa-trash' },
+  'document.split':           { label: 'Split into pages',  icon: 'fa-cut' },
+  'document.verify':          { label: 'Integrity checked', icon: 'fa-shield-alt' },
+  'document.integrity_receipt': { label: 'Integrity receipt issued', icon: 'fa-file-signature' },
+  'document.integrity_mismatch': { label: 'Integrity check failed', icon: 'fa-exclamation-triangle' },
+  'document.receipt_check':   { label: 'Receipt checked',   icon: 'fa-stamp' },
+  'document.restore':         { label: 'Restored from trash', icon: 'fa-trash-restore' },
+  'document.purge':           { label: 'Permanently deleted', icon: 'fa-times-circle' },
+  'document.link_create':     { label: 'Share link created', icon: 'fa-link' },
+  'document.link_revoke':     { label: 'Share link revoked', icon: 'fa-unlink' },
+  'document.link_view':       { label: 'Share link opened', icon: 'fa-external-link-alt' },
+  'document.link_access':     { label: 'Downloaded via link', icon: 'fa-cloud-download-alt' },
+};
+
+async function openHistoryModal(id, title) {
+  const container = document.getElementById('historyList');
+  document.getElementById('historyTitle').textContent = `Access history — ${title}`;
+  container.innerHTML = '<div class="empty-state"><span class="spinner"></span></div>';
+  openModal('historyModal');
+
+  try {
+    const res = await apiFetch(`/api/audit?documentId=${encodeURIComponent(id)}&limit=100`);
+    const events = res.events || [];
+
+    if (events.length === 0) {
+      container.innerHTML = '<p class="text-sm text-muted">No recorded activity yet.</p>';
+      return;
+    }
+
+    container.innerHTML = `<div class="member-list">${events.map(renderAuditEvent).join('')}</div>`;
+  } catch (err) {
+    container.innerHTML = `<div class="alert alert-danger">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function renderAuditEvent(e) {
+  const meta = AUDIT_ACTION_LABELS[e.action] || { label: e.action, icon: 'fa-info-circle' };
+  const resultBadge = e.result === 'success'
+    ? ''
+    : `<span class="badge ${e.result === 'denied' ? 'badge-warning' : 'badge-danger'}">${escapeHtml(e.result)}</span>`;
+  const anonymous = e.action.startsWith('document.link_') ? 'Someone with the link' : 'System';
+  const who = e.actorEmail || (e.actorUid ? 'Unknown user' : anonymous);
+  const when = new Date(e.createdAt).toLocaleString('en-IN');
+
+  return `
+    <div class="member-item">
+      <div class="member-avatar"><i class="fas ${meta.icon}"></i></div>
+      <div class="member-info">
+        <div class="member-name">${escapeHtml(meta.label)} ${resultBadge}</div>
+        <div class="member-email">
+          ${escapeHtml(who)} · ${escapeHtml(when)}${e.ip ? ` · ${escapeHtml(e.ip)}` : ''}
+        </div>
+      </div>
+    </div>`;
+}
+
+/* ── Possible duplicates ────────────────────────────────────── */
+
+async function openDuplicatesModal() {
+  const container = document.getElementById('duplicatesList');
+  container.innerHTML = '<div class="empty-state"><span class="spinner"></span></div>';
+  openModal('duplicatesModal');
+
+  try {
+    const res = await apiFetch('/api/documents/duplicates');
+    const groups = res.groups || [];
+
+    if (groups.length === 0) {
+      container.innerHTML = '<p class="text-sm text-muted">No duplicates found.</p>';
+      return;
+    }
+
+    container.innerHTML = groups.map((g) => `
+      <div class="mb-4">
+        <div class="text-sm text-muted mb-2">${g.count} copies · ${formatFileSize(g.fileSize)} each</div>
+        <div class="member-list">
+          ${g.documents.map((doc) => `
+          <div class="member-item">
+            <div class="member-avatar"><i class="fas ${getFileIcon(doc.mimeType).icon}"></i></div>
+            <div class="member-info">
+              <div class="member-name">${escapeHtml(doc.title)}</div>
+              <div class="member-email">${getCategoryMeta(doc.category).label} · uploaded ${formatDate(doc.uploadDate)}</div>
+            </div>
+            <button class="btn btn-ghost btn-sm btn-icon text-danger" title="Move to trash"
+                    onclick="deleteDuplicate('${doc.id}', '${escapeHtml(doc.title)}')">
+              <i class="fas fa-trash"></i>
+            </button>
+          </div>`).join('')}
+        </div>
+      </div>`).join('');
+  } catch (err) {
+    container.innerHTML = `<div class="alert alert-danger">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+async function deleteDuplicate(id, title) {
+  closeModal('duplicatesModal');
+  await deleteDoc(id, title);
+  openDuplicatesModal();
+}
+
+/* ── Export / Import ────────────────────────────────────────── */
+
+const EXPORT_STATUS_BADGES = {
+  queued:  { label: 'Queued',   cls: 'badge-info' },
+  running: { label: 'Building', cls: 'badge-info' },
+  done:    { label: 'Ready',    cls: 'badge-success' },
+  failed:  { label: 'Failed',   cls: 'badge-danger' },
+  expired: { label: 'Expired',  cls: 'badge-muted' },
+};
+
+function openExportsModal() {
+  const category = document.getElementById('categoryFilter').value;
+  const folder = folders.find(f => f.id === currentFolder);
+  const options = [['all', 'All my documents']];
+  if (category) options.push(['category', `${getCategoryMeta(category).label} documents`]);
+  if (folder) options.push(['folder', `Folder "${folder.name}" and its subfolders`]);
+  if (selectedDocs.size) options.push(['selected', `Selected documents (${selectedDocs.size})`]);
+  document.getElementById('exportScope').innerHTML = options
+    .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join('');
+
+  document.getElementById('exportForm').reset();
+  document.getElementById('importForm').reset();
+  document.getElementById('exportConfirmGroup').style.display = 'none';
+  document.getElementById('importReport').innerHTML = '';
+  openModal('exportsModal');
+  loadExports();
+}
+
+/** Request body for the chosen scope (see POST /api/exports) */
+function exportScopeBody() {
+  switch (document.getElementById('exportScope').value) {
+    case 'category': return { category: document.getElementById('categoryFilter').value };
+    case 'folder':   return { folderId: currentFolder };
+    case 'selected': return { ids: [...selectedDocs.keys()] };
+    default:         return {};
+  }
+}
+
+function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 100);
+}
+
+async function handleExport(e) {
+  e.preventDefault();
+  const passphrase = document.getElementById('exportPassphrase').value;
+  const btn = document.getElementById('exportSubmitBtn');
+
+  if (passphrase && passphrase.length < 8) { showToast('The passphrase needs at least 8 characters', 'warning'); return; }
+  if (passphrase && passphrase !== document.getElementById('exportPassphraseConfirm').value) {
+    showToast('The passphrases do not match', 'warning');
+    return;
+  }
+
+  const body = JSON.stringify({ ...exportScopeBody(), passphrase: passphrase || undefined });
+  btn.disabled = true;
+  btn.innerHTML = '<span class="spinner"></span> Exporting…';
+
+  try {
+    // Small exports download straight away; large ones are built in the background
+    try {
+      const blob = await apiFetchBlob('/api/exports/stream', { method: 'POST', body });
+      saveBlob(blob, `securegov-export-${new Date().toISOString().slice(0, 10)}.zip`);
+      showToast('Export downloaded', 'success');
+    } catch (err) {
+      if (!err.data || err.data.code !== 'EXPORT_TOO_LARGE_TO_STREAM') throw err;
+      await apiFetch('/api/exports', { method: 'POST', body });
+      showToast('Export started — we will email you when it is ready to download', 'success');
+    }
+    document.getElementById('exportForm').reset();
+    document.getElementById('exportConfirmGroup').style.display = 'none';
+    loadExports();
+  } catch (err) {
+    showToast('Export failed: ' + err.message, 'error');
+  } finally {
+    btn.disabled = false;
+    btn.innerHTML = '<i class="fas fa-file-export"></i> Export';
+  }
+}
+
+async function loadExports() {
+  const container = document.getElementById('exportList');
+  clearTimeout(exportPollTimer);
+
+  try {
+    const res = await apiFetch('/api/exports');
+    if (res.exports.length === 0) {
+      container.innerHTML = '<p class="text-sm text-muted">No exports yet.</p>';
+      return;
+    }
+
+    container.innerHTML = `<div class="member-list">${res.exports.map(x => {
+      const badge = EXPORT_STATUS_BADGES[x.status] || { label: x.status, cls: 'badge-info' };
+      const detail = {
+        queued:  'Waiting to start',
+        running: `${x.documentsDone} of ${x.documentCount} documents`,
+        done:    `${formatFileSize(x.fileSize)} · available until ${formatDate(x.expiresAt)}`,
+        failed:  x.error || 'Something went wrong',
+        expired: 'The archive has been deleted',
+      }[x.status] || '';
+      return `
+      <div class="member-item">
+        <div class="member-avatar"><i class="fas ${x.encrypted ? 'fa-lock' : 'fa-file-archive'}"></i></div>
+        <div class="member-info">
+          <div class="member-name">
+            ${x.documentCount} document${x.documentCount === 1 ? '' : 's'} · ${formatDate(x.createdAt)}
+            <span class="badge ${badge.cls}">${badge.label}</span>
+          </div>
+          <div class="member-email">${escapeHtml(detail)}</div>
+        </div>
+        ${x.status === 'done' ? `
+        <button class="btn btn-secondary btn-sm" onclick="downloadExport('${x.id}')">
+          <i class="fas fa-download"></i> Download
+        </button>` : ''}
+        ${['done', 'failed', 'expired'].includes(x.status) ? `
+        <button class="btn btn-ghost btn-sm btn-icon text-danger" title="Delete" onclick="deleteExport('${x.id}')">
+          <i class="fas fa-trash"></i>
+        </button>` : ''}
+      </div>`;
+    }).join('')}
+    </div>`;
+
+    const inProgress = res.exports.some(x => x.status === 'queued' || x.status === 'running');
+    if (inProgress && document.getElementById('exportsModal').classList.contains('open')) {
+      exportPollTimer = setTimeout(loadExports, 3000);
+    }
+  } catch (err) {
+    container.innerHTML = `<div class="alert alert-danger">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+async function downloadExport(id) {
+  try {
+    const res = await apiFetch(`/api/exports/${id}/download`);
+    const a = document.createElement('a');
+    a.href = res.url;
+    a.download = res.filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+  } catch (err) {
+    showToast('Download failed: ' + err.message, 'error');
+  }
+}
+
+async function deleteExport(id) {
+  try {
+    await apiFetch(`/api/exports/${id}`, { method: 'DELETE' });
+    loadExports();
+  } catch (err) {
+    showToast('Delete failed: ' + err.message, 'error');
+  }
+}
+
+async function handleImport(e) {
+  e.preventDefault();
+  const file = document.getElementById('importFile').files[0];
+  const report = document.getElementById('importReport');
+  const btn = document.getElementById('importSubmitBtn');
+
+  if (!file) { showToast('Choose an archive to import', 'warning'); return; }
+
+  const fd = new FormData();
+  fd.append('archive', file);
+  fd.append('passphrase', document.getElementById('importPassphrase').value);
+
+  btn.disabled = true;
+  btn.innerHTML = '<span class="spinner"></span> Importing…';
+  report.innerHTML = '';
+
+  let res;
+  try {
+    res = await apiFetch('/api/documents/import', { method: 'POST', body: fd });
+  } catch (err) {
+    // Nothing imported still comes with a per-document report
+    if (!err.data || !err.data.results) {
+      report.innerHTML = `<div class="alert alert-danger">${escapeHtml(err.message)}</div>`;
+      btn.disabled = false;
+      btn.innerHTML = '<i class="fas fa-file-import"></i> Import';
+      return;
+    }
+    res = err.data;
+  }
+
+  const failures = res.results.filter(r => !r.success);
+  report.innerHTML = `
+    <div class="alert ${failures.length ? 'alert-warning' : 'alert-success'}">${escapeHtml(res.message)}</div>
+    ${failures.length ? `<div class="batch-list">${failures.map(r => `
+      <div class="batch-row">
+        <i class="fas fa-exclamation-circle"></i>
+        <span>${escapeHtml(r.title || r.fileName || `Document ${r.index + 1}`)}</span>
+        <span class="batch-status text-danger">${escapeHtml(r.message)}</span>
+      </div>`).join('')}
+    </div>` : ''}`;
+
+  document.getElementById('importForm').reset();
+  btn.disabled = false;
+  btn.innerHTML = '<i class="fas fa-file-import"></i> Import';
+  if (res.imported) {
+    loadDocs();
+    loadStats();
+    loadFolders();
+  }
+}
+
+/* ── Delete ─────────────────────────────────────────────────── */
+
+async function deleteDoc(id, title) {
+  const confirmed = await confirmAction(
+    'Delete Document',
+    `Move "${title}" to the trash? You can restore it from the Trash tab until it is purged.`,
+    'Move to Trash',
+    true
+  );
+  if (!confirmed) return;
+
+  try {
+    await apiFetch(`/api/documents/${id}`, { method: 'DELETE' });
+    showToast('Document moved to trash', 'success');
+    loadDocs();
+    loadStats();
+    loadFolders();
+  } catch (err) {
+    showToast('Delete failed: ' + err.message, 'error');
+  }
+}
+
+/* ── Trash ──────────────────────────────────────────────────── */
+
+async function restoreDoc(id, title) {
+  try {
+    await apiFetch(`/api/documents/${id}/restore`, { method: 'POST' });
+    showToast(`"${title}" restored`, 'success');
+    loadDocs();
+    loadStats();
+    loadFolders();
+  } catch (err) {
+    showToast('Restore failed: ' + err.message, 'error');
+  }
+}
+
+async function purgeDoc(id, title) {
+  const confirmed = await confirmAction(
+    'Delete Forever',
+    `Permanently delete "${title}" and all its versions? This cannot be undone.`,
+    'Delete Forever',
+    true
+  );
+  if (!confirmed) return;
+
+  try {
+    await apiFetch(`/api/documents/${id}/purge`, { method: 'DELETE' });
+    showToast('Document permanently deleted', 'success');
+    loadDocs();
+  } catch (err) {
+    showToast('Delete failed: ' + err.message, 'error');
   }
 }
 
@@ -379,16 +2208,51 @@ function openShareModal(doc) {
 
   // ── Current access section (revocation) ───────────────────
   const sharedWith = (shareTargetDoc && shareTargetDoc.sharedWith) || [];
-  if (sharedWith.length > 0) {
+  const sharedWithGroups = (shareTargetDoc && shareTargetDoc.sharedWithGroups) || [];
+  if (sharedWith.length > 0 || sharedWithGroups.length > 0) {
     html += `<div class="section-title mb-4" style="margin-top:0;">Current access</div>
       <div class="member-list" style="margin-bottom:20px;">
+        ${sharedWithGroups.map(g => `
+          <div class="member-item">
+            <div class="member-avatar"><i class="fas fa-users"></i></div>
+            <div class="member-info">
+              <div class="member-name">${escapeHtml(g.groupName)}</div>
+              <div class="member-email">
+                Everyone in the group · ${g.permission === 'write' ? 'can view and edit' : 'view only'}
+                ${g.expiresAt ? ` · until ${formatDate(g.expiresAt)}` : ''}
+              </div>
+              <input type="text" class="form-control form-control-sm" maxlength="100" placeholder="Purpose"
+                     title="Printed in the watermark on their downloads" value="${escapeHtml(g.purpose || '')}"
+                     onchange="changeSharePurpose('${shareTargetId}', 'group/${g.groupId}', this.value)">
+            </div>
+            <select class="form-control" style="width:auto;" title="Change permission"
+                    onchange="changeGroupSharePermission('${shareTargetId}', '${g.groupId}', '${escapeHtml(g.groupName)}', this.value)">
+              <option value="read" ${g.permission === 'write' ? '' : 'selected'}>View only</option>
+              <option value="write" ${g.permission === 'write' ? 'selected' : ''}>View and edit</option>
+            </select>
+            <button class="btn btn-danger-outline btn-sm" title="Revoke group access"
+                    onclick="revokeGroupShare('${shareTargetId}', '${g.groupId}', '${escapeHtml(g.groupName)}')">
+              <i class="fas fa-times"></i> Revoke
+            </button>
+          </div>`).join('')}
         ${sharedWith.map(s => `
           <div class="member-item">
             <div class="member-avatar">${(s.email || '?')[0].toUpperCase()}</div>
             <div class="member-info">
               <div class="member-name">${escapeHtml(s.email)}</div>
-              <div class="member-email">Read access</div>
+              <div class="member-email">
+                ${s.permission === 'write' ? 'Can view and edit' : 'View only'}
+                ${s.expiresAt ? ` · until ${formatDate(s.expiresAt)}` : ''}
+              </div>
+              <input type="text" class="form-control form-control-sm" maxlength="100" placeholder="Purpose"
+                     title="Printed in the watermark on their downloads" value="${escapeHtml(s.purpose || '')}"
+                     onchange="changeSharePurpose('${shareTargetId}', '${s.uid}', this.value)">
             </div>
+            <select class="form-control" style="width:auto;" title="Change permission"
+                    onchange="changeSharePermission('${shareTargetId}', '${s.uid}', '${escapeHtml(s.email)}', this.value)">
+              <option value="read" ${s.permission === 'write' ? '' : 'selected'}>View only</option>
+              <option value="write" ${s.permission === 'write' ? 'selected' : ''}>View and edit</option>
+            </select>
             <button class="btn btn-danger-outline btn-sm" title="Revoke access"
                     onclick="revokeShare('${shareTargetId}', '${s.uid}', '${escapeHtml(s.email)}')">
               <i class="fas fa-times"></i> Revoke
@@ -398,6 +2262,24 @@ function openShareModal(doc) {
       <div class="section-title mb-4">Add access</div>`;
   }
 
+  // ── Add group section ──────────────────────────────────────
+  const sharedGroupIds = new Set(sharedWithGroups.map(g => String(g.groupId)));
+  const availableGroups = familyGroups.filter(g => !sharedGroupIds.has(String(g.id)));
+  if (availableGroups.length > 0) {
+    html += `<div class="member-list" style="margin-bottom:12px;">${availableGroups.map(g => `
+      <div class="member-item">
+        <div class="member-avatar"><i class="fas fa-users"></i></div>
+        <div class="member-info">
+          <div class="member-name">${escapeHtml(g.name)}</div>
+          <div class="member-email">Whole group · current and future members</div>
+        </div>
+        <button class="btn btn-primary btn-sm" onclick="shareWithGroup('${g.id}', '${escapeHtml(g.name)}')">
+          Share
+        </button>
+      </div>`).join('')}
+    </div>`;
+  }
+
   // ── Add new member section ─────────────────────────────────
   // Filter out already-shared members
   const alreadyShared = new Set(sharedWith.map(s => s.uid));
@@ -428,16 +2310,28 @@ function openShareModal(doc) {
   }
 
   container.innerHTML = html;
+  document.getElementById('sharePermission').value = 'read';
+  document.getElementById('sharePurpose').value = '';
+  const expiryInput = document.getElementById('shareExpiry');
+  expiryInput.value = '';
+  expiryInput.min = new Date().toISOString().slice(0, 10);
   openModal('shareModal');
 }
 
-async function shareWith(targetUid, email) {
+/** POST a share using the permission and expiry chosen in the share modal */
+async function submitShare(target, label) {
+  const permission = document.getElementById('sharePermission').value;
+  const until = document.getElementById('shareExpiry').value;
+  const purpose = document.getElementById('sharePurpose').value.trim();
+  // A chosen day includes the whole day in the user's timezone
+  const expiresAt = until ? new Date(`${until}T23:59:59`).toISOString() : null;
+
   try {
     await apiFetch(`/api/documents/${shareTargetId}/share`, {
       method: 'POST',
-      body: JSON.stringify({ targetUid }),
+      body: JSON.stringify({ ...target, permission, expiresAt, purpose }),
     });
-    showToast(`Shared with ${email}`, 'success');
+    showToast(`Shared with ${label}`, 'success');
     closeModal('shareModal');
     loadDocs();
   } catch (err) {
@@ -445,6 +2339,92 @@ async function shareWith(targetUid, email) {
   }
 }
 
+function shareWith(targetUid, email) {
+  return submitShare({ targetUid }, email);
+}
+
+function shareWithGroup(groupId, name) {
+  return submitShare({ groupId }, `everyone in ${name}`);
+}
+
+/** PATCH the purpose of a grant — `grantPath` is "<uid>" or "group/<groupId>" */
+async function changeSharePurpose(docId, grantPath, purpose) {
+  try {
+    await apiFetch(`/api/documents/${docId}/share/${grantPath}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ purpose: purpose.trim() }),
+    });
+    showToast('Purpose updated', 'success');
+    loadDocs();
+  } catch (err) {
+    showToast('Purpose change failed: ' + err.message, 'error');
+  }
+}
+
+/** The owner's own copy, stamped with the purpose typed in the share modal */
+async function downloadStampedCopy() {
+  const purpose = document.getElementById('sharePurpose').value.trim();
+  const title = shareTargetDoc ? shareTargetDoc.title : 'document';
+  try {
+    showToast('Preparing a watermarked copy...', 'info');
+    const blob = await apiFetchBlob(
+      `/api/documents/${shareTargetId}/file?watermark=1&purpose=${encodeURIComponent(purpose)}`
+    );
+    const ext = extensionForMime(blob.type);
+    saveBlob(blob, `${title} (watermarked)${ext}`);
+  } catch (err) {
+    showToast('Download failed: ' + err.message, 'error');
+  }
+}
+
+async function changeGroupSharePermission(docId, groupId, name, permission) {
+  try {
+    await apiFetch(`/api/documents/${docId}/share/group/${groupId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ permission }),
+    });
+    showToast(`${name} can now ${permission === 'write' ? 'view and edit' : 'only view'} this document`, 'success');
+    closeModal('shareModal');
+    loadDocs();
+  } catch (err) {
+    showToast('Permission change failed: ' + err.message, 'error');
+  }
+}
+
+async function revokeGroupShare(docId, groupId, name) {
+  const confirmed = await confirmAction(
+    'Revoke Group Access',
+    `Remove access for everyone in ${name}? Members you shared with directly keep their access.`,
+    'Revoke',
+    true
+  );
+  if (!confirmed) return;
+
+  try {
+    await apiFetch(`/api/documents/${docId}/share/group/${groupId}`, { method: 'DELETE' });
+    showToast(`Access revoked for ${name}`, 'success');
+    closeModal('shareModal');
+    loadDocs();
+    loadStats();
+  } catch (err) {
+    showToast('Revoke failed: ' + err.message, 'error');
+  }
+}
+
+async function changeSharePermission(docId, targetUid, email, permission) {
+  try {
+    await apiFetch(`/api/documents/${docId}/share/${targetUid}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ permission }),
+    });
+    showToast(`${email} can now ${permission === 'write' ? 'view and edit' : 'only view'} this document`, 'success');
+    closeModal('shareModal');
+    loadDocs();
+  } catch (err) {
+    showToast('Permission change failed: ' + err.message, 'error');
+  }
+}
+
 async function revokeShare(docId, targetUid, email) {
   const confirmed = await confirmAction(
     'Revoke Access',
@@ -0,0 +1,131 @@
+'use strict';
+/**
+ * js/shared-link.js
+ * Landing page for public share links (/api/public/links/:token).
+ * Works without signing in — the token in the URL is the authorization.
+ */
+
+(function () {
+  const params = new URLSearchParams(window.location.search);
+  const token  = params.get('token');
+  const linkUrl = `${window.API_BASE_URL}/api/public/links/${encodeURIComponent(token || '')}`;
+  let linkInfo = null;
+
+  /* ── Pre-flight: no token → show invalid ─────────────────── */
+  if (!token) {
+    showInvalid('No share token found in this link.');
+    return;
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('linkDownloadBtn').addEventListener('click', download);
+    document.getElementById('linkPasscode').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') download();
+    });
+    loadInfo();
+  });
+
+  /* ── Load link details ───────────────────────────────────── */
+
+  async function loadInfo() {
+    try {
+      const res  = await fetch(`${linkUrl}/info`);
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        showInvalid(data.message || 'This link is invalid.');
+        return;
+      }
+
+      linkInfo = data.link;
+      document.getElementById('linkTitle').textContent = linkInfo.title;
+      document.getElementById('linkSize').textContent = formatFileSize(linkInfo.fileSize);
+      document.getElementById('linkExpiry').textContent = formatDate(linkInfo.expiresAt);
+      document.getElementById('linkRemaining').textContent =
+        linkInfo.downloadsRemaining === null ? 'Unlimited' : linkInfo.downloadsRemaining;
+      document.getElementById('passcodeGroup').style.display = linkInfo.requiresPasscode ? '' : 'none';
+      showState('link');
+    } catch (_) {
+      showInvalid('Network error — please try again later.');
+    }
+  }
+
+  /* ── Download ────────────────────────────────────────────── */
+
+  async function download() {
+    const btn = document.getElementById('linkDownloadBtn');
+    const passcode = document.getElementById('linkPasscode').value;
+
+    if (linkInfo.requiresPasscode && !passcode) {
+      showError('Enter the passcode to download.');
+      return;
+    }
+
+    btn.disabled = true;
+    btn.innerHTML = '<span class="spinner"></span> Downloading…';
+    document.getElementById('linkError').style.display = 'none';
+
+    try {
+      const res = await fetch(linkUrl, {
+        headers: passcode ? { 'X-Link-Passcode': passcode } : {},
+      });
+
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        if (res.status === 401) {
+          showError(data.message || 'Incorrect passcode.');
+        } else {
+          showInvalid(data.message || 'This link is no longer available.');
+        }
+        return;
+      }
+
+      const blob = await res.blob();
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = downloadName(linkInfo.title, linkInfo.mimeType);
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(a.href), 10000);
+
+      showToast('Download started', 'success');
+      if (linkInfo.downloadsRemaining !== null) {
+        linkInfo.downloadsRemaining -= 1;
+        document.getElementById('linkRemaining').textContent = linkInfo.downloadsRemaining;
+      }
+    } catch (_) {
+      showError('Network error — please try again.');
+    } finally {
+      btn.disabled = false;
+      btn.innerHTML = '<i class="fas fa-download"></i> Download';
+    }
+  }
+
+  function downloadName(title, mimeType) {
+    const ext = { 'application/pdf': '.pdf', 'image/jpeg': '.jpg', 'image/jpg': '.jpg', 'image/png': '.png' }[mimeType] || '';
+    return ext && !title.toLowerCase().endsWith(ext) ? title + ext : title;
+  }
+
+  function showError(msg) {
+    const el = document.getElementById('linkError');
+    document.getElementById('linkErrorText').textContent = msg;
+    el.style.display = 'flex';
+  }
+
+  function showInvalid(msg) {
+    document.getElementById('invalidMsg').textContent = msg;
+    showState('invalid');
+  }
+
+  /* ── State switcher ─────────────────────────────────────── */
+
+  function showState(state) {
+    ['loadingCard', 'linkCard', 'invalidCard'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.style.display = 'none';
+    });
+    const target = document.getElementById(state + 'Card');
+    if (target) target.style.display = '';
+  }
+
+})();
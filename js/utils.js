@@ -68,12 +68,14 @@ function showToast(message, type = 'info') {
 
 /* ── API Fetch Wrapper ───────────────────────────────────────── */
 
-async function apiFetch(path, options = {}) {
+async function getAuthToken() {
   const user = firebase.auth().currentUser;
-  let token = null;
-  if (user) {
-    try { token = await user.getIdToken(false); } catch (_) {}
-  }
+  if (!user) return null;
+  try { return await user.getIdToken(false); } catch (_) { return null; }
+}
+
+async function apiFetch(path, options = {}) {
+  const token = await getAuthToken();
 
   const headers = {};
   if (token) headers['Authorization'] = `Bearer ${token}`;
@@ -118,6 +120,62 @@ async function apiFetch(path, options = {}) {
   return data;
 }
 
+/**
+ * Binary request (images, archives) with the same auth as apiFetch; resolves
+ * to a Blob. options are passed to fetch — a string body is sent as JSON.
+ */
+async function apiFetchBlob(path, options = {}) {
+  const token = await getAuthToken();
+  const headers = {};
+  if (token) headers['Authorization'] = `Bearer ${token}`;
+  if (typeof options.body === 'string') headers['Content-Type'] = 'application/json';
+
+  let response;
+  try {
+    response = await fetch(`${window.API_BASE_URL}${path}`, {
+      ...options,
+      headers: { ...headers, ...(options.headers || {}) },
+    });
+  } catch (networkErr) {
+    throw new Error('Network error — is the backend running?');
+  }
+  if (!response.ok) {
+    let data = {};
+    try { data = await response.json(); } catch (_) {}
+    const msg = data.message || `Request failed (${response.status})`;
+    throw Object.assign(new Error(msg), { status: response.status, data });
+  }
+  return response.blob();
+}
+
+/**
+ * PUT raw bytes with upload progress, which fetch() cannot report.
+ * Resolves to the JSON response and rejects like apiFetch — a network
+ * failure has no status.
+ */
+async function apiPutBytes(path, blob, onProgress) {
+  const token = await getAuthToken();
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('PUT', `${window.API_BASE_URL}${path}`);
+    if (token) xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+    xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+    if (onProgress) xhr.upload.onprogress = (e) => onProgress(e.loaded);
+    xhr.onerror = () => reject(new Error('Network error — is the backend running?'));
+    xhr.onload = () => {
+      let data = {};
+      try { data = JSON.parse(xhr.responseText || '{}'); } catch (_) {}
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(data);
+      } else {
+        const msg = data.message || `Request failed (${xhr.status})`;
+        reject(Object.assign(new Error(msg), { status: xhr.status, data }));
+      }
+    };
+    xhr.send(blob);
+  });
+}
+
 /* ── Auth helpers ────────────────────────────────────────────── */
 
 function requireAuth(redirectPath = '../index.html') {
@@ -297,6 +355,40 @@ function getFileIcon(mimeType) {
   return { icon: 'fa-file-alt', cls: 'file' };
 }
 
+/* ── Thumbnails ──────────────────────────────────────────────── */
+
+// Object URLs by "<docId>:<version>" so re-rendering a list doesn't refetch
+const _thumbCache = new Map();
+
+/** The .doc-icon tile; documents with a thumbnail get it filled in by loadThumbnails() */
+function docThumb(doc) {
+  const { icon, cls } = getFileIcon(doc.mimeType);
+  const thumb = doc.hasThumbnail
+    ? ` data-thumb="${doc.id}" data-version="${doc.currentVersion || 1}"`
+    : '';
+  return `<div class="doc-icon ${cls}"${thumb}><i class="fas ${icon}"></i></div>`;
+}
+
+/** Swap the file-type icon for the thumbnail in every pending tile under root */
+function loadThumbnails(root = document) {
+  root.querySelectorAll('.doc-icon[data-thumb]').forEach(async (tile) => {
+    const id  = tile.dataset.thumb;
+    const key = `${id}:${tile.dataset.version}`;
+    tile.removeAttribute('data-thumb');
+
+    try {
+      if (!_thumbCache.has(key)) {
+        _thumbCache.set(key, apiFetchBlob(`/api/documents/${id}/thumbnail`).then(URL.createObjectURL));
+      }
+      const url = await _thumbCache.get(key);
+      tile.innerHTML = `<img src="${url}" alt="" loading="lazy">`;
+      tile.classList.add('has-thumb');
+    } catch (_) {
+      _thumbCache.delete(key); // keep the icon; try again next render
+    }
+  });
+}
+
 /* ── Pending invitation badge ────────────────────────────────── */
 
 /**
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * Storage plans — how much a user, and a family group as a whole, may store.
+ *
+ * Each plan's limits can be changed without a deploy:
+ *   QUOTA_MB_<PLAN>_USER    e.g. QUOTA_MB_FREE_USER=2048
+ *   QUOTA_MB_<PLAN>_FAMILY  e.g. QUOTA_MB_PLUS_FAMILY=102400
+ * and a single user or group can be given its own limit with quotaBytes
+ * (npm run set-plan).
+ *
+ * USAGE:
+ *   const { PLAN_NAMES, planLimitBytes } = require('../config/plans');
+ *   planLimitBytes('free', 'user'); // → 1073741824
+ */
+
+const MB = 1024 * 1024;
+
+const PLANS = {
+  free:    { userMb: 1024,   familyMb: 5 * 1024 },
+  plus:    { userMb: 10240,  familyMb: 50 * 1024 },
+  premium: { userMb: 102400, familyMb: 500 * 1024 },
+};
+
+const PLAN_NAMES = Object.keys(PLANS);
+
+/**
+ * @param {string} plan              one of PLAN_NAMES (unknown plans get "free")
+ * @param {'user'|'family'} scope
+ * @returns {number} bytes
+ */
+function planLimitBytes(plan, scope) {
+  const name     = PLANS[plan] ? plan : 'free';
+  const override = Number(process.env[`QUOTA_MB_${name.toUpperCase()}_${scope.toUpperCase()}`]);
+  return (override || PLANS[name][scope === 'family' ? 'familyMb' : 'userMb']) * MB;
+}
+
+module.exports = { PLANS, PLAN_NAMES, planLimitBytes };
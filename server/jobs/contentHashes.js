@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * jobs/contentHashes.js
+ *
+ * Backfills Document.contentHash (and the per-version hashes) for documents
+ * uploaded before duplicate detection existed, so they show up in
+ * GET /api/documents/duplicates and are matched by new uploads. Files that
+ * are already stored twice stay that way — only new uploads share storage.
+ */
+
+const Document                          = require('../models/Document');
+const { hashContent, readDocumentFile } = require('../services/documentFiles');
+
+const CONTENT_HASH_BATCH = Number(process.env.CONTENT_HASH_BATCH) || 50;
+
+// A file that could not be read is left this long before the next attempt,
+// so a batch of unreadable documents cannot hold up the rest
+const FAILED_RETRY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hash up to `limit` unhashed documents, oldest first.
+ * A document whose file cannot be read is counted as failed, marked with
+ * contentHashFailedAt and skipped until FAILED_RETRY_MS has passed.
+ *
+ * @returns {{ hashed: number, failed: number, remaining: number }}
+ */
+async function backfillContentHashes(limit = CONTENT_HASH_BATCH, now = new Date()) {
+  const filter = {
+    status:      { $ne: 'purged' },
+    contentHash: null,
+    $or:         [
+      { contentHashFailedAt: null },
+      { contentHashFailedAt: { $lt: new Date(now.getTime() - FAILED_RETRY_MS) } },
+    ],
+  };
+  const docs = await Document.find(filter).sort({ uploadDate: 1 }).limit(limit);
+
+  let hashed = 0;
+  let failed = 0;
+
+  for (const doc of docs) {
+    try {
+      doc.ensureVersionHistory();
+      const byPath = new Map(); // versions may share a stored file
+      for (const entry of doc.versions) {
+        if (entry.contentHash) continue;
+        if (!byPath.has(entry.storagePath)) {
+          byPath.set(entry.storagePath, hashContent(await readDocumentFile(entry.storagePath, entry.encryption)));
+        }
+        entry.contentHash = byPath.get(entry.storagePath);
+      }
+      doc.contentHash         = doc.getVersion(doc.currentVersion).contentHash;
+      doc.contentHashFailedAt = null;
+      await doc.save();
+      hashed += 1;
+    } catch (err) {
+      failed += 1;
+      console.error(`[contentHashes] ${doc._id}: ${err.message}`);
+      await Document.updateOne({ _id: doc._id }, { $set: { contentHashFailedAt: now } });
+    }
+  }
+
+  const remaining = await Document.countDocuments(filter);
+  return { hashed, failed, remaining };
+}
+
+module.exports = { CONTENT_HASH_BATCH, backfillContentHashes };
@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * jobs/expireShares.js
+ *
+ * Removes sharedWith / sharedWithGroups entries whose expiresAt has passed and emails each
+ * document owner a summary. Access is already denied from the moment a grant
+ * expires (services/documentAccess.js) — this job only cleans up and notifies.
+ */
+
+const Document                   = require('../models/Document');
+const User                       = require('../models/User');
+const { recordAudit }            = require('../services/auditLog');
+const { sendShareExpiredEmail }  = require('../services/emailService');
+
+/**
+ * Sweep expired grants across all documents.
+ * One failing document does not stop the batch — it is retried on the next run.
+ *
+ * @returns {{ documents: number, grants: number, failed: number }}
+ */
+async function expireShareGrants(now = new Date()) {
+  const cursor = Document
+    .find({
+      $or: [
+        { 'sharedWith.expiresAt': { $lte: now } },
+        { 'sharedWithGroups.expiresAt': { $lte: now } },
+      ],
+    })
+    .cursor();
+
+  let documents = 0;
+  let grants    = 0;
+  let failed    = 0;
+
+  for await (const doc of cursor) {
+    try {
+      const hasExpired    = (g) => g.expiresAt && g.expiresAt <= now;
+      const expired       = doc.sharedWith.filter(hasExpired);
+      const expiredGroups = doc.sharedWithGroups.filter(hasExpired);
+      if (expired.length === 0 && expiredGroups.length === 0) continue;
+
+      doc.sharedWith       = doc.sharedWith.filter((g) => !hasExpired(g));
+      doc.sharedWithGroups = doc.sharedWithGroups.filter((g) => !hasExpired(g));
+      await doc.save();
+
+      for (const grant of expired) {
+        await recordAudit(null, {
+          action:     'document.share_expire',
+          documentId: doc._id,
+          metadata:   { targetUid: grant.uid, targetEmail: grant.email, expiresAt: grant.expiresAt },
+        });
+      }
+      for (const grant of expiredGroups) {
+        await recordAudit(null, {
+          action:     'document.share_expire',
+          documentId: doc._id,
+          groupId:    grant.groupId,
+          metadata:   { groupId: grant.groupId, groupName: grant.groupName, expiresAt: grant.expiresAt },
+        });
+      }
+
+      // Trashed documents lose their grants too, but the owner needn't be told
+      if (doc.status === 'active') {
+        const owner = await User.findOne({ firebaseUID: doc.uploadedBy }).select('email').lean();
+        if (owner) {
+          await sendShareExpiredEmail({
+            to:            owner.email,
+            documentTitle: doc.title,
+            expiredFor: [
+              ...expired.map((g) => g.email),
+              ...expiredGroups.map((g) => `Everyone in "${g.groupName}"`),
+            ],
+          }).catch((err) => console.error(`[expireShares] email for ${doc._id}: ${err.message}`));
+        }
+      }
+
+      documents += 1;
+      grants    += expired.length + expiredGroups.length;
+    } catch (err) {
+      failed += 1;
+      console.error(`[expireShares] ${doc._id}: ${err.message}`);
+    }
+  }
+
+  return { documents, grants, failed };
+}
+
+module.exports = { expireShareGrants };
@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * jobs/expiryReminders.js
+ *
+ * Emails owners before their documents expire, once per lead time in
+ * EXPIRY_REMINDER_LEAD_DAYS (default 90, 30 and 7 days). A document that is
+ * already inside several lead times (e.g. added 20 days before expiry) gets
+ * one reminder, not one per lead time. Which reminders went out is kept on
+ * the Document, so the job can run as often as it likes.
+ */
+
+const Document                    = require('../models/Document');
+const User                        = require('../models/User');
+const { recordAudit }             = require('../services/auditLog');
+const { sendExpiryReminderEmail } = require('../services/emailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Parse "90,30,7" into [90, 30, 7]; falls back to the defaults if unusable. */
+function parseLeadDays(value) {
+  const days = String(value || '')
+    .split(',')
+    .map((d) => Number(d.trim()))
+    .filter((d) => Number.isInteger(d) && d > 0);
+  return days.length ? [...new Set(days)].sort((a, b) => b - a) : [90, 30, 7];
+}
+
+const EXPIRY_REMINDER_LEAD_DAYS = parseLeadDays(process.env.EXPIRY_REMINDER_LEAD_DAYS);
+
+/**
+ * Send every reminder that is due.
+ * One failing document does not stop the batch — it is retried on the next run.
+ *
+ * @returns {{ reminded: number, failed: number }}
+ */
+async function sendExpiryReminders(now = new Date(), leadDays = EXPIRY_REMINDER_LEAD_DAYS) {
+  const horizon = new Date(now.getTime() + leadDays[0] * DAY_MS);
+  const cursor  = Document
+    .find({ status: 'active', expiryDate: { $gt: now, $lte: horizon } })
+    .cursor();
+
+  let reminded = 0;
+  let failed   = 0;
+
+  for await (const doc of cursor) {
+    try {
+      const daysLeft = Math.ceil((doc.expiryDate - now) / DAY_MS);
+      const due      = leadDays.filter((d) => daysLeft <= d && !doc.expiryRemindersSent.includes(d));
+      if (due.length === 0) continue;
+
+      const owner = await User.findOne({ firebaseUID: doc.uploadedBy }).select('email').lean();
+      if (owner) {
+        await sendExpiryReminderEmail({
+          to:               owner.email,
+          documentTitle:    doc.title,
+          expiryDate:       doc.expiryDate,
+          daysLeft,
+          issuingAuthority: doc.issuingAuthority,
+        });
+      }
+
+      // Only if expiryDate is unchanged — an edit meanwhile starts a new round
+      await Document.updateOne(
+        { _id: doc._id, expiryDate: doc.expiryDate },
+        { $addToSet: { expiryRemindersSent: { $each: due } } }
+      );
+      await recordAudit(null, {
+        action:     'document.expiry_reminder',
+        documentId: doc._id,
+        metadata:   { expiryDate: doc.expiryDate, daysLeft, leadDays: due, emailed: Boolean(owner) },
+      });
+
+      reminded += 1;
+    } catch (err) {
+      failed += 1;
+      console.error(`[expiryReminders] ${doc._id}: ${err.message}`);
+    }
+  }
+
+  return { reminded, failed };
+}
+
+module.exports = { EXPIRY_REMINDER_LEAD_DAYS, parseLeadDays, sendExpiryReminders };
@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * jobs/exportArchives.js
+ *
+ * Housekeeping for export archives (services/exportArchive.js):
+ *
+ *   - finished archives past their expiresAt are deleted from storage and
+ *     the job is marked 'expired' (the record stays for the export history)
+ *   - queued or running jobs that have not been touched for a while were
+ *     interrupted by a restart — their passphrase is gone, so they cannot be
+ *     resumed and are marked 'failed'. A running export records progress
+ *     every few documents and jobs waiting in the queue are touched
+ *     periodically, so neither looks stale while this process still has it.
+ */
+
+const ExportJob                = require('../models/ExportJob');
+const { deleteFile }           = require('../services/storage');
+const { EXPORT_STALE_MINUTES } = require('../services/exportArchive');
+
+/**
+ * @returns {{ expired: number, interrupted: number, failed: number }}
+ *          failed = archives whose file could not be deleted (retried next run)
+ */
+async function expireExportArchives(now = new Date()) {
+  const cursor = ExportJob
+    .find({ status: 'done', expiresAt: { $lte: now } })
+    .cursor();
+
+  let expired = 0;
+  let failed  = 0;
+
+  for await (const job of cursor) {
+    try {
+      if (job.storagePath) await deleteFile(job.storagePath);
+      job.status      = 'expired';
+      job.storagePath = null;
+      job.encryption  = null;
+      await job.save();
+      expired += 1;
+    } catch (err) {
+      failed += 1;
+      console.error(`[exportArchives] ${job._id}: ${err.message}`);
+    }
+  }
+
+  const staleBefore = new Date(now.getTime() - EXPORT_STALE_MINUTES * 60 * 1000);
+  const { modifiedCount: interrupted } = await ExportJob.updateMany(
+    { status: { $in: ['queued', 'running'] }, updatedAt: { $lte: staleBefore } },
+    { $set: { status: 'failed', error: 'Interrupted — please start the export again.', completedAt: now } }
+  );
+
+  return { expired, interrupted, failed };
+}
+
+module.exports = { expireExportArchives };
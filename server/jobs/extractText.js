@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * jobs/extractText.js
+ *
+ * Backfills searchable text (services/textExtraction.js) for documents that
+ * have none for their current version: everything uploaded before full-text
+ * search existed, plus anything whose background extraction was lost to a
+ * restart. Failed extractions are not retried — they keep status 'failed'
+ * until a new version is uploaded or restored.
+ */
+
+const Document            = require('../models/Document');
+const { extractAndStore } = require('../services/textExtraction');
+
+const TEXT_EXTRACTION_BATCH = Number(process.env.TEXT_EXTRACTION_BATCH) || 50;
+
+/**
+ * Extract text for up to `limit` documents, oldest first.
+ * One batch per call — the scheduler runs one per interval, so a large
+ * backlog drains over several runs; `remaining` reports what is left.
+ *
+ * @returns {{ done: number, skipped: number, failed: number, remaining: number }}
+ */
+async function backfillExtractedText(limit = TEXT_EXTRACTION_BATCH) {
+  const filter = {
+    status: 'active',
+    $or:    [
+      { textExtraction: null },
+      { 'textExtraction.status': 'pending' },
+      { $expr: { $ne: ['$textExtraction.version', '$currentVersion'] } },
+    ],
+  };
+
+  const docs = await Document.find(filter).sort({ uploadDate: 1 }).limit(limit);
+
+  const counts = { done: 0, skipped: 0, failed: 0 };
+  for (const doc of docs) {
+    const entry = doc.getVersion(doc.currentVersion);
+    if (!entry) continue;
+    const outcome = await extractAndStore(doc._id, entry);
+    counts[outcome] += 1;
+  }
+
+  const remaining = await Document.countDocuments(filter);
+  return { ...counts, remaining };
+}
+
+module.exports = { TEXT_EXTRACTION_BATCH, backfillExtractedText };
@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * jobs/index.js
+ *
+ * In-process scheduler for periodic maintenance jobs.
+ * Each job runs on a fixed interval (first run shortly after boot) and never
+ * overlaps with itself. Intervals are unref'd so they never keep the process alive.
+ *
+ * Run a single job manually (from server/):  npm run job -- <name>
+ */
+
+const { purgeExpiredTrash }     = require('./purgeTrash');
+const { expireShareGrants }     = require('./expireShares');
+const { backfillExtractedText } = require('./extractText');
+const { sendExpiryReminders }   = require('./expiryReminders');
+const { backfillContentHashes } = require('./contentHashes');
+const { backfillRenditions }    = require('./renditions');
+const { expireExportArchives }  = require('./exportArchives');
+const { expireUploadSessions }  = require('./uploadSessions');
+const { checkDocumentIntegrity } = require('./integrityCheck');
+
+const MINUTE = 60 * 1000;
+
+const JOBS = {
+  purgeTrash: {
+    run:        () => purgeExpiredTrash(),
+    intervalMs: (Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60) * MINUTE,
+  },
+  expireShares: {
+    run:        () => expireShareGrants(),
+    intervalMs: (Number(process.env.SHARE_EXPIRY_INTERVAL_MINUTES) || 15) * MINUTE,
+  },
+  extractText: {
+    run:        () => backfillExtractedText(),
+    intervalMs: (Number(process.env.TEXT_EXTRACTION_INTERVAL_MINUTES) || 30) * MINUTE,
+  },
+  expiryReminders: {
+    run:        () => sendExpiryReminders(),
+    intervalMs: (Number(process.env.EXPIRY_REMINDER_INTERVAL_MINUTES) || 360) * MINUTE,
+  },
+  contentHashes: {
+    run:        () => backfillContentHashes(),
+    intervalMs: (Number(process.env.CONTENT_HASH_INTERVAL_MINUTES) || 60) * MINUTE,
+  },
+  renditions: {
+    run:        () => backfillRenditions(),
+    intervalMs: (Number(process.env.RENDITION_INTERVAL_MINUTES) || 30) * MINUTE,
+  },
+  exportArchives: {
+    run:        () => expireExportArchives(),
+    intervalMs: (Number(process.env.EXPORT_CLEANUP_INTERVAL_MINUTES) || 60) * MINUTE,
+  },
+  uploadSessions: {
+    run:        () => expireUploadSessions(),
+    intervalMs: (Number(process.env.UPLOAD_SESSION_CLEANUP_INTERVAL_MINUTES) || 60) * MINUTE,
+  },
+  integrityCheck: {
+    run:        () => checkDocumentIntegrity(),
+    intervalMs: (Number(process.env.INTEGRITY_CHECK_INTERVAL_MINUTES) || 60) * MINUTE,
+  },
+};
+
+const STARTUP_DELAY_MS = 30 * 1000;
+
+function schedule(name, job) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await job.run();
+      console.log(`[jobs] ${name} finished`, result || '');
+    } catch (err) {
+      console.error(`[jobs] ${name} failed:`, err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  setTimeout(tick, STARTUP_DELAY_MS).unref();
+  setInterval(tick, job.intervalMs).unref();
+}
+
+/** Start every job. Call once, after the database is connected. */
+function startJobs() {
+  if (process.env.DISABLE_JOBS === 'true') {
+    console.log('[jobs] DISABLE_JOBS=true — scheduler not started');
+    return;
+  }
+  Object.entries(JOBS).forEach(([name, job]) => schedule(name, job));
+}
+
+module.exports = { JOBS, startJobs };
@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * jobs/integrityCheck.js
+ *
+ * Re-verifies stored documents against their integrity ledger
+ * (services/integrityLedger.js), least recently checked first, so every
+ * document is re-hashed every few runs. Documents uploaded before the ledger
+ * existed get a baseline first — hashed from their files as they are then.
+ *
+ * A document that newly fails to verify is flagged: Document.integrity
+ * becomes 'mismatch' (shown to its owner), a document.integrity_mismatch
+ * audit event is recorded and the failures are logged for operators.
+ */
+
+const Document        = require('../models/Document');
+const { recordAudit } = require('../services/auditLog');
+const {
+  verifyDocumentIntegrity, recordBaseline, runVerification,
+} = require('../services/integrityLedger');
+
+const INTEGRITY_CHECK_BATCH = Number(process.env.INTEGRITY_CHECK_BATCH) || 20;
+
+// Leave new uploads alone for a while, so a baseline never races the
+// upload's own first ledger entry
+const BASELINE_MIN_AGE_MS = 60 * 60 * 1000;
+
+/**
+ * Verify up to `limit` documents with files still stored (active or in trash).
+ * One failure does not stop the batch.
+ *
+ * @returns {{ verified: number, mismatched: number, unreadable: number, baselined: number, failed: number }}
+ */
+async function checkDocumentIntegrity(limit = INTEGRITY_CHECK_BATCH, now = new Date()) {
+  const docs = await Document
+    .find({ status: { $in: ['active', 'deleted'] } })
+    .sort({ 'integrity.checkedAt': 1 }) // never checked (null) first
+    .limit(limit);
+
+  const counts = { verified: 0, mismatched: 0, unreadable: 0, baselined: 0, failed: 0 };
+
+  for (const doc of docs) {
+    try {
+      const previous = doc.integrity ? doc.integrity.status : null;
+
+      if (doc.uploadDate <= new Date(now.getTime() - BASELINE_MIN_AGE_MS) && await recordBaseline(doc)) {
+        counts.baselined += 1;
+      }
+
+      const report = await runVerification(() => verifyDocumentIntegrity(doc));
+
+      if (report.status === 'verified') counts.verified += 1;
+      if (report.status === 'unreadable') {
+        counts.unreadable += 1;
+        console.warn(`[integrityCheck] ${doc._id}: ${report.failures.join(' ')}`);
+      }
+      if (report.status === 'mismatch') {
+        counts.mismatched += 1;
+        console.error(`[integrityCheck] MISMATCH ${doc._id}: ${report.failures.join(' ')}`);
+        if (previous !== 'mismatch') {
+          await recordAudit(null, {
+            action:     'document.integrity_mismatch',
+            documentId: doc._id,
+            result:     'failure',
+            metadata:   { owner: doc.uploadedBy, failures: report.failures, headHash: report.ledger.headHash },
+          });
+        }
+      }
+    } catch (err) {
+      counts.failed += 1;
+      console.error(`[integrityCheck] ${doc._id}: ${err.message}`);
+      // Move it to the back of the queue rather than retrying it first every run
+      await Document.updateOne(
+        { _id: doc._id },
+        { $set: { integrity: { status: 'unreadable', failures: [err.message], checkedAt: new Date() } } }
+      ).catch(() => {});
+    }
+  }
+
+  return counts;
+}
+
+module.exports = { INTEGRITY_CHECK_BATCH, checkDocumentIntegrity };
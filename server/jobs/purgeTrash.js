@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * jobs/purgeTrash.js
+ *
+ * Permanently removes the stored files of documents whose trash retention
+ * period has passed. The Document record is kept with status 'purged' so
+ * history (who owned what, when it was deleted) survives the file itself.
+ */
+
+const Document                = require('../models/Document');
+const { deleteDocumentFiles } = require('../services/documentFiles');
+const { recordAudit }         = require('../services/auditLog');
+const { recordIntegrity }     = require('../services/integrityLedger');
+
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/** Date after which a document trashed now may be purged. */
+function computePurgeAfter(from = new Date()) {
+  return new Date(from.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Delete a trashed document's files, mark it purged and close its
+ * integrity ledger.
+ *
+ * @param {import('mongoose').Document} doc
+ * @param {string|null} [actorUid]  the owner for "Delete forever"; null for the job
+ */
+async function purgeDocument(doc, actorUid = null) {
+  await deleteDocumentFiles(doc);
+  doc.status       = 'purged';
+  doc.purgedAt     = new Date();
+  doc.lastModified = new Date();
+  await doc.save();
+  await recordIntegrity(doc._id, { event: 'purge', actorUid });
+}
+
+/**
+ * Purge every trashed document past its retention date.
+ * One failure does not stop the batch — it is retried on the next run.
+ *
+ * @returns {{ purged: number, failed: number }}
+ */
+async function purgeExpiredTrash(now = new Date()) {
+  const cursor = Document
+    .find({ status: 'deleted', purgeAfter: { $lte: now } })
+    .cursor();
+
+  let purged = 0;
+  let failed = 0;
+
+  for await (const doc of cursor) {
+    try {
+      await purgeDocument(doc);
+      await recordAudit(null, {
+        action:     'document.purge',
+        documentId: doc._id,
+        metadata:   { reason: 'retention_expired', owner: doc.uploadedBy },
+      });
+      purged += 1;
+    } catch (err) {
+      failed += 1;
+      console.error(`[purgeTrash] ${doc._id}: ${err.message}`);
+    }
+  }
+
+  return { purged, failed };
+}
+
+module.exports = { TRASH_RETENTION_DAYS, computePurgeAfter, purgeDocument, purgeExpiredTrash };
@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * jobs/renditions.js
+ *
+ * Backfills thumbnails and previews (services/renditions.js) for documents
+ * whose current version has none: everything uploaded before renditions
+ * existed, plus anything whose background generation was lost to a restart.
+ * Failed renditions are not retried — they keep status 'failed' until a new
+ * version is uploaded.
+ */
+
+const Document               = require('../models/Document');
+const { generateRenditions } = require('../services/renditions');
+
+const RENDITION_BATCH = Number(process.env.RENDITION_BATCH) || 20;
+
+// Fresh uploads are still in the in-process queue; only pick up ones left
+// 'pending' for longer than this
+const PENDING_GRACE_MS = 10 * 60 * 1000;
+
+/**
+ * Generate renditions for up to `limit` documents, oldest first.
+ * One batch per call — the scheduler runs one per interval, so a large
+ * backlog drains over several runs; `remaining` reports what is left.
+ *
+ * @returns {{ done: number, skipped: number, failed: number, remaining: number }}
+ */
+async function backfillRenditions(limit = RENDITION_BATCH, now = new Date()) {
+  const filter = {
+    status: 'active',
+    $or:    [
+      { renditions: null },
+      { 'renditions.status': 'pending', lastModified: { $lt: new Date(now.getTime() - PENDING_GRACE_MS) } },
+    ],
+  };
+
+  const docs = await Document.find(filter).sort({ uploadDate: 1 }).limit(limit);
+
+  const counts = { done: 0, skipped: 0, failed: 0 };
+  for (const doc of docs) {
+    // Legacy documents need their v1 entry persisted to hold the renditions
+    doc.ensureVersionHistory();
+    if (doc.isModified('versions')) await doc.save();
+
+    const outcome = await generateRenditions(doc, doc.getVersion(doc.currentVersion));
+    counts[outcome] += 1;
+  }
+
+  const remaining = await Document.countDocuments(filter);
+  return { ...counts, remaining };
+}
+
+module.exports = { RENDITION_BATCH, backfillRenditions };
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * jobs/uploadSessions.js
+ *
+ * Deletes the stored chunks of resumable uploads (models/UploadSession.js)
+ * that were never finished by their expiresAt, and reopens sessions stuck in
+ * 'finalizing' because the server restarted mid-way, so the client can
+ * complete them again.
+ *
+ * Sessions are closed before their chunks are deleted, so a chunk still
+ * arriving is refused rather than left behind. Chunks of closed sessions
+ * that failed to delete (here or when the owner cancelled) are retried on
+ * the next run.
+ */
+
+const UploadSession     = require('../models/UploadSession');
+const { discardChunks } = require('../services/uploadSessions');
+
+// Finalizing takes seconds; this long means the process died while doing it
+const FINALIZE_STALE_MINUTES = 30;
+
+/** @returns {{ expired: number, reopened: number, failed: number }} */
+async function expireUploadSessions(now = new Date()) {
+  const staleBefore = new Date(now.getTime() - FINALIZE_STALE_MINUTES * 60 * 1000);
+
+  // A session being finalized right now is left alone, even past its expiry
+  const { modifiedCount: expired } = await UploadSession.updateMany(
+    {
+      expiresAt: { $lte: now },
+      $or:       [{ status: 'open' }, { status: 'finalizing', updatedAt: { $lte: staleBefore } }],
+    },
+    { $set: { status: 'expired' } }
+  );
+
+  const cursor = UploadSession
+    .find({ status: { $in: ['aborted', 'expired'] }, 'chunks.0': { $exists: true } })
+    .cursor();
+
+  let failed = 0;
+  for await (const session of cursor) {
+    try {
+      await discardChunks(session);
+      await UploadSession.updateOne({ _id: session._id }, { $set: { chunks: [] } });
+    } catch (err) {
+      failed += 1;
+      console.error(`[uploadSessions] ${session._id}: ${err.message}`);
+    }
+  }
+
+  const { modifiedCount: reopened } = await UploadSession.updateMany(
+    { status: 'finalizing', updatedAt: { $lte: staleBefore } },
+    { $set: { status: 'open' } }
+  );
+
+  return { expired, reopened, failed };
+}
+
+module.exports = { expireUploadSessions };
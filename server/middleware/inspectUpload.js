@@ -0,0 +1,84 @@
+'use strict';
+
+const {
+  inspectFile, inspectChunks, sanitizedChunks,
+} = require('../services/uploadInspection');
+const { maxUploadBytes } = require('../services/uploadSessions');
+const { recordAudit }    = require('../services/auditLog');
+
+/**
+ * inspectUpload — Express middleware, placed right after multer.
+ *
+ * Runs req.file through services/uploadInspection.js and replaces it with
+ * the inspected result, so handlers never see the client's claims:
+ *
+ *   req.file.buffer / .size   sanitized bytes (image metadata removed)
+ *   req.file.mimetype         type detected from the file signature
+ *   req.file.scan             scanner verdict to store on the version
+ *   req.file.metadataRemoved  e.g. ['exif']
+ *
+ * Rejected files get the inspection's status (415 / 422 / 503) and are
+ * audited as 'document.upload_blocked'. No file = passes straight through.
+ */
+async function inspectUpload(req, res, next) {
+  if (!req.file) return next();
+
+  const error = await inspectUploadedFile(req, req.file);
+  if (error) {
+    return res.status(error.status).json({ success: false, code: error.code, message: error.message });
+  }
+  return next();
+}
+
+/**
+ * The same for one multer file of a multi-file upload (routes/documents.js
+ * POST /upload/bulk), which reports each file separately — or for a file
+ * that is not in memory at all (a resumable upload), given as
+ * `file.read()`, a function returning its chunks in order. Such a file is
+ * read once here; afterwards `file.read()` yields the sanitized bytes to
+ * store and `file.contentHash` is their hash.
+ *
+ * @param {string} [category]  what the file is uploaded as (default: the
+ *        request's category field) — its size limit bounds PDF inflation
+ * @returns {Promise<{ status: number, code: string, message: string }|null>}
+ *          null = accepted, and `file` now holds the inspected result
+ */
+async function inspectUploadedFile(req, file, category = req.body && req.body.category) {
+  const maxFileBytes = maxUploadBytes(category);
+  const result       = file.buffer
+    ? await inspectFile(file.buffer, { maxFileBytes })
+    : await inspectChunks(file.read(), { maxFileBytes });
+
+  if (result.error) {
+    const { status, code, message, details } = result.error;
+    await recordAudit(req, {
+      action:     'document.upload_blocked',
+      documentId: req.params.id || null, // set for new versions of an existing document
+      targetType: req.params.id ? 'document' : 'user',
+      targetId:   req.params.id || req.user.uid,
+      result:     'denied',
+      metadata:   {
+        code,
+        originalName:     file.originalname,
+        declaredMimeType: file.mimetype,
+        ...details,
+      },
+    });
+    return { status, code, message };
+  }
+
+  if (file.buffer) {
+    Object.assign(file, { buffer: result.buffer, size: result.buffer.length });
+  } else {
+    const { read } = file;
+    Object.assign(file, { size: result.size, contentHash: result.contentHash, read: () => sanitizedChunks(read(), result) });
+  }
+  Object.assign(file, {
+    mimetype:        result.mimeType,
+    scan:            result.scan,
+    metadataRemoved: result.metadataRemoved,
+  });
+  return null;
+}
+
+module.exports = { inspectUpload, inspectUploadedFile };
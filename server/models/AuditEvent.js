@@ -0,0 +1,65 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const AUDIT_RESULTS = ['success', 'denied', 'failure'];
+
+// ─── Main Schema ─────────────────────────────────────────────────────────────
+
+/**
+ * AuditEvent
+ *
+ * Append-only record of who did what to which document or family group.
+ * Written through services/auditLog.js; read through GET /api/audit.
+ *
+ * actorUid    = Firebase UID of the caller (null for unauthenticated access, e.g. share links)
+ * action      = dotted verb, e.g. "document.download", "family.member_remove"
+ * targetType  = "document" | "family_group" | ...
+ * targetId    = ID of the thing acted on (string, so non-ObjectId targets fit)
+ * documentId  = set for every document-related event — powers "Access history"
+ * groupId     = set for every family-group-related event
+ * result      = success | denied (authorization failed) | failure (error)
+ *
+ * Updates and deletes are rejected at the model level — events can only be created.
+ */
+const auditEventSchema = new mongoose.Schema(
+  {
+    actorUid:   { type: String, default: null, index: true },
+    actorEmail: { type: String, lowercase: true, trim: true, default: '' },
+    action:     { type: String, required: true },
+    targetType: { type: String, required: true },
+    targetId:   { type: String, required: true },
+    documentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    groupId:    { type: mongoose.Schema.Types.ObjectId, default: null },
+    result:     { type: String, enum: AUDIT_RESULTS, default: 'success' },
+    ip:         { type: String, default: '' },
+    userAgent:  { type: String, default: '' },
+    metadata:   { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditEventSchema.index({ documentId: 1, createdAt: -1 });
+auditEventSchema.index({ groupId: 1, createdAt: -1 });
+auditEventSchema.index({ actorUid: 1, createdAt: -1 });
+
+// ─── Append-only guards ──────────────────────────────────────────────────────
+
+function rejectMutation() {
+  throw new Error('AuditEvent is append-only — events cannot be modified or deleted.');
+}
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('AuditEvent is append-only — events cannot be modified.'));
+  return next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete',
+].forEach((op) => auditEventSchema.pre(op, { document: false, query: true }, rejectMutation));
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
+module.exports.AUDIT_RESULTS = AUDIT_RESULTS;
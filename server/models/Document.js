@@ -6,13 +6,170 @@ const mongoose = require('mongoose');
 
 /**
  * One entry per user this document is shared with.
- * permission: 'read' = view/download only, 'write' = can also delete
+ * permission: 'read' = view/download only, 'write' = can also edit details and add versions
  */
 const sharedWithSchema = new mongoose.Schema(
   {
     uid:        { type: String, required: true },
     email:      { type: String, required: true, lowercase: true, trim: true },
     permission: { type: String, enum: ['read', 'write'], default: 'read' },
+    // null = until revoked; otherwise access ends at this instant and the
+    // expireShares job removes the entry (see services/documentAccess.js)
+    expiresAt:  { type: Date, default: null },
+    // Printed on this user's downloads, e.g. "KYC at HDFC Bank" (services/watermark.js)
+    purpose:    { type: String, trim: true, default: '' },
+  },
+  { _id: false }
+);
+
+/**
+ * Envelope-encryption metadata (see services/encryption.js).
+ * wrappedKey is the per-document AES-256-GCM data key, encrypted with the
+ * master key identified by keyId. iv/authTag belong to the file ciphertext.
+ */
+const encryptionSchema = new mongoose.Schema(
+  {
+    algorithm:  { type: String, default: 'aes-256-gcm' },
+    keyId:      { type: String, required: true },
+    wrappedKey: { type: String, required: true },
+    iv:         { type: String, required: true },
+    authTag:    { type: String, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * Malware scanner verdict for a stored file (services/malwareScanner.js).
+ * Infected files are never stored, so only these outcomes appear:
+ *   clean   — the scanner passed it
+ *   skipped — no scanner was configured (UPLOAD_SCANNER=none)
+ *   error   — the scanner failed and UPLOAD_SCAN_FAIL_OPEN let the upload through
+ */
+const scanSchema = new mongoose.Schema(
+  {
+    status:    { type: String, enum: ['clean', 'skipped', 'error'], required: true },
+    engine:    { type: String, default: null },
+    scannedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/** One stored, encrypted image rendition of a version (services/renditions.js). */
+const renditionFileSchema = new mongoose.Schema(
+  {
+    storagePath: { type: String, required: true },
+    encryption:  { type: encryptionSchema, required: true },
+    mimeType:    { type: String, required: true },
+    width:       { type: Number, required: true },
+    height:      { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * Thumbnail (small, for lists) and preview (screen-sized) of an image, or of
+ * a PDF's first page. status: pending → done | failed; 'skipped' for types
+ * that are not rendered.
+ */
+const renditionsSchema = new mongoose.Schema(
+  {
+    status:      { type: String, enum: ['pending', 'done', 'failed', 'skipped'], default: 'pending' },
+    thumbnail:   { type: renditionFileSchema, default: null },
+    preview:     { type: renditionFileSchema, default: null },
+    error:       { type: String, default: null },
+    generatedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * One entry per uploaded file revision. Version numbers start at 1 and only
+ * grow; restoring an old version just moves currentVersion back to it.
+ * title/category/description are a snapshot taken when the version was added,
+ * so two versions can be diffed on metadata as well as on the file itself.
+ * Versions with identical content share one storage object (see contentHash).
+ */
+const versionSchema = new mongoose.Schema(
+  {
+    version:      { type: Number, required: true },
+    storagePath:  { type: String, required: true },
+    encryption:   { type: encryptionSchema, default: null },
+    mimeType:     { type: String, required: true },
+    fileSize:     { type: Number, required: true }, // bytes
+    contentHash:  { type: String, default: null },  // SHA-256 of the plaintext, hex
+    scan:         { type: scanSchema, default: null }, // null = uploaded before scanning existed
+    renditions:   { type: renditionsSchema, default: null }, // null = not generated yet
+    originalName: { type: String, default: '' },
+    title:        { type: String, default: '' },
+    category:     { type: String, default: '' },
+    description:  { type: String, default: '' },
+    note:         { type: String, trim: true, default: '' },
+    uploadedBy:   { type: String, required: true }, // Firebase UID
+    uploadedAt:   { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * Typed fields for ID categories (aadhaar, pan, passport, driving_license),
+ * validated by utils/governmentIds.js. display holds masked / non-sensitive
+ * values that are always safe to show; the full numbers are sealed with
+ * envelope encryption (services/idFields.js) and only returned by an
+ * explicit, audited reveal.
+ */
+const idFieldsSchema = new mongoose.Schema(
+  {
+    kind:       { type: String, enum: ['aadhaar', 'pan', 'passport', 'driving_license'], required: true },
+    display:    { type: mongoose.Schema.Types.Mixed, default: {} },
+    sealed:     { type: String, required: true }, // base64 ciphertext of the full values (JSON)
+    encryption: { type: encryptionSchema, required: true },
+    updatedAt:  { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Access for every current member of a family group, resolved at check time
+const sharedWithGroupSchema = new mongoose.Schema(
+  {
+    groupId:    { type: mongoose.Schema.Types.ObjectId, ref: 'FamilyGroup', required: true },
+    groupName:  { type: String, required: true, trim: true }, // snapshot for display
+    permission: { type: String, enum: ['read', 'write'], default: 'read' },
+    expiresAt:  { type: Date, default: null },
+    purpose:    { type: String, trim: true, default: '' }, // as for sharedWith
+    sharedAt:   { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * Outcome of pulling searchable text out of the current version
+ * (see services/textExtraction.js).
+ * status: pending (queued), done, skipped (no extractor for the type), failed
+ * version: which file version the text came from — stale once currentVersion moves on
+ */
+const textExtractionSchema = new mongoose.Schema(
+  {
+    status:      { type: String, enum: ['pending', 'done', 'skipped', 'failed'], default: 'pending' },
+    method:      { type: String, enum: ['pdf', 'ocr'], default: null },
+    version:     { type: Number, required: true },
+    error:       { type: String, default: null },
+    extractedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * Last integrity check of the stored files against the ledger
+ * (services/integrityLedger.js verifyDocumentIntegrity).
+ * status: verified, mismatch (a file or the ledger does not match),
+ *         unreadable (a file could not be read — retried), unrecorded (no ledger yet)
+ * failures: one line per problem found, for the owner and the logs
+ */
+const integritySchema = new mongoose.Schema(
+  {
+    status:    { type: String, enum: ['verified', 'mismatch', 'unreadable', 'unrecorded'], required: true },
+    failures:  { type: [String], default: [] },
+    checkedAt: { type: Date, default: Date.now },
   },
   { _id: false }
 );
@@ -22,12 +179,20 @@ const sharedWithSchema = new mongoose.Schema(
 /**
  * Document
  *
- * Files are stored in Firebase Storage.
+ * Files are stored in Firebase Storage, encrypted at rest.
  * This collection holds metadata only — no base64 blobs.
  *
- * firebaseStoragePath  = the path inside the bucket (used for deletion)
- * firebaseUrl          = public / signed URL returned to the client
+ * firebaseStoragePath  = the path inside the bucket — never exposed; files
+ *                        are downloaded through the API
+ * encryption           = wrapped data key + key ID (null for legacy plaintext uploads)
  * uploadedBy           = Firebase UID of the owner
+ *
+ * Versioning: every file revision lives in `versions`, stored under
+ * documents/<owner uid>/<document id>/v<n>-<timestamp>-<name>.
+ * firebaseStoragePath / encryption / mimeType / fileSize always mirror the
+ * entry named by currentVersion, so list and stats queries need not unwind.
+ * Documents created before versioning have an empty `versions` array until
+ * their first new version is added (see ensureVersionHistory).
  */
 const documentSchema = new mongoose.Schema(
   {
@@ -52,18 +217,60 @@ const documentSchema = new mongoose.Schema(
 
     // ── Firebase Storage ──────────────────────────────────────────────────────
     firebaseStoragePath: { type: String, required: true },  // for deletion
-    firebaseUrl:         { type: String, required: true },  // signed URL cached at upload time
+    encryption:          { type: encryptionSchema, default: null },
 
     // ── File metadata ─────────────────────────────────────────────────────────
     mimeType: { type: String, required: true },
     fileSize: { type: Number, required: true }, // bytes
+    // SHA-256 of the current version's plaintext (services/documentFiles.js
+    // hashContent). null for legacy documents until jobs/contentHashes.js runs.
+    contentHash: { type: String, default: null },
+    // When the backfill last failed to read the file — it waits a while before trying again
+    contentHashFailedAt: { type: Date, default: null },
+    scan:        { type: scanSchema, default: null }, // mirrors the current version
+    renditions:  { type: renditionsSchema, default: null }, // mirrors the current version
+
+    // ── Versions ──────────────────────────────────────────────────────────────
+    versions:       { type: [versionSchema], default: [] },
+    currentVersion: { type: Number, default: 1 },
+
+    // ── Structured ID fields (ID categories only) ─────────────────────────────
+    idFields: { type: idFieldsSchema, default: null },
+
+    // ── Validity ──────────────────────────────────────────────────────────────
+    // For IDs and certificates that expire. expiryRemindersSent lists the lead
+    // times (days, see jobs/expiryReminders.js) already emailed for the current
+    // expiryDate; it resets whenever expiryDate changes.
+    issueDate:           { type: Date, default: null },
+    expiryDate:          { type: Date, default: null },
+    issuingAuthority:    { type: String, trim: true, default: '' },
+    expiryRemindersSent: { type: [Number], default: [] },
+
+    // ── Organization ──────────────────────────────────────────────────────────
+    // Lower-cased, de-duplicated labels; folderId is the owner's folder (null = root)
+    tags:     { type: [String], default: [] },
+    folderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder', default: null },
+
+    // ── Full-text search ──────────────────────────────────────────────────────
+    // Never sent to clients whole; search results carry a snippet instead
+    extractedText:  { type: String, default: '', select: false },
+    textExtraction: { type: textExtractionSchema, default: null },
+
+    // ── Integrity ─────────────────────────────────────────────────────────────
+    // null until first checked by GET /:id/verify or jobs/integrityCheck.js
+    integrity: { type: integritySchema, default: null },
 
     // ── Ownership & sharing ───────────────────────────────────────────────────
     uploadedBy: { type: String, required: true, index: true }, // Firebase UID
     sharedWith: { type: [sharedWithSchema], default: [] },
+    sharedWithGroups: { type: [sharedWithGroupSchema], default: [] },
 
     // ── Lifecycle ─────────────────────────────────────────────────────────────
-    status:       { type: String, enum: ['active', 'deleted'], default: 'active', index: true },
+    // 'deleted' = in the trash (files kept until purgeAfter), 'purged' = files gone
+    status:       { type: String, enum: ['active', 'deleted', 'purged'], default: 'active', index: true },
+    deletedAt:    { type: Date, default: null },
+    purgeAfter:   { type: Date, default: null },
+    purgedAt:     { type: Date, default: null },
     uploadDate:   { type: Date, default: Date.now },
     lastModified: { type: Date, default: Date.now },
   },
@@ -72,7 +279,105 @@ const documentSchema = new mongoose.Schema(
 
 // Compound index for the most common list query: "my active docs"
 documentSchema.index({ uploadedBy: 1, status: 1, uploadDate: -1 });
+// For tag and folder filters on "my active docs"
+documentSchema.index({ uploadedBy: 1, tags: 1 });
+documentSchema.index({ uploadedBy: 1, folderId: 1, status: 1 });
+// For "expiring soon" lists and the expiry reminder job
+documentSchema.index({ uploadedBy: 1, status: 1, expiryDate: 1 });
+documentSchema.index({ status: 1, expiryDate: 1 });
+// For duplicate detection on upload and GET /duplicates
+documentSchema.index({ uploadedBy: 1, status: 1, contentHash: 1 });
+// For storage deduplication: "is anyone else still using this file?"
+documentSchema.index({ firebaseStoragePath: 1 });
+documentSchema.index({ 'versions.storagePath': 1 });
 // For shared-with queries
 documentSchema.index({ 'sharedWith.uid': 1, status: 1 });
+documentSchema.index({ 'sharedWithGroups.groupId': 1, status: 1 });
+// For the share expiry job: "grants whose expiresAt has passed"
+documentSchema.index({ 'sharedWith.expiresAt': 1 }, { sparse: true });
+documentSchema.index({ 'sharedWithGroups.expiresAt': 1 }, { sparse: true });
+// For the trash purge job: "deleted docs whose retention has passed"
+documentSchema.index({ status: 1, purgeAfter: 1 });
+// For ?search= — one text index per collection, so it covers all three fields.
+// default_language 'none' disables English stemming and stop words, which
+// would otherwise mangle Hindi and other Indic-script text.
+documentSchema.index(
+  { title: 'text', description: 'text', extractedText: 'text' },
+  { name: 'document_text', weights: { title: 10, description: 5, extractedText: 1 }, default_language: 'none' }
+);
+// For the text extraction, rendition backfill and integrity check jobs
+documentSchema.index({ status: 1, 'textExtraction.status': 1 });
+documentSchema.index({ status: 1, 'renditions.status': 1 });
+documentSchema.index({ status: 1, 'integrity.checkedAt': 1 });
+// For key rotation: "documents still wrapped with key X"
+documentSchema.index({ 'encryption.keyId': 1 });
+documentSchema.index({ 'idFields.encryption.keyId': 1 }, { sparse: true });
+
+// ─── Hooks ───────────────────────────────────────────────────────────────────
+
+// A new expiry date starts a fresh round of renewal reminders
+documentSchema.pre('save', function() {
+  if (this.isModified('expiryDate')) this.expiryRemindersSent = [];
+});
+
+// ─── Methods ─────────────────────────────────────────────────────────────────
+
+/**
+ * Seed `versions` with a v1 entry built from the top-level fields.
+ * No-op for documents that already have a history.
+ */
+documentSchema.methods.ensureVersionHistory = function() {
+  if (this.versions.length > 0) return;
+
+  this.versions.push({
+    version:     1,
+    storagePath: this.firebaseStoragePath,
+    encryption:  this.encryption,
+    mimeType:    this.mimeType,
+    fileSize:    this.fileSize,
+    contentHash: this.contentHash,
+    title:       this.title,
+    category:    this.category,
+    description: this.description,
+    uploadedBy:  this.uploadedBy,
+    uploadedAt:  this.uploadDate,
+  });
+  this.currentVersion = 1;
+};
+
+/** Find a version entry by number (works for legacy docs too). */
+documentSchema.methods.getVersion = function(versionNumber) {
+  this.ensureVersionHistory();
+  return this.versions.find((v) => v.version === versionNumber) || null;
+};
+
+/**
+ * Make `entry` the current version and mirror its file fields to the top level.
+ * The caller must queue text extraction for the new current version, and
+ * rendition generation if the entry has no renditions yet.
+ */
+documentSchema.methods.applyVersion = function(entry) {
+  this.currentVersion      = entry.version;
+  this.firebaseStoragePath = entry.storagePath;
+  this.encryption          = entry.encryption;
+  this.mimeType            = entry.mimeType;
+  this.fileSize            = entry.fileSize;
+  this.contentHash         = entry.contentHash || null;
+  this.scan                = entry.scan || null;
+  this.renditions          = entry.renditions || { status: 'pending' };
+  this.lastModified        = new Date();
+  // Text from the previous version no longer applies — re-extract (services/textExtraction.js)
+  this.extractedText       = '';
+  this.textExtraction      = { status: 'pending', version: entry.version };
+};
+
+/** Every storage object this document owns (files and renditions), de-duplicated. */
+documentSchema.methods.getStoragePaths = function() {
+  const renditionPaths = this.versions.flatMap((v) => (v.renditions
+    ? [v.renditions.thumbnail, v.renditions.preview].filter(Boolean).map((r) => r.storagePath)
+    : []));
+  return [...new Set([this.firebaseStoragePath, ...this.versions.map((v) => v.storagePath), ...renditionPaths])];
+};
 
-module.exports = mongoose.model('Document', documentSchema);
\ No newline at end of file
+module.exports = mongoose.model('Document', documentSchema);
+module.exports.encryptionSchema = encryptionSchema; // also seals export archives (models/ExportJob.js)
\ No newline at end of file
@@ -0,0 +1,65 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const { encryptionSchema } = require('./Document');
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const EXPORT_STATUSES = ['queued', 'running', 'done', 'failed', 'expired'];
+
+// ─── Sub-schemas ─────────────────────────────────────────────────────────────
+
+/** Which of the owner's documents go into the archive; empty = all of them. */
+const exportFilterSchema = new mongoose.Schema(
+  {
+    category: { type: String, default: null },
+    tag:      { type: String, default: null },
+    folderId: { type: mongoose.Schema.Types.ObjectId, default: null }, // subfolders included
+    ids:      { type: [mongoose.Schema.Types.ObjectId], default: undefined },
+  },
+  { _id: false }
+);
+
+// ─── Main Schema ─────────────────────────────────────────────────────────────
+
+/**
+ * ExportJob
+ *
+ * A ZIP archive of an owner's documents with a manifest.json of their
+ * metadata (services/exportArchive.js), built in the background for large
+ * vaults and kept for a limited time.
+ *
+ * encrypted     = the archive is AES-256 encrypted with a passphrase the user
+ *                 chose. The passphrase is only ever held in memory while the
+ *                 job runs — a job interrupted by a restart cannot resume and
+ *                 is marked failed by jobs/exportArchives.js
+ * documentsDone = progress, updated every few documents while running
+ * storagePath   = where the finished archive is stored, sealed with envelope
+ *                 encryption like document files
+ * expiresAt     = when the archive is deleted (status → expired)
+ */
+const exportJobSchema = new mongoose.Schema(
+  {
+    ownerUid:      { type: String, required: true }, // Firebase UID
+    status:        { type: String, enum: EXPORT_STATUSES, default: 'queued' },
+    filter:        { type: exportFilterSchema, default: () => ({}) },
+    encrypted:     { type: Boolean, default: false },
+    documentCount: { type: Number, default: 0 },
+    documentsDone: { type: Number, default: 0 }, // progress while running
+    fileSize:      { type: Number, default: 0 }, // bytes of the finished archive
+    storagePath:   { type: String, default: null },
+    encryption:    { type: encryptionSchema, default: null },
+    error:         { type: String, default: null },
+    startedAt:     { type: Date, default: null },
+    completedAt:   { type: Date, default: null },
+    expiresAt:     { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+exportJobSchema.index({ ownerUid: 1, createdAt: -1 });
+exportJobSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
+module.exports.EXPORT_STATUSES = EXPORT_STATUSES;
@@ -2,6 +2,8 @@
 
 const mongoose = require('mongoose');
 
+const { PLAN_NAMES } = require('../config/plans');
+
 // ─── Sub-schemas ──────────────────────────────────────────────────────────────
 
 const memberSchema = new mongoose.Schema(
@@ -51,6 +53,11 @@ const familyGroupSchema = new mongoose.Schema(
     members:     { type: [memberSchema],     default: [] },
     invitations: { type: [invitationSchema], default: [] },
     status:      { type: String, enum: ['active', 'archived'], default: 'active' },
+
+    // Shared storage quota for all members' documents together — as on User
+    plan:              { type: String, enum: PLAN_NAMES, default: 'free' },
+    quotaBytes:        { type: Number, default: null, min: 0 },
+    quotaWarningsSent: { type: [Number], default: [] },
   },
   { timestamps: true }
 );
@@ -0,0 +1,73 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const MAX_FOLDER_DEPTH = 8;  // root-level folders are depth 1
+const MAX_NAME_LENGTH  = 64;
+
+// ─── Main Schema ─────────────────────────────────────────────────────────────
+
+/**
+ * Folder
+ *
+ * A user's own folder tree for organizing the documents they own.
+ * Folders are private to their owner — people a document is shared with
+ * see it in "Shared With Me", never inside the owner's folders.
+ *
+ * parentId  = null for top-level folders
+ * Documents point at their folder through Document.folderId (null = root).
+ * Sibling names are unique per owner, ignoring case.
+ */
+const folderSchema = new mongoose.Schema(
+  {
+    ownerUid: { type: String, required: true, index: true }, // Firebase UID
+    name:     { type: String, required: true, trim: true, maxlength: MAX_NAME_LENGTH },
+    parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder', default: null },
+  },
+  { timestamps: true }
+);
+
+folderSchema.index(
+  { ownerUid: 1, parentId: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+// ─── Statics ─────────────────────────────────────────────────────────────────
+
+/**
+ * IDs from `folderId` up to the root, starting with folderId itself.
+ * Stops early (and returns what it has) if the chain is broken.
+ *
+ * @returns {Promise<mongoose.Types.ObjectId[]>}
+ */
+folderSchema.statics.ancestry = async function(folderId, ownerUid) {
+  const chain = [];
+  let current = folderId;
+  while (current && chain.length <= MAX_FOLDER_DEPTH) {
+    chain.push(current);
+    const folder = await this.findOne({ _id: current, ownerUid }).select('parentId').lean();
+    current = folder ? folder.parentId : null;
+  }
+  return chain;
+};
+
+/**
+ * How many levels the subtree under `folderId` has, counting the folder itself.
+ * Used to keep moves within MAX_FOLDER_DEPTH.
+ */
+folderSchema.statics.subtreeHeight = async function(folderId, ownerUid) {
+  let height = 1;
+  let level  = [folderId];
+  while (height <= MAX_FOLDER_DEPTH) {
+    level = await this.find({ ownerUid, parentId: { $in: level } }).distinct('_id');
+    if (level.length === 0) break;
+    height += 1;
+  }
+  return height;
+};
+
+module.exports = mongoose.model('Folder', folderSchema);
+module.exports.MAX_FOLDER_DEPTH = MAX_FOLDER_DEPTH;
+module.exports.MAX_NAME_LENGTH  = MAX_NAME_LENGTH;
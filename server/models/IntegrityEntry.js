@@ -0,0 +1,67 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+/**
+ * upload          — the document was created; version 1's hash
+ * version_add     — a new file version was uploaded
+ * version_restore — an older version was made current again
+ * baseline        — recorded by jobs/integrityCheck.js for a document that
+ *                   predates the ledger: the hash of each version as first seen
+ * purge           — the stored files were deleted for good
+ */
+const INTEGRITY_EVENTS = ['upload', 'version_add', 'version_restore', 'baseline', 'purge'];
+
+// ─── Main Schema ─────────────────────────────────────────────────────────────
+
+/**
+ * IntegrityEntry
+ *
+ * One link in a document's hash chain (services/integrityLedger.js).
+ * Entries are numbered from 1 per document; each one's `hash` covers its own
+ * fields plus the previous entry's hash, so changing or removing any entry —
+ * or a content hash inside it — breaks every hash after it.
+ *
+ * contentHash = SHA-256 of the version's plaintext, hex (null for purge)
+ * prevHash    = hash of entry seq - 1; 64 zeros for the first entry
+ *
+ * Updates and deletes are rejected at the model level — entries can only be created.
+ */
+const integrityEntrySchema = new mongoose.Schema(
+  {
+    documentId:  { type: mongoose.Schema.Types.ObjectId, required: true },
+    seq:         { type: Number, required: true },
+    event:       { type: String, enum: INTEGRITY_EVENTS, required: true },
+    version:     { type: Number, default: null },
+    contentHash: { type: String, default: null },
+    actorUid:    { type: String, default: null }, // null for system events
+    prevHash:    { type: String, required: true },
+    hash:        { type: String, required: true },
+    createdAt:   { type: Date, required: true },
+  },
+  { timestamps: false } // createdAt is part of the hash, so it is set before hashing
+);
+
+// One entry per position — two concurrent appends cannot both claim the same seq
+integrityEntrySchema.index({ documentId: 1, seq: 1 }, { unique: true });
+
+// ─── Append-only guards ──────────────────────────────────────────────────────
+
+function rejectMutation() {
+  throw new Error('IntegrityEntry is append-only — entries cannot be modified or deleted.');
+}
+
+integrityEntrySchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('IntegrityEntry is append-only — entries cannot be modified.'));
+  return next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete',
+].forEach((op) => integrityEntrySchema.pre(op, { document: false, query: true }, rejectMutation));
+
+module.exports = mongoose.model('IntegrityEntry', integrityEntrySchema);
+module.exports.INTEGRITY_EVENTS = INTEGRITY_EVENTS;
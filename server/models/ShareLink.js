@@ -0,0 +1,98 @@
+'use strict';
+
+const crypto   = require('crypto');
+const mongoose = require('mongoose');
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const TOKEN_BYTES           = 32;
+const SCRYPT_KEYLEN         = 32;
+const MAX_PASSCODE_ATTEMPTS = 10; // wrong passcodes before the link locks itself
+
+// ─── Main Schema ─────────────────────────────────────────────────────────────
+
+/**
+ * ShareLink
+ *
+ * A public, unauthenticated link to one document, for people outside
+ * SecureGov (a bank officer, a school office).
+ *
+ * tokenHash     = SHA-256 of the URL token — the token itself is shown to the
+ *                 owner once at creation and never stored
+ * expiresAt     = hard end of the link's life (always set)
+ * maxDownloads  = null for unlimited
+ * passcodeHash  = "salt:hash" (scrypt, hex) or null when no passcode is needed
+ * status        = active | revoked (by the owner) | locked (too many wrong passcodes)
+ *
+ * Every access is recorded as a document.link_access AuditEvent.
+ */
+const shareLinkSchema = new mongoose.Schema(
+  {
+    documentId:     { type: mongoose.Schema.Types.ObjectId, ref: 'Document', required: true, index: true },
+    createdBy:      { type: String, required: true }, // Firebase UID of the owner
+    label:          { type: String, trim: true, default: '' },
+    tokenHash:      { type: String, required: true, unique: true },
+    expiresAt:      { type: Date, required: true },
+    maxDownloads:   { type: Number, default: null },
+    downloadCount:  { type: Number, default: 0 },
+    passcodeHash:   { type: String, default: null },
+    failedAttempts: { type: Number, default: 0 },
+    status:         { type: String, enum: ['active', 'revoked', 'locked'], default: 'active' },
+    revokedAt:      { type: Date, default: null },
+    lastAccessedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// ─── Statics ─────────────────────────────────────────────────────────────────
+
+/** SHA-256 of a URL token, as stored in tokenHash. */
+shareLinkSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/** A fresh random URL token and its hash. */
+shareLinkSchema.statics.generateToken = function() {
+  const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+  return { token, tokenHash: this.hashToken(token) };
+};
+
+/** scrypt a passcode into the "salt:hash" form stored in passcodeHash. */
+shareLinkSchema.statics.hashPasscode = async function(passcode) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(passcode), salt);
+  return `${salt.toString('hex')}:${hash.toString('hex')}`;
+};
+
+// ─── Methods ─────────────────────────────────────────────────────────────────
+
+/**
+ * Why this link cannot be used right now, or null if it can.
+ * @returns {null|'revoked'|'locked'|'expired'|'exhausted'}
+ */
+shareLinkSchema.methods.unavailableReason = function(now = new Date()) {
+  if (this.status !== 'active') return this.status;
+  if (this.expiresAt <= now) return 'expired';
+  if (this.maxDownloads !== null && this.downloadCount >= this.maxDownloads) return 'exhausted';
+  return null;
+};
+
+/** Constant-time passcode check. Always true for links without a passcode. */
+shareLinkSchema.methods.checkPasscode = async function(passcode) {
+  if (!this.passcodeHash) return true;
+  if (!passcode) return false;
+
+  const [saltHex, hashHex] = this.passcodeHash.split(':');
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual   = await scrypt(String(passcode), Buffer.from(saltHex, 'hex'));
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+function scrypt(passcode, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(passcode, salt, SCRYPT_KEYLEN, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
+module.exports.MAX_PASSCODE_ATTEMPTS = MAX_PASSCODE_ATTEMPTS;
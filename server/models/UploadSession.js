@@ -0,0 +1,63 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const { encryptionSchema } = require('./Document');
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const UPLOAD_SESSION_STATUSES = ['open', 'finalizing', 'completed', 'aborted', 'expired'];
+
+// ─── Sub-schemas ─────────────────────────────────────────────────────────────
+
+/** One received chunk, stored (encrypted) as its own object until finalize. */
+const chunkSchema = new mongoose.Schema(
+  {
+    offset:      { type: Number, required: true },
+    size:        { type: Number, required: true },
+    storagePath: { type: String, required: true },
+    encryption:  { type: encryptionSchema, required: true },
+  },
+  { _id: false }
+);
+
+// ─── Main Schema ─────────────────────────────────────────────────────────────
+
+/**
+ * UploadSession
+ *
+ * A resumable upload of one file (services/uploadSessions.js). The client
+ * declares the size up front, then sends the bytes in order as chunks; each
+ * chunk is encrypted and written to storage as it arrives, so nothing is
+ * held in memory between requests and a dropped connection only loses the
+ * chunk in flight. Finalizing assembles the chunks and creates the document
+ * through the normal upload path.
+ *
+ * receivedBytes = the offset the next chunk must start at
+ * category      = fixed at creation — it decides the size limit
+ * status        = open → finalizing → completed; or aborted by the owner;
+ *                 or expired by jobs/uploadSessions.js after expiresAt.
+ *                 A finalize that fails validation goes back to open.
+ * documentId    = the document created on completion
+ */
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    ownerUid:         { type: String, required: true }, // Firebase UID
+    fileName:         { type: String, required: true, trim: true },
+    declaredMimeType: { type: String, default: null },  // client's claim; finalize decides from the bytes
+    category:         { type: String, required: true },
+    totalSize:        { type: Number, required: true },
+    receivedBytes:    { type: Number, default: 0 },
+    chunks:           { type: [chunkSchema], default: [] },
+    status:           { type: String, enum: UPLOAD_SESSION_STATUSES, default: 'open' },
+    documentId:       { type: mongoose.Schema.Types.ObjectId, ref: 'Document', default: null },
+    expiresAt:        { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+uploadSessionSchema.index({ ownerUid: 1, status: 1 });
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
+module.exports.UPLOAD_SESSION_STATUSES = UPLOAD_SESSION_STATUSES;
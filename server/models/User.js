@@ -2,6 +2,8 @@
 
 const mongoose = require('mongoose');
 
+const { PLAN_NAMES } = require('../config/plans');
+
 /**
  * User
  *
@@ -41,6 +43,14 @@ const userSchema = new mongoose.Schema(
       trim:    true,
       default: '',
     },
+
+    // ── Storage quota (services/quotas.js) ────────────────────────────────────
+    // plan sets the limit; quotaBytes overrides it for this user (null = plan's).
+    // quotaWarningsSent lists the thresholds (%) already emailed; a threshold
+    // is cleared again once usage drops back below it.
+    plan:              { type: String, enum: PLAN_NAMES, default: 'free' },
+    quotaBytes:        { type: Number, default: null, min: 0 },
+    quotaWarningsSent: { type: [Number], default: [] },
   },
   {
     timestamps: true, // adds createdAt, updatedAt automatically
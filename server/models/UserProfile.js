@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const {
+  PAN_PATTERN,
+  PASSPORT_PATTERN,
+  isValidAadhaar,
+  isValidDrivingLicense,
+  maskAadhaar
+} = require('../utils/governmentIds');
 
 // Aadhaar validation status
 const AADHAAR_STATUS = {
@@ -80,7 +87,10 @@ const addressSchema = new mongoose.Schema({
 const aadhaarDetailsSchema = new mongoose.Schema({
   aadhaarNumber: {
     type: String,
-    match: /^[2-9]{1}[0-9]{3}[0-9]{4}[0-9]{4}$/,
+    validate: {
+      validator: isValidAadhaar,
+      message: 'Invalid Aadhaar number'
+    },
     unique: true,
     sparse: true
   },
@@ -236,7 +246,7 @@ const userProfileSchema = new mongoose.Schema({
     pan: {
       number: {
         type: String,
-        match: /^[A-Z]{5}[0-9]{4}[A-Z]{1}$/,
+        match: PAN_PATTERN,
         uppercase: true
       },
       isVerified: {
@@ -248,7 +258,7 @@ const userProfileSchema = new mongoose.Schema({
     passport: {
       number: {
         type: String,
-        match: /^[A-Z]{1}[0-9]{7}$/,
+        match: PASSPORT_PATTERN,
         uppercase: true
       },
       issuedDate: Date,
@@ -259,7 +269,14 @@ const userProfileSchema = new mongoose.Schema({
       }
     },
     drivingLicense: {
-      number: String,
+      number: {
+        type: String,
+        uppercase: true,
+        validate: {
+          validator: isValidDrivingLicense,
+          message: 'Invalid driving licence number'
+        }
+      },
       state: String,
       issuedDate: Date,
       expiryDate: Date,
@@ -311,21 +328,7 @@ const userProfileSchema = new mongoose.Schema({
   // Security Settings
   security: securitySettingsSchema,
 
-  // Activity Tracking
-  activityLog: [{
-    action: String,
-    timestamp: {
-      type: Date,
-      default: Date.now
-    },
-    ipAddress: String,
-    userAgent: String,
-    location: {
-      city: String,
-      state: String,
-      country: String
-    }
-  }],
+  // Activity history lives in the AuditEvent collection (see models/AuditEvent.js)
 
   // Preferences
   preferences: {
@@ -391,8 +394,7 @@ userProfileSchema.virtual('fullName').get(function() {
 // Virtual for masked Aadhaar
 userProfileSchema.virtual('maskedAadhaarNumber').get(function() {
   if (this.governmentIds.aadhaar.aadhaarNumber) {
-    const aadhaar = this.governmentIds.aadhaar.aadhaarNumber;
-    return `XXXX-XXXX-${aadhaar.slice(-4)}`;
+    return maskAadhaar(this.governmentIds.aadhaar.aadhaarNumber);
   }
   return null;
 });
@@ -445,22 +447,6 @@ userProfileSchema.methods.updateProfileLevel = function() {
   return this.profileStatus.level;
 };
 
-// Method to add activity log entry
-userProfileSchema.methods.addActivityLog = function(action, metadata = {}) {
-  this.activityLog.push({
-    action,
-    timestamp: new Date(),
-    ...metadata
-  });
-  
-  // Keep only last 100 entries
-  if (this.activityLog.length > 100) {
-    this.activityLog = this.activityLog.slice(-100);
-  }
-  
-  this.lastActiveAt = new Date();
-};
-
 // Method to hash security question answer
 userProfileSchema.methods.hashSecurityAnswer = function(answer) {
   return crypto.createHash('sha256').update(answer.toLowerCase().trim()).digest('hex');
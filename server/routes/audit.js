@@ -0,0 +1,130 @@
+'use strict';
+
+const express  = require('express');
+const mongoose = require('mongoose');
+const router   = express.Router();
+
+const { verifyToken }   = require('../middleware/auth');
+const AuditEvent        = require('../models/AuditEvent');
+const Document          = require('../models/Document');
+const FamilyGroup       = require('../models/FamilyGroup');
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT     = 200;
+
+function toPublicEvent(e) {
+  return {
+    id:         e._id,
+    action:     e.action,
+    result:     e.result,
+    actorUid:   e.actorUid,
+    actorEmail: e.actorEmail,
+    targetType: e.targetType,
+    targetId:   e.targetId,
+    documentId: e.documentId,
+    groupId:    e.groupId,
+    ip:         e.ip,
+    userAgent:  e.userAgent,
+    metadata:   e.metadata,
+    createdAt:  e.createdAt,
+  };
+}
+
+/** Parse an ISO date query param; returns undefined if absent, null if invalid. */
+function parseDate(value) {
+  if (value === undefined || value === '') return undefined;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// ─── GET /api/audit ──────────────────────────────────────────────────────────
+/**
+ * Query params (all optional):
+ *   documentId  events for one document   — caller must own it
+ *   groupId     events for one family group — caller must be a group admin
+ *   actorUid    events by one user          — without documentId/groupId, only yourself
+ *   action      exact action name, e.g. "document.download"
+ *   from, to    ISO dates bounding createdAt
+ *   limit       1–200 (default 50)
+ *   before      ISO date — return events strictly older (for "load more")
+ *
+ * With neither documentId nor groupId, returns the caller's own activity.
+ */
+router.get('/', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+  const { documentId, groupId, actorUid, action } = req.query;
+
+  const filter = {};
+
+  if (documentId) {
+    if (!mongoose.Types.ObjectId.isValid(documentId)) {
+      return res.status(400).json({ success: false, message: 'Invalid documentId.' });
+    }
+    const doc = await Document.findById(documentId).select('uploadedBy').lean();
+    if (!doc) {
+      return res.status(404).json({ success: false, message: 'Document not found.' });
+    }
+    if (doc.uploadedBy !== uid) {
+      return res.status(403).json({ success: false, message: 'Only the document owner can view its history.' });
+    }
+    filter.documentId = documentId;
+  }
+
+  if (groupId) {
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({ success: false, message: 'Invalid groupId.' });
+    }
+    const group = await FamilyGroup.findById(groupId).select('members').lean();
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Group not found.' });
+    }
+    const caller = group.members.find((m) => m.uid === uid);
+    if (!caller || caller.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Only group admins can view group history.' });
+    }
+    filter.groupId = groupId;
+  }
+
+  if (!documentId && !groupId) {
+    // Unscoped queries only ever see the caller's own actions
+    if (actorUid && actorUid !== uid) {
+      return res.status(403).json({
+        success: false,
+        message: 'Filter by documentId or groupId to see other users\' actions.',
+      });
+    }
+    filter.actorUid = uid;
+  } else if (actorUid) {
+    filter.actorUid = actorUid;
+  }
+
+  if (action) filter.action = String(action);
+
+  const from   = parseDate(req.query.from);
+  const to     = parseDate(req.query.to);
+  const before = parseDate(req.query.before);
+  if (from === null || to === null || before === null) {
+    return res.status(400).json({ success: false, message: 'from, to and before must be valid dates.' });
+  }
+  if (from || to || before) {
+    filter.createdAt = {};
+    if (from)   filter.createdAt.$gte = from;
+    if (to)     filter.createdAt.$lte = to;
+    if (before) filter.createdAt.$lt  = before;
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const events = await AuditEvent.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+
+  return res.json({
+    success: true,
+    total:   events.length,
+    hasMore: events.length === limit,
+    events:  events.map(toPublicEvent),
+  });
+});
+
+module.exports = router;
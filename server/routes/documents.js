@@ -1,14 +1,56 @@
 'use strict';
 
+const fs        = require('fs/promises');
 const express   = require('express');
 const multer    = require('multer');
 const mongoose  = require('mongoose');
 const router    = express.Router();
 
 const { verifyToken }                         = require('../middleware/auth');
+const { inspectUpload, inspectUploadedFile } = require('../middleware/inspectUpload');
 const Document                                = require('../models/Document');
 const FamilyGroup                             = require('../models/FamilyGroup');
-const { uploadFile, getSignedUrl, deleteFile } = require('../services/firebaseStorage');
+const Folder                                  = require('../models/Folder');
+const ShareLink                               = require('../models/ShareLink');
+const UploadSession                           = require('../models/UploadSession');
+const User                                    = require('../models/User');
+const { recordAudit }                         = require('../services/auditLog');
+const {
+  PERMISSIONS, isGrantActive, activeGrantFilter, activeGroupGrantFilter,
+  groupIdsForUser, describeAccess, resolveAccess, canRead, canWrite,
+} = require('../services/documentAccess');
+const {
+  hashContent, storeDocumentFile, storeDocumentStream, readDocumentFile, deleteDocumentFiles,
+} = require('../services/documentFiles');
+const { deleteFile }                          = require('../services/storage');
+const { queueTextExtraction }                 = require('../services/textExtraction');
+const { queueRenditions }                     = require('../services/renditions');
+const { sealIdFields, unsealIdFields }        = require('../services/idFields');
+const { readExportArchive }                   = require('../services/exportArchive');
+const {
+  recordIntegrity, verifyDocumentIntegrity, runVerification, buildIntegrityReceipt,
+} = require('../services/integrityLedger');
+const { getQuotaUsage, checkQuota, queueQuotaWarnings } = require('../services/quotas');
+const {
+  assembleImagesPdf, countPdfPages, splitPdf, runSerially,
+} = require('../services/pdfAssembly');
+const {
+  MAX_PURPOSE_LENGTH, watermarkText, sharePurpose, watermarkEtag, applyWatermark,
+} = require('../services/watermark');
+const {
+  UPLOAD_CHUNK_MAX_BYTES, MAX_OPEN_SESSIONS, maxUploadBytes, computeSessionExpiry,
+  appendChunk, readUploadChunks, discardChunks, runFinalize,
+} = require('../services/uploadSessions');
+const {
+  TRASH_RETENTION_DAYS, computePurgeAfter, purgeDocument,
+} = require('../jobs/purgeTrash');
+const {
+  signResource, verifyResource, getSigningSecret, getPublicBaseUrl,
+} = require('../utils/signedUrl');
+const { parseListQuery, paginate } = require('../utils/pagination');
+const { parseSearchTerms, snippetForDocument } = require('../utils/searchSnippets');
+const { ID_CATEGORIES, validateIdFields }      = require('../utils/governmentIds');
+const { downloadFileName, contentDisposition, sendFile } = require('../utils/fileResponse');
 
 // ─── Multer setup ─────────────────────────────────────────────────────────────
 
@@ -24,6 +66,7 @@ const MAX_SIZE_BYTES = 10 * 1024 * 1024; // 10 MB
 const upload = multer({
   storage: multer.memoryStorage(),
   limits:  { fileSize: MAX_SIZE_BYTES },
+  // A quick first pass on the declared type; inspectUpload then decides from the bytes
   fileFilter(_req, file, cb) {
     if (ALLOWED_MIME_TYPES.has(file.mimetype)) {
       cb(null, true);
@@ -46,9 +89,21 @@ const VALID_CATEGORIES = new Set([
 
 // ─── Helper ───────────────────────────────────────────────────────────────────
 
+// Download links (GET /:id/content) are served by this router, never by the
+// bucket, and are only good for a few minutes
+const DOWNLOAD_URL_TTL_MS = (Number(process.env.DOWNLOAD_URL_TTL_SECONDS) || 300) * 1000;
+
+// Public share links (routes/public.js serves them)
+const DAY_MS                  = 24 * 60 * 60 * 1000;
+const SHARE_LINK_DEFAULT_DAYS = 7;
+const SHARE_LINK_MAX_DAYS     = Number(process.env.SHARE_LINK_MAX_DAYS) || 30;
+const MAX_LINK_DOWNLOADS      = 1000;
+const MIN_PASSCODE_LENGTH     = 4;
+
 /**
  * Strip internal fields before sending a document to the client.
- * firebaseStoragePath stays server-side — clients use /download to get a URL.
+ * firebaseStoragePath stays server-side — clients fetch the file through
+ * /file, or /download for a link of a few minutes.
  */
 function toPublic(doc) {
   return {
@@ -59,10 +114,27 @@ function toPublic(doc) {
     mimeType:     doc.mimeType,
     fileSize:     doc.fileSize,
     uploadedBy:   doc.uploadedBy,
-    sharedWith:   doc.sharedWith,
+    sharedWith:   doc.sharedWith.filter((s) => isGrantActive(s)), // hide expired, not yet swept
+    sharedWithGroups: (doc.sharedWithGroups || []).filter((g) => isGrantActive(g)),
     status:       doc.status,
+    encrypted:    Boolean(doc.encryption),
+    currentVersion: doc.currentVersion || 1,
+    versionCount:   doc.versions.length || 1,
+    tags:           doc.tags || [],
+    idFields:         doc.idFields ? { kind: doc.idFields.kind, ...doc.idFields.display } : null, // masked
+    issueDate:        doc.issueDate || null,
+    expiryDate:       doc.expiryDate || null,
+    issuingAuthority: doc.issuingAuthority || '',
+    folderId:       doc.folderId || null,
+    textStatus:     doc.textExtraction ? doc.textExtraction.status : null, // search readiness
+    scanStatus:     doc.scan ? doc.scan.status : null, // malware scan of the current version
+    renditionStatus: doc.renditions ? doc.renditions.status : null,
+    hasThumbnail:   Boolean(doc.renditions && doc.renditions.thumbnail), // GET /:id/thumbnail
+    integrityStatus: doc.integrity ? doc.integrity.status : null, // GET /:id/verify
     uploadDate:   doc.uploadDate,
     lastModified: doc.lastModified,
+    deletedAt:    doc.deletedAt,
+    purgeAfter:   doc.purgeAfter,
   };
 }
 
@@ -71,123 +143,2640 @@ function sanitizeName(name) {
   return name.replace(/[^a-zA-Z0-9._-]/g, '_');
 }
 
+/** Storage path for one version: documents/<owner>/<docId>/v<n>-<timestamp>-<name> */
+function versionDestination(ownerUid, docId, versionNumber, originalName) {
+  return `documents/${ownerUid}/${docId}/v${versionNumber}-${Date.now()}-${sanitizeName(originalName)}`;
+}
+
+/**
+ * Signed resource for a download link: one version, for one user — and, for
+ * an owner's stamped copy, the purpose printed on it.
+ */
+function contentResource(docId, versionNumber, uid, ownerPurpose) {
+  const base = `document:${docId}:v${versionNumber}:${uid}`;
+  return ownerPurpose === undefined ? base : `${base}:watermark:${ownerPurpose}`;
+}
+
+/**
+ * Build a short-lived URL to GET /:id/content, which decrypts on the fly.
+ * Signed rather than Bearer-authenticated so it works in <img src> and plain fetch().
+ * The signature covers the version and the user it was issued to, and
+ * /content re-checks that user's access, so revoking a share also stops
+ * links already handed out.
+ */
+function buildContentUrl(docId, versionNumber, uid, ownerPurpose) {
+  const { expires, signature } = signResource(
+    contentResource(docId, versionNumber, uid, ownerPurpose), DOWNLOAD_URL_TTL_MS, getSigningSecret('DOWNLOAD_URL_SECRET')
+  );
+  const stamp = ownerPurpose === undefined ? '' : `&watermark=1&purpose=${encodeURIComponent(ownerPurpose)}`;
+  const url = `${getPublicBaseUrl()}/api/documents/${docId}/content` +
+    `?version=${versionNumber}&user=${encodeURIComponent(uid)}${stamp}&expires=${expires}&signature=${signature}`;
+  return { url, expiresAt: new Date(expires) };
+}
+
+/** JSON body shared by /download and /versions/:version/download */
+function buildDownloadPayload(doc, entry, uid, ownerPurpose) {
+  const { url, expiresAt } = buildContentUrl(doc._id, entry.version, uid, ownerPurpose);
+  return {
+    success:  true,
+    url,
+    expiresAt,
+    filename: downloadFileName(doc.title, entry.mimeType),
+    mimeType: entry.mimeType,
+    fileSize: entry.fileSize,
+    version:  entry.version,
+  };
+}
+
+/** Validator headers for a version's bytes (utils/fileResponse.js) */
+function fileValidators(doc, entry) {
+  return {
+    etag:         `"${entry.contentHash || `${doc._id}-v${entry.version}`}"`,
+    lastModified: entry.uploadedAt || doc.uploadDate,
+  };
+}
+
+/**
+ * Purpose text from a body or query: undefined when absent, false when
+ * invalid, otherwise the trimmed string ('' clears it).
+ */
+function parsePurpose(value) {
+  if (value === undefined || value === null) return value === null ? '' : undefined;
+  if (typeof value !== 'string' || value.trim().length > MAX_PURPOSE_LENGTH) return false;
+  return value.trim();
+}
+
+const INVALID_PURPOSE_MESSAGE = `purpose must be text of at most ${MAX_PURPOSE_LENGTH} characters.`;
+
+/**
+ * An owner's request for a stamped copy to pass on (?watermark=1&purpose=…):
+ * the purpose to print ('' for none), undefined for the plain original,
+ * false if the purpose is invalid.
+ */
+function ownerWatermarkRequest(query) {
+  if (query.watermark !== '1' && query.watermark !== 'true') return undefined;
+  return parsePurpose(query.purpose ?? '');
+}
+
+/** Email to print for `uid` when the request did not carry one. */
+async function emailForUid(uid) {
+  const user = await User.findOne({ firebaseUID: uid }).select('email').lean();
+  return user ? user.email : uid;
+}
+
+/**
+ * Watermark text for `uid`'s copy of `doc`, or null to send it as stored
+ * (services/watermark.js). Everyone but the owner gets one, with the purpose
+ * of the share they read it through; the owner only when asking for a
+ * stamped copy (ownerPurpose set).
+ *
+ * @param {object} access  from resolveAccess()
+ * @param {{ email?: string, ownerPurpose?: string }} [options]
+ */
+async function copyWatermark(doc, uid, access, { email, ownerPurpose } = {}) {
+  if (access.level === 'owner') {
+    if (ownerPurpose === undefined) return null;
+    return watermarkText({ verb: 'Shared by', recipient: email || await emailForUid(uid), purpose: ownerPurpose });
+  }
+  return watermarkText({
+    recipient: email || (access.grant && access.grant.email) || await emailForUid(uid),
+    purpose:   sharePurpose(doc, access),
+  });
+}
+
+/**
+ * Send one version through utils/fileResponse.js, stamped with `watermark`
+ * if given. A file that cannot be stamped (a password-protected PDF) is
+ * refused rather than sent without it.
+ */
+async function sendVersion(req, res, doc, entry, watermark, disposition) {
+  let buffer       = await readDocumentFile(entry.storagePath, entry.encryption);
+  const validators = fileValidators(doc, entry);
+
+  if (watermark) {
+    try {
+      buffer = await applyWatermark(buffer, entry.mimeType, watermark);
+    } catch (err) {
+      console.error(`[watermark] ${doc._id} v${entry.version}: ${err.message}`);
+      return res.status(422).json({
+        success: false,
+        code:    'WATERMARK_FAILED',
+        message: 'This file cannot be watermarked (it may be password-protected), so only its owner can download it.',
+      });
+    }
+    validators.etag = watermarkEtag(validators.etag, watermark);
+  }
+
+  return sendFile(req, res, buffer, {
+    mimeType: entry.mimeType,
+    filename: downloadFileName(doc.title, entry.mimeType),
+    disposition,
+    ...validators,
+  });
+}
+
+function toPublicVersion(entry, doc) {
+  return {
+    version:      entry.version,
+    mimeType:     entry.mimeType,
+    fileSize:     entry.fileSize,
+    originalName: entry.originalName,
+    title:        entry.title,
+    category:     entry.category,
+    description:  entry.description,
+    note:         entry.note,
+    uploadedBy:   entry.uploadedBy,
+    uploadedAt:   entry.uploadedAt,
+    scanStatus:   entry.scan ? entry.scan.status : null,
+    isCurrent:    entry.version === doc.currentVersion,
+  };
+}
+
+/** Parse a positive integer route/query param; returns null when invalid. */
+function parseVersionNumber(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Validate an optional share expiry from a request body.
+ * @returns {Date|null|undefined|false}  undefined = not provided, null = no expiry,
+ *          false = not a valid date in the future
+ */
+function parseShareExpiry(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) || d <= new Date() ? false : d;
+}
+
+/** Share link as shown to its owner — never includes the token or passcode hash. */
+function toPublicLink(link) {
+  return {
+    id:               link._id,
+    label:            link.label,
+    status:           link.unavailableReason() || 'active',
+    expiresAt:        link.expiresAt,
+    maxDownloads:     link.maxDownloads,
+    downloadCount:    link.downloadCount,
+    requiresPasscode: Boolean(link.passcodeHash),
+    lastAccessedAt:   link.lastAccessedAt,
+    revokedAt:        link.revokedAt,
+    createdAt:        link.createdAt,
+  };
+}
+
+/**
+ * URLs for a freshly minted link token.
+ *   url         — landing page for people (asks for the passcode if needed)
+ *   downloadUrl — direct API download, for passcode-less links and scripts
+ */
+function buildShareLinkUrls(token) {
+  const frontend = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return {
+    url:         `${frontend}/pages/shared-link.html?token=${token}`,
+    downloadUrl: `${getPublicBaseUrl()}/api/public/links/${token}`,
+  };
+}
+
+const MAX_SEARCH_LENGTH = 200;
+
+// Tags: letters/digits in any script, plus spaces, "-" and "_"
+const MAX_TAGS       = 20;
+const MAX_TAG_LENGTH = 32;
+const TAG_PATTERN    = /^[\p{L}\p{N}][\p{L}\p{M}\p{N} _-]*$/u;
+
+/**
+ * Normalize tags from a JSON array or a comma-separated string (multipart
+ * uploads): trimmed, lower-cased, de-duplicated.
+ * @returns {string[]|undefined|null}  undefined = not provided, null = invalid
+ */
+function parseTags(value) {
+  if (value === undefined) return undefined;
+  const raw  = Array.isArray(value) ? value : String(value).split(',');
+  const tags = [...new Set(
+    raw.map((t) => String(t).trim().toLowerCase().replace(/\s+/g, ' ')).filter(Boolean)
+  )];
+  const valid = tags.length <= MAX_TAGS &&
+    tags.every((t) => t.length <= MAX_TAG_LENGTH && TAG_PATTERN.test(t));
+  return valid ? tags : null;
+}
+
+const INVALID_TAGS_MESSAGE =
+  `tags must be at most ${MAX_TAGS} labels of up to ${MAX_TAG_LENGTH} letters, digits, spaces, "-" or "_".`;
+
+const MAX_AUTHORITY_LENGTH = 120;
+
+/**
+ * Validate the optional validity fields (issueDate, expiryDate,
+ * issuingAuthority) of a request body. Dates may be null or "" to clear them.
+ *
+ * @param {object} body
+ * @param {object} [current]  Document being updated, for the date-order check
+ * @returns {{ error: string }|{ changes: object }}  changes holds only the fields provided
+ */
+function parseValidityFields(body, current = {}) {
+  const changes = {};
+
+  for (const field of ['issueDate', 'expiryDate']) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      changes[field] = null;
+      continue;
+    }
+    const d = new Date(value);
+    if (Number.isNaN(d.getTime())) return { error: `${field} must be a valid date.` };
+    changes[field] = d;
+  }
+
+  if (body.issuingAuthority !== undefined) {
+    const authority = String(body.issuingAuthority ?? '').trim();
+    if (authority.length > MAX_AUTHORITY_LENGTH) {
+      return { error: `issuingAuthority must be at most ${MAX_AUTHORITY_LENGTH} characters.` };
+    }
+    changes.issuingAuthority = authority;
+  }
+
+  const issue  = changes.issueDate  !== undefined ? changes.issueDate  : current.issueDate;
+  const expiry = changes.expiryDate !== undefined ? changes.expiryDate : current.expiryDate;
+  if (issue && expiry && expiry < issue) {
+    return { error: 'expiryDate cannot be before issueDate.' };
+  }
+
+  return { changes };
+}
+
+/**
+ * Validate and seal structured ID fields (utils/governmentIds.js) for a
+ * document of `category`. Accepts an object, or a JSON string as sent in
+ * multipart uploads; null or "" clears the fields.
+ *
+ * @returns {{ error: string }|{ idFields: object|null }|undefined}  undefined = not provided
+ */
+function resolveIdFields(value, category) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return { idFields: null };
+
+  let input = value;
+  if (typeof value === 'string') {
+    try {
+      input = JSON.parse(value);
+    } catch (_) {
+      return { error: 'idFields must be a JSON object.' };
+    }
+  }
+  if (!ID_CATEGORIES.has(category)) {
+    return { error: `Structured ID fields are only for: ${[...ID_CATEGORIES].join(', ')}.` };
+  }
+
+  const validated = validateIdFields(category, input);
+  if (validated.error) return validated;
+  return { idFields: sealIdFields(category, validated) };
+}
+
+/**
+ * Resolve a folderId from a request body against the caller's own folders.
+ * @returns {Promise<{ folderId: mongoose.Types.ObjectId|null }|{ status: number, message: string }>}
+ */
+async function resolveFolder(value, uid) {
+  if (value === null || value === '' || value === 'root') return { folderId: null };
+  if (!mongoose.Types.ObjectId.isValid(value)) return { status: 400, message: 'Invalid folderId.' };
+  const folder = await Folder.findOne({ _id: value, ownerUid: uid }).select('_id').lean();
+  return folder ? { folderId: folder._id } : { status: 404, message: 'Folder not found.' };
+}
+
+/**
+ * Pagination / sort / range params (utils/pagination.js) plus the category,
+ * tag, folder and full-text search filters shared by the document list routes.
+ *   tag       one tag, or several comma-separated (documents must have all)
+ *   folderId  a folder ID, or "root" for documents in no folder
+ * search uses the document_text index (title, description, extracted file
+ * text): whole words, "quoted phrases" and -excluded words, any case.
+ */
+function parseDocumentListQuery(query) {
+  const list = parseListQuery(query, ALLOWED_MIME_TYPES);
+  if (list.error) return list;
+
+  const { category, folderId } = query;
+  if (category) {
+    if (!VALID_CATEGORIES.has(category)) return { error: 'Invalid category filter.' };
+    list.filter.category = category;
+  }
+  if (query.tag) {
+    const tags = parseTags(query.tag);
+    if (!tags) return { error: 'Invalid tag filter.' };
+    if (tags.length) list.filter.tags = { $all: tags };
+  }
+  if (folderId) {
+    if (folderId !== 'root' && !mongoose.Types.ObjectId.isValid(folderId)) {
+      return { error: 'Invalid folderId filter.' };
+    }
+    list.filter.folderId = folderId === 'root' ? null : new mongoose.Types.ObjectId(folderId);
+  }
+
+  const search = query.search ? String(query.search).trim() : '';
+  if (search) {
+    if (search.length > MAX_SEARCH_LENGTH) {
+      return { error: `search must be at most ${MAX_SEARCH_LENGTH} characters.` };
+    }
+    list.filter.$text   = { $search: search };
+    list.searchTerms    = parseSearchTerms(search);
+    list.select         = '+extractedText'; // for snippets only, never sent whole
+  }
+  return list;
+}
+
+/** List entry for a document, plus a highlighted excerpt when the list is a search. */
+function toListEntry(doc, list) {
+  const entry = toPublic(doc);
+  return list.searchTerms ? { ...entry, snippet: snippetForDocument(doc, list.searchTerms) } : entry;
+}
+
+// At most this many existing copies are listed in a duplicate-upload 409
+const MAX_DUPLICATES_LISTED = 5;
+
+/** Short reference to an existing document with the same content. */
+function toDuplicateRef(doc) {
+  return {
+    id:         doc._id,
+    title:      doc.title,
+    category:   doc.category,
+    folderId:   doc.folderId || null,
+    uploadDate: doc.uploadDate,
+  };
+}
+
+// Fields compared by GET /:id/versions/diff
+const VERSION_DIFF_FIELDS = [
+  'title', 'category', 'description', 'mimeType', 'fileSize', 'originalName', 'note', 'uploadedBy',
+];
+
 // ─── POST /api/documents/upload ───────────────────────────────────────────────
 
+/**
+ * Validate the fields of one uploaded file and store it as a new document —
+ * the body of POST /upload, shared with POST /upload/bulk and POST /import.
+ * `file` has already been through inspectUpload. The same file already uploaded by this user is
+ * refused unless `fields.allowDuplicate` confirms it, and a file that does not fit in the user's
+ * storage quota (services/quotas.js) with 413 QUOTA_EXCEEDED.
+ *
+ * @param {import('express').Request} req
+ * @param {object} file    multer file (buffer, size, mimetype, originalname, scan, metadataRemoved),
+ *                         or a streamed one with read() and contentHash instead of buffer
+ * @param {object} fields  title, category, description, tags, folderId, idFields,
+ *                         the validity fields and allowDuplicate
+ * @param {{ source?: string }} [options]  source is recorded on the audit event, e.g. "import"
+ * @returns {Promise<{ error: { status: number, message: string, code?: string, duplicates?: object[] } }
+ *                   |{ document: Document }>}
+ */
+async function createUploadedDocument(req, file, fields, { source } = {}) {
+  const { title, category, description } = fields;
+  const { uid } = req.user;
+
+  if (!title || !String(title).trim()) {
+    return { error: { status: 400, message: 'title is required.' } };
+  }
+  if (!category || !VALID_CATEGORIES.has(category)) {
+    return { error: { status: 400, message: `category must be one of: ${[...VALID_CATEGORIES].join(', ')}` } };
+  }
+  const tags = parseTags(fields.tags);
+  if (tags === null) {
+    return { error: { status: 400, message: INVALID_TAGS_MESSAGE } };
+  }
+  const validity = parseValidityFields(fields);
+  if (validity.error) {
+    return { error: { status: 400, message: validity.error } };
+  }
+  const ids = resolveIdFields(fields.idFields, category);
+  if (ids && ids.error) {
+    return { error: { status: 400, message: ids.error } };
+  }
+  const folder = await resolveFolder(fields.folderId ?? null, uid);
+  if (folder.status) {
+    return { error: { status: folder.status, message: folder.message } };
+  }
+  const contentHash = file.buffer ? hashContent(file.buffer) : file.contentHash;
+  const duplicates  = await Document
+    .find({ uploadedBy: uid, status: 'active', contentHash })
+    .select('title category folderId uploadDate firebaseStoragePath encryption')
+    .sort({ uploadDate: 1 })
+    .limit(MAX_DUPLICATES_LISTED)
+    .lean();
+  const allowDuplicate = ['true', '1', true].includes(fields.allowDuplicate);
+  if (duplicates.length && !allowDuplicate) {
+    return {
+      error: {
+        status:     409,
+        code:       'DUPLICATE_CONTENT',
+        message:    `You have already uploaded this file as "${duplicates[0].title}".`,
+        duplicates: duplicates.map(toDuplicateRef),
+      },
+    };
+  }
+
+  // A confirmed duplicate shares the stored copy, so only a new file takes space
+  if (!duplicates.length) {
+    const overQuota = await checkQuota(uid, file.size);
+    if (overQuota) {
+      return { error: overQuota };
+    }
+  }
+
+  const docId       = new mongoose.Types.ObjectId(); // needed up front for the storage path
+  const destination = versionDestination(uid, docId, 1, file.originalname);
+
+  // Encrypt with a fresh data key and upload the ciphertext — or, for a
+  // confirmed duplicate, share the copy that is already stored
+  let stored;
+  if (duplicates.length) {
+    stored = { storagePath: duplicates[0].firebaseStoragePath, encryption: duplicates[0].encryption };
+  } else {
+    stored = file.buffer
+      ? await storeDocumentFile(file.buffer, destination)
+      : await storeDocumentStream(file.read(), destination);
+  }
+  const { storagePath, encryption } = stored;
+
+  const meta = {
+    title:       String(title).trim(),
+    category,
+    description: description ? String(description).trim() : '',
+  };
+
+  // Persist metadata in MongoDB
+  const doc = await Document.create({
+    _id:                 docId,
+    ...meta,
+    firebaseStoragePath: storagePath,
+    encryption,
+    mimeType:            file.mimetype,
+    fileSize:            file.size,
+    contentHash,
+    scan:                file.scan,
+    tags:                tags || [],
+    folderId:            folder.folderId,
+    ...validity.changes,
+    idFields:            ids ? ids.idFields : null,
+    uploadedBy:          uid,
+    currentVersion:      1,
+    textExtraction:      { status: 'pending', version: 1 },
+    renditions:          { status: 'pending' },
+    versions: [{
+      version:      1,
+      storagePath,
+      encryption,
+      mimeType:     file.mimetype,
+      fileSize:     file.size,
+      contentHash,
+      scan:         file.scan,
+      originalName: file.originalname,
+      ...meta,
+      uploadedBy:   uid,
+    }],
+  });
+
+  // Another upload may have been checked against the same usage meanwhile
+  if (!duplicates.length) {
+    const overQuota = await checkQuota(uid, file.size, { stored: true });
+    if (overQuota) {
+      await Document.deleteOne({ _id: doc._id });
+      await deleteDocumentFiles(doc);
+      return { error: overQuota };
+    }
+  }
+
+  await recordIntegrity(doc._id, { event: 'upload', version: 1, contentHash, actorUid: uid });
+
+  await recordAudit(req, {
+    action:     'document.upload',
+    documentId: doc._id,
+    metadata:   {
+      title:    doc.title,
+      category: doc.category,
+      fileSize: doc.fileSize,
+      scan:     file.scan.status,
+      ...(file.metadataRemoved.length && { metadataRemoved: file.metadataRemoved }),
+      ...(duplicates.length && { duplicateOf: duplicates[0]._id }),
+      ...(source && { source }),
+    },
+  });
+
+  // Searchable text and renditions are generated in the background;
+  // textStatus and renditionStatus track them
+  queueTextExtraction(doc._id, doc.currentVersion);
+  queueRenditions(doc._id, doc.currentVersion);
+  queueQuotaWarnings(uid);
+
+  return { document: doc };
+}
+
 router.post(
   '/upload',
   verifyToken,
   upload.single('file'),           // multer processes multipart BEFORE the handler
+  inspectUpload,                   // real type, PDF safety, metadata strip, virus scan
   async (req, res) => {
-    const { title, category, description } = req.body;
-
-    // Field validation
     if (!req.file) {
       return res.status(400).json({ success: false, message: 'File is required.' });
     }
-    if (!title || !title.trim()) {
-      return res.status(400).json({ success: false, message: 'title is required.' });
+
+    const result = await createUploadedDocument(req, req.file, req.body);
+    if (result.error) {
+      const { status, ...error } = result.error;
+      return res.status(status).json({ success: false, ...error });
+    }
+    return res.status(201).json({ success: true, document: toPublic(result.document) });
+  }
+);
+
+// ─── POST /api/documents/upload/bulk ─────────────────────────────────────────
+// Multipart: files (up to MAX_BULK_FILES) plus optional fields
+//   items           JSON array, one object per file in order, with any of the
+//                   single-upload fields (title, category, description, tags,
+//                   folderId, issueDate, expiryDate, issuingAuthority, idFields)
+//   category, description, tags, folderId, allowDuplicate
+//                   defaults for every file
+// A file without a title is named after its file name; without a category it
+// is filed as "other". Files are inspected and stored one by one, and each
+// gets its own entry in `results` — one bad file does not fail the batch.
+
+const MAX_BULK_FILES = 20;
+const BULK_UPLOAD_DEFAULTS = ['category', 'description', 'tags', 'folderId', 'allowDuplicate'];
+
+// No fileFilter: a wrongly declared type should fail only its own item, and
+// inspectUploadedFile decides the real type from the bytes anyway
+const bulkUpload = multer({
+  storage: multer.memoryStorage(),
+  limits:  { fileSize: MAX_SIZE_BYTES, files: MAX_BULK_FILES },
+});
+
+/** "tax_return-2024.pdf" → "tax return 2024" (same as the upload form) */
+function titleFromFileName(name) {
+  return String(name || '').replace(/\.[^/.]+$/, '').replace(/[-_]/g, ' ').trim() || 'Untitled';
+}
+
+router.post(
+  '/upload/bulk',
+  verifyToken,
+  bulkUpload.array('files', MAX_BULK_FILES),
+  async (req, res) => {
+    const files = req.files || [];
+    if (!files.length) {
+      return res.status(400).json({ success: false, message: 'At least one file is required.' });
+    }
+
+    let items = [];
+    if (req.body.items !== undefined && req.body.items !== '') {
+      try {
+        items = JSON.parse(req.body.items);
+      } catch (_) {
+        items = null;
+      }
+      if (!Array.isArray(items) || items.some((item) => !item || typeof item !== 'object')) {
+        return res.status(400).json({ success: false, message: 'items must be a JSON array of objects.' });
+      }
+    }
+
+    const defaults = {};
+    BULK_UPLOAD_DEFAULTS.forEach((f) => {
+      if (req.body[f] !== undefined) defaults[f] = req.body[f];
+    });
+
+    // One at a time: inspection, encryption and hashing are CPU-bound, and a
+    // file repeated within the batch is then caught by the duplicate check
+    const results = [];
+    for (const [index, file] of files.entries()) {
+      const entry = { index, fileName: file.originalname };
+
+      const blocked = await inspectUploadedFile(req, file);
+      if (blocked) {
+        results.push({ ...entry, success: false, ...blocked });
+        continue;
+      }
+
+      const fields = {
+        category: 'other',
+        ...defaults,
+        title:    titleFromFileName(file.originalname),
+        ...items[index],
+      };
+      const result = await createUploadedDocument(req, file, fields);
+      results.push(result.error
+        ? { ...entry, success: false, ...result.error }
+        : { ...entry, success: true, document: toPublic(result.document) });
+    }
+
+    const uploaded = results.filter((r) => r.success).length;
+    return res.status(uploaded ? 201 : 400).json({
+      success: uploaded === results.length,
+      message: `${uploaded} of ${results.length} files uploaded.`,
+      uploaded,
+      failed:  results.length - uploaded,
+      results,
+    });
+  }
+);
+
+// ─── POST /api/documents/assemble ────────────────────────────────────────────
+// Combine photographed pages into one PDF document (services/pdfAssembly.js).
+// Multipart:
+//   files         JPG / PNG pages
+//   pages         optional JSON array giving the page order, each entry either
+//                 { file: <index into files> } or { documentId } for one of the
+//                 caller's image documents — default: the files in upload order
+//   trashSources  "true" moves the documents used as pages to trash afterwards
+//   plus the POST /upload fields (title, category, …)
+// At most MAX_ASSEMBLE_PAGES pages. The PDF is inspected and stored like any
+// upload, with the category's size limit (services/uploadSessions.js).
+
+const MAX_ASSEMBLE_PAGES = 30;
+const PAGE_IMAGE_TYPES   = new Set(['image/jpeg', 'image/jpg', 'image/png']);
+
+const pageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits:  { fileSize: MAX_SIZE_BYTES, files: MAX_ASSEMBLE_PAGES },
+});
+
+/**
+ * Validate the page order of POST /assemble.
+ * @returns {{ pages: Array<{ file: number }|{ documentId: string }> }|{ error: string }}
+ */
+function parseAssemblePages(value, fileCount) {
+  if (value === undefined || value === '') {
+    return { pages: Array.from({ length: fileCount }, (_, file) => ({ file })) };
+  }
+
+  let pages;
+  try {
+    pages = JSON.parse(value);
+  } catch (_) {
+    pages = null;
+  }
+  const valid = Array.isArray(pages) && pages.every((page) => page && typeof page === 'object' && (
+    (Number.isInteger(page.file) && page.file >= 0 && page.file < fileCount)
+    || (page.file === undefined && mongoose.Types.ObjectId.isValid(page.documentId))
+  ));
+  if (!valid) {
+    return { error: 'pages must be a JSON array of { file: <index> } or { documentId } entries.' };
+  }
+
+  const used = new Set(pages.filter((page) => page.file !== undefined).map((page) => page.file));
+  if (used.size < fileCount) {
+    return { error: 'Every uploaded file must appear in pages.' };
+  }
+  return { pages };
+}
+
+router.post(
+  '/assemble',
+  verifyToken,
+  pageUpload.array('files', MAX_ASSEMBLE_PAGES),
+  async (req, res) => {
+    const { uid } = req.user;
+    const files   = req.files || [];
+
+    const parsed = parseAssemblePages(req.body.pages, files.length);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
     }
-    if (!category || !VALID_CATEGORIES.has(category)) {
+    const { pages } = parsed;
+    if (!pages.length || pages.length > MAX_ASSEMBLE_PAGES) {
       return res.status(400).json({
         success: false,
-        message: `category must be one of: ${[...VALID_CATEGORIES].join(', ')}`,
+        message: `A PDF can be assembled from 1–${MAX_ASSEMBLE_PAGES} pages.`,
       });
     }
 
-    const { uid }        = req.user;
-    const timestamp      = Date.now();
-    const safeName       = sanitizeName(req.file.originalname);
-    const destination    = `documents/${uid}/${timestamp}-${safeName}`;
+    for (const file of files) {
+      const blocked = await inspectUploadedFile(req, file);
+      if (blocked) {
+        const { status, ...error } = blocked;
+        return res.status(status).json({ success: false, fileName: file.originalname, ...error });
+      }
+      if (!PAGE_IMAGE_TYPES.has(file.mimetype)) {
+        return res.status(415).json({
+          success:  false,
+          fileName: file.originalname,
+          message:  'Only JPG and PNG images can be assembled into a PDF.',
+        });
+      }
+    }
 
-    // Upload to Firebase Storage
-    const { path: storagePath, url } = await uploadFile(
-      req.file.buffer,
-      destination,
-      req.file.mimetype
-    );
+    // Documents used as pages must be the caller's own images
+    const sourceIds = [...new Set(pages.filter((page) => page.documentId).map((page) => String(page.documentId)))];
+    const sources   = await Document.find({ _id: { $in: sourceIds }, uploadedBy: uid, status: 'active' });
+    const byId      = new Map(sources.map((doc) => [String(doc._id), doc]));
+    const missing   = sourceIds.find((docId) => !byId.has(docId));
+    if (missing) {
+      return res.status(404).json({ success: false, message: `Document ${missing} not found.` });
+    }
+    const notImage = sources.find((doc) => !PAGE_IMAGE_TYPES.has(doc.mimeType));
+    if (notImage) {
+      return res.status(415).json({ success: false, message: `"${notImage.title}" is not an image.` });
+    }
 
-    // Persist metadata in MongoDB
-    const doc = await Document.create({
-      title:               title.trim(),
-      category,
-      description:         description ? description.trim() : '',
-      firebaseStoragePath: storagePath,
-      firebaseUrl:         url,
-      mimeType:            req.file.mimetype,
-      fileSize:            req.file.size,
-      uploadedBy:          uid,
-    });
+    const sourceBuffers = new Map();
+    for (const doc of sources) {
+      const entry = doc.getVersion(doc.currentVersion);
+      sourceBuffers.set(String(doc._id), await readDocumentFile(entry.storagePath, entry.encryption));
+    }
+    const images = pages.map((page) => (page.documentId
+      ? sourceBuffers.get(String(page.documentId))
+      : files[page.file].buffer));
+
+    let pdf;
+    try {
+      pdf = await runSerially(() => assembleImagesPdf(images));
+    } catch (err) {
+      console.error(`[assemble] ${uid}: ${err.message}`);
+      return res.status(422).json({ success: false, message: 'The pages could not be assembled into a PDF.' });
+    }
+
+    const limit = maxUploadBytes(req.body.category);
+    if (pdf.length > limit) {
+      return res.status(413).json({
+        success: false,
+        code:    'FILE_TOO_LARGE',
+        message: `The assembled PDF is ${Math.ceil(pdf.length / 1024 / 1024)} MB; this category allows `
+               + `${Math.floor(limit / 1024 / 1024)} MB. Use fewer pages.`,
+      });
+    }
 
-    return res.status(201).json({ success: true, document: toPublic(doc) });
+    const file = {
+      buffer:       pdf,
+      size:         pdf.length,
+      mimetype:     'application/pdf',
+      originalname: `${sanitizeName(String(req.body.title || 'assembled'))}.pdf`,
+    };
+    const blocked = await inspectUploadedFile(req, file);
+    if (blocked) {
+      const { status, ...error } = blocked;
+      return res.status(status).json({ success: false, ...error });
+    }
+
+    const result = await createUploadedDocument(req, file, req.body, { source: 'assemble' });
+    if (result.error) {
+      const { status, ...error } = result.error;
+      return res.status(status).json({ success: false, ...error });
+    }
+
+    const trashed = [];
+    if (['true', '1'].includes(req.body.trashSources)) {
+      for (const doc of sources) {
+        await moveToTrash(doc);
+        await recordAudit(req, {
+          action:     'document.delete',
+          documentId: doc._id,
+          metadata:   { mergedInto: result.document._id },
+        });
+        trashed.push(doc._id);
+      }
+    }
+
+    return res.status(201).json({
+      success:   true,
+      document:  toPublic(result.document),
+      pageCount: pages.length,
+      trashed,
+    });
   }
 );
 
-// ─── GET /api/documents ───────────────────────────────────────────────────────
+// ─── Resumable uploads: /api/documents/upload/sessions ───────────────────────
+// For files too large, or connections too flaky, for one multipart request:
+//
+//   POST   /upload/sessions               { fileName, fileSize, category, mimeType? }
+//                                          → 201 { session } — limit per category;
+//                                          413 QUOTA_EXCEEDED if it cannot fit
+//   PUT    /upload/sessions/:id?offset=N  raw bytes (application/octet-stream),
+//                                          N = session.receivedBytes; a chunk
+//                                          at the wrong offset gets 409
+//                                          OFFSET_MISMATCH with receivedBytes
+//   GET    /upload/sessions/:id           progress, to resume after a reconnect
+//   POST   /upload/sessions/:id/complete  the POST /upload fields (category is
+//                                          the session's) → 201 { document }
+//   DELETE /upload/sessions/:id           abandon it and delete the chunks
+//
+// A completion refused for its fields (missing title, duplicate, quota, …) leaves
+// the session open to try again; a file refused by inspection ends it
+// (except SCAN_UNAVAILABLE, which can be retried).
+
+const MAX_FILE_NAME_LENGTH = 255;
+
+function toPublicSession(session) {
+  return {
+    id:            session._id,
+    fileName:      session.fileName,
+    category:      session.category,
+    totalSize:     session.totalSize,
+    receivedBytes: session.receivedBytes,
+    status:        session.status,
+    documentId:    session.documentId,
+    chunkMaxBytes: UPLOAD_CHUNK_MAX_BYTES,
+    expiresAt:     session.expiresAt,
+  };
+}
 
-router.get('/', verifyToken, async (req, res) => {
-  const { uid }             = req.user;
-  const { category, search } = req.query;
+async function findOwnSession(req, res) {
+  const { sessionId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    res.status(400).json({ success: false, message: 'Invalid upload session ID.' });
+    return null;
+  }
+  const session = await UploadSession.findOne({ _id: sessionId, ownerUid: req.user.uid });
+  if (!session) {
+    res.status(404).json({ success: false, message: 'Upload session not found.' });
+    return null;
+  }
+  return session;
+}
 
-  const filter = { uploadedBy: uid, status: 'active' };
+// Chunk bodies arrive raw; the global handler would report an oversized one as a 500 in production
+const parseChunk = express.raw({ type: () => true, limit: UPLOAD_CHUNK_MAX_BYTES });
 
-  if (category) {
-    if (!VALID_CATEGORIES.has(category)) {
-      return res.status(400).json({ success: false, message: 'Invalid category filter.' });
+function receiveChunk(req, res, next) {
+  parseChunk(req, res, (err) => {
+    if (err && err.type === 'entity.too.large') {
+      return res.status(413).json({
+        success: false,
+        message: `Chunks can be at most ${Math.floor(UPLOAD_CHUNK_MAX_BYTES / 1024 / 1024)} MB.`,
+      });
     }
-    filter.category = category;
-  }
+    return next(err);
+  });
+}
+
+router.post('/upload/sessions', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+  const { fileName, fileSize, category, mimeType } = req.body;
 
-  if (search && search.trim()) {
-    // Case-insensitive title search
-    filter.title = { $regex: search.trim(), $options: 'i' };
+  if (typeof fileName !== 'string' || !fileName.trim() || fileName.length > MAX_FILE_NAME_LENGTH) {
+    return res.status(400).json({ success: false, message: 'fileName is required.' });
+  }
+  if (!category || !VALID_CATEGORIES.has(category)) {
+    return res.status(400).json({ success: false, message: `category must be one of: ${[...VALID_CATEGORIES].join(', ')}` });
+  }
+  if (!Number.isInteger(fileSize) || fileSize < 1) {
+    return res.status(400).json({ success: false, message: 'fileSize must be a positive whole number of bytes.' });
+  }
+  const maxBytes = maxUploadBytes(category);
+  if (fileSize > maxBytes) {
+    return res.status(413).json({
+      success:  false,
+      code:     'FILE_TOO_LARGE',
+      message:  `Files in this category can be at most ${Math.floor(maxBytes / 1024 / 1024)} MB.`,
+      maxBytes,
+    });
+  }
+  // The same first pass on the declared type as the multipart routes
+  if (mimeType && !ALLOWED_MIME_TYPES.has(mimeType)) {
+    return res.status(400).json({ success: false, message: 'Only PDF, JPG, and PNG files are allowed.' });
+  }
+  // Refuse up front rather than after the whole file has been sent
+  const overQuota = await checkQuota(uid, fileSize);
+  if (overQuota) {
+    const { status, ...error } = overQuota;
+    return res.status(status).json({ success: false, ...error });
   }
 
-  const docs = await Document.find(filter).sort({ uploadDate: -1 });
+  const open = await UploadSession.countDocuments({ ownerUid: uid, status: { $in: ['open', 'finalizing'] } });
+  if (open >= MAX_OPEN_SESSIONS) {
+    return res.status(429).json({
+      success: false,
+      message: `You have ${open} unfinished uploads. Finish or cancel one before starting another.`,
+    });
+  }
 
-  return res.json({
-    success:   true,
-    total:     docs.length,
-    documents: docs.map(toPublic),
+  const session = await UploadSession.create({
+    ownerUid:         uid,
+    fileName:         fileName.trim(),
+    declaredMimeType: mimeType || null,
+    category,
+    totalSize:        fileSize,
+    expiresAt:        computeSessionExpiry(),
   });
+
+  // The session now reserves its size — check again, as after any upload
+  const overQuotaNow = await checkQuota(uid, fileSize, { stored: true });
+  if (overQuotaNow) {
+    await UploadSession.deleteOne({ _id: session._id });
+    const { status, ...error } = overQuotaNow;
+    return res.status(status).json({ success: false, ...error });
+  }
+
+  return res.status(201).json({ success: true, session: toPublicSession(session) });
 });
 
-// ─── GET /api/documents/stats ─────────────────────────────────────────────────
-// ⚠️  Must be registered BEFORE /:id routes so "stats" is not treated as an id.
+router.get('/upload/sessions/:sessionId', verifyToken, async (req, res) => {
+  const session = await findOwnSession(req, res);
+  if (!session) return undefined;
+  return res.json({ success: true, session: toPublicSession(session) });
+});
 
-router.get('/stats', verifyToken, async (req, res) => {
-  const { uid } = req.user;
+router.put('/upload/sessions/:sessionId', verifyToken, receiveChunk, async (req, res) => {
+  const session = await findOwnSession(req, res);
+  if (!session) return undefined;
+
+  if (session.status !== 'open') {
+    return res.status(409).json({ success: false, message: `This upload is ${session.status}.` });
+  }
+
+  const offset = Number(req.query.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ success: false, message: 'offset must be a whole number of bytes.' });
+  }
+  const chunk = Buffer.isBuffer(req.body) ? req.body : null;
+  if (!chunk || !chunk.length) {
+    return res.status(400).json({ success: false, message: 'The chunk is empty.' });
+  }
+  if (offset !== session.receivedBytes) {
+    return res.status(409).json({
+      success:       false,
+      code:          'OFFSET_MISMATCH',
+      message:       `Expected a chunk at offset ${session.receivedBytes}.`,
+      receivedBytes: session.receivedBytes,
+    });
+  }
+  if (offset + chunk.length > session.totalSize) {
+    return res.status(400).json({ success: false, message: 'The chunk goes past the declared file size.' });
+  }
+
+  const result = await appendChunk(session, offset, chunk);
+  if (result.conflict !== undefined) {
+    return res.status(409).json({
+      success:       false,
+      code:          'OFFSET_MISMATCH',
+      message:       `Expected a chunk at offset ${result.conflict}.`,
+      receivedBytes: result.conflict,
+    });
+  }
+  return res.json({ success: true, session: toPublicSession(result.session) });
+});
+
+router.post('/upload/sessions/:sessionId/complete', verifyToken, async (req, res) => {
+  const found = await findOwnSession(req, res);
+  if (!found) return undefined;
+
+  if (found.receivedBytes !== found.totalSize) {
+    return res.status(409).json({
+      success:       false,
+      code:          'UPLOAD_INCOMPLETE',
+      message:       `Only ${found.receivedBytes} of ${found.totalSize} bytes have been received.`,
+      receivedBytes: found.receivedBytes,
+    });
+  }
+  const session = await UploadSession.findOneAndUpdate(
+    { _id: found._id, status: 'open' },
+    { $set: { status: 'finalizing' } },
+    { new: true }
+  );
+  if (!session) {
+    return res.status(409).json({ success: false, message: `This upload is ${found.status}.` });
+  }
+
+  const reopen = () => UploadSession.updateOne({ _id: session._id, status: 'finalizing' }, { $set: { status: 'open' } });
+
+  let result;
+  try {
+    result = await runFinalize(async () => {
+      // Read back from storage chunk by chunk — once to inspect, once to store
+      const file = {
+        read:         () => readUploadChunks(session),
+        size:         session.totalSize,
+        mimetype:     session.declaredMimeType,
+        originalname: session.fileName,
+      };
+
+      const blocked = await inspectUploadedFile(req, file, session.category);
+      if (blocked) return { blocked };
+
+      return createUploadedDocument(req, file, { ...req.body, category: session.category }, { source: 'resumable' });
+    });
+  } catch (err) {
+    await reopen();
+    throw err;
+  }
+
+  // The file itself was refused — retrying cannot help (unless the scanner was just down)
+  if (result.blocked && result.blocked.status !== 503) {
+    await discardChunks(session);
+    await UploadSession.updateOne({ _id: session._id }, { $set: { status: 'aborted', chunks: [] } });
+    const { status, ...error } = result.blocked;
+    return res.status(status).json({ success: false, ...error });
+  }
+  if (result.blocked || result.error) {
+    await reopen();
+    const { status, ...error } = result.blocked || result.error;
+    return res.status(status).json({ success: false, ...error });
+  }
+
+  await discardChunks(session);
+  await UploadSession.updateOne(
+    { _id: session._id },
+    { $set: { status: 'completed', chunks: [], documentId: result.document._id } }
+  );
+  return res.status(201).json({ success: true, document: toPublic(result.document) });
+});
+
+router.delete('/upload/sessions/:sessionId', verifyToken, async (req, res) => {
+  const found = await findOwnSession(req, res);
+  if (!found) return undefined;
+
+  if (['finalizing', 'completed'].includes(found.status)) {
+    return res.status(409).json({ success: false, message: `This upload is ${found.status}.` });
+  }
+  if (found.status === 'open') {
+    // Close the session first: a chunk still in flight then fails to record
+    // and removes its own object, and every recorded one is in `session`
+    const session = await UploadSession.findOneAndUpdate(
+      { _id: found._id, status: 'open' },
+      { $set: { status: 'aborted' } },
+      { new: true }
+    );
+    if (!session) {
+      return res.status(409).json({ success: false, message: 'This upload is no longer open.' });
+    }
+    await discardChunks(session);
+    await UploadSession.updateOne({ _id: session._id }, { $set: { chunks: [] } });
+  }
+  return res.json({ success: true, message: 'Upload cancelled.' });
+});
+
+// ─── POST /api/documents/import ──────────────────────────────────────────────
+// Multipart: archive (a ZIP from /api/exports), passphrase if it is encrypted,
+// allowDuplicate. Recreates each document in the manifest as a new document
+// of the caller's — metadata, tags, validity fields, ID numbers (encrypted
+// archives only) and folder, creating missing folders by name. Every file is
+// inspected like an upload, and each gets its own entry in `results` like
+// POST /upload/bulk; files already in the vault are reported as duplicates.
+
+const IMPORT_MAX_BYTES = Number(process.env.IMPORT_MAX_BYTES) || 250 * 1024 * 1024;
+
+// Archives go to a temporary file (os.tmpdir(), random name) and are read
+// from there one entry at a time — never held in memory whole
+const importUpload = multer({
+  storage: multer.diskStorage({}),
+  limits:  { fileSize: IMPORT_MAX_BYTES, files: 1 },
+});
+
+// The global handler assumes the 10 MB document limit
+function receiveArchive(req, res, next) {
+  importUpload.single('archive')(req, res, (err) => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        message: `Archive too large. Maximum size is ${Math.floor(IMPORT_MAX_BYTES / 1024 / 1024)} MB.`,
+      });
+    }
+    return next(err);
+  });
+}
+
+/**
+ * Folder ID for a path of names from an export manifest, e.g. ['Family', 'Taxes'],
+ * reusing the caller's folders where the names match (any case) and creating
+ * the rest. Names that are not valid folder names, and levels past
+ * MAX_FOLDER_DEPTH, are dropped.
+ *
+ * @param {Map<string, any>} cache  path → folder ID, shared across one import
+ */
+async function ensureFolderPath(uid, names, cache) {
+  const valid = (Array.isArray(names) ? names : [])
+    .map((n) => (typeof n === 'string' ? n.trim() : ''))
+    .filter((n) => n && n.length <= Folder.MAX_NAME_LENGTH && !n.includes('/'))
+    .slice(0, Folder.MAX_FOLDER_DEPTH);
+
+  let parentId = null;
+  for (let depth = 1; depth <= valid.length; depth += 1) {
+    const key = valid.slice(0, depth).join('/').toLowerCase();
+    if (!cache.has(key)) {
+      const name     = valid[depth - 1];
+      const existing = await Folder.findOne({ ownerUid: uid, parentId, name })
+        .collation({ locale: 'en', strength: 2 }) // same as the unique index
+        .select('_id')
+        .lean();
+      cache.set(key, existing ? existing._id : (await Folder.create({ ownerUid: uid, name, parentId }))._id);
+    }
+    parentId = cache.get(key);
+  }
+  return parentId;
+}
+
+/** The import itself, once the archive is on disk (see the route below). */
+async function importArchive(req, res) {
+  const archive = await readExportArchive(req.file.path, req.body.passphrase || undefined);
+  if (archive.error) {
+    const { status, ...error } = archive.error;
+    return res.status(status).json({ success: false, ...error });
+  }
+
+  const { documents } = archive.manifest;
+  if (!documents.length) {
+    await archive.close();
+    return res.status(400).json({ success: false, message: 'The archive contains no documents.' });
+  }
+
+  const { uid }  = req.user;
+  const folders  = new Map();
+  const results  = [];
+
+  try {
+    for (const [index, item] of documents.entries()) {
+      const entry = { index, title: item && item.title, fileName: item && item.path };
+      if (!item || typeof item !== 'object' || typeof item.path !== 'string') {
+        results.push({ ...entry, success: false, status: 400, message: 'Invalid manifest entry.' });
+        continue;
+      }
+
+      let buffer;
+      try {
+        buffer = await archive.readFile(item.path, MAX_SIZE_BYTES);
+      } catch (_) {
+        results.push({
+          ...entry,
+          success: false,
+          status:  422,
+          message: 'The file could not be read from the archive (damaged, or larger than 10 MB).',
+        });
+        continue;
+      }
+      if (!buffer) {
+        results.push({ ...entry, success: false, status: 400, message: 'File is not in the archive.' });
+        continue;
+      }
+
+      const file = {
+        buffer,
+        size:         buffer.length,
+        mimetype:     item.mimeType,
+        originalname: item.originalName || item.path.split('/').pop(),
+      };
+      const blocked = await inspectUploadedFile(req, file);
+      if (blocked) {
+        results.push({ ...entry, success: false, ...blocked });
+        continue;
+      }
+
+      const category = VALID_CATEGORIES.has(item.category) ? item.category : 'other';
+      const fields   = {
+        title:            item.title || titleFromFileName(file.originalname),
+        category,
+        description:      item.description,
+        tags:             Array.isArray(item.tags) ? item.tags : undefined,
+        folderId:         await ensureFolderPath(uid, item.folder, folders),
+        issueDate:        item.issueDate,
+        expiryDate:       item.expiryDate,
+        issuingAuthority: item.issuingAuthority,
+        idFields:         item.idFields && ID_CATEGORIES.has(category) ? item.idFields : undefined,
+        allowDuplicate:   req.body.allowDuplicate,
+      };
+      const result = await createUploadedDocument(req, file, fields, { source: 'import' });
+      results.push(result.error
+        ? { ...entry, success: false, ...result.error }
+        : { ...entry, success: true, document: toPublic(result.document) });
+    }
+  } finally {
+    await archive.close();
+  }
+
+  const imported = results.filter((r) => r.success).length;
+  await recordAudit(req, {
+    action:     'vault.import',
+    targetType: 'user',
+    targetId:   uid,
+    result:     imported ? 'success' : 'failure',
+    metadata:   { documentCount: results.length, imported, exportedAt: archive.manifest.exportedAt },
+  });
+
+  return res.status(imported ? 201 : 400).json({
+    success:  imported === results.length,
+    message:  `${imported} of ${results.length} documents imported.`,
+    imported,
+    failed:   results.length - imported,
+    results,
+  });
+}
+
+router.post(
+  '/import',
+  verifyToken,
+  receiveArchive,
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'archive is required.' });
+    }
+    try {
+      return await importArchive(req, res);
+    } finally {
+      await fs.rm(req.file.path, { force: true });
+    }
+  }
+);
+
+// ─── GET /api/documents ───────────────────────────────────────────────────────
+// Paginated — see utils/pagination.js for limit / cursor / sort / order /
+// from / to / mimeType. Also accepts category, tag, folderId and search (full
+// text) — see parseDocumentListQuery; search results carry a highlighted snippet.
+
+router.get('/', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+
+  const list = parseDocumentListQuery(req.query);
+  if (list.error) {
+    return res.status(400).json({ success: false, message: list.error });
+  }
+
+  const { docs, total, nextCursor } = await paginate(Document, { uploadedBy: uid, status: 'active' }, list);
+
+  return res.json({
+    success:   true,
+    total,
+    nextCursor,
+    documents: docs.map((d) => toListEntry(d, list)),
+  });
+});
+
+// ─── GET /api/documents/stats ─────────────────────────────────────────────────
+// ⚠️  Must be registered BEFORE /:id routes so "stats" is not treated as an id.
+
+router.get('/stats', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+
+  // Lean projection — only pull the fields we need
+  const docs = await Document
+    .find({ uploadedBy: uid, status: 'active' })
+    .select('fileSize category')
+    .lean();
+
+  const totalSizeBytes = docs.reduce((sum, d) => sum + d.fileSize, 0);
+
+  // Build category breakdown
+  const categoryMap = {};
+  docs.forEach((d) => {
+    categoryMap[d.category] = (categoryMap[d.category] || 0) + 1;
+  });
+  const categories = Object.entries(categoryMap)
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count);
+
+  return res.json({
+    success: true,
+    stats: {
+      totalDocs:      docs.length,
+      totalSizeBytes,
+      totalSizeMB:    parseFloat((totalSizeBytes / (1024 * 1024)).toFixed(2)),
+      categories,
+    },
+  });
+});
+
+// ─── GET /api/documents/quota ─────────────────────────────────────────────────
+// Storage used against the caller's own quota and each family group's shared
+// one (services/quotas.js). Unlike /stats, this counts every version and the
+// trash — what uploads are checked against.
+
+router.get('/quota', verifyToken, async (req, res) => {
+  const quota = await getQuotaUsage(req.user.uid);
+  return res.json({ success: true, quota });
+});
+
+// ─── GET /api/documents/tags ─────────────────────────────────────────────────
+// Every tag on the caller's active documents, most used first.
+// ⚠️  Registered before /:id routes, like /stats.
+
+router.get('/tags', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+
+  const tags = await Document.aggregate([
+    { $match: { uploadedBy: uid, status: 'active', 'tags.0': { $exists: true } } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+  ]);
+
+  return res.json({
+    success: true,
+    tags:    tags.map((t) => ({ name: t._id, count: t.count })),
+  });
+});
+
+// ─── GET /api/documents/expiring?days=90 ─────────────────────────────────────
+// The caller's documents that expire within `days` (1–365, default 90),
+// soonest first — including ones that have already expired.
+
+const DEFAULT_EXPIRING_DAYS = 90;
+const MAX_EXPIRING_DAYS     = 365;
+const MAX_EXPIRING_RESULTS  = 50;
+
+router.get('/expiring', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+
+  const days = req.query.days === undefined ? DEFAULT_EXPIRING_DAYS : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRING_DAYS) {
+    return res.status(400).json({
+      success: false,
+      message: `days must be a whole number from 1 to ${MAX_EXPIRING_DAYS}.`,
+    });
+  }
+
+  const now  = new Date();
+  const docs = await Document
+    .find({
+      uploadedBy: uid,
+      status:     'active',
+      expiryDate: { $ne: null, $lte: new Date(now.getTime() + days * DAY_MS) },
+    })
+    .sort({ expiryDate: 1 })
+    .limit(MAX_EXPIRING_RESULTS);
+
+  return res.json({
+    success:   true,
+    days,
+    documents: docs.map((d) => ({
+      ...toPublic(d),
+      daysLeft: Math.ceil((d.expiryDate - now) / DAY_MS), // 0 or less = expired
+    })),
+  });
+});
+
+// ─── GET /api/documents/duplicates ───────────────────────────────────────────
+// Possible duplicates among the caller's active documents: groups of two or
+// more with identical content, largest files first. Documents uploaded before
+// content hashing appear once jobs/contentHashes.js has reached them.
+
+const MAX_DUPLICATE_GROUPS = 50;
+
+router.get('/duplicates', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+
+  const groups = await Document.aggregate([
+    { $match: { uploadedBy: uid, status: 'active', contentHash: { $ne: null } } },
+    { $group: { _id: '$contentHash', ids: { $push: '$_id' }, fileSize: { $first: '$fileSize' } } },
+    { $match: { 'ids.1': { $exists: true } } },
+    { $sort: { fileSize: -1, _id: 1 } },
+    { $limit: MAX_DUPLICATE_GROUPS },
+  ]);
+
+  const docs = await Document
+    .find({ _id: { $in: groups.flatMap((g) => g.ids) } })
+    .sort({ uploadDate: 1 });
+
+  return res.json({
+    success: true,
+    groups:  groups.map((g) => {
+      const documents = docs.filter((d) => d.contentHash === g._id).map(toPublic);
+      return {
+        contentHash: g._id,
+        fileSize:    g.fileSize,
+        count:       documents.length,
+        documents,
+      };
+    }),
+  });
+});
+
+// ─── GET /api/documents/trash ────────────────────────────────────────────────
+// Registered with the other fixed paths, before the /:id routes.
+
+router.get('/trash', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+
+  const docs = await Document
+    .find({ uploadedBy: uid, status: 'deleted' })
+    .sort({ deletedAt: -1 });
+
+  return res.json({
+    success:       true,
+    total:         docs.length,
+    retentionDays: TRASH_RETENTION_DAYS,
+    documents:     docs.map(toPublic),
+  });
+});
+
+// ─── GET /api/documents/:id/download ─────────────────────────────────────────
+// A link to GET /:id/content, valid for DOWNLOAD_URL_TTL_SECONDS (5 minutes)
+// and only while the caller can still read the document. Anyone but the
+// owner gets a watermarked copy (services/watermark.js); the owner can ask
+// for one with ?watermark=1&purpose=….
+
+router.get('/:id/download', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+  const { id }  = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+  }
+  const ownerPurpose = ownerWatermarkRequest(req.query);
+  if (ownerPurpose === false) {
+    return res.status(400).json({ success: false, message: INVALID_PURPOSE_MESSAGE });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' });
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+
+  // Access control: owner OR shared with this user (read or write)
+  const { level } = await resolveAccess(doc, uid);
+
+  if (!canRead(level)) {
+    await recordAudit(req, { action: 'document.download', documentId: doc._id, result: 'denied' });
+    return res.status(403).json({ success: false, message: 'Access denied.' });
+  }
+
+  const stamped = level !== 'owner' || ownerPurpose !== undefined;
+  await recordAudit(req, {
+    action:     'document.download',
+    documentId: doc._id,
+    metadata:   { version: doc.currentVersion, asOwner: level === 'owner', watermarked: stamped },
+  });
+
+  const payload = buildDownloadPayload(
+    doc, doc.getVersion(doc.currentVersion), uid, level === 'owner' ? ownerPurpose : undefined
+  );
+  return res.json({ ...payload, watermarked: stamped });
+});
+
+// ─── GET /api/documents/:id/content ──────────────────────────────────────────
+// Sends the decrypted file. No Bearer token — authorized by the signature
+// minted in /download, so it can be used directly as an <img> or fetch() URL.
+// The user it was minted for must still be able to read the document, and
+// gets it watermarked unless they own it (see /download).
+// ?disposition=attachment to download rather than display; Range supported.
+
+router.get('/:id/content', async (req, res) => {
+  const { id }   = req.params;
+  const { user } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+  }
+
+  const versionNumber = parseVersionNumber(req.query.version);
+  const ownerPurpose  = ownerWatermarkRequest(req.query);
+  if (!versionNumber || typeof user !== 'string' || !user || ownerPurpose === false) {
+    return res.status(400).json({ success: false, message: 'Invalid download link.' });
+  }
+
+  const check = verifyResource(
+    contentResource(id, versionNumber, user, ownerPurpose), req.query, getSigningSecret('DOWNLOAD_URL_SECRET')
+  );
+  if (!check.valid) {
+    const message = check.reason === 'expired' ? 'Download link has expired.' : 'Invalid download link.';
+    return res.status(403).json({ success: false, message });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' });
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+
+  const access = await resolveAccess(doc, user);
+  if (!canRead(access.level)) {
+    return res.status(403).json({ success: false, message: 'Your access to this document has ended.' });
+  }
+
+  const entry = doc.getVersion(versionNumber);
+  if (!entry) {
+    return res.status(404).json({ success: false, message: 'Version not found.' });
+  }
+
+  const watermark = await copyWatermark(doc, user, access, { ownerPurpose });
+  return sendVersion(req, res, doc, entry, watermark,
+    req.query.disposition === 'attachment' ? 'attachment' : 'inline');
+});
+
+// ─── GET /api/documents/:id/file ─────────────────────────────────────────────
+// The decrypted file itself, with the caller's Bearer token — no link that
+// could outlive their access is ever issued. ?version=N for an older
+// version; ?disposition=inline to display rather than download. Supports
+// Range (resuming, PDF viewers) and conditional requests. Audited as a
+// download, except for requests continuing a partial download. Watermarked
+// as for /download, including ?watermark=1&purpose=… for the owner.
+
+router.get('/:id/file', verifyToken, async (req, res) => {
+  const { uid, email } = req.user;
+  const { id }         = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+  }
+  const ownerPurpose = ownerWatermarkRequest(req.query);
+  if (ownerPurpose === false) {
+    return res.status(400).json({ success: false, message: INVALID_PURPOSE_MESSAGE });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' });
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+
+  const versionNumber = req.query.version === undefined
+    ? doc.currentVersion
+    : parseVersionNumber(req.query.version);
+  if (!versionNumber) {
+    return res.status(400).json({ success: false, message: 'Invalid version.' });
+  }
+
+  const access = await resolveAccess(doc, uid);
+  if (!canRead(access.level)) {
+    await recordAudit(req, { action: 'document.download', documentId: doc._id, result: 'denied' });
+    return res.status(403).json({ success: false, message: 'Access denied.' });
+  }
+
+  const entry = doc.getVersion(versionNumber);
+  if (!entry) {
+    return res.status(404).json({ success: false, message: 'Version not found.' });
+  }
+
+  const watermark = await copyWatermark(doc, uid, access, { email, ownerPurpose });
+
+  const range = req.get('Range');
+  if (!range || /^bytes=0-/.test(range)) {
+    await recordAudit(req, {
+      action:     'document.download',
+      documentId: doc._id,
+      metadata:   {
+        version:     versionNumber,
+        asOwner:     access.level === 'owner',
+        mode:        'stream',
+        watermarked: Boolean(watermark),
+      },
+    });
+  }
+
+  return sendVersion(req, res, doc, entry, watermark,
+    req.query.disposition === 'inline' ? 'inline' : 'attachment');
+});
+
+// ─── GET /api/documents/:id/thumbnail?size=thumbnail|preview ─────────────────
+// The current version as a small WebP image (services/renditions.js):
+// thumbnail (default) for lists, preview for the preview modal. PDFs show
+// their first page. 404 until the rendition has been generated — check
+// hasThumbnail / renditionStatus on the document. Anyone who can read the
+// document may fetch it; previews are audited like downloads, thumbnails are not,
+// and previews are watermarked for everyone but the owner.
+
+router.get('/:id/thumbnail', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+  const { id }  = req.params;
+  const kind    = req.query.size || 'thumbnail';
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+  }
+  if (!['thumbnail', 'preview'].includes(kind)) {
+    return res.status(400).json({ success: false, message: 'size must be "thumbnail" or "preview".' });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' });
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+
+  const access = await resolveAccess(doc, uid);
+  const { level } = access;
+  if (!canRead(level)) {
+    return res.status(403).json({ success: false, message: 'Access denied.' });
+  }
+
+  const rendition = doc.renditions && doc.renditions[kind];
+  if (!rendition) {
+    return res.status(404).json({
+      success: false,
+      status:  doc.renditions ? doc.renditions.status : null,
+      message: 'No preview image is available for this document yet.',
+    });
+  }
+
+  if (kind === 'preview') {
+    await recordAudit(req, {
+      action:     'document.preview',
+      documentId: doc._id,
+      metadata:   { version: doc.currentVersion, asOwner: level === 'owner' },
+    });
+  }
+
+  // Previews are big enough to pass on, so they are stamped like downloads
+  const watermark = kind === 'preview'
+    ? await copyWatermark(doc, uid, access, { email: req.user.email })
+    : null;
+
+  // A version's renditions never change, so the browser can revalidate cheaply
+  let etag = `"${doc._id}-v${doc.currentVersion}-${kind}"`;
+  if (watermark) etag = watermarkEtag(etag, watermark);
+  if (req.get('if-none-match') === etag) {
+    res.set({ 'Cache-Control': 'private, no-cache', ETag: etag });
+    return res.status(304).end();
+  }
+
+  let buffer = await readDocumentFile(rendition.storagePath, rendition.encryption);
+  if (watermark) {
+    try {
+      buffer = await applyWatermark(buffer, rendition.mimeType, watermark);
+    } catch (err) {
+      console.error(`[watermark] ${doc._id} v${doc.currentVersion} ${kind}: ${err.message}`);
+      return res.status(422).json({
+        success: false,
+        code:    'WATERMARK_FAILED',
+        message: 'This preview cannot be watermarked, so only its owner can view it.',
+      });
+    }
+  }
+  res.set({
+    'Cache-Control':  'private, no-cache',
+    ETag:             etag,
+    'Content-Type':   rendition.mimeType,
+    'Content-Length': buffer.length,
+  });
+  return res.send(buffer);
+});
+
+// ─── GET /api/documents/:id/verify ───────────────────────────────────────────
+// Re-hash every version's stored file and check it against the integrity
+// ledger (services/integrityLedger.js). Anyone who can read the document.
+// `status` is verified, mismatch, unreadable or unrecorded (no ledger yet —
+// jobs/integrityCheck.js records a baseline); `failures` says what is wrong.
+
+router.get('/:id/verify', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+  const { id }  = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' });
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+
+  const { level } = await resolveAccess(doc, uid);
+  if (!canRead(level)) {
+    await recordAudit(req, { action: 'document.verify', documentId: doc._id, result: 'denied' });
+    return res.status(403).json({ success: false, message: 'Access denied.' });
+  }
+
+  const report = await runVerification(() => verifyDocumentIntegrity(doc));
+
+  await recordAudit(req, {
+    action:     'document.verify',
+    documentId: doc._id,
+    metadata:   { status: report.status, failures: report.failures.length },
+  });
+
+  return res.json({ success: true, integrity: report });
+});
+
+// ─── GET /api/documents/:id/integrity-receipt ────────────────────────────────
+// A signed JSON receipt of the document's verified hashes and ledger head,
+// as a download. Owner only. Verifies first — a document that does not
+// verify gets 409 INTEGRITY_NOT_VERIFIED instead. Anyone can check a receipt
+// at POST /api/public/integrity/receipts/verify.
+
+router.get('/:id/integrity-receipt', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+  const { id }  = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' });
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+  if (doc.uploadedBy !== uid) {
+    await recordAudit(req, { action: 'document.integrity_receipt', documentId: doc._id, result: 'denied' });
+    return res.status(403).json({ success: false, message: 'Only the document owner can download a receipt.' });
+  }
+
+  const report = await runVerification(() => verifyDocumentIntegrity(doc));
+  if (report.status !== 'verified') {
+    await recordAudit(req, {
+      action:     'document.integrity_receipt',
+      documentId: doc._id,
+      result:     'failure',
+      metadata:   { status: report.status },
+    });
+    return res.status(409).json({
+      success:   false,
+      code:      'INTEGRITY_NOT_VERIFIED',
+      message:   report.status === 'unrecorded'
+        ? 'This document has no integrity record yet. Try again later.'
+        : 'This document did not verify, so no receipt can be issued.',
+      integrity: report,
+    });
+  }
+
+  const signed = await buildIntegrityReceipt(doc, report);
+
+  await recordAudit(req, {
+    action:     'document.integrity_receipt',
+    documentId: doc._id,
+    metadata:   { headHash: signed.receipt.ledger.headHash },
+  });
+
+  res.set({
+    'Content-Disposition': contentDisposition(`${downloadFileName(doc.title, '')} — integrity receipt.json`),
+    'Cache-Control':       'private, no-store',
+  });
+  return res.json(signed);
+});
+
+// ─── POST /api/documents/:id/versions ────────────────────────────────────────
+// Upload a new file revision under the same document. Sharing, history and the
+// document ID are kept; the new version becomes current. Owner or write grantee.
+// Optional body fields: note, title, category, description (metadata update).
+
+router.post(
+  '/:id/versions',
+  verifyToken,
+  upload.single('file'),
+  inspectUpload,
+  async (req, res) => {
+    const { uid } = req.user;
+    const { id }  = req.params;
+    const { note, title, category, description } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'File is required.' });
+    }
+    if (title !== undefined && !String(title).trim()) {
+      return res.status(400).json({ success: false, message: 'title cannot be empty.' });
+    }
+    if (category !== undefined && !VALID_CATEGORIES.has(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `category must be one of: ${[...VALID_CATEGORIES].join(', ')}`,
+      });
+    }
+
+    const doc = await Document.findOne({ _id: id, status: 'active' });
+    if (!doc) {
+      return res.status(404).json({ success: false, message: 'Document not found.' });
+    }
+    // Owner or write grantee
+    const { level } = await resolveAccess(doc, uid);
+    if (!canWrite(level)) {
+      await recordAudit(req, { action: 'document.version_add', documentId: doc._id, result: 'denied' });
+      return res.status(403).json({ success: false, message: 'You need write access to add versions.' });
+    }
+
+    doc.ensureVersionHistory();
+    const contentHash = hashContent(req.file.buffer);
+    if (contentHash === doc.contentHash) {
+      return res.status(409).json({
+        success: false,
+        code:    'DUPLICATE_CONTENT',
+        message: 'This file is identical to the current version.',
+      });
+    }
+
+    // Re-uploading an older revision shares its stored copy; anything else
+    // counts against the owner's quota, whoever uploads it
+    const sameAs = doc.versions.find((v) => v.contentHash === contentHash);
+    if (!sameAs) {
+      const overQuota = await checkQuota(doc.uploadedBy, req.file.size, { actorUid: uid });
+      if (overQuota) {
+        const { status, ...error } = overQuota;
+        return res.status(status).json({ success: false, ...error });
+      }
+    }
+
+    const versionNumber = Math.max(...doc.versions.map((v) => v.version)) + 1;
+    const destination   = versionDestination(doc.uploadedBy, doc._id, versionNumber, req.file.originalname);
+    const previous      = {
+      entry:       doc.getVersion(doc.currentVersion),
+      title:       doc.title,
+      category:    doc.category,
+      description: doc.description,
+    };
+
+    const { storagePath, encryption } = sameAs
+      ? { storagePath: sameAs.storagePath, encryption: sameAs.encryption && sameAs.encryption.toObject() }
+      : await storeDocumentFile(req.file.buffer, destination);
+
+    if (title !== undefined)       doc.title       = String(title).trim();
+    if (category !== undefined)    doc.category    = category;
+    if (description !== undefined) doc.description = String(description).trim();
+
+    doc.versions.push({
+      version:      versionNumber,
+      storagePath,
+      encryption,
+      mimeType:     req.file.mimetype,
+      fileSize:     req.file.size,
+      contentHash,
+      scan:         req.file.scan,
+      originalName: req.file.originalname,
+      title:        doc.title,
+      category:     doc.category,
+      description:  doc.description,
+      note:         note ? String(note).trim() : '',
+      uploadedBy:   uid,
+    });
+    doc.applyVersion(doc.versions[doc.versions.length - 1]);
+    await doc.save();
+
+    // Another upload may have been checked against the same usage meanwhile
+    const overQuota = !sameAs && await checkQuota(doc.uploadedBy, req.file.size, { actorUid: uid, stored: true });
+    if (overQuota) {
+      doc.versions = doc.versions.filter((v) => v.version !== versionNumber); // entries have no _id to pull by
+      doc.set({ title: previous.title, category: previous.category, description: previous.description });
+      doc.applyVersion(previous.entry);
+      await doc.save();
+      await deleteFile(storagePath);
+      queueTextExtraction(doc._id, previous.entry.version);
+
+      const { status, ...error } = overQuota;
+      return res.status(status).json({ success: false, ...error });
+    }
+
+    await recordIntegrity(doc._id, { event: 'version_add', version: versionNumber, contentHash, actorUid: uid });
+    queueTextExtraction(doc._id, versionNumber);
+    queueRenditions(doc._id, versionNumber);
+    queueQuotaWarnings(doc.uploadedBy);
+
+    await recordAudit(req, {
+      action:     'document.version_add',
+      documentId: doc._id,
+      metadata:   {
+        version:  versionNumber,
+        fileSize: req.file.size,
+        scan:     req.file.scan.status,
+        ...(req.file.metadataRemoved.length && { metadataRemoved: req.file.metadataRemoved }),
+      },
+    });
+
+    return res.status(201).json({
+      success:  true,
+      version:  toPublicVersion(doc.getVersion(versionNumber), doc),
+      document: toPublic(doc),
+    });
+  }
+);
+
+// ─── GET /api/documents/:id/versions ─────────────────────────────────────────
+
+router.get('/:id/versions', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+  const { id }  = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' });
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+
+  const { level } = await resolveAccess(doc, uid);
+  if (!canRead(level)) {
+    return res.status(403).json({ success: false, message: 'Access denied.' });
+  }
+
+  doc.ensureVersionHistory();
+  const versions = doc.versions
+    .map((v) => toPublicVersion(v, doc))
+    .sort((a, b) => b.version - a.version); // newest first
+
+  return res.json({
+    success:        true,
+    currentVersion: doc.currentVersion,
+    total:          versions.length,
+    versions,
+  });
+});
+
+// ─── GET /api/documents/:id/versions/diff?from=1&to=2 ────────────────────────
+// Metadata diff between two versions (file contents are not compared).
+
+router.get('/:id/versions/diff', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+  const { id }  = req.params;
+  const from    = parseVersionNumber(req.query.from);
+  const to      = parseVersionNumber(req.query.to);
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+  }
+  if (!from || !to) {
+    return res.status(400).json({ success: false, message: 'from and to must be version numbers.' });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' });
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+
+  const { level } = await resolveAccess(doc, uid);
+  if (!canRead(level)) {
+    return res.status(403).json({ success: false, message: 'Access denied.' });
+  }
+
+  const a = doc.getVersion(from);
+  const b = doc.getVersion(to);
+  if (!a || !b) {
+    return res.status(404).json({ success: false, message: 'Version not found.' });
+  }
+
+  const changes = VERSION_DIFF_FIELDS
+    .filter((field) => a[field] !== b[field])
+    .map((field) => ({ field, from: a[field], to: b[field] }));
+
+  return res.json({ success: true, from, to, changes });
+});
+
+// ─── GET /api/documents/:id/versions/:version/download ───────────────────────
+// As /download, for an older version.
+
+router.get('/:id/versions/:version/download', verifyToken, async (req, res) => {
+  const { uid }       = req.user;
+  const { id }        = req.params;
+  const versionNumber = parseVersionNumber(req.params.version);
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+  }
+  if (!versionNumber) {
+    return res.status(400).json({ success: false, message: 'Invalid version.' });
+  }
+  const ownerPurpose = ownerWatermarkRequest(req.query);
+  if (ownerPurpose === false) {
+    return res.status(400).json({ success: false, message: INVALID_PURPOSE_MESSAGE });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' });
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+
+  const { level } = await resolveAccess(doc, uid);
+  if (!canRead(level)) {
+    return res.status(403).json({ success: false, message: 'Access denied.' });
+  }
+
+  const entry = doc.getVersion(versionNumber);
+  if (!entry) {
+    return res.status(404).json({ success: false, message: 'Version not found.' });
+  }
+
+  const stamped = level !== 'owner' || ownerPurpose !== undefined;
+  await recordAudit(req, {
+    action:     'document.download',
+    documentId: doc._id,
+    metadata:   { version: versionNumber, asOwner: level === 'owner', watermarked: stamped },
+  });
+
+  const payload = buildDownloadPayload(doc, entry, uid, level === 'owner' ? ownerPurpose : undefined);
+  return res.json({ ...payload, watermarked: stamped });
+});
+
+// ─── POST /api/documents/:id/versions/:version/restore ───────────────────────
+// Make an older version current again. Nothing is deleted — the previously
+// current version stays in the history and can be restored in turn.
+
+router.post('/:id/versions/:version/restore', verifyToken, async (req, res) => {
+  const { uid }       = req.user;
+  const { id }        = req.params;
+  const versionNumber = parseVersionNumber(req.params.version);
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+  }
+  if (!versionNumber) {
+    return res.status(400).json({ success: false, message: 'Invalid version.' });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' });
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+  if (doc.uploadedBy !== uid) {
+    return res.status(403).json({ success: false, message: 'Only the document owner can restore versions.' });
+  }
+
+  const entry = doc.getVersion(versionNumber);
+  if (!entry) {
+    return res.status(404).json({ success: false, message: 'Version not found.' });
+  }
+  if (entry.version === doc.currentVersion) {
+    return res.status(409).json({ success: false, message: 'This version is already current.' });
+  }
+
+  doc.applyVersion(entry);
+  await doc.save();
+  await recordIntegrity(doc._id, {
+    event: 'version_restore', version: entry.version, contentHash: entry.contentHash, actorUid: uid,
+  });
+  queueTextExtraction(doc._id, entry.version);
+  if (!entry.renditions) queueRenditions(doc._id, entry.version);
+
+  await recordAudit(req, {
+    action:     'document.version_restore',
+    documentId: doc._id,
+    metadata:   { version: versionNumber },
+  });
+
+  return res.json({
+    success:  true,
+    message:  `Version ${versionNumber} restored as current.`,
+    document: toPublic(doc),
+  });
+});
+
+// ─── POST /api/documents/:id/split ───────────────────────────────────────────
+// One new PDF document per page of a PDF document's current version.
+// Body (JSON), all optional:
+//   pages           1-based page numbers to extract, in order — default all
+//   category, folderId, tags
+//                   for the new documents — default the original's
+//   allowDuplicate  as for POST /upload
+//   trashSource     true moves the original to trash afterwards
+// Owner only — pages split off by someone it is shared with would be
+// unwatermarked copies. Titled "<title> — page N"; each page is inspected
+// and stored like an upload and gets its own entry in `results`.
+
+const MAX_SPLIT_PAGES = 50;
+
+router.post('/:id/split', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+  const { id }  = req.params;
+  const body    = req.body || {};
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' });
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+
+  if (doc.uploadedBy !== uid) {
+    await recordAudit(req, { action: 'document.split', documentId: doc._id, result: 'denied' });
+    return res.status(403).json({ success: false, message: 'Only the document owner can split it.' });
+  }
+  if (doc.mimeType !== 'application/pdf') {
+    return res.status(400).json({ success: false, message: 'Only PDF documents can be split.' });
+  }
+
+  const entry      = doc.getVersion(doc.currentVersion);
+  const buffer     = await readDocumentFile(entry.storagePath, entry.encryption);
+  const totalPages = await countPdfPages(buffer);
+  if (!totalPages) {
+    return res.status(422).json({
+      success: false,
+      message: 'This PDF cannot be split — it is damaged or password-protected.',
+    });
+  }
+
+  let pages = body.pages;
+  if (pages === undefined) {
+    pages = Array.from({ length: totalPages }, (_, i) => i + 1);
+  } else if (!Array.isArray(pages) || !pages.length
+    || !pages.every((n) => Number.isInteger(n) && n >= 1 && n <= totalPages)) {
+    return res.status(400).json({
+      success: false,
+      message: `pages must be an array of page numbers from 1 to ${totalPages}.`,
+    });
+  }
+  if (pages.length > MAX_SPLIT_PAGES) {
+    return res.status(400).json({
+      success: false,
+      message: `At most ${MAX_SPLIT_PAGES} pages can be split off at a time — choose them with pages.`,
+    });
+  }
+
+  let parts;
+  try {
+    parts = await runSerially(() => splitPdf(buffer, pages));
+  } catch (err) {
+    console.error(`[split] ${doc._id}: ${err.message}`);
+    return res.status(422).json({ success: false, message: 'This PDF could not be split.' });
+  }
+
+  const defaults = {
+    category:       body.category ?? doc.category,
+    description:    doc.description,
+    tags:           body.tags ?? doc.tags,
+    folderId:       body.folderId !== undefined ? body.folderId : doc.folderId,
+    allowDuplicate: body.allowDuplicate,
+  };
+
+  const results = [];
+  for (const [index, part] of parts.entries()) {
+    const pageNumber = pages[index];
+    const item       = { index, page: pageNumber };
+    const file       = {
+      buffer:       part,
+      size:         part.length,
+      mimetype:     'application/pdf',
+      originalname: `${sanitizeName(doc.title)}-page-${pageNumber}.pdf`,
+    };
+
+    const blocked = await inspectUploadedFile(req, file);
+    if (blocked) {
+      results.push({ ...item, success: false, ...blocked });
+      continue;
+    }
+    const result = await createUploadedDocument(
+      req, file, { ...defaults, title: `${doc.title} — page ${pageNumber}` }, { source: 'split' }
+    );
+    results.push(result.error
+      ? { ...item, success: false, ...result.error }
+      : { ...item, success: true, document: toPublic(result.document) });
+  }
+
+  const created = results.filter((r) => r.success).length;
+  await recordAudit(req, {
+    action:     'document.split',
+    documentId: doc._id,
+    result:     created ? 'success' : 'failure',
+    metadata:   { version: entry.version, pages, created },
+  });
+
+  // Only trash the original once every page made it
+  let trashed = false;
+  if (body.trashSource === true && created === results.length) {
+    await moveToTrash(doc);
+    await recordAudit(req, { action: 'document.delete', documentId: doc._id, metadata: { splitInto: created } });
+    trashed = true;
+  }
+
+  return res.status(created ? 201 : 400).json({
+    success: created === results.length,
+    message: `${created} of ${results.length} pages saved as documents.`,
+    created,
+    failed:  results.length - created,
+    trashed,
+    results,
+  });
+});
+
+// ─── PATCH /api/documents/:id ────────────────────────────────────────────────
+// Update title, category, description, tags, the validity fields
+// (issueDate, expiryDate, issuingAuthority) and/or idFields. Owner or write grantee.
+// Version entries keep the metadata they were uploaded with.
+// Changing to a different category drops idFields unless new ones are sent.
+
+const UPDATABLE_FIELDS = [
+  'title', 'category', 'description', 'tags', 'issueDate', 'expiryDate', 'issuingAuthority', 'idFields',
+];
+
+router.patch('/:id', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+  const { id }  = req.params;
+  const { title, category, description } = req.body;
+  const tags = parseTags(req.body.tags);
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+  }
+  if (UPDATABLE_FIELDS.every((f) => req.body[f] === undefined)) {
+    return res.status(400).json({ success: false, message: 'Nothing to update.' });
+  }
+  if (tags === null) {
+    return res.status(400).json({ success: false, message: INVALID_TAGS_MESSAGE });
+  }
+  if (title !== undefined && !String(title).trim()) {
+    return res.status(400).json({ success: false, message: 'title cannot be empty.' });
+  }
+  if (category !== undefined && !VALID_CATEGORIES.has(category)) {
+    return res.status(400).json({
+      success: false,
+      message: `category must be one of: ${[...VALID_CATEGORIES].join(', ')}`,
+    });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' });
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+
+  const { level } = await resolveAccess(doc, uid);
+  if (!canWrite(level)) {
+    await recordAudit(req, { action: 'document.update', documentId: doc._id, result: 'denied' });
+    return res.status(403).json({ success: false, message: 'You need write access to edit this document.' });
+  }
+
+  const validity = parseValidityFields(req.body, doc);
+  if (validity.error) {
+    return res.status(400).json({ success: false, message: validity.error });
+  }
+
+  const ids = resolveIdFields(req.body.idFields, category || doc.category);
+  if (ids && ids.error) {
+    return res.status(400).json({ success: false, message: ids.error });
+  }
+
+  const changes = { ...validity.changes };
+  if (ids) {
+    changes.idFields = ids.idFields;
+  } else if (category !== undefined && doc.idFields && doc.idFields.kind !== category) {
+    changes.idFields = null;
+  }
+  if (title !== undefined)       changes.title       = String(title).trim();
+  if (category !== undefined)    changes.category    = category;
+  if (description !== undefined) changes.description = String(description).trim();
+  if (tags !== undefined)        changes.tags        = tags;
+
+  Object.assign(doc, changes);
+  doc.lastModified = new Date();
+  await doc.save();
+
+  await recordAudit(req, {
+    action:     'document.update',
+    documentId: doc._id,
+    metadata:   { fields: Object.keys(changes) },
+  });
+
+  return res.json({ success: true, message: 'Document updated.', document: toPublic(doc) });
+});
+
+// ─── PATCH /api/documents/:id/folder ─────────────────────────────────────────
+// Body: { folderId: folder id | null }. Owner only — folders are private to
+// their owner (see models/Folder.js), so grantees never see this placement.
+
+router.patch('/:id/folder', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+  const { id }  = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+  }
+  if (req.body.folderId === undefined) {
+    return res.status(400).json({ success: false, message: 'folderId is required (null for no folder).' });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' });
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+  if (doc.uploadedBy !== uid) {
+    return res.status(403).json({ success: false, message: 'Only the document owner can file it in a folder.' });
+  }
+
+  const folder = await resolveFolder(req.body.folderId, uid);
+  if (folder.status) {
+    return res.status(folder.status).json({ success: false, message: folder.message });
+  }
+
+  const from   = doc.folderId;
+  doc.folderId = folder.folderId;
+  await doc.save();
+
+  await recordAudit(req, {
+    action:     'document.move',
+    documentId: doc._id,
+    metadata:   { from, to: folder.folderId },
+  });
+
+  return res.json({ success: true, message: 'Document moved.', document: toPublic(doc) });
+});
+
+// ─── POST /api/documents/:id/id-fields/reveal ────────────────────────────────
+// The full, unmasked ID numbers. A POST so it is never prefetched or cached,
+// and every reveal is audited. Anyone who can read the document may reveal.
+
+router.post('/:id/id-fields/reveal', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+  const { id }  = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' });
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+
+  const { level } = await resolveAccess(doc, uid);
+  if (!canRead(level)) {
+    await recordAudit(req, { action: 'document.id_reveal', documentId: doc._id, result: 'denied' });
+    return res.status(403).json({ success: false, message: 'Access denied.' });
+  }
+  if (!doc.idFields) {
+    return res.status(404).json({ success: false, message: 'This document has no ID fields.' });
+  }
+
+  const values = unsealIdFields(doc.idFields);
+
+  await recordAudit(req, {
+    action:     'document.id_reveal',
+    documentId: doc._id,
+    metadata:   { kind: doc.idFields.kind, asOwner: level === 'owner' },
+  });
+
+  res.set('Cache-Control', 'private, no-store');
+  return res.json({
+    success:  true,
+    idFields: { kind: doc.idFields.kind, ...doc.idFields.display, ...values },
+  });
+});
+
+// ─── DELETE /api/documents/:id ────────────────────────────────────────────────
+// Moves the document to the trash. Files are kept until purgeAfter so the
+// owner can restore it; the purge job (jobs/purgeTrash.js) removes them later.
+
+router.delete('/:id', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+  const { id }  = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' });
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+
+  // Only the owner can delete
+  if (doc.uploadedBy !== uid) {
+    await recordAudit(req, { action: 'document.delete', documentId: doc._id, result: 'denied' });
+    return res.status(403).json({ success: false, message: 'Only the document owner can delete it.' });
+  }
+
+  await moveToTrash(doc);
+  await recordAudit(req, { action: 'document.delete', documentId: doc._id });
+
+  return res.json({
+    success:    true,
+    message:    `Document moved to trash. It can be restored for ${TRASH_RETENTION_DAYS} days.`,
+    purgeAfter: doc.purgeAfter,
+  });
+});
+
+/** Soft-delete: keeps the files until purgeAfter (DELETE /:id and POST /bulk). */
+async function moveToTrash(doc) {
+  const now = new Date();
+  doc.status       = 'deleted';
+  doc.deletedAt    = now;
+  doc.purgeAfter   = computePurgeAfter(now);
+  doc.lastModified = now;
+  await doc.save();
+}
+
+// ─── POST /api/documents/bulk ────────────────────────────────────────────────
+// One action on up to MAX_BULK_IDS documents.
+// Body: { action, ids: [documentId, …], …fields for the action }
+//   delete        move to trash                                     (owner)
+//   recategorize  { category }                                      (owner or write grantee)
+//   tag           { addTags?, removeTags? }                         (owner or write grantee)
+//   share         { targetUid | groupId, permission?, expiresAt?, purpose? }  (owner)
+// Every document is checked and audited as by its single-document route, and
+// gets its own entry in `results`, in request order.
+
+const MAX_BULK_IDS = 100;
+
+/** Write-access check for bulk edits, audited like PATCH /:id. */
+async function checkBulkWrite(req, doc, level) {
+  if (canWrite(level)) return null;
+  await recordAudit(req, { action: 'document.update', documentId: doc._id, result: 'denied' });
+  return { status: 403, message: 'You need write access to edit this document.' };
+}
+
+/**
+ * parse(req) validates the action's fields once, returning { status, message }
+ * to refuse the whole request or the params for apply.
+ * apply(req, doc, params, level) handles one active document the caller can
+ * read (level from resolveAccess): { status, message } to fail that item,
+ * { message } when done.
+ */
+const BULK_ACTIONS = {
+  delete: {
+    parse: () => ({}),
+    async apply(req, doc) {
+      if (doc.uploadedBy !== req.user.uid) {
+        await recordAudit(req, { action: 'document.delete', documentId: doc._id, result: 'denied' });
+        return { status: 403, message: 'Only the document owner can delete it.' };
+      }
+      await moveToTrash(doc);
+      await recordAudit(req, { action: 'document.delete', documentId: doc._id });
+      return { message: 'Moved to trash.' };
+    },
+  },
+
+  recategorize: {
+    parse(req) {
+      const { category } = req.body;
+      if (!VALID_CATEGORIES.has(category)) {
+        return { status: 400, message: `category must be one of: ${[...VALID_CATEGORIES].join(', ')}` };
+      }
+      return { category };
+    },
+    async apply(req, doc, { category }, level) {
+      const denied = await checkBulkWrite(req, doc, level);
+      if (denied) return denied;
+      if (doc.category === category) return { message: 'Already in this category.' };
+
+      // As in PATCH /:id, ID fields do not survive a change of category
+      const changes = { category };
+      if (doc.idFields && doc.idFields.kind !== category) changes.idFields = null;
+      Object.assign(doc, changes);
+      doc.lastModified = new Date();
+      await doc.save();
+
+      await recordAudit(req, {
+        action:     'document.update',
+        documentId: doc._id,
+        metadata:   { fields: Object.keys(changes), bulk: true },
+      });
+      return { message: 'Category changed.' };
+    },
+  },
+
+  tag: {
+    parse(req) {
+      const addTags    = parseTags(req.body.addTags);
+      const removeTags = parseTags(req.body.removeTags);
+      if (addTags === null || removeTags === null) {
+        return { status: 400, message: INVALID_TAGS_MESSAGE };
+      }
+      if (!(addTags || []).length && !(removeTags || []).length) {
+        return { status: 400, message: 'Provide addTags and/or removeTags.' };
+      }
+      return { addTags: addTags || [], removeTags: removeTags || [] };
+    },
+    async apply(req, doc, { addTags, removeTags }, level) {
+      const denied = await checkBulkWrite(req, doc, level);
+      if (denied) return denied;
+
+      const tags = [...new Set([...doc.tags, ...addTags])].filter((t) => !removeTags.includes(t));
+      if (tags.length > MAX_TAGS) {
+        return { status: 400, message: `A document can have at most ${MAX_TAGS} tags.` };
+      }
+      if (tags.length === doc.tags.length && tags.every((t) => doc.tags.includes(t))) {
+        return { message: 'Tags unchanged.' };
+      }
+
+      doc.tags         = tags;
+      doc.lastModified = new Date();
+      await doc.save();
+
+      await recordAudit(req, {
+        action:     'document.update',
+        documentId: doc._id,
+        metadata:   { fields: ['tags'], bulk: true },
+      });
+      return { message: 'Tags updated.' };
+    },
+  },
+
+  share: {
+    // The target is resolved once for the whole batch, with the same rules as POST /:id/share
+    async parse(req) {
+      const { uid } = req.user;
+      const { targetUid, groupId, permission = 'read' } = req.body;
+      const expiresAt = parseShareExpiry(req.body.expiresAt);
+      const purpose   = parsePurpose(req.body.purpose) ?? '';
+
+      if (Boolean(targetUid) === Boolean(groupId)) {
+        return { status: 400, message: 'Provide either targetUid or groupId.' };
+      }
+      if (targetUid && typeof targetUid !== 'string') {
+        return { status: 400, message: 'targetUid must be a string.' };
+      }
+      if (groupId && !mongoose.Types.ObjectId.isValid(groupId)) {
+        return { status: 400, message: 'Invalid groupId.' };
+      }
+      if (!PERMISSIONS.includes(permission)) {
+        return { status: 400, message: `permission must be one of: ${PERMISSIONS.join(', ')}` };
+      }
+      if (expiresAt === false) {
+        return { status: 400, message: 'expiresAt must be a date in the future.' };
+      }
+      if (purpose === false) {
+        return { status: 400, message: INVALID_PURPOSE_MESSAGE };
+      }
+      if (targetUid === uid) {
+        return { status: 400, message: 'You cannot share a document with yourself.' };
+      }
+
+      if (groupId) {
+        const group = await FamilyGroup.findOne({ _id: groupId, status: 'active' });
+        if (!group || !group.members.some((m) => m.uid === uid)) {
+          await recordAudit(req, {
+            action:     'document.share',
+            groupId,
+            result:     'denied',
+            metadata:   { groupId, reason: 'not_group_member', documentIds: req.body.ids },
+          });
+          return { status: 403, message: 'You can only share with groups you belong to.' };
+        }
+        return {
+          grant:    { groupId: group._id, groupName: group.name, permission, expiresAt: expiresAt || null, purpose },
+          audit:    { groupId: group._id, groupName: group.name },
+          conflict: 'Already shared with this group.',
+        };
+      }
+
+      const targetEmail = await findFamilyMemberEmail(uid, targetUid);
+      if (!targetEmail) {
+        await recordAudit(req, {
+          action:     'document.share',
+          targetType: 'user',
+          targetId:   targetUid,
+          result:     'denied',
+          metadata:   { targetUid, reason: 'not_family_member', documentIds: req.body.ids },
+        });
+        return { status: 403, message: 'targetUid is not a member of any of your family groups.' };
+      }
+      return {
+        grant:    { uid: targetUid, email: targetEmail, permission, expiresAt: expiresAt || null, purpose },
+        audit:    { targetUid, targetEmail },
+        conflict: 'Already shared with this user.',
+      };
+    },
+    async apply(req, doc, { grant, audit, conflict }) {
+      if (doc.uploadedBy !== req.user.uid) {
+        await recordAudit(req, { action: 'document.share', documentId: doc._id, result: 'denied' });
+        return { status: 403, message: 'Only the document owner can share it.' };
+      }
+      if (!await addShareGrant(doc, grant)) return { status: 409, message: conflict };
+
+      await recordAudit(req, {
+        action:     'document.share',
+        documentId: doc._id,
+        groupId:    grant.groupId || null,
+        metadata:   {
+          ...audit, permission: grant.permission, expiresAt: grant.expiresAt, purpose: grant.purpose, bulk: true,
+        },
+      });
+      return { message: 'Shared.' };
+    },
+  },
+};
+
+router.post('/bulk', verifyToken, async (req, res) => {
+  const { action, ids } = req.body;
+  const handler = Object.hasOwn(BULK_ACTIONS, action) ? BULK_ACTIONS[action] : null;
+
+  if (!handler) {
+    return res.status(400).json({
+      success: false,
+      message: `action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`,
+    });
+  }
+  if (!Array.isArray(ids) || !ids.length || ids.length > MAX_BULK_IDS) {
+    return res.status(400).json({
+      success: false,
+      message: `ids must be an array of 1 to ${MAX_BULK_IDS} document IDs.`,
+    });
+  }
 
-  // Lean projection — only pull the fields we need
-  const docs = await Document
-    .find({ uploadedBy: uid, status: 'active' })
-    .select('fileSize category')
-    .lean();
+  const params = await handler.parse(req);
+  if (params.status) {
+    return res.status(params.status).json({ success: false, message: params.message });
+  }
 
-  const totalSizeBytes = docs.reduce((sum, d) => sum + d.fileSize, 0);
+  const uniqueIds = [...new Set(ids.map(String))];
+  const validIds  = uniqueIds.filter((id) => mongoose.Types.ObjectId.isValid(id));
+  const docs      = await Document.find({ _id: { $in: validIds }, status: 'active' });
+  const byId      = new Map(docs.map((d) => [String(d._id), d]));
 
-  // Build category breakdown
-  const categoryMap = {};
-  docs.forEach((d) => {
-    categoryMap[d.category] = (categoryMap[d.category] || 0) + 1;
-  });
-  const categories = Object.entries(categoryMap)
-    .map(([name, count]) => ({ name, count }))
-    .sort((a, b) => b.count - a.count);
+  const results = [];
+  for (const id of uniqueIds) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      results.push({ id, success: false, status: 400, message: 'Invalid document ID.' });
+      continue;
+    }
+    // Documents the caller cannot see are reported like missing ones
+    const doc   = byId.get(id);
+    const level = doc ? (await resolveAccess(doc, req.user.uid)).level : null;
+    if (!doc || !canRead(level)) {
+      results.push({ id, success: false, status: 404, message: 'Document not found.' });
+      continue;
+    }
+
+    const outcome = await handler.apply(req, doc, params, level);
+    results.push(outcome.status
+      ? { id, success: false, status: outcome.status, message: outcome.message }
+      : { id, success: true, message: outcome.message, ...(action !== 'delete' && { document: toPublic(doc) }) });
+  }
 
+  const succeeded = results.filter((r) => r.success).length;
   return res.json({
-    success: true,
-    stats: {
-      totalDocs:      docs.length,
-      totalSizeBytes,
-      totalSizeMB:    parseFloat((totalSizeBytes / (1024 * 1024)).toFixed(2)),
-      categories,
-    },
+    success: succeeded === results.length,
+    message: `${succeeded} of ${results.length} documents updated.`,
+    action,
+    succeeded,
+    failed:  results.length - succeeded,
+    results,
   });
 });
 
-// ─── GET /api/documents/:id/download ─────────────────────────────────────────
+// ─── POST /api/documents/:id/restore ─────────────────────────────────────────
 
-router.get('/:id/download', verifyToken, async (req, res) => {
+router.post('/:id/restore', verifyToken, async (req, res) => {
   const { uid } = req.user;
   const { id }  = req.params;
 
@@ -195,35 +2784,29 @@ router.get('/:id/download', verifyToken, async (req, res) => {
     return res.status(400).json({ success: false, message: 'Invalid document ID.' });
   }
 
-  const doc = await Document.findOne({ _id: id, status: 'active' });
+  const doc = await Document.findOne({ _id: id, status: 'deleted' });
   if (!doc) {
-    return res.status(404).json({ success: false, message: 'Document not found.' });
+    return res.status(404).json({ success: false, message: 'Document not found in trash.' });
   }
-
-  // Access control: owner OR shared with this user
-  const isOwner  = doc.uploadedBy === uid;
-  const isShared = doc.sharedWith.some((s) => s.uid === uid);
-
-  if (!isOwner && !isShared) {
-    return res.status(403).json({ success: false, message: 'Access denied.' });
+  if (doc.uploadedBy !== uid) {
+    return res.status(403).json({ success: false, message: 'Only the document owner can restore it.' });
   }
 
-  // Always generate a fresh signed URL — the stored one may have expired
-  const url      = await getSignedUrl(doc.firebaseStoragePath);
-  const filename = sanitizeName(doc.title);
+  doc.status       = 'active';
+  doc.deletedAt    = null;
+  doc.purgeAfter   = null;
+  doc.lastModified = new Date();
+  await doc.save();
 
-  return res.json({
-    success:  true,
-    url,
-    filename,
-    mimeType: doc.mimeType,
-    fileSize: doc.fileSize,
-  });
+  await recordAudit(req, { action: 'document.restore', documentId: doc._id });
+
+  return res.json({ success: true, message: 'Document restored.', document: toPublic(doc) });
 });
 
-// ─── DELETE /api/documents/:id ────────────────────────────────────────────────
+// ─── DELETE /api/documents/:id/purge ─────────────────────────────────────────
+// "Delete forever" from the trash without waiting for the retention period.
 
-router.delete('/:id', verifyToken, async (req, res) => {
+router.delete('/:id/purge', verifyToken, async (req, res) => {
   const { uid } = req.user;
   const { id }  = req.params;
 
@@ -231,56 +2814,92 @@ router.delete('/:id', verifyToken, async (req, res) => {
     return res.status(400).json({ success: false, message: 'Invalid document ID.' });
   }
 
-  const doc = await Document.findOne({ _id: id, status: 'active' });
+  const doc = await Document.findOne({ _id: id, status: 'deleted' });
   if (!doc) {
-    return res.status(404).json({ success: false, message: 'Document not found.' });
+    return res.status(404).json({ success: false, message: 'Document not found in trash.' });
   }
-
-  // Only the owner can delete
   if (doc.uploadedBy !== uid) {
     return res.status(403).json({ success: false, message: 'Only the document owner can delete it.' });
   }
 
-  // Delete from Firebase Storage first (idempotent — won't crash if already gone)
-  await deleteFile(doc.firebaseStoragePath);
-
-  // Soft delete in MongoDB
-  doc.status       = 'deleted';
-  doc.lastModified = new Date();
-  await doc.save();
+  await purgeDocument(doc, uid);
+  await recordAudit(req, { action: 'document.purge', documentId: doc._id });
 
-  return res.json({ success: true, message: 'Document deleted successfully.' });
+  return res.json({ success: true, message: 'Document permanently deleted.' });
 });
 
 // ─── GET /api/documents/shared-with-me ─────────────────────────────────────────────
 // NOTE: registered BEFORE /:id/* routes so this path is not captured as an :id
+// Paginated like GET /api/documents.
 
 router.get('/shared-with-me', verifyToken, async (req, res) => {
   const { uid } = req.user;
 
-  const docs = await Document
-    .find({ 'sharedWith.uid': uid, status: 'active' })
-    .sort({ uploadDate: -1 });
+  const list = parseDocumentListQuery(req.query);
+  if (list.error) {
+    return res.status(400).json({ success: false, message: list.error });
+  }
+
+  // Direct grants plus grants to any group the caller is currently in.
+  // Expired grants are excluded even before the expireShares job removes them.
+  const groupIds = await groupIdsForUser(uid);
+  const { docs, total, nextCursor } = await paginate(Document, {
+    $or:        [activeGrantFilter(uid), activeGroupGrantFilter(groupIds)],
+    uploadedBy: { $ne: uid }, // owners are members of the groups they share with
+    status:     'active',
+  }, list);
 
   return res.json({
     success:   true,
-    total:     docs.length,
-    documents: docs.map(toPublic),
+    total,
+    nextCursor,
+    documents: docs.map((d) => {
+      // The caller's effective access, so the UI knows what to offer and why
+      const { level, grant, via } = describeAccess(d, uid, groupIds);
+      return {
+        ...toListEntry(d, list),
+        myPermission:      level,
+        myAccessExpiresAt: grant ? grant.expiresAt : null,
+        sharedVia:         via,
+      };
+    }),
   });
 });
 
 // ─── POST /api/documents/:id/share ──────────────────────────────────────────────────
+// Body: { targetUid | groupId, permission?: 'read' | 'write', expiresAt?: ISO date,
+//         purpose?: string }
+// Without expiresAt, access lasts until revoked. Sharing with a groupId covers
+// everyone who is a member of that group at the time they open the document.
+// purpose is printed in the watermark on their downloads (services/watermark.js).
 
 router.post('/:id/share', verifyToken, async (req, res) => {
   const { uid } = req.user;
   const { id }  = req.params;
-  const { targetUid } = req.body;
+  const { targetUid, groupId, permission = 'read' } = req.body;
+  const expiresAt = parseShareExpiry(req.body.expiresAt);
+  const purpose   = parsePurpose(req.body.purpose) ?? '';
 
   if (!mongoose.Types.ObjectId.isValid(id)) {
     return res.status(400).json({ success: false, message: 'Invalid document ID.' });
   }
-  if (!targetUid || typeof targetUid !== 'string') {
-    return res.status(400).json({ success: false, message: 'targetUid is required.' });
+  if (Boolean(targetUid) === Boolean(groupId)) {
+    return res.status(400).json({ success: false, message: 'Provide either targetUid or groupId.' });
+  }
+  if (targetUid && typeof targetUid !== 'string') {
+    return res.status(400).json({ success: false, message: 'targetUid must be a string.' });
+  }
+  if (groupId && !mongoose.Types.ObjectId.isValid(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid groupId.' });
+  }
+  if (!PERMISSIONS.includes(permission)) {
+    return res.status(400).json({ success: false, message: `permission must be one of: ${PERMISSIONS.join(', ')}` });
+  }
+  if (expiresAt === false) {
+    return res.status(400).json({ success: false, message: 'expiresAt must be a date in the future.' });
+  }
+  if (purpose === false) {
+    return res.status(400).json({ success: false, message: INVALID_PURPOSE_MESSAGE });
   }
   if (targetUid === uid) {
     return res.status(400).json({ success: false, message: 'You cannot share a document with yourself.' });
@@ -292,39 +2911,179 @@ router.post('/:id/share', verifyToken, async (req, res) => {
     return res.status(404).json({ success: false, message: 'Document not found.' });
   }
   if (doc.uploadedBy !== uid) {
+    await recordAudit(req, { action: 'document.share', documentId: doc._id, result: 'denied' });
     return res.status(403).json({ success: false, message: 'Only the document owner can share it.' });
   }
 
-  // Verify targetUid is a member of at least one of the owner's family groups
-  const ownerGroups = await FamilyGroup.find({ 'members.uid': uid, status: 'active' });
-
-  let targetEmail = null;
-  for (const group of ownerGroups) {
-    const member = group.members.find((m) => m.uid === targetUid);
-    if (member) { targetEmail = member.email; break; }
-  }
+  if (groupId) return shareWithGroup(req, res, doc, { groupId, permission, expiresAt, purpose });
 
+  // Verify targetUid is a member of at least one of the owner's family groups
+  const targetEmail = await findFamilyMemberEmail(uid, targetUid);
   if (!targetEmail) {
+    await recordAudit(req, {
+      action:     'document.share',
+      documentId: doc._id,
+      result:     'denied',
+      metadata:   { targetUid, reason: 'not_family_member' },
+    });
     return res.status(403).json({
       success: false,
       message: 'targetUid is not a member of any of your family groups.',
     });
   }
 
-  // Prevent duplicate share
-  const alreadyShared = doc.sharedWith.some((s) => s.uid === targetUid);
-  if (alreadyShared) {
+  const added = await addShareGrant(doc, {
+    uid: targetUid, email: targetEmail, permission, expiresAt: expiresAt || null, purpose,
+  });
+  if (!added) {
     return res.status(409).json({ success: false, message: 'Document is already shared with this user.' });
   }
 
-  // Sharing is read-only for MVP
-  doc.sharedWith.push({ uid: targetUid, email: targetEmail, permission: 'read' });
+  await recordAudit(req, {
+    action:     'document.share',
+    documentId: doc._id,
+    metadata:   { targetUid, targetEmail, permission, expiresAt: expiresAt || null, purpose },
+  });
+
+  return res.json({
+    success:  true,
+    message:  `Document shared with ${targetEmail}.`,
+    document: toPublic(doc),
+  });
+});
+
+/** Group branch of POST /:id/share — `doc` is already loaded and owned by the caller. */
+async function shareWithGroup(req, res, doc, { groupId, permission, expiresAt, purpose }) {
+  const group = await FamilyGroup.findOne({ _id: groupId, status: 'active' });
+  if (!group || !group.members.some((m) => m.uid === req.user.uid)) {
+    await recordAudit(req, {
+      action:     'document.share',
+      documentId: doc._id,
+      result:     'denied',
+      metadata:   { groupId, reason: 'not_group_member' },
+    });
+    return res.status(403).json({ success: false, message: 'You can only share with groups you belong to.' });
+  }
+
+  const added = await addShareGrant(doc, {
+    groupId:   group._id,
+    groupName: group.name,
+    permission,
+    expiresAt: expiresAt || null,
+    purpose,
+  });
+  if (!added) {
+    return res.status(409).json({ success: false, message: 'Document is already shared with this group.' });
+  }
+
+  await recordAudit(req, {
+    action:     'document.share',
+    documentId: doc._id,
+    groupId:    group._id,
+    metadata:   { groupId: group._id, groupName: group.name, permission, expiresAt: expiresAt || null, purpose },
+  });
+
+  return res.json({
+    success:  true,
+    message:  `Document shared with everyone in "${group.name}".`,
+    document: toPublic(doc),
+  });
+}
+
+/** Email of targetUid if they share an active family group with uid, else null. */
+async function findFamilyMemberEmail(uid, targetUid) {
+  const ownerGroups = await FamilyGroup.find({ 'members.uid': uid, status: 'active' });
+  for (const group of ownerGroups) {
+    const member = group.members.find((m) => m.uid === targetUid);
+    if (member) return member.email;
+  }
+  return null;
+}
+
+/**
+ * Add a user grant ({ uid, email, … }) or group grant ({ groupId, groupName, … })
+ * and save. An expired grant for the same target that the expireShares job
+ * has not swept yet is replaced.
+ * @returns {Promise<boolean>} false if the target already has an active grant
+ */
+async function addShareGrant(doc, grant) {
+  const list = grant.groupId ? 'sharedWithGroups' : 'sharedWith';
+  const same = grant.groupId ? (g) => g.groupId.equals(grant.groupId) : (s) => s.uid === grant.uid;
+
+  const existing = doc[list].find(same);
+  if (existing && isGrantActive(existing)) return false;
+  if (existing) doc[list] = doc[list].filter((g) => !same(g));
+
+  doc[list].push(grant);
+  doc.lastModified = new Date();
+  await doc.save();
+  return true;
+}
+
+// ─── PATCH /api/documents/:id/share/:uid ─────────────────────────────────────
+// Change an existing grant.
+// Body: { permission?: 'read' | 'write', expiresAt?: ISO date | null (no expiry),
+//         purpose?: string ('' or null clears it) }
+
+router.patch('/:id/share/:uid', verifyToken, async (req, res) => {
+  const { uid: requesterUid } = req.user;
+  const { id, uid: targetUid } = req.params;
+  const { permission } = req.body;
+  const expiresAt = parseShareExpiry(req.body.expiresAt);
+  const purpose   = parsePurpose(req.body.purpose);
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+  }
+  if (permission === undefined && expiresAt === undefined && purpose === undefined) {
+    return res.status(400).json({ success: false, message: 'Provide permission, expiresAt and/or purpose.' });
+  }
+  if (purpose === false) {
+    return res.status(400).json({ success: false, message: INVALID_PURPOSE_MESSAGE });
+  }
+  if (permission !== undefined && !PERMISSIONS.includes(permission)) {
+    return res.status(400).json({ success: false, message: `permission must be one of: ${PERMISSIONS.join(', ')}` });
+  }
+  if (expiresAt === false) {
+    return res.status(400).json({ success: false, message: 'expiresAt must be a date in the future.' });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' });
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+
+  // Only the owner can change permissions — write grantees cannot reshare
+  if (doc.uploadedBy !== requesterUid) {
+    await recordAudit(req, { action: 'document.share_update', documentId: doc._id, result: 'denied' });
+    return res.status(403).json({ success: false, message: 'Only the document owner can change permissions.' });
+  }
+
+  const grant = doc.sharedWith.find((s) => s.uid === targetUid);
+  if (!grant || !isGrantActive(grant)) {
+    return res.status(404).json({ success: false, message: 'User does not have access to this document.' });
+  }
+
+  const previous = { permission: grant.permission, expiresAt: grant.expiresAt, purpose: grant.purpose };
+  if (permission !== undefined) grant.permission = permission;
+  if (expiresAt !== undefined)  grant.expiresAt  = expiresAt;
+  if (purpose !== undefined)    grant.purpose    = purpose;
   doc.lastModified = new Date();
   await doc.save();
 
+  await recordAudit(req, {
+    action:     'document.share_update',
+    documentId: doc._id,
+    metadata:   {
+      targetUid,
+      from: previous,
+      to:   { permission: grant.permission, expiresAt: grant.expiresAt, purpose: grant.purpose },
+    },
+  });
+
   return res.json({
     success:  true,
-    message:  `Document shared with ${targetEmail}.`,
+    message:  `Access updated for ${grant.email}.`,
     document: toPublic(doc),
   });
 });
@@ -347,6 +3106,7 @@ router.delete('/:id/share/:uid', verifyToken, async (req, res) => {
 
   // Only the owner can revoke access
   if (doc.uploadedBy !== requesterUid) {
+    await recordAudit(req, { action: 'document.share_revoke', documentId: doc._id, result: 'denied' });
     return res.status(403).json({ success: false, message: 'Only the document owner can revoke sharing.' });
   }
 
@@ -360,7 +3120,261 @@ router.delete('/:id/share/:uid', verifyToken, async (req, res) => {
 
   await doc.save();
 
+  await recordAudit(req, {
+    action:     'document.share_revoke',
+    documentId: doc._id,
+    metadata:   { targetUid },
+  });
+
   return res.json({ success: true, message: 'Access revoked.', document: toPublic(doc) });
 });
 
+// ─── PATCH /api/documents/:id/share/group/:groupId ───────────────────────────
+// Change a group grant. Body: { permission?, expiresAt?, purpose? } — as for user grants.
+
+router.patch('/:id/share/group/:groupId', verifyToken, async (req, res) => {
+  const { uid }         = req.user;
+  const { id, groupId } = req.params;
+  const { permission }  = req.body;
+  const expiresAt = parseShareExpiry(req.body.expiresAt);
+  const purpose   = parsePurpose(req.body.purpose);
+
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid document or group ID.' });
+  }
+  if (permission === undefined && expiresAt === undefined && purpose === undefined) {
+    return res.status(400).json({ success: false, message: 'Provide permission, expiresAt and/or purpose.' });
+  }
+  if (purpose === false) {
+    return res.status(400).json({ success: false, message: INVALID_PURPOSE_MESSAGE });
+  }
+  if (permission !== undefined && !PERMISSIONS.includes(permission)) {
+    return res.status(400).json({ success: false, message: `permission must be one of: ${PERMISSIONS.join(', ')}` });
+  }
+  if (expiresAt === false) {
+    return res.status(400).json({ success: false, message: 'expiresAt must be a date in the future.' });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' });
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+  if (doc.uploadedBy !== uid) {
+    await recordAudit(req, { action: 'document.share_update', documentId: doc._id, groupId, result: 'denied' });
+    return res.status(403).json({ success: false, message: 'Only the document owner can change permissions.' });
+  }
+
+  const grant = doc.sharedWithGroups.find((g) => g.groupId.equals(groupId));
+  if (!grant || !isGrantActive(grant)) {
+    return res.status(404).json({ success: false, message: 'Document is not shared with this group.' });
+  }
+
+  const previous = { permission: grant.permission, expiresAt: grant.expiresAt, purpose: grant.purpose };
+  if (permission !== undefined) grant.permission = permission;
+  if (expiresAt !== undefined)  grant.expiresAt  = expiresAt;
+  if (purpose !== undefined)    grant.purpose    = purpose;
+  doc.lastModified = new Date();
+  await doc.save();
+
+  await recordAudit(req, {
+    action:     'document.share_update',
+    documentId: doc._id,
+    groupId:    grant.groupId,
+    metadata:   {
+      groupId:   grant.groupId,
+      groupName: grant.groupName,
+      from:      previous,
+      to:        { permission: grant.permission, expiresAt: grant.expiresAt, purpose: grant.purpose },
+    },
+  });
+
+  return res.json({
+    success:  true,
+    message:  `Access updated for "${grant.groupName}".`,
+    document: toPublic(doc),
+  });
+});
+
+// ─── DELETE /api/documents/:id/share/group/:groupId ──────────────────────────
+// Revoke a group grant. Members who also have a direct grant keep that access.
+
+router.delete('/:id/share/group/:groupId', verifyToken, async (req, res) => {
+  const { uid }         = req.user;
+  const { id, groupId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid document or group ID.' });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' });
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+  if (doc.uploadedBy !== uid) {
+    await recordAudit(req, { action: 'document.share_revoke', documentId: doc._id, groupId, result: 'denied' });
+    return res.status(403).json({ success: false, message: 'Only the document owner can revoke sharing.' });
+  }
+
+  const grant = doc.sharedWithGroups.find((g) => g.groupId.equals(groupId));
+  if (!grant) {
+    return res.status(404).json({ success: false, message: 'Document is not shared with this group.' });
+  }
+
+  doc.sharedWithGroups = doc.sharedWithGroups.filter((g) => !g.groupId.equals(groupId));
+  doc.lastModified     = new Date();
+  await doc.save();
+
+  await recordAudit(req, {
+    action:     'document.share_revoke',
+    documentId: doc._id,
+    groupId:    grant.groupId,
+    metadata:   { groupId: grant.groupId, groupName: grant.groupName },
+  });
+
+  return res.json({ success: true, message: 'Group access revoked.', document: toPublic(doc) });
+});
+
+// ─── POST /api/documents/:id/links ───────────────────────────────────────────
+// Mint a public link for someone outside SecureGov. Owner only.
+// Body: { expiresAt?: ISO date (default 7 days, max SHARE_LINK_MAX_DAYS),
+//         maxDownloads?: number, passcode?: string, label?: string }
+// The token is returned once, here — only its hash is stored.
+
+router.post('/:id/links', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+  const { id }  = req.params;
+  const { passcode, label } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+  }
+
+  const maxExpiry = new Date(Date.now() + SHARE_LINK_MAX_DAYS * DAY_MS);
+  const expiresAt = parseShareExpiry(req.body.expiresAt);
+  if (expiresAt === false || (expiresAt && expiresAt > maxExpiry)) {
+    return res.status(400).json({
+      success: false,
+      message: `expiresAt must be a future date within ${SHARE_LINK_MAX_DAYS} days.`,
+    });
+  }
+
+  let maxDownloads = null;
+  if (req.body.maxDownloads !== undefined && req.body.maxDownloads !== null && req.body.maxDownloads !== '') {
+    maxDownloads = Number(req.body.maxDownloads);
+    if (!Number.isInteger(maxDownloads) || maxDownloads < 1 || maxDownloads > MAX_LINK_DOWNLOADS) {
+      return res.status(400).json({
+        success: false,
+        message: `maxDownloads must be a whole number from 1 to ${MAX_LINK_DOWNLOADS}.`,
+      });
+    }
+  }
+
+  if (passcode && String(passcode).length < MIN_PASSCODE_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `passcode must be at least ${MIN_PASSCODE_LENGTH} characters.`,
+    });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' });
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+  if (doc.uploadedBy !== uid) {
+    await recordAudit(req, { action: 'document.link_create', documentId: doc._id, result: 'denied' });
+    return res.status(403).json({ success: false, message: 'Only the document owner can create share links.' });
+  }
+
+  const { token, tokenHash } = ShareLink.generateToken();
+  const link = await ShareLink.create({
+    documentId:   doc._id,
+    createdBy:    uid,
+    label:        label ? String(label).trim().slice(0, 100) : '',
+    tokenHash,
+    expiresAt:    expiresAt || new Date(Date.now() + SHARE_LINK_DEFAULT_DAYS * DAY_MS),
+    maxDownloads,
+    passcodeHash: passcode ? await ShareLink.hashPasscode(passcode) : null,
+  });
+
+  await recordAudit(req, {
+    action:     'document.link_create',
+    documentId: doc._id,
+    metadata:   {
+      linkId:           link._id,
+      expiresAt:        link.expiresAt,
+      maxDownloads,
+      requiresPasscode: Boolean(passcode),
+    },
+  });
+
+  return res.status(201).json({
+    success: true,
+    message: 'Share link created. Copy it now — it will not be shown again.',
+    link:    { ...toPublicLink(link), ...buildShareLinkUrls(token) },
+  });
+});
+
+// ─── GET /api/documents/:id/links ────────────────────────────────────────────
+
+router.get('/:id/links', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+  const { id }  = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' }).select('uploadedBy').lean();
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+  if (doc.uploadedBy !== uid) {
+    return res.status(403).json({ success: false, message: 'Only the document owner can view share links.' });
+  }
+
+  const links = await ShareLink.find({ documentId: id }).sort({ createdAt: -1 });
+
+  return res.json({ success: true, total: links.length, links: links.map(toPublicLink) });
+});
+
+// ─── DELETE /api/documents/:id/links/:linkId ─────────────────────────────────
+
+router.delete('/:id/links/:linkId', verifyToken, async (req, res) => {
+  const { uid }        = req.user;
+  const { id, linkId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(linkId)) {
+    return res.status(400).json({ success: false, message: 'Invalid document or link ID.' });
+  }
+
+  const doc = await Document.findOne({ _id: id, status: 'active' }).select('uploadedBy').lean();
+  if (!doc) {
+    return res.status(404).json({ success: false, message: 'Document not found.' });
+  }
+  if (doc.uploadedBy !== uid) {
+    await recordAudit(req, { action: 'document.link_revoke', documentId: id, result: 'denied' });
+    return res.status(403).json({ success: false, message: 'Only the document owner can revoke share links.' });
+  }
+
+  const link = await ShareLink.findOne({ _id: linkId, documentId: id });
+  if (!link) {
+    return res.status(404).json({ success: false, message: 'Share link not found.' });
+  }
+  if (link.status === 'revoked') {
+    return res.status(409).json({ success: false, message: 'Share link is already revoked.' });
+  }
+
+  link.status    = 'revoked';
+  link.revokedAt = new Date();
+  await link.save();
+
+  await recordAudit(req, {
+    action:     'document.link_revoke',
+    documentId: id,
+    metadata:   { linkId: link._id },
+  });
+
+  return res.json({ success: true, message: 'Share link revoked.', link: toPublicLink(link) });
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,337 @@
+'use strict';
+
+const express      = require('express');
+const mongoose     = require('mongoose');
+const { Writable } = require('stream');
+const router       = express.Router();
+
+const { verifyToken }      = require('../middleware/auth');
+const Document             = require('../models/Document');
+const ExportJob            = require('../models/ExportJob');
+const Folder               = require('../models/Folder');
+const { recordAudit }      = require('../services/auditLog');
+const { readDocumentFile } = require('../services/documentFiles');
+const { deleteFile }       = require('../services/storage');
+const {
+  MIN_PASSPHRASE_LENGTH, EXPORT_MAX_BYTES,
+  buildExportQuery, measureExport, writeExportArchive, queueExport,
+} = require('../services/exportArchive');
+const {
+  signResource, verifyResource, getSigningSecret, getPublicBaseUrl,
+} = require('../utils/signedUrl');
+const { contentDisposition, sendFile } = require('../utils/fileResponse');
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+// Exports up to this size can be streamed straight back (POST /stream);
+// larger ones must go through a background job (POST /)
+const EXPORT_STREAM_MAX_BYTES = Number(process.env.EXPORT_STREAM_MAX_BYTES) || 50 * 1024 * 1024;
+
+const MAX_PASSPHRASE_LENGTH = 256;
+const MAX_EXPORT_IDS        = 1000;
+const MAX_JOBS_LISTED       = 20;
+const DOWNLOAD_URL_TTL_MS   = 15 * 60 * 1000; // 15 minutes
+
+const CATEGORIES = Document.schema.path('category').enumValues;
+
+function toPublicExport(job) {
+  return {
+    id:            job._id,
+    status:        job.status,
+    filter:        job.filter,
+    encrypted:     job.encrypted,
+    documentCount: job.documentCount,
+    documentsDone: job.documentsDone,
+    fileSize:      job.fileSize,
+    error:         job.error,
+    createdAt:     job.createdAt,
+    startedAt:     job.startedAt,
+    completedAt:   job.completedAt,
+    expiresAt:     job.expiresAt,
+  };
+}
+
+/** "securegov-export-2026-10-19.zip" */
+function archiveFileName(date = new Date()) {
+  return `securegov-export-${date.toISOString().slice(0, 10)}.zip`;
+}
+
+/**
+ * Parse the body shared by POST / and POST /stream:
+ *   category, tag, folderId (subfolders included), ids — all optional;
+ *                            none = every active document
+ *   passphrase             — optional; encrypts the archive with AES-256
+ *
+ * @returns {Promise<{ filter: object, passphrase: string|null }|{ status: number, message: string }>}
+ */
+async function parseExportRequest(body, uid) {
+  const filter = {};
+
+  if (body.category) {
+    if (!CATEGORIES.includes(body.category)) {
+      return { status: 400, message: `category must be one of: ${CATEGORIES.join(', ')}` };
+    }
+    filter.category = body.category;
+  }
+
+  if (body.tag) {
+    if (typeof body.tag !== 'string') return { status: 400, message: 'tag must be a string.' };
+    filter.tag = body.tag.trim().toLowerCase();
+  }
+
+  if (body.folderId) {
+    if (!mongoose.Types.ObjectId.isValid(body.folderId)) {
+      return { status: 400, message: 'Invalid folderId.' };
+    }
+    const folder = await Folder.findOne({ _id: body.folderId, ownerUid: uid }).select('_id').lean();
+    if (!folder) return { status: 404, message: 'Folder not found.' };
+    filter.folderId = folder._id;
+  }
+
+  if (body.ids !== undefined) {
+    const { ids } = body;
+    if (!Array.isArray(ids) || !ids.length || ids.length > MAX_EXPORT_IDS
+      || !ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return { status: 400, message: `ids must be an array of 1–${MAX_EXPORT_IDS} document IDs.` };
+    }
+    filter.ids = [...new Set(ids.map(String))];
+  }
+
+  let passphrase = null;
+  if (body.passphrase !== undefined && body.passphrase !== null && body.passphrase !== '') {
+    if (typeof body.passphrase !== 'string'
+      || body.passphrase.length < MIN_PASSPHRASE_LENGTH
+      || body.passphrase.length > MAX_PASSPHRASE_LENGTH) {
+      return {
+        status:  400,
+        message: `passphrase must be ${MIN_PASSPHRASE_LENGTH}–${MAX_PASSPHRASE_LENGTH} characters.`,
+      };
+    }
+    passphrase = body.passphrase;
+  }
+
+  return { filter, passphrase };
+}
+
+async function findOwnJob(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: 'Invalid export ID.' });
+    return null;
+  }
+  const job = await ExportJob.findOne({ _id: id, ownerUid: req.user.uid });
+  if (!job) {
+    res.status(404).json({ success: false, message: 'Export not found.' });
+    return null;
+  }
+  return job;
+}
+
+// ─── POST /api/exports ───────────────────────────────────────────────────────
+// Start a background export (see parseExportRequest for the body). Responds
+// 202 with the job; poll GET /:id, and the owner is emailed when it is ready.
+// One export per user at a time.
+
+router.post('/', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+
+  const parsed = await parseExportRequest(req.body, uid);
+  if (parsed.status) {
+    return res.status(parsed.status).json({ success: false, message: parsed.message });
+  }
+  const { filter, passphrase } = parsed;
+
+  const active = await ExportJob.exists({ ownerUid: uid, status: { $in: ['queued', 'running'] } });
+  if (active) {
+    return res.status(409).json({
+      success: false,
+      message: 'An export is already in progress. Wait for it to finish before starting another.',
+    });
+  }
+
+  const { count, bytes } = await measureExport(uid, filter);
+  if (!count) {
+    return res.status(400).json({ success: false, message: 'No documents match this export.' });
+  }
+  if (bytes > EXPORT_MAX_BYTES) {
+    return res.status(413).json({
+      success: false,
+      code:    'EXPORT_TOO_LARGE',
+      message: `These documents total ${Math.ceil(bytes / 1024 / 1024)} MB; one export can hold at most `
+             + `${Math.floor(EXPORT_MAX_BYTES / 1024 / 1024)} MB. Export a category or folder at a time.`,
+    });
+  }
+
+  const job = await ExportJob.create({
+    ownerUid:      uid,
+    filter,
+    encrypted:     Boolean(passphrase),
+    documentCount: count,
+  });
+
+  await recordAudit(req, {
+    action:     'vault.export',
+    targetType: 'user',
+    targetId:   uid,
+    metadata:   { exportId: job._id, documentCount: count, encrypted: job.encrypted, mode: 'background' },
+  });
+
+  queueExport(job, passphrase);
+
+  return res.status(202).json({ success: true, export: toPublicExport(job) });
+});
+
+// ─── POST /api/exports/stream ────────────────────────────────────────────────
+// Same body as POST /, but the ZIP is streamed back in the response. Only for
+// exports up to EXPORT_STREAM_MAX_BYTES — larger ones get 413
+// EXPORT_TOO_LARGE_TO_STREAM and should be started with POST / instead.
+
+router.post('/stream', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+
+  const parsed = await parseExportRequest(req.body, uid);
+  if (parsed.status) {
+    return res.status(parsed.status).json({ success: false, message: parsed.message });
+  }
+  const { filter, passphrase } = parsed;
+
+  const { count, bytes } = await measureExport(uid, filter);
+  if (!count) {
+    return res.status(400).json({ success: false, message: 'No documents match this export.' });
+  }
+  if (bytes > EXPORT_STREAM_MAX_BYTES) {
+    return res.status(413).json({
+      success: false,
+      code:    'EXPORT_TOO_LARGE_TO_STREAM',
+      message: 'This export is too large to download directly. Start a background export instead.',
+    });
+  }
+
+  const docs = await Document.find(await buildExportQuery(uid, filter)).sort({ uploadDate: 1 });
+
+  await recordAudit(req, {
+    action:     'vault.export',
+    targetType: 'user',
+    targetId:   uid,
+    metadata:   { documentCount: docs.length, encrypted: Boolean(passphrase), mode: 'stream' },
+  });
+
+  res.set({
+    'Content-Type':        'application/zip',
+    'Content-Disposition': contentDisposition(archiveFileName()),
+    'Cache-Control':       'private, no-store',
+  });
+
+  try {
+    await writeExportArchive(docs, Writable.toWeb(res), { ownerUid: uid, passphrase });
+  } catch (err) {
+    // Headers are gone — all we can do is cut the download short
+    console.error(`[exports] stream for ${uid}: ${err.message}`);
+    res.destroy(err);
+  }
+});
+
+// ─── GET /api/exports ────────────────────────────────────────────────────────
+// The caller's most recent exports, newest first.
+
+router.get('/', verifyToken, async (req, res) => {
+  const jobs = await ExportJob
+    .find({ ownerUid: req.user.uid })
+    .sort({ createdAt: -1 })
+    .limit(MAX_JOBS_LISTED)
+    .lean();
+
+  return res.json({ success: true, exports: jobs.map(toPublicExport) });
+});
+
+// ─── GET /api/exports/:id ────────────────────────────────────────────────────
+
+router.get('/:id', verifyToken, async (req, res) => {
+  const job = await findOwnJob(req, res);
+  if (!job) return undefined;
+  return res.json({ success: true, export: toPublicExport(job) });
+});
+
+// ─── GET /api/exports/:id/download ───────────────────────────────────────────
+// A short-lived signed link to GET /:id/content for a finished export.
+
+router.get('/:id/download', verifyToken, async (req, res) => {
+  const job = await findOwnJob(req, res);
+  if (!job) return undefined;
+
+  if (job.status !== 'done') {
+    const message = job.status === 'expired'
+      ? 'This export has expired. Start a new one.'
+      : 'This export is not ready yet.';
+    return res.status(409).json({ success: false, message });
+  }
+
+  const { expires, signature } = signResource(
+    `export:${job._id}`, DOWNLOAD_URL_TTL_MS, getSigningSecret('DOWNLOAD_URL_SECRET')
+  );
+
+  await recordAudit(req, {
+    action:     'vault.export_download',
+    targetType: 'user',
+    targetId:   req.user.uid,
+    metadata:   { exportId: job._id, fileSize: job.fileSize },
+  });
+
+  return res.json({
+    success:  true,
+    url:      `${getPublicBaseUrl()}/api/exports/${job._id}/content?expires=${expires}&signature=${signature}`,
+    filename: archiveFileName(job.completedAt),
+    fileSize: job.fileSize,
+  });
+});
+
+// ─── GET /api/exports/:id/content ────────────────────────────────────────────
+// The archive itself. No Bearer token — authorized by the signature minted in
+// /download, so the browser can download it with a plain link.
+
+router.get('/:id/content', async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid export ID.' });
+  }
+
+  const check = verifyResource(`export:${id}`, req.query, getSigningSecret('DOWNLOAD_URL_SECRET'));
+  if (!check.valid) {
+    const message = check.reason === 'expired' ? 'Download link has expired.' : 'Invalid download link.';
+    return res.status(403).json({ success: false, message });
+  }
+
+  const job = await ExportJob.findOne({ _id: id, status: 'done' });
+  if (!job) {
+    return res.status(404).json({ success: false, message: 'Export not found or expired.' });
+  }
+
+  const buffer = await readDocumentFile(job.storagePath, job.encryption);
+  return sendFile(req, res, buffer, {
+    mimeType:     'application/zip',
+    filename:     archiveFileName(job.completedAt),
+    etag:         `"${job._id}"`,
+    lastModified: job.completedAt,
+  });
+});
+
+// ─── DELETE /api/exports/:id ─────────────────────────────────────────────────
+// Delete a finished, failed or expired export and its archive. A queued or
+// running export cannot be cancelled.
+
+router.delete('/:id', verifyToken, async (req, res) => {
+  const job = await findOwnJob(req, res);
+  if (!job) return undefined;
+
+  if (['queued', 'running'].includes(job.status)) {
+    return res.status(409).json({ success: false, message: 'This export is still running.' });
+  }
+
+  if (job.storagePath) await deleteFile(job.storagePath);
+  await job.deleteOne();
+
+  return res.json({ success: true, message: 'Export deleted.' });
+});
+
+module.exports = router;
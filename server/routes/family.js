@@ -8,6 +8,7 @@ const router   = express.Router();
 const { verifyToken }                  = require('../middleware/auth');
 const FamilyGroup                      = require('../models/FamilyGroup');
 const { sendFamilyInvitationEmail }    = require('../services/emailService');
+const { recordAudit }                  = require('../services/auditLog');
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -64,6 +65,8 @@ router.post('/groups', verifyToken, async (req, res) => {
     }],
   });
 
+  await recordAudit(req, { action: 'family.group_create', groupId: group._id, metadata: { name: group.name } });
+
   return res.status(201).json({ success: true, group: toPublicGroup(group, uid) });
 });
 
@@ -145,6 +148,7 @@ router.post('/invite', verifyToken, async (req, res) => {
   // ── Caller must be admin ──────────────────────────────────────────────────
   const caller = group.members.find((m) => m.uid === uid);
   if (!caller || caller.role !== 'admin') {
+    await recordAudit(req, { action: 'family.invite', groupId: group._id, result: 'denied' });
     return res.status(403).json({ success: false, message: 'Only group admins can invite.' });
   }
 
@@ -195,6 +199,12 @@ router.post('/invite', verifyToken, async (req, res) => {
     rejectUrl,
   });
 
+  await recordAudit(req, {
+    action:   'family.invite',
+    groupId:  group._id,
+    metadata: { email: normalizedEmail, role, emailSent: emailResult.sent },
+  });
+
   return res.status(201).json({
     success: true,
     message: emailResult.sent
@@ -303,6 +313,12 @@ router.post('/accept/:token', verifyToken, async (req, res) => {
   invitation.respondedAt = new Date();
   await group.save();
 
+  await recordAudit(req, {
+    action:   'family.invite_accept',
+    groupId:  group._id,
+    metadata: { role: invitation.role },
+  });
+
   return res.json({
     success: true,
     message: `You have joined "${group.name}" as ${invitation.role}.`,
@@ -334,6 +350,8 @@ router.post('/reject/:token', verifyToken, async (req, res) => {
   invitation.respondedAt = new Date();
   await group.save();
 
+  await recordAudit(req, { action: 'family.invite_reject', groupId: group._id });
+
   return res.json({ success: true, message: 'Invitation declined.' });
 });
 
@@ -355,6 +373,12 @@ router.delete('/groups/:groupId/members/:memberUid', verifyToken, async (req, re
   // Only admins can remove members
   const caller = group.members.find((m) => m.uid === uid);
   if (!caller || caller.role !== 'admin') {
+    await recordAudit(req, {
+      action:   'family.member_remove',
+      groupId:  group._id,
+      result:   'denied',
+      metadata: { memberUid },
+    });
     return res.status(403).json({ success: false, message: 'Only admins can remove members.' });
   }
 
@@ -374,9 +398,17 @@ router.delete('/groups/:groupId/members/:memberUid', verifyToken, async (req, re
     }
   }
 
+  // Documents shared with this group are resolved against current membership
+  // (services/documentAccess.js), so this also ends the member's group access
   group.members = group.members.filter((m) => m.uid !== memberUid);
   await group.save();
 
+  await recordAudit(req, {
+    action:   'family.member_remove',
+    groupId:  group._id,
+    metadata: { memberUid, memberEmail: target.email },
+  });
+
   return res.json({ success: true, message: 'Member removed from group.' });
 });
 
@@ -400,6 +432,7 @@ router.delete('/groups/:groupId', verifyToken, async (req, res) => {
   // Only admins can delete
   const caller = group.members.find((m) => m.uid === uid);
   if (!caller || caller.role !== 'admin') {
+    await recordAudit(req, { action: 'family.group_delete', groupId: group._id, result: 'denied' });
     return res.status(403).json({ success: false, message: 'Only group admins can delete this group.' });
   }
 
@@ -415,6 +448,8 @@ router.delete('/groups/:groupId', verifyToken, async (req, res) => {
   group.status = 'archived';
   await group.save();
 
+  await recordAudit(req, { action: 'family.group_delete', groupId: group._id });
+
   return res.json({ success: true, message: `Group "${group.name}" has been deleted.` });
 });
 
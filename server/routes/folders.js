@@ -0,0 +1,214 @@
+'use strict';
+
+const express  = require('express');
+const mongoose = require('mongoose');
+const router   = express.Router();
+
+const { verifyToken } = require('../middleware/auth');
+const Document        = require('../models/Document');
+const Folder          = require('../models/Folder');
+
+const { MAX_FOLDER_DEPTH, MAX_NAME_LENGTH } = Folder;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+// Same collation as the unique index, so "Bank" and "bank" collide
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+function toPublicFolder(folder, documentCount = 0) {
+  return {
+    id:            folder._id,
+    name:          folder.name,
+    parentId:      folder.parentId,
+    documentCount,
+    createdAt:     folder.createdAt,
+    updatedAt:     folder.updatedAt,
+  };
+}
+
+/** Validate a folder name; returns the trimmed name or null. */
+function parseName(value) {
+  const name = typeof value === 'string' ? value.trim() : '';
+  return name && name.length <= MAX_NAME_LENGTH && !name.includes('/') ? name : null;
+}
+
+/**
+ * Resolve a parentId from a request body.
+ * @returns {Promise<{ parentId: mongoose.Types.ObjectId|null }|{ status: number, message: string }>}
+ */
+async function resolveParent(value, uid) {
+  if (value === null || value === '' || value === 'root') return { parentId: null };
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    return { status: 400, message: 'Invalid parentId.' };
+  }
+  const parent = await Folder.findOne({ _id: value, ownerUid: uid }).select('_id').lean();
+  if (!parent) return { status: 404, message: 'Parent folder not found.' };
+  return { parentId: parent._id };
+}
+
+async function nameTaken(uid, parentId, name, exceptId = null) {
+  const filter = { ownerUid: uid, parentId, name };
+  if (exceptId) filter._id = { $ne: exceptId };
+  return Boolean(await Folder.findOne(filter).collation(NAME_COLLATION).select('_id').lean());
+}
+
+// ─── GET /api/folders ────────────────────────────────────────────────────────
+// The caller's whole folder tree as a flat list (build the tree from parentId),
+// with active document counts per folder and for documents in no folder.
+
+router.get('/', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+
+  const [folders, counts] = await Promise.all([
+    Folder.find({ ownerUid: uid }).sort({ name: 1 }).collation(NAME_COLLATION).lean(),
+    Document.aggregate([
+      { $match: { uploadedBy: uid, status: 'active' } },
+      { $group: { _id: '$folderId', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const countByFolder = new Map(counts.map((c) => [String(c._id), c.count]));
+
+  return res.json({
+    success:       true,
+    unfiledCount:  countByFolder.get('null') || 0,
+    folders:       folders.map((f) => toPublicFolder(f, countByFolder.get(String(f._id)) || 0)),
+  });
+});
+
+// ─── POST /api/folders ───────────────────────────────────────────────────────
+// Body: { name, parentId?: folder id | null }
+
+router.post('/', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+
+  const name = parseName(req.body.name);
+  if (!name) {
+    return res.status(400).json({
+      success: false,
+      message: `Folder name is required (at most ${MAX_NAME_LENGTH} characters, no "/").`,
+    });
+  }
+
+  const parent = await resolveParent(req.body.parentId ?? null, uid);
+  if (parent.status) {
+    return res.status(parent.status).json({ success: false, message: parent.message });
+  }
+  if (parent.parentId) {
+    const depth = (await Folder.ancestry(parent.parentId, uid)).length + 1;
+    if (depth > MAX_FOLDER_DEPTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep.`,
+      });
+    }
+  }
+  if (await nameTaken(uid, parent.parentId, name)) {
+    return res.status(409).json({ success: false, message: 'A folder with that name already exists here.' });
+  }
+
+  const folder = await Folder.create({ ownerUid: uid, name, parentId: parent.parentId });
+
+  return res.status(201).json({ success: true, folder: toPublicFolder(folder) });
+});
+
+// ─── PATCH /api/folders/:id ──────────────────────────────────────────────────
+// Rename and/or move. Body: { name?, parentId?: folder id | null }
+// A folder cannot be moved into itself or anywhere below itself.
+
+router.patch('/:id', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+  const { id }  = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid folder ID.' });
+  }
+  if (req.body.name === undefined && req.body.parentId === undefined) {
+    return res.status(400).json({ success: false, message: 'Nothing to update.' });
+  }
+
+  const folder = await Folder.findOne({ _id: id, ownerUid: uid });
+  if (!folder) {
+    return res.status(404).json({ success: false, message: 'Folder not found.' });
+  }
+
+  let { name, parentId } = folder;
+
+  if (req.body.name !== undefined) {
+    name = parseName(req.body.name);
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: `Folder name is required (at most ${MAX_NAME_LENGTH} characters, no "/").`,
+      });
+    }
+  }
+
+  if (req.body.parentId !== undefined) {
+    const parent = await resolveParent(req.body.parentId, uid);
+    if (parent.status) {
+      return res.status(parent.status).json({ success: false, message: parent.message });
+    }
+    parentId = parent.parentId;
+
+    const ancestors = parentId ? await Folder.ancestry(parentId, uid) : [];
+    if (ancestors.some((a) => a.equals(folder._id))) {
+      return res.status(400).json({ success: false, message: 'A folder cannot be moved into itself or its subfolders.' });
+    }
+    const height = await Folder.subtreeHeight(folder._id, uid);
+    if (ancestors.length + height > MAX_FOLDER_DEPTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep.`,
+      });
+    }
+  }
+
+  if (await nameTaken(uid, parentId, name, folder._id)) {
+    return res.status(409).json({ success: false, message: 'A folder with that name already exists there.' });
+  }
+
+  folder.name     = name;
+  folder.parentId = parentId;
+  await folder.save();
+
+  return res.json({ success: true, folder: toPublicFolder(folder) });
+});
+
+// ─── DELETE /api/folders/:id ─────────────────────────────────────────────────
+// Only empty folders can be deleted — move or delete what is inside first.
+// Trashed documents still filed here drop back to the root.
+
+router.delete('/:id', verifyToken, async (req, res) => {
+  const { uid } = req.user;
+  const { id }  = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid folder ID.' });
+  }
+
+  const folder = await Folder.findOne({ _id: id, ownerUid: uid });
+  if (!folder) {
+    return res.status(404).json({ success: false, message: 'Folder not found.' });
+  }
+
+  const [subfolders, documents] = await Promise.all([
+    Folder.countDocuments({ ownerUid: uid, parentId: folder._id }),
+    Document.countDocuments({ uploadedBy: uid, folderId: folder._id, status: 'active' }),
+  ]);
+  if (subfolders || documents) {
+    return res.status(409).json({
+      success: false,
+      message: 'This folder is not empty. Move or delete its documents and subfolders first.',
+      subfolders,
+      documents,
+    });
+  }
+
+  await Document.updateMany({ uploadedBy: uid, folderId: folder._id }, { $set: { folderId: null } });
+  await folder.deleteOne();
+
+  return res.json({ success: true, message: 'Folder deleted.' });
+});
+
+module.exports = router;
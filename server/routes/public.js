@@ -0,0 +1,232 @@
+'use strict';
+
+const express = require('express');
+const router  = express.Router();
+
+const Document             = require('../models/Document');
+const ShareLink            = require('../models/ShareLink');
+const { recordAudit }      = require('../services/auditLog');
+const { readDocumentFile } = require('../services/documentFiles');
+const { watermarkText, applyWatermark } = require('../services/watermark');
+const { getReceiptPublicKey, checkIntegrityReceipt } = require('../services/integrityLedger');
+const { downloadFileName, sendFile } = require('../utils/fileResponse');
+
+// ─── Public share links ──────────────────────────────────────────────────────
+// No Bearer token on these routes — possession of the link token (plus the
+// passcode, if one was set) IS the authorization. Links are minted and revoked
+// through /api/documents/:id/links. Every access is audited with no actor.
+
+const { MAX_PASSCODE_ATTEMPTS } = ShareLink;
+
+const UNAVAILABLE_MESSAGES = {
+  revoked:              'This link has been revoked by its owner.',
+  locked:               'This link has been locked after too many wrong passcodes.',
+  expired:              'This link has expired.',
+  exhausted:            'This link has reached its download limit.',
+  document_unavailable: 'The shared document is no longer available.',
+};
+
+/**
+ * Look up a link by its URL token and check it is usable.
+ * Sends the error response itself and returns null when it is not.
+ *
+ * @returns {Promise<{ link: object, doc: object }|null>}
+ */
+async function loadUsableLink(req, res, action) {
+  const tokenHash = ShareLink.hashToken(req.params.token);
+  const link      = await ShareLink.findOne({ tokenHash });
+
+  if (!link) {
+    await recordAudit(req, {
+      action,
+      targetType: 'share_link',
+      targetId:   tokenHash.slice(0, 16),
+      result:     'denied',
+      metadata:   { reason: 'unknown_token' },
+    });
+    res.status(404).json({ success: false, message: 'This link is invalid.' });
+    return null;
+  }
+
+  const doc    = await Document.findOne({ _id: link.documentId, status: 'active' });
+  const reason = link.unavailableReason() || (doc ? null : 'document_unavailable');
+
+  if (reason) {
+    await recordAudit(req, {
+      action,
+      documentId: link.documentId,
+      result:     'denied',
+      metadata:   { linkId: link._id, reason },
+    });
+    res.status(410).json({ success: false, reason, message: UNAVAILABLE_MESSAGES[reason] });
+    return null;
+  }
+
+  return { link, doc };
+}
+
+// ─── GET /api/public/links/:token/info ───────────────────────────────────────
+// What the landing page needs to show before download — no file bytes.
+
+router.get('/links/:token/info', async (req, res) => {
+  const found = await loadUsableLink(req, res, 'document.link_view');
+  if (!found) return undefined;
+  const { link, doc } = found;
+
+  await recordAudit(req, {
+    action:     'document.link_view',
+    documentId: doc._id,
+    metadata:   { linkId: link._id },
+  });
+
+  return res.json({
+    success: true,
+    link:    {
+      title:              doc.title,
+      mimeType:           doc.mimeType,
+      fileSize:           doc.fileSize,
+      expiresAt:          link.expiresAt,
+      requiresPasscode:   Boolean(link.passcodeHash),
+      downloadsRemaining: link.maxDownloads === null ? null : link.maxDownloads - link.downloadCount,
+    },
+  });
+});
+
+// ─── GET /api/public/links/:token ────────────────────────────────────────────
+// Streams the decrypted current version, watermarked "Shared via link on
+// <date> for <label>" (services/watermark.js). Passcode-protected links take the
+// passcode in an X-Link-Passcode header (or ?passcode= for plain browser use).
+
+router.get('/links/:token', async (req, res) => {
+  const found = await loadUsableLink(req, res, 'document.link_access');
+  if (!found) return undefined;
+  const { link, doc } = found;
+
+  const passcode = req.get('x-link-passcode') || req.query.passcode;
+  if (!(await link.checkPasscode(passcode))) {
+    // Count the miss atomically and lock the link once the limit is reached
+    const updated = await ShareLink.findOneAndUpdate(
+      { _id: link._id },
+      { $inc: { failedAttempts: 1 } },
+      { new: true }
+    );
+    if (updated.failedAttempts >= MAX_PASSCODE_ATTEMPTS && updated.status === 'active') {
+      updated.status = 'locked';
+      await updated.save();
+    }
+
+    await recordAudit(req, {
+      action:     'document.link_access',
+      documentId: doc._id,
+      result:     'denied',
+      metadata:   { linkId: link._id, reason: passcode ? 'bad_passcode' : 'passcode_required' },
+    });
+    return res.status(401).json({
+      success:          false,
+      requiresPasscode: true,
+      message:          passcode ? 'Incorrect passcode.' : 'This link requires a passcode.',
+    });
+  }
+
+  // Stamped before a download is claimed, so a file that cannot be stamped
+  // does not use one up
+  const entry = doc.getVersion(doc.currentVersion);
+  let buffer;
+  try {
+    buffer = await applyWatermark(
+      await readDocumentFile(entry.storagePath, entry.encryption),
+      entry.mimeType,
+      watermarkText({ verb: 'Shared', recipient: 'via link', purpose: link.label })
+    );
+  } catch (err) {
+    console.error(`[watermark] link ${link._id}: ${err.message}`);
+    return res.status(422).json({
+      success: false,
+      code:    'WATERMARK_FAILED',
+      message: 'This file cannot be watermarked for sharing. Ask its owner to send it another way.',
+    });
+  }
+
+  // Claim a download slot atomically so concurrent requests cannot exceed maxDownloads
+  const now     = new Date();
+  const claimed = await ShareLink.findOneAndUpdate(
+    {
+      _id:       link._id,
+      status:    'active',
+      expiresAt: { $gt: now },
+      $or:       [{ maxDownloads: null }, { $expr: { $lt: ['$downloadCount', '$maxDownloads'] } }],
+    },
+    { $inc: { downloadCount: 1 }, $set: { lastAccessedAt: now, failedAttempts: 0 } },
+    { new: true }
+  );
+  if (!claimed) {
+    await recordAudit(req, {
+      action:     'document.link_access',
+      documentId: doc._id,
+      result:     'denied',
+      metadata:   { linkId: link._id, reason: 'exhausted' },
+    });
+    return res.status(410).json({ success: false, reason: 'exhausted', message: UNAVAILABLE_MESSAGES.exhausted });
+  }
+
+  await recordAudit(req, {
+    action:     'document.link_access',
+    documentId: doc._id,
+    metadata:   { linkId: link._id, version: entry.version, downloadCount: claimed.downloadCount },
+  });
+
+  // Every request claims a download, so no partial (Range) downloads here
+  return sendFile(req, res, buffer, {
+    mimeType: entry.mimeType,
+    filename: downloadFileName(doc.title, entry.mimeType),
+    ranges:   false,
+  });
+});
+
+// ─── Integrity receipts ──────────────────────────────────────────────────────
+// Owners download signed receipts from /api/documents/:id/integrity-receipt
+// and hand them to whoever needs proof — who can check them here, or offline
+// against the published key.
+
+// ─── GET /api/public/integrity/key ───────────────────────────────────────────
+// The Ed25519 public key receipts are signed with (PEM, SPKI).
+
+router.get('/integrity/key', (req, res) => {
+  res.json({ success: true, key: getReceiptPublicKey() });
+});
+
+// ─── POST /api/public/integrity/receipts/verify ──────────────────────────────
+// Body: a receipt file as downloaded — { receipt, signature }.
+// valid = signed by this server AND the ledger entry it names is unchanged.
+
+router.post('/integrity/receipts/verify', async (req, res) => {
+  const { receipt, signature } = req.body || {};
+
+  if (!receipt || typeof receipt !== 'object' || !signature || typeof signature !== 'object') {
+    return res.status(400).json({ success: false, message: 'Send the receipt file as downloaded: { receipt, signature }.' });
+  }
+  if (!receipt.ledger || !Number.isInteger(receipt.ledger.headSeq)) {
+    return res.status(400).json({ success: false, message: 'This is not an integrity receipt.' });
+  }
+
+  const { signatureValid, ledgerMatches } = await checkIntegrityReceipt(receipt, signature);
+
+  await recordAudit(req, {
+    action:     'document.receipt_check',
+    targetType: 'integrity_receipt',
+    targetId:   String(receipt.documentId || 'unknown').slice(0, 24),
+    ...(signatureValid && { documentId: receipt.documentId }),
+    result:     signatureValid && ledgerMatches ? 'success' : 'denied',
+    metadata:   { signatureValid, ledgerMatches },
+  });
+
+  return res.json({
+    success: true,
+    valid:   signatureValid && ledgerMatches === true,
+    signatureValid,
+    ledgerMatches,
+    ...(signatureValid && { documentId: receipt.documentId, issuedAt: receipt.issuedAt }),
+  });
+});
+
+module.exports = router;
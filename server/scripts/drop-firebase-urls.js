@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * scripts/drop-firebase-urls.js
+ *
+ * Removes the firebaseUrl field from every Document. Documents used to keep
+ * the 72-hour bucket signed URL minted at upload time; files are now only
+ * downloaded through the API (GET /api/documents/:id/file, or a link of a
+ * few minutes from /download), so the stored URL is just a leak.
+ *
+ * Run once after deploying (from server/):  npm run drop-firebase-urls
+ */
+
+require('dotenv').config();
+
+const mongoose      = require('mongoose');
+const { connectDB } = require('../db/mongoose');
+const Document      = require('../models/Document');
+
+async function main() {
+  await connectDB();
+
+  // firebaseUrl is no longer in the schema — bypass strict mode to reach it
+  const { modifiedCount } = await Document.collection.updateMany(
+    { firebaseUrl: { $exists: true } },
+    { $unset: { firebaseUrl: '' } }
+  );
+
+  console.log(`✅  firebaseUrl removed from ${modifiedCount} document(s)`);
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error('❌  Failed:', err.message);
+  process.exit(1);
+});
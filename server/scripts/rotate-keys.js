@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * scripts/rotate-keys.js
+ *
+ * Re-wraps every document data key under the active master key
+ * (DOCUMENT_MASTER_KEY_ID). Only the small wrappedKey field on each Document
+ * changes — stored files are never downloaded or re-uploaded. The envelopes
+ * of thumbnails / previews (renditions), of a document's structured ID
+ * fields (idFields), of finished export archives and of the chunks of
+ * unfinished resumable uploads are re-wrapped too.
+ *
+ * Rotation procedure:
+ *   1. Add the new key to DOCUMENT_MASTER_KEYS (keep the old one listed)
+ *   2. Point DOCUMENT_MASTER_KEY_ID at the new key and restart the server
+ *   3. npm run rotate-keys            (from server/; add -- --dry-run to preview)
+ *   4. Once it reports 0 failures, remove the old key from DOCUMENT_MASTER_KEYS
+ */
+
+require('dotenv').config();
+
+const mongoose           = require('mongoose');
+const { connectDB }      = require('../db/mongoose');
+const Document           = require('../models/Document');
+const ExportJob          = require('../models/ExportJob');
+const UploadSession      = require('../models/UploadSession');
+const { rewrapEnvelope, getActiveKeyId } = require('../services/encryption');
+
+const RENDITION_KINDS = ['thumbnail', 'preview'];
+
+async function main() {
+  const dryRun      = process.argv.includes('--dry-run');
+  const activeKeyId = getActiveKeyId(); // fail fast on bad key config
+
+  await connectDB();
+  console.log(`🔑  Re-wrapping data keys under "${activeKeyId}"${dryRun ? ' (dry run)' : ''}`);
+
+  const staleEnvelope  = { encryption: { $ne: null }, 'encryption.keyId': { $ne: activeKeyId } };
+  const staleRendition = RENDITION_KINDS.map((kind) => ({
+    [`renditions.${kind}.encryption.keyId`]: { $exists: true, $ne: activeKeyId },
+  }));
+  const cursor         = Document
+    .find({
+      $or: [
+        staleEnvelope,
+        { versions: { $elemMatch: staleEnvelope } },
+        { versions: { $elemMatch: { $or: staleRendition } } },
+        { idFields: { $ne: null }, 'idFields.encryption.keyId': { $ne: activeKeyId } },
+      ],
+    })
+    .select('encryption versions currentVersion renditions idFields')
+    .cursor();
+
+  let rotated = 0;
+  let failed  = 0;
+
+  for await (const doc of cursor) {
+    try {
+      doc.versions.forEach((entry) => {
+        if (entry.encryption) entry.encryption = rewrapEnvelope(entry.encryption.toObject());
+        RENDITION_KINDS.forEach((kind) => {
+          const rendition = entry.renditions && entry.renditions[kind];
+          if (rendition) rendition.encryption = rewrapEnvelope(rendition.encryption.toObject());
+        });
+      });
+
+      // The top-level envelope and renditions mirror the current version;
+      // legacy docs without a version history only have the top-level envelope
+      const current = doc.versions.find((v) => v.version === doc.currentVersion);
+      if (current) {
+        doc.encryption = current.encryption;
+        if (current.renditions) doc.renditions = current.renditions;
+      } else if (doc.encryption) {
+        doc.encryption = rewrapEnvelope(doc.encryption.toObject());
+      }
+
+      if (doc.idFields) {
+        doc.idFields.encryption = rewrapEnvelope(doc.idFields.encryption.toObject());
+      }
+
+      if (!dryRun) await doc.save();
+      rotated += 1;
+    } catch (err) {
+      failed += 1;
+      console.error(`   ✖ ${doc._id}: ${err.message}`);
+    }
+  }
+
+  // Export archives waiting to be downloaded (models/ExportJob.js)
+  const exports = ExportJob
+    .find({ status: 'done', encryption: { $ne: null }, 'encryption.keyId': { $ne: activeKeyId } })
+    .cursor();
+
+  let rotatedExports = 0;
+  for await (const job of exports) {
+    try {
+      job.encryption = rewrapEnvelope(job.encryption.toObject());
+      if (!dryRun) await job.save();
+      rotatedExports += 1;
+    } catch (err) {
+      failed += 1;
+      console.error(`   ✖ export ${job._id}: ${err.message}`);
+    }
+  }
+
+  // Chunks of resumable uploads not yet finalized (models/UploadSession.js)
+  const sessions = UploadSession
+    .find({
+      status: { $in: ['open', 'finalizing'] },
+      chunks: { $elemMatch: { 'encryption.keyId': { $ne: activeKeyId } } },
+    })
+    .cursor();
+
+  let rotatedSessions = 0;
+  for await (const session of sessions) {
+    try {
+      session.chunks.forEach((chunk) => {
+        chunk.encryption = rewrapEnvelope(chunk.encryption.toObject());
+      });
+      if (!dryRun) await session.save();
+      rotatedSessions += 1;
+    } catch (err) {
+      failed += 1;
+      console.error(`   ✖ upload session ${session._id}: ${err.message}`);
+    }
+  }
+
+  console.log(
+    `✅  ${rotated} document(s), ${rotatedExports} export archive(s) and ${rotatedSessions} upload session(s)` +
+    `${dryRun ? ' would be' : ''} re-wrapped, ` +
+    `${failed} failed`
+  );
+  await mongoose.disconnect();
+  if (failed > 0) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error('❌  Key rotation failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * scripts/run-job.js
+ *
+ * Run one scheduled job immediately and exit — useful from cron, CI or
+ * when you do not want to wait for the in-process scheduler.
+ *
+ * USAGE (from server/):  npm run job -- purgeTrash
+ *                        npm run job -- extractText   (backfill search text, one batch)
+ */
+
+require('dotenv').config();
+
+const mongoose        = require('mongoose');
+const { connectDB }   = require('../db/mongoose');
+const { JOBS }        = require('../jobs');
+const { shutdownOcr } = require('../services/textExtraction');
+
+async function main() {
+  const name = process.argv[2];
+  const job  = JOBS[name];
+
+  if (!job) {
+    console.error(`Usage: npm run job -- <name>\nAvailable jobs: ${Object.keys(JOBS).join(', ')}`);
+    process.exit(1);
+  }
+
+  await connectDB();
+  const result = await job.run();
+  console.log(`✅  ${name} finished`, result || '');
+  await shutdownOcr(); // the OCR worker thread would otherwise keep the process alive
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error('❌  Job failed:', err.message);
+  process.exit(1);
+});
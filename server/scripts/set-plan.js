@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * scripts/set-plan.js
+ *
+ * Put a user or a family group on a storage plan (config/plans.js), and
+ * optionally give it its own limit instead of the plan's.
+ *
+ * USAGE (from server/):
+ *   npm run set-plan -- user <email or uid> <plan> [limit MB]
+ *   npm run set-plan -- family <group id> <plan> [limit MB]
+ *
+ * Leaving out the limit clears any earlier one, so the plan's limit applies.
+ */
+
+require('dotenv').config();
+
+const mongoose        = require('mongoose');
+const { connectDB }   = require('../db/mongoose');
+const FamilyGroup     = require('../models/FamilyGroup');
+const User            = require('../models/User');
+const { PLAN_NAMES, planLimitBytes } = require('../config/plans');
+
+const USAGE = 'Usage: npm run set-plan -- <user|family> <email, uid or group id> <plan> [limit MB]\n'
+            + `Plans: ${PLAN_NAMES.join(', ')}`;
+
+async function main() {
+  const [scope, target, plan, limitMb] = process.argv.slice(2);
+
+  if (!['user', 'family'].includes(scope) || !target || !PLAN_NAMES.includes(plan)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const quotaBytes = limitMb === undefined ? null : Number(limitMb) * 1024 * 1024;
+  if (quotaBytes !== null && !(quotaBytes > 0)) {
+    console.error('limit MB must be a positive number.');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  let filter;
+  if (scope === 'user') {
+    filter = target.includes('@') ? { email: target.toLowerCase() } : { firebaseUID: target };
+  } else {
+    if (!mongoose.Types.ObjectId.isValid(target)) throw new Error(`"${target}" is not a group ID.`);
+    filter = { _id: target };
+  }
+
+  const Model = scope === 'user' ? User : FamilyGroup;
+  const { matchedCount } = await Model.updateOne(filter, { $set: { plan, quotaBytes } });
+  if (!matchedCount) throw new Error(`No ${scope} found for "${target}".`);
+
+  const limit = quotaBytes ?? planLimitBytes(plan, scope);
+  console.log(`✅  ${scope} ${target} is on the ${plan} plan — ${Math.round(limit / 1024 / 1024)} MB`);
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error('❌  Failed:', err.message);
+  process.exit(1);
+});
@@ -5,13 +5,18 @@ require('dotenv').config();
 
 const express = require('express');
 const { connectDB } = require('./db/mongoose');
+const { startJobs } = require('./jobs');
 const { corsMiddleware, corsOptions } = require('./middleware/cors');
 
 // ─── Route modules ────────────────────────────────────────────────────────────
 const authRoutes = require('./routes/auth');
 const profileRoutes = require('./routes/profile');
 const documentsRouter = require('./routes/documents'); // Day 2
+const foldersRouter = require('./routes/folders');
+const exportsRouter = require('./routes/exports');   // vault export archives
 const familyRouter = require('./routes/family');    // Day 3
+const auditRouter = require('./routes/audit');
+const publicRouter = require('./routes/public');    // share links — no auth
 // Day 4+: no more server-level changes needed
 
 const app = express();
@@ -37,7 +42,11 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/profile', profileRoutes);
 app.use('/api/documents', documentsRouter);
+app.use('/api/folders', foldersRouter);
+app.use('/api/exports', exportsRouter);
 app.use('/api/family', familyRouter);
+app.use('/api/audit', auditRouter);
+app.use('/api/public', publicRouter);
 
 // ─── 404 Handler ──────────────────────────────────────────────────────────────
 app.use((req, res) => {
@@ -73,6 +82,7 @@ app.use((err, req, res, _next) => {
 // ─── Boot Sequence ────────────────────────────────────────────────────────────
 async function start() {
   await connectDB();          // fail fast if DB is unreachable
+  startJobs();                // trash purge, etc.
   app.listen(PORT, () => {
     console.log(`\n🚀  SecureGov backend  →  http://localhost:${PORT}`);
     console.log(`    Environment: ${process.env.NODE_ENV || 'development'}\n`);
@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * auditLog.js
+ *
+ * Writes AuditEvent records. Auditing must never break the request it
+ * describes, so recordAudit() logs and swallows its own errors.
+ *
+ * USAGE (inside a route, after verifyToken):
+ *   await recordAudit(req, {
+ *     action:     'document.download',
+ *     documentId: doc._id,
+ *     result:     'success',           // or 'denied' / 'failure'
+ *     metadata:   { version: 2 },
+ *   });
+ */
+
+const AuditEvent = require('../models/AuditEvent');
+
+/**
+ * @param {import('express').Request|null} req  Actor (req.user), IP and user agent.
+ *        Pass null for system actions such as scheduled jobs.
+ * @param {{
+ *   action:      string,
+ *   documentId?: any,
+ *   groupId?:    any,
+ *   targetType?: string,   // defaults to "document" / "family_group" from the IDs given
+ *   targetId?:   any,      // defaults to documentId / groupId
+ *   result?:     'success'|'denied'|'failure',
+ *   metadata?:   object,
+ * }} event
+ */
+async function recordAudit(req, event) {
+  const { action, documentId = null, groupId = null, result = 'success', metadata = {} } = event;
+
+  const targetType = event.targetType || (documentId ? 'document' : 'family_group');
+  const targetId   = event.targetId   || documentId || groupId;
+
+  try {
+    await AuditEvent.create({
+      actorUid:   (req && req.user && req.user.uid) || null,
+      actorEmail: (req && req.user && req.user.email) || '',
+      action,
+      targetType,
+      targetId:   String(targetId),
+      documentId,
+      groupId,
+      result,
+      ip:         (req && req.ip) || '',
+      userAgent:  (req && req.get('user-agent')) || '',
+      metadata,
+    });
+  } catch (err) {
+    console.error(`[audit] Failed to record ${action}:`, err.message);
+  }
+}
+
+module.exports = { recordAudit };
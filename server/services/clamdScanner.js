@@ -0,0 +1,82 @@
+'use strict';
+
+/**
+ * clamdScanner.js
+ *
+ * Scanner driver for a ClamAV daemon (clamd) — or anything speaking its
+ * INSTREAM protocol — over TCP. The file is streamed in chunks; the daemon
+ * replies "stream: OK" or "stream: <signature> FOUND".
+ *
+ * ENV:
+ *   CLAMD_HOST  (default 127.0.0.1)
+ *   CLAMD_PORT  (default 3310)
+ */
+
+const net      = require('net');
+const { once } = require('events');
+
+const CHUNK_SIZE = 64 * 1024; // well under clamd's default StreamMaxLength chunking
+
+function getAddress() {
+  return {
+    host: process.env.CLAMD_HOST || '127.0.0.1',
+    port: Number(process.env.CLAMD_PORT) || 3310,
+  };
+}
+
+/**
+ * Start a scan; the file is sent with write() as it is read.
+ *
+ * @param {{ timeoutMs: number }} options  how long clamd may stay silent
+ * @returns {{
+ *   write(chunk: Buffer): Promise<void>,
+ *   finish(): Promise<{ status: 'clean'|'infected', signature: string|null }>,
+ *   abort(): void
+ * }}  write() waits while the socket is backed up and rejects once the
+ *     connection has failed; finish() rejects when there is no verdict
+ */
+function open({ timeoutMs }) {
+  const socket = net.createConnection(getAddress());
+  const reply  = [];
+
+  const verdict = new Promise((resolve, reject) => {
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`clamd did not answer within ${timeoutMs} ms`)));
+    socket.on('error', reject);
+    socket.on('data', (chunk) => reply.push(chunk));
+
+    socket.on('close', () => {
+      const text = Buffer.concat(reply).toString('utf8').replace(/\0/g, '').trim();
+      const found = /^stream: (.+) FOUND$/.exec(text);
+      if (found) return resolve({ status: 'infected', signature: found[1] });
+      if (text === 'stream: OK') return resolve({ status: 'clean', signature: null });
+      return reject(new Error(text ? `clamd: ${text}` : 'clamd closed the connection without a verdict'));
+    });
+  });
+  verdict.catch(() => {}); // reported by write() or finish()
+
+  socket.write('zINSTREAM\0'); // queued until connected
+
+  return {
+    async write(buffer) {
+      for (let offset = 0; offset < buffer.length && !socket.destroyed; offset += CHUNK_SIZE) {
+        const chunk  = buffer.subarray(offset, offset + CHUNK_SIZE);
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(chunk.length, 0);
+        socket.write(length);
+        if (!socket.write(chunk)) await Promise.race([once(socket, 'drain'), verdict]);
+      }
+      if (socket.destroyed) await verdict; // rejects if the connection failed
+    },
+
+    finish() {
+      socket.end(Buffer.alloc(4)); // zero-length chunk ends the stream
+      return verdict;
+    },
+
+    abort() {
+      socket.destroy();
+    },
+  };
+}
+
+module.exports = { name: 'clamd', open };
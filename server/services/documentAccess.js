@@ -0,0 +1,122 @@
+'use strict';
+
+/**
+ * documentAccess.js
+ *
+ * Single source of truth for "what may this user do with this document".
+ *
+ * Access levels, from most to least privileged:
+ *   owner  — everything, including delete, share and revoke
+ *   write  — read + update metadata + upload new versions
+ *   read   — view / download only
+ *   null   — no access
+ *
+ * Access comes from the owner, a direct grant (sharedWith) or a group grant
+ * (sharedWithGroups). Group grants are resolved against the group's current
+ * membership on every check, so joining a group gives access and being
+ * removed from it takes access away — nothing on the document changes.
+ */
+
+const FamilyGroup = require('../models/FamilyGroup');
+
+const PERMISSIONS = ['read', 'write'];
+
+/**
+ * True if a sharedWith / sharedWithGroups entry still grants access at `now`.
+ * Expired entries may linger until the expireShares job removes them,
+ * so every access check must go through this.
+ */
+function isGrantActive(grant, now = new Date()) {
+  return !grant.expiresAt || grant.expiresAt > now;
+}
+
+const notExpired = (now) => ({ $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] });
+
+/**
+ * Mongo filter matching documents shared with `uid` through a grant that has
+ * not expired — the query-side counterpart of isGrantActive().
+ */
+function activeGrantFilter(uid, now = new Date()) {
+  return { sharedWith: { $elemMatch: { uid, ...notExpired(now) } } };
+}
+
+/** Same as activeGrantFilter(), for documents shared with any of `groupIds`. */
+function activeGroupGrantFilter(groupIds, now = new Date()) {
+  return { sharedWithGroups: { $elemMatch: { groupId: { $in: groupIds }, ...notExpired(now) } } };
+}
+
+/** IDs of the active family groups `uid` currently belongs to. */
+async function groupIdsForUser(uid) {
+  return FamilyGroup.find({ 'members.uid': uid, status: 'active' }).distinct('_id');
+}
+
+/**
+ * Work out access from data already in hand (no queries) — used directly by
+ * list routes that fetched the caller's groups once for many documents.
+ *
+ * @param {object} doc
+ * @param {string} uid
+ * @param {Array}  groupIds  Caller's active group IDs (see groupIdsForUser)
+ * @returns {{ level: 'owner'|'write'|'read'|null, grant: object|null, via: object[] }}
+ *          grant is the direct sharedWith entry, if any; via lists every active
+ *          route to access: { type: 'user' } or { type: 'group', groupId, groupName }
+ */
+function describeAccess(doc, uid, groupIds = []) {
+  if (doc.uploadedBy === uid) return { level: 'owner', grant: null, via: [] };
+
+  const now     = new Date();
+  const via     = [];
+  const granted = [];
+
+  const grant = doc.sharedWith.find((s) => s.uid === uid && isGrantActive(s, now)) || null;
+  if (grant) {
+    via.push({ type: 'user' });
+    granted.push(grant.permission);
+  }
+
+  const memberOf = new Set(groupIds.map(String));
+  (doc.sharedWithGroups || [])
+    .filter((g) => memberOf.has(String(g.groupId)) && isGrantActive(g, now))
+    .forEach((g) => {
+      via.push({ type: 'group', groupId: g.groupId, groupName: g.groupName });
+      granted.push(g.permission);
+    });
+
+  // The most generous grant wins
+  const level = granted.includes('write') ? 'write' : granted.length ? 'read' : null;
+  return { level, grant, via };
+}
+
+/**
+ * Resolve the caller's access to a document.
+ * Only looks up the caller's groups when the document has group grants.
+ *
+ * @param {object} doc  Document (model instance or lean object)
+ * @param {string} uid  Firebase UID of the caller
+ * @returns {Promise<{ level: 'owner'|'write'|'read'|null, grant: object|null, via: object[] }>}
+ */
+async function resolveAccess(doc, uid) {
+  const hasGroupGrants = doc.uploadedBy !== uid && (doc.sharedWithGroups || []).length > 0;
+  const groupIds = hasGroupGrants ? await groupIdsForUser(uid) : [];
+  return describeAccess(doc, uid, groupIds);
+}
+
+function canRead(level) {
+  return level === 'owner' || level === 'write' || level === 'read';
+}
+
+function canWrite(level) {
+  return level === 'owner' || level === 'write';
+}
+
+module.exports = {
+  PERMISSIONS,
+  isGrantActive,
+  activeGrantFilter,
+  activeGroupGrantFilter,
+  groupIdsForUser,
+  describeAccess,
+  resolveAccess,
+  canRead,
+  canWrite,
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * documentFiles.js
+ *
+ * Reads and writes document file bytes through the configured storage driver,
+ * applying envelope encryption (services/encryption.js) on the way in and out.
+ *
+ * Routes should use these instead of calling storage.uploadFile() directly,
+ * so nothing sensitive ever reaches the bucket in plaintext.
+ *
+ * Identical uploads by the same owner can share one storage object (the
+ * routes reuse the existing storagePath + envelope), so files are only
+ * deleted once no other document references them.
+ */
+
+const crypto = require('crypto');
+
+const Document = require('../models/Document');
+const {
+  uploadFile, uploadStream, downloadFile, deleteFile,
+} = require('./storage');
+const { createEncryptor, encryptBuffer, decryptBuffer } = require('./encryption');
+
+/** SHA-256 of a file's plaintext, hex — what Document.contentHash stores. */
+function hashContent(plaintext) {
+  return crypto.createHash('sha256').update(plaintext).digest('hex');
+}
+
+/**
+ * Encrypt a file and upload the ciphertext.
+ *
+ * @param {Buffer} plaintext
+ * @param {string} destination  Storage path, e.g. "documents/uid/123-file.pdf"
+ * @returns {{ storagePath: string, encryption: object }}
+ *          encryption is the envelope to persist on the Document
+ */
+async function storeDocumentFile(plaintext, destination) {
+  const { ciphertext, envelope } = encryptBuffer(plaintext);
+
+  // The bucket only ever sees opaque bytes — the real MIME type lives in MongoDB
+  const { path } = await uploadFile(ciphertext, destination, 'application/octet-stream');
+
+  return { storagePath: path, encryption: envelope };
+}
+
+/**
+ * Encrypt a file and upload the ciphertext as the plaintext is produced, so
+ * a large file is never held whole (resumable uploads).
+ *
+ * @param {AsyncIterable<Buffer>} plaintext  the file, in order
+ * @param {string} destination  Storage path, e.g. "documents/uid/123-file.pdf"
+ * @returns {{ storagePath: string, encryption: object }}  as storeDocumentFile()
+ */
+async function storeDocumentStream(plaintext, destination) {
+  const { cipher, envelope } = createEncryptor();
+
+  async function* ciphertext() {
+    for await (const chunk of plaintext) yield cipher.update(chunk);
+    yield cipher.final();
+  }
+  const { path } = await uploadStream(ciphertext(), destination, 'application/octet-stream');
+
+  return { storagePath: path, encryption: envelope() };
+}
+
+/**
+ * Download a stored file and return its plaintext.
+ * Documents uploaded before encryption was introduced have no envelope and
+ * are returned as-is.
+ *
+ * @param {string}      storagePath
+ * @param {object|null} encryption  Envelope saved by storeDocumentFile()
+ * @returns {Buffer}
+ */
+async function readDocumentFile(storagePath, encryption) {
+  const raw = await downloadFile(storagePath);
+  return encryption && encryption.wrappedKey ? decryptBuffer(raw, encryption) : raw;
+}
+
+/**
+ * Permanently delete every stored file (all versions) of a document, except
+ * those another unpurged document still references.
+ * Idempotent — objects that are already gone are skipped by the driver.
+ *
+ * @param {import('mongoose').Document} doc  A Document model instance
+ */
+async function deleteDocumentFiles(doc) {
+  const paths = doc.getStoragePaths();
+
+  const others = await Document
+    .find({
+      _id:    { $ne: doc._id },
+      status: { $ne: 'purged' },
+      $or:    [{ firebaseStoragePath: { $in: paths } }, { 'versions.storagePath': { $in: paths } }],
+    })
+    .select('firebaseStoragePath versions.storagePath')
+    .lean();
+  const inUse = new Set(others.flatMap((o) => [o.firebaseStoragePath, ...(o.versions || []).map((v) => v.storagePath)]));
+
+  for (const storagePath of paths) {
+    if (!inUse.has(storagePath)) await deleteFile(storagePath);
+  }
+}
+
+module.exports = {
+  hashContent,
+  storeDocumentFile,
+  storeDocumentStream,
+  readDocumentFile,
+  deleteDocumentFiles,
+};
@@ -3,10 +3,10 @@
 /**
  * emailService.js
  *
- * Nodemailer wrapper for family invitations.
+ * Nodemailer wrapper for family invitations and sharing notifications.
  *
  * Graceful fallback: if EMAIL_USER / EMAIL_APP_PASSWORD are not set,
- * invitation links are printed to the console instead of crashing.
+ * emails are printed to the console instead of crashing.
  * This means Day 3 works in local dev even without a Gmail App Password.
  *
  * Gmail App Password setup:
@@ -115,4 +115,270 @@ async function sendFamilyInvitationEmail({ to, inviterName, groupName, acceptUrl
   return { sent: true };
 }
 
-module.exports = { sendFamilyInvitationEmail };
+/**
+ * Tell a document owner that time-limited access to one of their documents
+ * has ended.
+ *
+ * @param {{
+ *   to:            string,    // owner email
+ *   documentTitle: string,
+ *   expiredFor:    string[],  // grantee emails / group labels whose access just expired
+ * }} opts
+ * @returns {{ sent: boolean, fallback?: boolean }}
+ */
+async function sendShareExpiredEmail({ to, documentTitle, expiredFor }) {
+  const transport = getTransporter();
+
+  if (!transport) {
+    console.log('\n' + '─'.repeat(60));
+    console.log('📧  [EMAIL FALLBACK] — set EMAIL_USER + EMAIL_APP_PASSWORD to send real emails');
+    console.log(`    To:          ${to}`);
+    console.log(`    Document:    ${documentTitle}`);
+    console.log(`    Expired for: ${expiredFor.join(', ')}`);
+    console.log('─'.repeat(60) + '\n');
+    return { sent: false, fallback: true };
+  }
+
+  const fromAddress = process.env.EMAIL_FROM || `SecureGov <${process.env.EMAIL_USER}>`;
+  const documentsUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/pages/documents.html`;
+
+  await transport.sendMail({
+    from:    fromAddress,
+    to,
+    subject: `Shared access to "${documentTitle}" has expired`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <body style="margin:0;padding:0;background:#f3f4f6;font-family:Arial,sans-serif;">
+        <div style="max-width:560px;margin:40px auto;background:#ffffff;border-radius:12px;overflow:hidden;box-shadow:0 2px 8px rgba(0,0,0,0.08);">
+          <div style="background:linear-gradient(135deg,#1a56db,#1e40af);padding:32px 40px;">
+            <h1 style="margin:0;color:#ffffff;font-size:22px;">🛡️ SecureGov</h1>
+          </div>
+          <div style="padding:40px;">
+            <h2 style="margin:0 0 16px;color:#111827;font-size:20px;">Shared access has ended</h2>
+            <p style="color:#374151;line-height:1.6;margin:0 0 12px;">
+              The time limit you set on <strong>"${documentTitle}"</strong> has passed.
+              These family members and groups can no longer open it:
+            </p>
+            <ul style="color:#374151;line-height:1.6;margin:0 0 32px;">
+              ${expiredFor.map((e) => `<li>${e}</li>`).join('')}
+            </ul>
+            <a href="${documentsUrl}"
+               style="display:inline-block;background:#1a56db;color:#ffffff;padding:14px 28px;
+                      text-decoration:none;border-radius:8px;font-weight:600;font-size:15px;">
+              Manage sharing
+            </a>
+            <p style="color:#9ca3af;font-size:13px;margin:32px 0 0;">
+              You can share the document again at any time from your documents page.
+            </p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  });
+
+  return { sent: true };
+}
+
+/**
+ * Remind an owner that one of their documents (passport, licence…) is about
+ * to expire, so they can start the renewal in time.
+ *
+ * @param {{
+ *   to:               string,  // owner email
+ *   documentTitle:    string,
+ *   expiryDate:       Date,
+ *   daysLeft:         number,
+ *   issuingAuthority: string,  // may be empty
+ * }} opts
+ * @returns {{ sent: boolean, fallback?: boolean }}
+ */
+async function sendExpiryReminderEmail({ to, documentTitle, expiryDate, daysLeft, issuingAuthority }) {
+  const transport = getTransporter();
+  const expiresOn = expiryDate.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+  const inDays    = daysLeft === 1 ? 'tomorrow' : `in ${daysLeft} days`;
+
+  if (!transport) {
+    console.log('\n' + '─'.repeat(60));
+    console.log('📧  [EMAIL FALLBACK] — set EMAIL_USER + EMAIL_APP_PASSWORD to send real emails');
+    console.log(`    To:          ${to}`);
+    console.log(`    Document:    ${documentTitle}`);
+    console.log(`    Expires:     ${expiresOn} (${inDays})`);
+    console.log('─'.repeat(60) + '\n');
+    return { sent: false, fallback: true };
+  }
+
+  const fromAddress = process.env.EMAIL_FROM || `SecureGov <${process.env.EMAIL_USER}>`;
+  const documentsUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/pages/documents.html`;
+
+  await transport.sendMail({
+    from:    fromAddress,
+    to,
+    subject: `"${documentTitle}" expires ${inDays}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <body style="margin:0;padding:0;background:#f3f4f6;font-family:Arial,sans-serif;">
+        <div style="max-width:560px;margin:40px auto;background:#ffffff;border-radius:12px;overflow:hidden;box-shadow:0 2px 8px rgba(0,0,0,0.08);">
+          <div style="background:linear-gradient(135deg,#1a56db,#1e40af);padding:32px 40px;">
+            <h1 style="margin:0;color:#ffffff;font-size:22px;">🛡️ SecureGov</h1>
+          </div>
+          <div style="padding:40px;">
+            <h2 style="margin:0 0 16px;color:#111827;font-size:20px;">Time to renew</h2>
+            <p style="color:#374151;line-height:1.6;margin:0 0 32px;">
+              <strong>"${documentTitle}"</strong> expires on <strong>${expiresOn}</strong> — ${inDays}.
+              ${issuingAuthority ? `Renewals are handled by <strong>${issuingAuthority}</strong>.` : ''}
+              Renewals can take weeks, so it is worth starting now.
+            </p>
+            <a href="${documentsUrl}"
+               style="display:inline-block;background:#1a56db;color:#ffffff;padding:14px 28px;
+                      text-decoration:none;border-radius:8px;font-weight:600;font-size:15px;">
+              View document
+            </a>
+            <p style="color:#9ca3af;font-size:13px;margin:32px 0 0;">
+              Once you have the renewed document, upload it as a new version and update its expiry date.
+            </p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  });
+
+  return { sent: true };
+}
+
+/**
+ * Tell an owner that the export they started is ready to download.
+ * The email links to the documents page, never to the archive itself —
+ * downloading it needs a signed-in session.
+ *
+ * @param {{
+ *   to:            string,  // owner email
+ *   documentCount: number,
+ *   expiresAt:     Date,    // when the archive is deleted
+ * }} opts
+ * @returns {{ sent: boolean, fallback?: boolean }}
+ */
+async function sendExportReadyEmail({ to, documentCount, expiresAt }) {
+  const transport = getTransporter();
+  const until     = expiresAt.toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+  const count     = documentCount === 1 ? '1 document' : `${documentCount} documents`;
+
+  if (!transport) {
+    console.log('\n' + '─'.repeat(60));
+    console.log('📧  [EMAIL FALLBACK] — set EMAIL_USER + EMAIL_APP_PASSWORD to send real emails');
+    console.log(`    To:          ${to}`);
+    console.log(`    Export:      ${count}, available until ${until}`);
+    console.log('─'.repeat(60) + '\n');
+    return { sent: false, fallback: true };
+  }
+
+  const fromAddress = process.env.EMAIL_FROM || `SecureGov <${process.env.EMAIL_USER}>`;
+  const documentsUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/pages/documents.html#exports`;
+
+  await transport.sendMail({
+    from:    fromAddress,
+    to,
+    subject: 'Your SecureGov export is ready',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <body style="margin:0;padding:0;background:#f3f4f6;font-family:Arial,sans-serif;">
+        <div style="max-width:560px;margin:40px auto;background:#ffffff;border-radius:12px;overflow:hidden;box-shadow:0 2px 8px rgba(0,0,0,0.08);">
+          <div style="background:linear-gradient(135deg,#1a56db,#1e40af);padding:32px 40px;">
+            <h1 style="margin:0;color:#ffffff;font-size:22px;">🛡️ SecureGov</h1>
+          </div>
+          <div style="padding:40px;">
+            <h2 style="margin:0 0 16px;color:#111827;font-size:20px;">Your export is ready</h2>
+            <p style="color:#374151;line-height:1.6;margin:0 0 32px;">
+              The archive of <strong>${count}</strong> you asked for has been built.
+              Download it from your documents page before <strong>${until}</strong> — it is deleted after that.
+            </p>
+            <a href="${documentsUrl}"
+               style="display:inline-block;background:#1a56db;color:#ffffff;padding:14px 28px;
+                      text-decoration:none;border-radius:8px;font-weight:600;font-size:15px;">
+              Download export
+            </a>
+            <p style="color:#9ca3af;font-size:13px;margin:32px 0 0;">
+              If you did not start this export, sign in and change your password.
+            </p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  });
+
+  return { sent: true };
+}
+
+/**
+ * Warn that storage is filling up — sent once per threshold crossed
+ * (services/quotas.js). For a family group it goes to the group's admins.
+ *
+ * @param {{
+ *   to:         string,
+ *   percent:    number,       // threshold crossed, e.g. 80
+ *   usedBytes:  number,
+ *   limitBytes: number,
+ *   groupName?: string,       // set for a family group's shared quota
+ * }} opts
+ * @returns {{ sent: boolean, fallback?: boolean }}
+ */
+async function sendQuotaWarningEmail({ to, percent, usedBytes, limitBytes, groupName }) {
+  const transport = getTransporter();
+  const toMb      = (bytes) => `${Math.round(bytes / 1024 / 1024)} MB`;
+  const whose     = groupName ? `The family group "${groupName}"` : 'Your SecureGov vault';
+
+  if (!transport) {
+    console.log('\n' + '─'.repeat(60));
+    console.log('📧  [EMAIL FALLBACK] — set EMAIL_USER + EMAIL_APP_PASSWORD to send real emails');
+    console.log(`    To:          ${to}`);
+    console.log(`    Quota:       ${whose} is over ${percent}% full (${toMb(usedBytes)} of ${toMb(limitBytes)})`);
+    console.log('─'.repeat(60) + '\n');
+    return { sent: false, fallback: true };
+  }
+
+  const fromAddress  = process.env.EMAIL_FROM || `SecureGov <${process.env.EMAIL_USER}>`;
+  const documentsUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/pages/documents.html`;
+
+  await transport.sendMail({
+    from:    fromAddress,
+    to,
+    subject: `${groupName ? `"${groupName}"` : 'Your vault'} is ${percent}% full`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <body style="margin:0;padding:0;background:#f3f4f6;font-family:Arial,sans-serif;">
+        <div style="max-width:560px;margin:40px auto;background:#ffffff;border-radius:12px;overflow:hidden;box-shadow:0 2px 8px rgba(0,0,0,0.08);">
+          <div style="background:linear-gradient(135deg,#1a56db,#1e40af);padding:32px 40px;">
+            <h1 style="margin:0;color:#ffffff;font-size:22px;">🛡️ SecureGov</h1>
+          </div>
+          <div style="padding:40px;">
+            <h2 style="margin:0 0 16px;color:#111827;font-size:20px;">Storage is ${percent}% full</h2>
+            <p style="color:#374151;line-height:1.6;margin:0 0 32px;">
+              ${whose} is using <strong>${toMb(usedBytes)}</strong> of its
+              <strong>${toMb(limitBytes)}</strong>. Uploads stop once it is full.
+              Documents in the trash still count — emptying it frees space straight away.
+            </p>
+            <a href="${documentsUrl}"
+               style="display:inline-block;background:#1a56db;color:#ffffff;padding:14px 28px;
+                      text-decoration:none;border-radius:8px;font-weight:600;font-size:15px;">
+              Manage documents
+            </a>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  });
+
+  return { sent: true };
+}
+
+module.exports = {
+  sendFamilyInvitationEmail, sendShareExpiredEmail, sendExpiryReminderEmail, sendExportReadyEmail,
+  sendQuotaWarningEmail,
+};
@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * encryption.js
+ *
+ * Envelope encryption for documents at rest.
+ *
+ *   file bytes ──AES-256-GCM(data key)──▶ ciphertext        (stored in the bucket)
+ *   data key   ──AES-256-GCM(master key)──▶ wrappedKey       (stored on the Document)
+ *
+ * Every document gets its own random 256-bit data key. Only the wrapped form
+ * is persisted, tagged with the ID of the master key that wrapped it, so
+ * master keys can be rotated by re-wrapping data keys — files never move.
+ *
+ * ENV:
+ *   DOCUMENT_MASTER_KEYS   Comma-separated "keyId:base64Key" pairs (32-byte keys).
+ *                          Keep retired keys listed until rotate-keys has run.
+ *   DOCUMENT_MASTER_KEY_ID ID of the key used for new documents (default: first listed)
+ *
+ * All functions throw an error with code DOCUMENT_ENCRYPTION_FAILED on failure.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM  = 'aes-256-gcm';
+const KEY_BYTES  = 32;
+const IV_BYTES   = 12; // GCM standard nonce size
+const TAG_BYTES  = 16;
+
+let _keyring = null;
+
+function encryptionError(message, cause) {
+  return Object.assign(
+    new Error(`Document encryption failed: ${message}`),
+    { status: 500, code: 'DOCUMENT_ENCRYPTION_FAILED', cause }
+  );
+}
+
+/** Parse DOCUMENT_MASTER_KEYS once into { activeKeyId, keys: Map<keyId, Buffer> } */
+function getKeyring() {
+  if (_keyring) return _keyring;
+
+  const raw = process.env.DOCUMENT_MASTER_KEYS;
+  if (!raw || !raw.trim()) {
+    throw encryptionError('DOCUMENT_MASTER_KEYS is not set.');
+  }
+
+  const keys = new Map();
+  raw.split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+    const sep = entry.indexOf(':');
+    if (sep <= 0) {
+      throw encryptionError(`malformed DOCUMENT_MASTER_KEYS entry "${entry.slice(0, 12)}…"`);
+    }
+    const keyId = entry.slice(0, sep);
+    const key   = Buffer.from(entry.slice(sep + 1), 'base64');
+    if (key.length !== KEY_BYTES) {
+      throw encryptionError(`master key "${keyId}" must be ${KEY_BYTES} bytes (base64-encoded).`);
+    }
+    keys.set(keyId, key);
+  });
+
+  const activeKeyId = process.env.DOCUMENT_MASTER_KEY_ID || keys.keys().next().value;
+  if (!keys.has(activeKeyId)) {
+    throw encryptionError(`DOCUMENT_MASTER_KEY_ID "${activeKeyId}" is not in DOCUMENT_MASTER_KEYS.`);
+  }
+
+  _keyring = { activeKeyId, keys };
+  return _keyring;
+}
+
+function getMasterKey(keyId) {
+  const key = getKeyring().keys.get(keyId);
+  if (!key) throw encryptionError(`master key "${keyId}" is not configured.`);
+  return key;
+}
+
+/** ID of the master key new documents are wrapped with. */
+function getActiveKeyId() {
+  return getKeyring().activeKeyId;
+}
+
+// ─── Key wrapping ─────────────────────────────────────────────────────────────
+// wrappedKey = base64( iv | authTag | encrypted data key ), keyId bound as AAD
+
+function wrapDataKey(dataKey, keyId) {
+  const iv     = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, getMasterKey(keyId), iv);
+  cipher.setAAD(Buffer.from(keyId));
+  const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString('base64');
+}
+
+function unwrapDataKey(wrappedKey, keyId) {
+  const raw      = Buffer.from(wrappedKey, 'base64');
+  const iv       = raw.subarray(0, IV_BYTES);
+  const authTag  = raw.subarray(IV_BYTES, IV_BYTES + TAG_BYTES);
+  const wrapped  = raw.subarray(IV_BYTES + TAG_BYTES);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getMasterKey(keyId), iv);
+  decipher.setAAD(Buffer.from(keyId));
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(wrapped), decipher.final()]);
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Start encrypting a file under a fresh data key, for files written in
+ * pieces: pass each piece through cipher.update(), then cipher.final().
+ * The envelope is only complete (it holds the auth tag) once final() has run.
+ *
+ * @returns {{ cipher: import('crypto').CipherGCM, envelope: () => object }}
+ *          envelope() returns the same shape as encryptBuffer()'s
+ */
+function createEncryptor() {
+  try {
+    const keyId      = getActiveKeyId();
+    const dataKey    = crypto.randomBytes(KEY_BYTES);
+    const iv         = crypto.randomBytes(IV_BYTES);
+    const cipher     = crypto.createCipheriv(ALGORITHM, dataKey, iv);
+    const wrappedKey = wrapDataKey(dataKey, keyId);
+
+    return {
+      cipher,
+      envelope: () => ({
+        algorithm: ALGORITHM,
+        keyId,
+        wrappedKey,
+        iv:        iv.toString('base64'),
+        authTag:   cipher.getAuthTag().toString('base64'),
+      }),
+    };
+  } catch (err) {
+    if (err.code === 'DOCUMENT_ENCRYPTION_FAILED') throw err;
+    throw encryptionError(err.message, err);
+  }
+}
+
+/**
+ * Encrypt a plaintext buffer under a fresh data key.
+ *
+ * @param {Buffer} plaintext
+ * @returns {{
+ *   ciphertext: Buffer,
+ *   envelope: { algorithm: string, keyId: string, wrappedKey: string, iv: string, authTag: string }
+ * }}
+ */
+function encryptBuffer(plaintext) {
+  const { cipher, envelope } = createEncryptor();
+  try {
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { ciphertext, envelope: envelope() };
+  } catch (err) {
+    throw encryptionError(err.message, err);
+  }
+}
+
+/**
+ * Decrypt a ciphertext produced by encryptBuffer().
+ * Fails if the ciphertext or any envelope field has been tampered with.
+ *
+ * @param {Buffer} ciphertext
+ * @param {{ keyId: string, wrappedKey: string, iv: string, authTag: string }} envelope
+ * @returns {Buffer}
+ */
+function decryptBuffer(ciphertext, envelope) {
+  try {
+    const dataKey  = unwrapDataKey(envelope.wrappedKey, envelope.keyId);
+    const decipher = crypto.createDecipheriv(ALGORITHM, dataKey, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.authTag, 'base64'));
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  } catch (err) {
+    if (err.code === 'DOCUMENT_ENCRYPTION_FAILED') throw err;
+    throw encryptionError(`decryption failed (${err.message})`, err);
+  }
+}
+
+/**
+ * Re-wrap an envelope's data key under the active master key.
+ * The file ciphertext, iv and authTag are unchanged.
+ *
+ * @param {object} envelope
+ * @returns {object}  New envelope (same shape), or the input if already current
+ */
+function rewrapEnvelope(envelope) {
+  const activeKeyId = getActiveKeyId();
+  if (envelope.keyId === activeKeyId) return envelope;
+
+  try {
+    const dataKey = unwrapDataKey(envelope.wrappedKey, envelope.keyId);
+    return {
+      algorithm:  envelope.algorithm || ALGORITHM,
+      keyId:      activeKeyId,
+      wrappedKey: wrapDataKey(dataKey, activeKeyId),
+      iv:         envelope.iv,
+      authTag:    envelope.authTag,
+    };
+  } catch (err) {
+    if (err.code === 'DOCUMENT_ENCRYPTION_FAILED') throw err;
+    throw encryptionError(`re-wrap failed for key "${envelope.keyId}" (${err.message})`, err);
+  }
+}
+
+module.exports = { createEncryptor, encryptBuffer, decryptBuffer, rewrapEnvelope, getActiveKeyId };
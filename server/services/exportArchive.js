@@ -0,0 +1,406 @@
+'use strict';
+
+/**
+ * exportArchive.js
+ *
+ * The SecureGov export archive — a ZIP that lets owners take their documents
+ * out, and that POST /api/documents/import turns back into documents:
+ *
+ *   manifest.json               format, version, exportedAt and one entry per
+ *                               document (metadata, folder path, file path)
+ *   documents/<nnnn>-<title>.*  the current version of each document, decrypted
+ *
+ * With a passphrase every entry is AES-256 encrypted (WinZip AES, readable by
+ * 7-Zip, WinZip and most unzip tools). Only then does the manifest carry full
+ * structured ID numbers (idFields); plain archives leave them out.
+ *
+ * Exports run one at a time in the background (queueExport) and the archive
+ * is stored sealed, like document files, until it expires
+ * (jobs/exportArchives.js). routes/exports.js can also stream a small export
+ * straight to the client.
+ */
+
+const fs  = require('fs/promises');
+const zip = require('@zip.js/zip.js');
+
+const Document                                = require('../models/Document');
+const ExportJob                               = require('../models/ExportJob');
+const Folder                                  = require('../models/Folder');
+const User                                    = require('../models/User');
+const { storeDocumentFile, readDocumentFile } = require('./documentFiles');
+const { unsealIdFields }                      = require('./idFields');
+const { sendExportReadyEmail }                = require('./emailService');
+
+zip.configure({ useWebWorkers: false });
+
+const MANIFEST_FORMAT       = 'securegov-export';
+const MANIFEST_VERSION      = 1;
+const MANIFEST_PATH         = 'manifest.json';
+const MIN_PASSPHRASE_LENGTH = 8;
+const AES_256               = 3; // zip.js encryptionStrength
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const EXPORT_MAX_BYTES       = Number(process.env.EXPORT_MAX_BYTES) || 250 * 1024 * 1024;
+const EXPORT_RETENTION_HOURS = Number(process.env.EXPORT_RETENTION_HOURS) || 24;
+
+// Import limits — a manifest or entry larger than these is refused before inflating
+const MAX_MANIFEST_BYTES   = 5 * 1024 * 1024;
+const MAX_IMPORT_DOCUMENTS = 500;
+
+// How often a running export records its progress (also keeps it from looking stale)
+const PROGRESS_EVERY = 10;
+
+// A queued or running job untouched for this long was lost to a restart
+// (jobs/exportArchives.js). Jobs waiting in the queue are touched well within it
+const EXPORT_STALE_MINUTES = Number(process.env.EXPORT_STALE_MINUTES) || 30;
+const QUEUED_TOUCH_MS      = (EXPORT_STALE_MINUTES * 60 * 1000) / 3;
+
+const EXTENSIONS = { 'application/pdf': '.pdf', 'image/png': '.png', 'image/jpeg': '.jpg', 'image/jpg': '.jpg' };
+
+// ─── Selecting documents ──────────────────────────────────────────────────────
+
+/**
+ * Document query for an export filter (see models/ExportJob.js): the owner's
+ * active documents, narrowed by category, tag, folder (with its subfolders)
+ * and/or explicit IDs.
+ */
+async function buildExportQuery(ownerUid, filter = {}) {
+  const query = { uploadedBy: ownerUid, status: 'active' };
+  if (filter.category) query.category = filter.category;
+  if (filter.tag)      query.tags     = filter.tag;
+  if (filter.ids && filter.ids.length) query._id = { $in: filter.ids };
+
+  if (filter.folderId) {
+    const folderIds = [filter.folderId];
+    let level = [filter.folderId];
+    while (level.length) {
+      level = await Folder.find({ ownerUid, parentId: { $in: level } }).distinct('_id');
+      folderIds.push(...level);
+    }
+    query.folderId = { $in: folderIds };
+  }
+  return query;
+}
+
+/** Number and total size of the documents an export would contain. */
+async function measureExport(ownerUid, filter) {
+  const [totals] = await Document.aggregate([
+    { $match: await buildExportQuery(ownerUid, filter) },
+    { $group: { _id: null, count: { $sum: 1 }, bytes: { $sum: '$fileSize' } } },
+  ]);
+  return totals ? { count: totals.count, bytes: totals.bytes } : { count: 0, bytes: 0 };
+}
+
+// ─── Writing ──────────────────────────────────────────────────────────────────
+
+/** Folder ID → list of names from the top, e.g. ['Family', 'Taxes']. */
+async function loadFolderPaths(ownerUid) {
+  const folders = await Folder.find({ ownerUid }).select('name parentId').lean();
+  const byId    = new Map(folders.map((f) => [String(f._id), f]));
+  const paths   = new Map();
+
+  const pathOf = (id, seen = new Set()) => {
+    const key = String(id);
+    if (paths.has(key)) return paths.get(key);
+    const folder = byId.get(key);
+    if (!folder || seen.has(key)) return [];
+    seen.add(key);
+    const path = [...(folder.parentId ? pathOf(folder.parentId, seen) : []), folder.name];
+    paths.set(key, path);
+    return path;
+  };
+  folders.forEach((f) => pathOf(f._id));
+  return paths;
+}
+
+/** "documents/0007-Passport_scan.pdf" — numbered so equal titles never collide. */
+function entryPath(doc, index) {
+  const title = doc.title.replace(/[^\p{L}\p{N} ._-]/gu, '_').trim().slice(0, 80) || 'document';
+  return `documents/${String(index + 1).padStart(4, '0')}-${title}${EXTENSIONS[doc.mimeType] || ''}`;
+}
+
+function manifestEntry(doc, path, folderPaths, withIdNumbers) {
+  const entry = {
+    id:               String(doc._id),
+    path,
+    title:            doc.title,
+    category:         doc.category,
+    description:      doc.description || '',
+    tags:             doc.tags || [],
+    folder:           doc.folderId ? folderPaths.get(String(doc.folderId)) || [] : [],
+    issueDate:        doc.issueDate || null,
+    expiryDate:       doc.expiryDate || null,
+    issuingAuthority: doc.issuingAuthority || '',
+    mimeType:         doc.mimeType,
+    fileSize:         doc.fileSize,
+    contentHash:      doc.contentHash || null,
+    originalName:     (doc.getVersion(doc.currentVersion) || {}).originalName || null,
+    uploadDate:       doc.uploadDate,
+    version:          doc.currentVersion,
+  };
+  if (doc.idFields && withIdNumbers) entry.idFields = unsealIdFields(doc.idFields);
+  return entry;
+}
+
+/**
+ * Write an archive of `docs` to a zip.js writer (a WritableStream for a
+ * streamed response, a Uint8ArrayWriter for a stored export).
+ *
+ * @param {import('mongoose').Document[]} docs
+ * @param {object} writer
+ * @param {{ ownerUid: string, passphrase?: string, onProgress?: (done: number) => Promise<void> }} options
+ * @returns {Promise<{ documentCount: number, data: any }>}  data = the writer's result
+ */
+async function writeExportArchive(docs, writer, { ownerUid, passphrase, onProgress }) {
+  const zipWriter = new zip.ZipWriter(writer, passphrase
+    ? { password: passphrase, encryptionStrength: AES_256 }
+    : {});
+
+  const folderPaths = await loadFolderPaths(ownerUid);
+  const entries     = [];
+
+  for (const [index, doc] of docs.entries()) {
+    const path   = entryPath(doc, index);
+    const buffer = await readDocumentFile(doc.firebaseStoragePath, doc.encryption);
+    // PDFs, JPEGs and PNGs are already compressed — store them as they are
+    await zipWriter.add(path, new zip.Uint8ArrayReader(new Uint8Array(buffer)), {
+      level:       0,
+      lastModDate: doc.lastModified || doc.uploadDate,
+    });
+    entries.push(manifestEntry(doc, path, folderPaths, Boolean(passphrase)));
+    if (onProgress && (index + 1) % PROGRESS_EVERY === 0) await onProgress(index + 1);
+  }
+
+  const manifest = {
+    format:     MANIFEST_FORMAT,
+    version:    MANIFEST_VERSION,
+    exportedAt: new Date(),
+    documents:  entries,
+  };
+  await zipWriter.add(MANIFEST_PATH, new zip.TextReader(JSON.stringify(manifest, null, 2)));
+
+  const data = await zipWriter.close();
+  return { documentCount: entries.length, data };
+}
+
+// ─── Background exports ──────────────────────────────────────────────────────
+
+/**
+ * Build, seal and store the archive for a queued ExportJob, then email the
+ * owner. The passphrase is never persisted. Failures end up on the job.
+ */
+async function runExportJob(jobId, passphrase) {
+  const job = await ExportJob.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'running', startedAt: new Date() } },
+    { new: true }
+  );
+  if (!job) return; // deleted or already picked up
+
+  try {
+    const docs = await Document
+      .find(await buildExportQuery(job.ownerUid, job.filter))
+      .sort({ uploadDate: 1 });
+
+    const bytes = docs.reduce((sum, d) => sum + (d.fileSize || 0), 0);
+    if (bytes > EXPORT_MAX_BYTES) {
+      throw new Error('The selected documents are now too large for one export. Export fewer at a time.');
+    }
+
+    const { documentCount, data } = await writeExportArchive(docs, new zip.Uint8ArrayWriter(), {
+      ownerUid:   job.ownerUid,
+      passphrase,
+      onProgress: (done) => ExportJob.updateOne({ _id: job._id }, { $set: { documentsDone: done } }),
+    });
+
+    const archive = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    const { storagePath, encryption } = await storeDocumentFile(
+      archive, `exports/${job.ownerUid}/${job._id}-${Date.now()}.zip`
+    );
+
+    const completedAt = new Date();
+    Object.assign(job, {
+      status:        'done',
+      documentCount,
+      documentsDone: documentCount,
+      fileSize:      archive.length,
+      storagePath,
+      encryption,
+      completedAt,
+      expiresAt:     new Date(completedAt.getTime() + EXPORT_RETENTION_HOURS * HOUR_MS),
+    });
+    await job.save();
+
+    const owner = await User.findOne({ firebaseUID: job.ownerUid }).select('email').lean();
+    if (owner) {
+      await sendExportReadyEmail({ to: owner.email, documentCount, expiresAt: job.expiresAt })
+        .catch((err) => console.error(`[exports] ${job._id}: email failed: ${err.message}`));
+    }
+  } catch (err) {
+    console.error(`[exports] ${job._id}: ${err.message}`);
+    await ExportJob.updateOne(
+      { _id: job._id },
+      { $set: { status: 'failed', error: err.message, completedAt: new Date() } }
+    );
+  }
+}
+
+// One export at a time — archives are built in memory
+let queue = Promise.resolve();
+
+// Jobs waiting in `queue`, and the timer touching them while there are any
+const waiting = new Set();
+let touchTimer = null;
+
+/** Mark the waiting jobs as alive, so a long queue does not look stale. */
+async function touchWaitingExports() {
+  if (!waiting.size) {
+    clearInterval(touchTimer);
+    touchTimer = null;
+    return;
+  }
+  await ExportJob.updateMany({ _id: { $in: [...waiting] }, status: 'queued' }, { $set: { updatedAt: new Date() } })
+    .catch((err) => console.error(`[exports] touching queued exports failed: ${err.message}`));
+}
+
+/** Schedule a queued ExportJob without waiting for it. */
+function queueExport(job, passphrase) {
+  waiting.add(job._id);
+  if (!touchTimer) touchTimer = setInterval(touchWaitingExports, QUEUED_TOUCH_MS).unref();
+
+  queue = queue
+    .then(() => {
+      waiting.delete(job._id);
+      return runExportJob(job._id, passphrase);
+    })
+    .catch((err) => console.error(`[exports] ${job._id}: ${err.message}`));
+}
+
+// ─── Reading (import) ─────────────────────────────────────────────────────────
+
+/** WritableStream collecting an entry's bytes, failing once it exceeds maxBytes. */
+function cappedSink(maxBytes) {
+  const chunks = [];
+  let size     = 0;
+  const stream = new WritableStream({
+    write(chunk) {
+      size += chunk.length;
+      if (size > maxBytes) throw new Error(`Entry is larger than ${maxBytes} bytes.`);
+      chunks.push(chunk);
+    },
+  });
+  return { stream, result: () => Buffer.concat(chunks) };
+}
+
+/** zip.js reader over a file on disk — only the parts being read are loaded. */
+class FileHandleReader extends zip.Reader {
+  constructor(handle) {
+    super();
+    this.handle = handle;
+  }
+
+  async init() {
+    super.init();
+    this.size = (await this.handle.stat()).size;
+  }
+
+  async readUint8Array(offset, length) {
+    const data = new Uint8Array(Math.max(0, Math.min(length, this.size - offset)));
+    const { bytesRead } = await this.handle.read(data, 0, data.length, offset);
+    return data.subarray(0, bytesRead);
+  }
+}
+
+function importError(status, code, message) {
+  return { error: { status, code, message } };
+}
+
+/**
+ * Open an export archive and check its manifest. The archive is read from
+ * disk as entries are needed, never loaded whole.
+ *
+ * @param {string} filePath
+ * @param {string} [passphrase]
+ * @returns {Promise<
+ *   { error: { status: number, code: string, message: string } } |
+ *   { manifest: object, readFile: (path: string, maxBytes: number) => Promise<Buffer|null>, close: () => Promise<void> }
+ * >}  readFile resolves to null for paths not in the archive; the file stays
+ *     open until close()
+ */
+async function readExportArchive(filePath, passphrase) {
+  const handle = await fs.open(filePath, 'r');
+  const reader = new zip.ZipReader(new FileHandleReader(handle));
+  const close  = async () => {
+    await reader.close();
+    await handle.close();
+  };
+
+  let entries;
+  try {
+    entries = await reader.getEntries();
+  } catch (_) {
+    await handle.close();
+    return importError(400, 'INVALID_ARCHIVE', 'The file is not a ZIP archive.');
+  }
+
+  const byPath   = new Map(entries.filter((e) => !e.directory).map((e) => [e.filename, e]));
+  const read     = async (entry, maxBytes) => {
+    if (entry.uncompressedSize > maxBytes) throw new Error(`${entry.filename} is too large.`);
+    const sink = cappedSink(maxBytes);
+    await entry.getData(sink.stream, passphrase ? { password: passphrase } : {});
+    return sink.result();
+  };
+  const fail = async (...args) => {
+    await close();
+    return importError(...args);
+  };
+
+  const manifestFile = byPath.get(MANIFEST_PATH);
+  if (!manifestFile) {
+    return fail(400, 'INVALID_ARCHIVE', 'The archive has no manifest.json — it was not exported from SecureGov.');
+  }
+  if (manifestFile.encrypted && !passphrase) {
+    return fail(400, 'PASSPHRASE_REQUIRED', 'This archive is encrypted. Enter the passphrase it was exported with.');
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse((await read(manifestFile, MAX_MANIFEST_BYTES)).toString('utf8'));
+  } catch (err) {
+    if (err.message === zip.ERR_INVALID_PASSWORD) {
+      return fail(400, 'WRONG_PASSPHRASE', 'The passphrase does not match this archive.');
+    }
+    return fail(400, 'INVALID_ARCHIVE', 'The archive manifest could not be read.');
+  }
+
+  if (!manifest || manifest.format !== MANIFEST_FORMAT || !Array.isArray(manifest.documents)) {
+    return fail(400, 'INVALID_ARCHIVE', 'The archive was not exported from SecureGov.');
+  }
+  if (manifest.version > MANIFEST_VERSION) {
+    return fail(400, 'UNSUPPORTED_VERSION', 'The archive was made by a newer version of SecureGov.');
+  }
+  if (manifest.documents.length > MAX_IMPORT_DOCUMENTS) {
+    return fail(400, 'TOO_MANY_DOCUMENTS', `An archive can hold at most ${MAX_IMPORT_DOCUMENTS} documents.`);
+  }
+
+  return {
+    manifest,
+    async readFile(path, maxBytes) {
+      const entry = byPath.get(path);
+      return entry ? read(entry, maxBytes) : null;
+    },
+    close,
+  };
+}
+
+module.exports = {
+  MIN_PASSPHRASE_LENGTH,
+  EXPORT_MAX_BYTES,
+  EXPORT_STALE_MINUTES,
+  buildExportQuery,
+  measureExport,
+  writeExportArchive,
+  queueExport,
+  readExportArchive,
+};
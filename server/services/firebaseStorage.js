@@ -4,29 +4,23 @@
  * firebaseStorage.js
  *
  * Thin wrapper around Firebase Admin Storage.
+ * This is the default driver behind services/storage.js (STORAGE_DRIVER=firebase).
  * All functions throw on failure — callers decide how to handle errors.
  *
- * ── IAM note ─────────────────────────────────────────────────────────────────
- * getSignedUrl() requires the service account to have the
- * "Service Account Token Creator" IAM role in Google Cloud Console.
- * If you get a "SigningError / IAM API has not been used" error:
- *   1. Go to Google Cloud Console → IAM & Admin → IAM
- *   2. Find your service account email
- *   3. Grant it the "Service Account Token Creator" role
- * ─────────────────────────────────────────────────────────────────────────────
+ * No bucket URLs are ever handed out: clients download through the API
+ * (routes/documents.js), which re-checks access on every request.
  */
 
+const { pipeline }         = require('stream/promises');
 const { getStorageBucket } = require('../config/firebase');
 
-const SIGNED_URL_TTL_MS = 72 * 60 * 60 * 1000; // 72 hours
-
 /**
  * Upload a file buffer to Firebase Storage.
  *
  * @param {Buffer}  fileBuffer   Raw file content
  * @param {string}  destination  Storage path, e.g. "documents/uid/123-file.pdf"
  * @param {string}  mimeType     e.g. "application/pdf"
- * @returns {{ path: string, url: string }}
+ * @returns {{ path: string }}
  */
 async function uploadFile(fileBuffer, destination, mimeType) {
   try {
@@ -38,35 +32,51 @@ async function uploadFile(fileBuffer, destination, mimeType) {
       resumable:  false, // direct upload is faster for files < 5 MB
     });
 
-    const [url] = await file.getSignedUrl({
-      action:  'read',
-      expires: Date.now() + SIGNED_URL_TTL_MS,
-    });
-
-    return { path: destination, url };
+    return { path: destination };
   } catch (err) {
     throw new Error(`Storage upload failed: ${err.message}`);
   }
 }
 
 /**
- * Generate a fresh signed URL for an existing file.
- * Call this every time a user requests a download — the cached URL in MongoDB
- * may have expired.
+ * Upload a file to Firebase Storage as it is produced, without holding it
+ * whole. Nothing is stored if the source fails part-way.
  *
- * @param {string} storagePath  e.g. "documents/uid/123-file.pdf"
- * @returns {string}  Time-limited signed URL
+ * @param {import('stream').Readable|AsyncIterable<Buffer>} source
+ * @param {string}  destination  Storage path, e.g. "documents/uid/123-file.pdf"
+ * @param {string}  mimeType     e.g. "application/pdf"
+ * @returns {{ path: string }}
  */
-async function getSignedUrl(storagePath) {
+async function uploadStream(source, destination, mimeType) {
   try {
     const bucket = getStorageBucket();
-    const [url]  = await bucket.file(storagePath).getSignedUrl({
-      action:  'read',
-      expires: Date.now() + SIGNED_URL_TTL_MS,
-    });
-    return url;
+    const file   = bucket.file(destination);
+
+    // Resumable, so a large file is sent in parts the bucket only keeps once complete
+    await pipeline(source, file.createWriteStream({
+      metadata:  { contentType: mimeType },
+      resumable: true,
+    }));
+
+    return { path: destination };
+  } catch (err) {
+    throw new Error(`Storage upload failed: ${err.message}`);
+  }
+}
+
+/**
+ * Download a file's raw bytes (used for server-side decryption).
+ *
+ * @param {string} storagePath
+ * @returns {Buffer}
+ */
+async function downloadFile(storagePath) {
+  try {
+    const bucket   = getStorageBucket();
+    const [buffer] = await bucket.file(storagePath).download();
+    return buffer;
   } catch (err) {
-    throw new Error(`Failed to generate download URL: ${err.message}`);
+    throw new Error(`Storage download failed: ${err.message}`);
   }
 }
 
@@ -87,4 +97,4 @@ async function deleteFile(storagePath) {
   }
 }
 
-module.exports = { uploadFile, getSignedUrl, deleteFile };
+module.exports = { uploadFile, uploadStream, downloadFile, deleteFile };
@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * idFields.js
+ *
+ * Seals the full numbers of a document's structured ID fields
+ * (utils/governmentIds.js) with the same envelope encryption as the files
+ * themselves. Only the masked display values are stored in the clear; the
+ * full values come back through unsealIdFields() on an explicit, audited
+ * reveal (POST /api/documents/:id/id-fields/reveal).
+ */
+
+const { encryptBuffer, decryptBuffer } = require('./encryption');
+
+/**
+ * Build the Document.idFields value from validateIdFields() output.
+ *
+ * @param {string} kind                      Document category, e.g. 'pan'
+ * @param {{ secret: object, display: object }} validated
+ * @returns {{ kind: string, display: object, sealed: string, encryption: object, updatedAt: Date }}
+ */
+function sealIdFields(kind, { secret, display }) {
+  const { ciphertext, envelope } = encryptBuffer(Buffer.from(JSON.stringify(secret), 'utf8'));
+  return {
+    kind,
+    display,
+    sealed:     ciphertext.toString('base64'),
+    encryption: envelope,
+    updatedAt:  new Date(),
+  };
+}
+
+/**
+ * Decrypt the full values sealed by sealIdFields().
+ *
+ * @param {object} idFields  Document.idFields
+ * @returns {object}         e.g. { number: 'ABCPE1234F' }
+ */
+function unsealIdFields(idFields) {
+  const plaintext = decryptBuffer(Buffer.from(idFields.sealed, 'base64'), idFields.encryption);
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+module.exports = { sealIdFields, unsealIdFields };
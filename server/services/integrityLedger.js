@@ -0,0 +1,421 @@
+'use strict';
+
+/**
+ * integrityLedger.js
+ *
+ * Tamper evidence for stored documents. Every event that changes which bytes
+ * a document stands for is appended to its hash chain (models/IntegrityEntry.js):
+ *
+ *   entry n: hash = SHA-256( documentId, n, event, version, contentHash,
+ *                            actorUid, createdAt, hash of entry n-1 )
+ *
+ * verifyDocumentIntegrity re-reads and re-hashes every version's stored file
+ * and checks it, the Document's own hashes and the chain itself against each
+ * other. A file altered in the bucket, a contentHash edited in MongoDB or a
+ * rewritten ledger entry all show up as a mismatch.
+ *
+ * Integrity receipts are signed with Ed25519 so they can be checked by
+ * anyone holding the public key (GET /api/public/integrity/key), without
+ * access to this server's secrets.
+ *
+ * ENV:
+ *   INTEGRITY_SIGNING_KEY  Ed25519 private key, PKCS#8 PEM (literal "\n" allowed)
+ *                          or the PEM base64-encoded. Required in production.
+ */
+
+const crypto = require('crypto');
+
+const Document         = require('../models/Document');
+const IntegrityEntry   = require('../models/IntegrityEntry');
+const { hashContent, readDocumentFile } = require('./documentFiles');
+
+const GENESIS_HASH   = '0'.repeat(64);
+const APPEND_RETRIES = 5;
+
+// Events that set which version is current
+const CURRENT_EVENTS = new Set(['upload', 'version_add', 'version_restore', 'baseline']);
+// Events that record a version's content for the first time
+const CONTENT_EVENTS = new Set(['upload', 'version_add', 'baseline']);
+
+// ─── Chain ───────────────────────────────────────────────────────────────────
+
+/** The hash an entry must carry, from its own fields and prevHash. */
+function computeEntryHash(entry) {
+  const fields = [
+    String(entry.documentId),
+    entry.seq,
+    entry.event,
+    entry.version ?? null,
+    entry.contentHash ?? null,
+    entry.actorUid ?? null,
+    new Date(entry.createdAt).toISOString(),
+    entry.prevHash,
+  ];
+  return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+}
+
+/**
+ * Append an entry to a document's chain. Two appends racing for the same
+ * position are told apart by the unique { documentId, seq } index; the loser
+ * re-reads the head and tries again.
+ *
+ * @param {any} documentId
+ * @param {{ event: string, version?: number, contentHash?: string, actorUid?: string }} fields
+ * @returns {Promise<object>} the new entry
+ */
+async function appendIntegrityEntry(documentId, { event, version = null, contentHash = null, actorUid = null }) {
+  for (let attempt = 1; ; attempt += 1) {
+    const head  = await IntegrityEntry.findOne({ documentId }).sort({ seq: -1 }).select('seq hash').lean();
+    const entry = {
+      documentId,
+      seq:       head ? head.seq + 1 : 1,
+      event,
+      version,
+      contentHash,
+      actorUid,
+      prevHash:  head ? head.hash : GENESIS_HASH,
+      createdAt: new Date(),
+    };
+    entry.hash = computeEntryHash(entry);
+
+    try {
+      return await IntegrityEntry.create(entry);
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= APPEND_RETRIES) throw err;
+    }
+  }
+}
+
+/**
+ * appendIntegrityEntry for request handlers: the change it records has
+ * already been saved, so a failure is logged rather than failing the request.
+ * The missing entry then shows up as a mismatch on the next verification.
+ */
+async function recordIntegrity(documentId, fields) {
+  try {
+    await appendIntegrityEntry(documentId, fields);
+  } catch (err) {
+    console.error(`[integrityLedger] failed to record ${fields.event} for ${documentId}: ${err.message}`);
+  }
+}
+
+/** A document's entries, in order. */
+function loadChain(documentId) {
+  return IntegrityEntry.find({ documentId }).sort({ seq: 1 }).lean();
+}
+
+/**
+ * Check the links of a chain: numbering, each prevHash, each hash.
+ *
+ * @param {object[]} entries  from loadChain()
+ * @returns {string[]} one line per broken link
+ */
+function verifyChain(entries) {
+  const failures = [];
+  let prevHash   = GENESIS_HASH;
+
+  entries.forEach((entry, i) => {
+    if (entry.seq !== i + 1) {
+      failures.push(`Ledger entry ${i + 1} is missing (found entry ${entry.seq} in its place).`);
+    }
+    if (entry.prevHash !== prevHash) {
+      failures.push(`Ledger entry ${entry.seq} does not follow on from the entry before it.`);
+    }
+    if (computeEntryHash(entry) !== entry.hash) {
+      failures.push(`Ledger entry ${entry.seq} has been altered.`);
+    }
+    prevHash = entry.hash;
+  });
+
+  return failures;
+}
+
+// ─── Verification ────────────────────────────────────────────────────────────
+
+/** Is this readDocumentFile() error the GCM authentication failing — bytes or envelope altered? */
+function isTamperError(err) {
+  return err.code === 'DOCUMENT_ENCRYPTION_FAILED' && Boolean(err.cause);
+}
+
+/**
+ * Re-hash every version's stored file (one read per storage object) and
+ * compare it with the ledger.
+ *
+ * @returns {Promise<object[]>} one entry per version:
+ *          { version, recordedHash, storedHash, status: match|mismatch|unrecorded|unreadable }
+ */
+async function checkVersions(doc, recorded, failures) {
+  const byPath  = new Map(); // storagePath → { hash } | { error }
+  const results = [];
+
+  for (const entry of [...doc.versions].sort((a, b) => a.version - b.version)) {
+    const recordedHash = recorded.get(entry.version) || null;
+
+    if (!byPath.has(entry.storagePath)) {
+      try {
+        byPath.set(entry.storagePath, { hash: hashContent(await readDocumentFile(entry.storagePath, entry.encryption)) });
+      } catch (err) {
+        byPath.set(entry.storagePath, { error: err });
+      }
+    }
+    const stored = byPath.get(entry.storagePath);
+
+    let status;
+    if (stored.error && !isTamperError(stored.error)) {
+      status = 'unreadable';
+      failures.push(`Version ${entry.version}: the stored file could not be read (${stored.error.message}).`);
+    } else if (stored.error) {
+      status = 'mismatch';
+      failures.push(`Version ${entry.version}: the stored file fails decryption — it has been altered.`);
+    } else if (!recordedHash) {
+      status = 'unrecorded';
+      failures.push(`Version ${entry.version} is not in the integrity ledger.`);
+    } else if (stored.hash !== recordedHash) {
+      status = 'mismatch';
+      failures.push(`Version ${entry.version}: the stored file does not match the hash recorded at upload.`);
+    } else {
+      status = 'match';
+    }
+
+    if (recordedHash && entry.contentHash && entry.contentHash !== recordedHash) {
+      status = 'mismatch';
+      failures.push(`Version ${entry.version}: the document's recorded hash differs from the ledger.`);
+    }
+
+    results.push({ version: entry.version, recordedHash, storedHash: stored.hash || null, status });
+  }
+
+  return results;
+}
+
+/**
+ * Check a document against its ledger and save the outcome on Document.integrity.
+ *
+ *   verified   — chain intact, every version present and matching
+ *   mismatch   — a stored file, a recorded hash or the chain has changed
+ *   unreadable — a stored file could not be fetched; nothing else wrong
+ *   unrecorded — the document has no ledger yet (see jobs/integrityCheck.js)
+ *
+ * Purged documents have no files left; only their chain is checked.
+ *
+ * @param {import('mongoose').Document} doc
+ * @returns {Promise<{
+ *   status: string, checkedAt: Date, failures: string[], currentVersion: number,
+ *   versions: object[], ledger: { entries: number, headHash: string|null }
+ * }>}
+ */
+async function verifyDocumentIntegrity(doc) {
+  const entries  = await loadChain(doc._id);
+  const failures = verifyChain(entries);
+  let versions   = [];
+
+  if (entries.length && doc.status !== 'purged') {
+    doc.ensureVersionHistory();
+
+    const recorded = new Map();
+    for (const entry of entries.filter((e) => CONTENT_EVENTS.has(e.event))) {
+      if (recorded.has(entry.version) && recorded.get(entry.version) !== entry.contentHash) {
+        failures.push(`Ledger entry ${entry.seq} records a different hash for version ${entry.version}.`);
+      } else {
+        recorded.set(entry.version, entry.contentHash);
+      }
+    }
+
+    versions = await checkVersions(doc, recorded, failures);
+
+    const known = new Set(doc.versions.map((v) => v.version));
+    [...recorded.keys()].filter((v) => !known.has(v)).forEach((v) => {
+      failures.push(`Version ${v} is in the ledger but missing from the document.`);
+    });
+
+    const current = [...entries].reverse().find((e) => CURRENT_EVENTS.has(e.event));
+    if (current && current.version !== doc.currentVersion) {
+      failures.push(`The ledger has version ${current.version} as current, the document has version ${doc.currentVersion}.`);
+    }
+    if (doc.contentHash && recorded.get(doc.currentVersion) && doc.contentHash !== recorded.get(doc.currentVersion)) {
+      failures.push("The document's current hash differs from the ledger.");
+    }
+  }
+
+  // Each unreadable version adds exactly one failure; anything beyond those is a mismatch
+  const unreadable = versions.filter((v) => v.status === 'unreadable').length;
+  let status = 'verified';
+  if (!entries.length) {
+    status = 'unrecorded';
+  } else if (failures.length > unreadable) {
+    status = 'mismatch';
+  } else if (unreadable) {
+    status = 'unreadable';
+  }
+
+  const checkedAt = new Date();
+  await Document.updateOne({ _id: doc._id }, { $set: { integrity: { status, failures, checkedAt } } });
+  doc.integrity = { status, failures, checkedAt };
+
+  const head = entries[entries.length - 1];
+  return {
+    status,
+    checkedAt,
+    failures,
+    currentVersion: doc.currentVersion,
+    versions,
+    ledger: { entries: entries.length, headHash: head ? head.hash : null },
+  };
+}
+
+/**
+ * Start the chain of a document created before the ledger existed: one
+ * baseline entry per version, hashed from the stored file as it is now,
+ * the current version last. Does nothing if the document has entries.
+ *
+ * @returns {Promise<boolean>} whether a baseline was recorded
+ */
+async function recordBaseline(doc) {
+  if (await IntegrityEntry.exists({ documentId: doc._id })) return false;
+
+  doc.ensureVersionHistory();
+  const ordered = [...doc.versions].sort((a, b) =>
+    (a.version === doc.currentVersion) - (b.version === doc.currentVersion) || a.version - b.version);
+
+  const hashes = new Map(); // storagePath → hash
+  for (const entry of ordered) {
+    if (!hashes.has(entry.storagePath)) {
+      hashes.set(entry.storagePath, hashContent(await readDocumentFile(entry.storagePath, entry.encryption)));
+    }
+  }
+  for (const entry of ordered) {
+    await appendIntegrityEntry(doc._id, {
+      event:       'baseline',
+      version:     entry.version,
+      contentHash: hashes.get(entry.storagePath),
+    });
+  }
+  return true;
+}
+
+let queue = Promise.resolve();
+
+/** Run `task` once every earlier verification has finished — each holds whole files in memory. */
+function runVerification(task) {
+  const run = queue.then(task, task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+// ─── Receipts ────────────────────────────────────────────────────────────────
+
+let _signingKey = null;
+
+/** Parse INTEGRITY_SIGNING_KEY once into { privateKey, publicKey, keyId }. */
+function getSigningKey() {
+  if (_signingKey) return _signingKey;
+
+  const raw = process.env.INTEGRITY_SIGNING_KEY;
+  let privateKey;
+
+  if (raw && raw.trim()) {
+    const pem = raw.includes('BEGIN') ? raw.replace(/\\n/g, '\n') : Buffer.from(raw, 'base64').toString('utf8');
+    privateKey = crypto.createPrivateKey(pem);
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('INTEGRITY_SIGNING_KEY must be an Ed25519 private key.');
+    }
+  } else if (process.env.NODE_ENV === 'production') {
+    throw new Error('INTEGRITY_SIGNING_KEY must be set in production.');
+  } else {
+    ({ privateKey } = crypto.generateKeyPairSync('ed25519'));
+    console.warn('[integrityLedger] INTEGRITY_SIGNING_KEY not set — using a random per-process key');
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const keyId     = crypto.createHash('sha256')
+    .update(publicKey.export({ type: 'spki', format: 'der' }))
+    .digest('hex')
+    .slice(0, 16);
+
+  _signingKey = { privateKey, publicKey, keyId };
+  return _signingKey;
+}
+
+/** What GET /api/public/integrity/key publishes. */
+function getReceiptPublicKey() {
+  const { publicKey, keyId } = getSigningKey();
+  return { algorithm: 'Ed25519', keyId, publicKey: publicKey.export({ type: 'spki', format: 'pem' }) };
+}
+
+/**
+ * A signed statement of what a verified document's files hash to and where
+ * its ledger stood. The signature covers the UTF-8 bytes of
+ * JSON.stringify(receipt) exactly as sent.
+ *
+ * @param {import('mongoose').Document} doc
+ * @param {object} report  from verifyDocumentIntegrity(), status 'verified'
+ * @returns {Promise<{ receipt: object, signature: { algorithm: string, keyId: string, value: string } }>}
+ */
+async function buildIntegrityReceipt(doc, report) {
+  const entries = await loadChain(doc._id);
+  const head    = entries[entries.length - 1];
+  const recordedAt = new Map();
+  entries.filter((e) => CONTENT_EVENTS.has(e.event) && !recordedAt.has(e.version))
+    .forEach((e) => recordedAt.set(e.version, e.createdAt));
+
+  const receipt = {
+    type:           'securegov.integrity-receipt',
+    formatVersion:  1,
+    documentId:     String(doc._id),
+    title:          doc.title,
+    owner:          doc.uploadedBy,
+    mimeType:       doc.mimeType,
+    currentVersion: doc.currentVersion,
+    contentHash:    report.versions.find((v) => v.version === doc.currentVersion).storedHash,
+    versions:       report.versions.map((v) => ({
+      version:     v.version,
+      contentHash: v.storedHash,
+      recordedAt:  recordedAt.get(v.version),
+    })),
+    ledger:         { entries: entries.length, headSeq: head.seq, headHash: head.hash },
+    verifiedAt:     report.checkedAt,
+    issuedAt:       new Date(),
+  };
+
+  const { privateKey, keyId } = getSigningKey();
+  const value = crypto.sign(null, Buffer.from(JSON.stringify(receipt)), privateKey).toString('base64');
+
+  return { receipt, signature: { algorithm: 'Ed25519', keyId, value } };
+}
+
+/**
+ * Check a receipt: the signature against our key, and that the ledger entry
+ * it names is still there with the same hash.
+ *
+ * @returns {Promise<{ signatureValid: boolean, ledgerMatches: boolean|null }>}
+ *          ledgerMatches is null when the signature is not ours, so not looked up
+ */
+async function checkIntegrityReceipt(receipt, signature) {
+  const { publicKey, keyId } = getSigningKey();
+
+  let signatureValid = false;
+  if (signature && signature.keyId === keyId && typeof signature.value === 'string') {
+    signatureValid = crypto.verify(
+      null, Buffer.from(JSON.stringify(receipt)), publicKey, Buffer.from(signature.value, 'base64')
+    );
+  }
+  if (!signatureValid) return { signatureValid, ledgerMatches: null };
+
+  const entry = await IntegrityEntry
+    .findOne({ documentId: receipt.documentId, seq: receipt.ledger.headSeq })
+    .select('hash')
+    .lean();
+  return { signatureValid, ledgerMatches: Boolean(entry && entry.hash === receipt.ledger.headHash) };
+}
+
+module.exports = {
+  appendIntegrityEntry,
+  recordIntegrity,
+  verifyChain,
+  verifyDocumentIntegrity,
+  recordBaseline,
+  runVerification,
+  getReceiptPublicKey,
+  buildIntegrityReceipt,
+  checkIntegrityReceipt,
+};
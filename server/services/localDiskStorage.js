@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * localDiskStorage.js
+ *
+ * Storage driver that keeps files on the local filesystem.
+ * Same interface as firebaseStorage.js — selected with STORAGE_DRIVER=local.
+ *
+ * Intended for laptops and CI where no Google credentials are available.
+ * Files are only ever read back by the server itself.
+ *
+ * ENV:
+ *   LOCAL_STORAGE_DIR     Root directory for files (default: ./uploads). A relative
+ *                         path is taken from server/, wherever the process was started.
+ */
+
+const fs                    = require('fs/promises');
+const { createWriteStream } = require('fs');
+const path                  = require('path');
+const { pipeline }          = require('stream/promises');
+
+const META_SUFFIX = '.meta.json'; // sidecar holding the content type
+const SERVER_DIR  = path.join(__dirname, '..');
+
+function getRootDir() {
+  return path.resolve(SERVER_DIR, process.env.LOCAL_STORAGE_DIR || './uploads');
+}
+
+/**
+ * Map a storage path to an absolute file path inside the root directory.
+ * Rejects anything that would escape the root (e.g. "../../etc/passwd").
+ */
+function resolvePath(storagePath) {
+  const root     = getRootDir();
+  const resolved = path.resolve(root, storagePath);
+
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage path: ${storagePath}`);
+  }
+  return resolved;
+}
+
+/**
+ * Write a file buffer to disk.
+ *
+ * @param {Buffer}  fileBuffer   Raw file content
+ * @param {string}  destination  Storage path, e.g. "documents/uid/123-file.pdf"
+ * @param {string}  mimeType     e.g. "application/pdf"
+ * @returns {{ path: string }}
+ */
+async function uploadFile(fileBuffer, destination, mimeType) {
+  try {
+    const target = resolvePath(destination);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, fileBuffer);
+    await fs.writeFile(target + META_SUFFIX, JSON.stringify({ contentType: mimeType }));
+
+    return { path: destination };
+  } catch (err) {
+    throw new Error(`Storage upload failed: ${err.message}`);
+  }
+}
+
+/**
+ * Write a file to disk as it is produced, without holding it whole.
+ * A partly written file is removed if the source fails.
+ *
+ * @param {import('stream').Readable|AsyncIterable<Buffer>} source
+ * @param {string}  destination  Storage path, e.g. "documents/uid/123-file.pdf"
+ * @param {string}  mimeType     e.g. "application/pdf"
+ * @returns {{ path: string }}
+ */
+async function uploadStream(source, destination, mimeType) {
+  let target;
+  try {
+    target = resolvePath(destination);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await pipeline(source, createWriteStream(target));
+    await fs.writeFile(target + META_SUFFIX, JSON.stringify({ contentType: mimeType }));
+
+    return { path: destination };
+  } catch (err) {
+    if (target) await fs.rm(target, { force: true }).catch(() => {});
+    throw new Error(`Storage upload failed: ${err.message}`);
+  }
+}
+
+/**
+ * Read a whole file into memory.
+ *
+ * @param {string} storagePath
+ * @returns {Buffer}
+ */
+async function downloadFile(storagePath) {
+  try {
+    return await fs.readFile(resolvePath(storagePath));
+  } catch (err) {
+    throw new Error(`Storage download failed: ${err.message}`);
+  }
+}
+
+/**
+ * Permanently delete a file from disk.
+ * Treats ENOENT (already gone) as success — idempotent.
+ *
+ * @param {string} storagePath
+ */
+async function deleteFile(storagePath) {
+  try {
+    const target = resolvePath(storagePath);
+    await fs.rm(target, { force: true });
+    await fs.rm(target + META_SUFFIX, { force: true });
+  } catch (err) {
+    throw new Error(`Storage delete failed: ${err.message}`);
+  }
+}
+
+module.exports = { uploadFile, uploadStream, downloadFile, deleteFile };
@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * malwareScanner.js
+ *
+ * Scanner selector for uploads, in the same spirit as storage.js: routes call
+ * scanFile() and the configured driver does the work.
+ *
+ * ENV:
+ *   UPLOAD_SCANNER         = "none" (default) | "clamd"
+ *   UPLOAD_SCAN_TIMEOUT_MS = per-file limit (default 15000)
+ *   UPLOAD_SCAN_FAIL_OPEN  = "true" to accept uploads when the scanner errors
+ *                            (verdict 'error'); by default they are refused
+ *
+ * A driver exposes { name, open({ timeoutMs }) } returning a scan the file
+ * is written to in pieces — { write(chunk), finish(), abort() } — whose
+ * finish() resolves to { status: 'clean'|'infected', signature } and throws
+ * when it cannot decide.
+ */
+
+const DRIVERS = {
+  none:  () => null,
+  clamd: () => require('./clamdScanner'),
+};
+
+let _driver     = undefined;
+let _driverName = null;
+
+function getDriverName() {
+  if (_driverName) return _driverName;
+
+  const name = (process.env.UPLOAD_SCANNER || 'none').trim().toLowerCase();
+  if (!DRIVERS[name]) {
+    throw new Error(
+      `Unknown UPLOAD_SCANNER "${name}". Expected one of: ${Object.keys(DRIVERS).join(', ')}`
+    );
+  }
+  _driverName = name;
+  return _driverName;
+}
+
+function getDriver() {
+  if (_driver === undefined) _driver = DRIVERS[getDriverName()]();
+  return _driver;
+}
+
+function scanFailsOpen() {
+  return process.env.UPLOAD_SCAN_FAIL_OPEN === 'true';
+}
+
+/**
+ * Start scanning a file that is read in pieces (resumable uploads).
+ * Write every piece, then finish() for the verdict — or abort() to give up.
+ * A scanner failure surfaces from finish(), never from write(), so the
+ * caller can finish its own checks first.
+ *
+ * @returns {{
+ *   write(chunk: Buffer): Promise<void>,
+ *   finish(): Promise<{ status: 'clean'|'infected'|'error'|'skipped', engine: string|null,
+ *                       signature: string|null, scannedAt: Date }>,
+ *   abort(): void
+ * }}  finish() resolves as scanFile() does, and throws when it would
+ */
+function openScan() {
+  const driver = getDriver();
+  if (!driver) {
+    return {
+      write:  async () => {},
+      finish: async () => ({ status: 'skipped', engine: null, signature: null, scannedAt: new Date() }),
+      abort:  () => {},
+    };
+  }
+
+  const timeoutMs = Number(process.env.UPLOAD_SCAN_TIMEOUT_MS) || 15000;
+  let session;
+  let failure = null;
+  try {
+    session = driver.open({ timeoutMs });
+  } catch (err) {
+    failure = err;
+  }
+
+  return {
+    async write(chunk) {
+      if (failure) return;
+      try {
+        await session.write(chunk);
+      } catch (err) {
+        failure = err;
+      }
+    },
+
+    async finish() {
+      try {
+        if (failure) throw failure;
+        const { status, signature } = await session.finish();
+        return { status, engine: driver.name, signature: signature || null, scannedAt: new Date() };
+      } catch (err) {
+        if (session) session.abort();
+        console.error(`[malwareScanner] ${driver.name}: ${err.message}`);
+        if (!scanFailsOpen()) throw err;
+        return { status: 'error', engine: driver.name, signature: null, scannedAt: new Date() };
+      }
+    },
+
+    abort() {
+      if (session) session.abort();
+    },
+  };
+}
+
+/**
+ * Scan one file.
+ *
+ * @param {Buffer} buffer
+ * @returns {Promise<{ status: 'clean'|'infected'|'error'|'skipped', engine: string|null,
+ *                     signature: string|null, scannedAt: Date }>}
+ *          'skipped' = no scanner configured; 'error' only when UPLOAD_SCAN_FAIL_OPEN=true
+ * @throws {Error} when the scanner fails and failing open is not allowed
+ */
+async function scanFile(buffer) {
+  const scan = openScan();
+  await scan.write(buffer);
+  return scan.finish();
+}
+
+module.exports = { scanFile, openScan, getDriverName };
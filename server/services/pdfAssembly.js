@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * pdfAssembly.js
+ *
+ * Builds PDFs out of photographed pages, and takes them apart again:
+ *
+ *   assembleImagesPdf — JPG / PNG pages → one PDF, in the order given. Each
+ *                       image is turned upright from its EXIF orientation,
+ *                       scaled down to at most ASSEMBLE_MAX_PIXELS on its
+ *                       long side, re-encoded as JPEG and placed on an A4
+ *                       page of the same orientation.
+ *   splitPdf          — one PDF → one single-page PDF per page.
+ *
+ * Both hold every page in memory, so they run one at a time (runSerially).
+ * The results are new files: routes/documents.js sends them through upload
+ * inspection and createUploadedDocument like any other upload.
+ */
+
+const ASSEMBLE_MAX_PIXELS  = Number(process.env.ASSEMBLE_MAX_PIXELS) || 2000; // ≈ 240 dpi on A4
+const ASSEMBLE_JPEG_QUALITY = 80;
+
+const A4_POINTS = [595.28, 841.89];
+
+/**
+ * @param {Buffer[]} images  JPG / PNG files, in page order (already inspected)
+ * @returns {Promise<Buffer>} the PDF
+ */
+async function assembleImagesPdf(images) {
+  const sharp = require('sharp');
+  const { PDFDocument } = require('pdf-lib');
+
+  const pdf = await PDFDocument.create();
+  pdf.setProducer('SecureGov');
+  pdf.setCreationDate(new Date());
+
+  for (const image of images) {
+    const jpeg = await sharp(image)
+      .rotate() // honour EXIF orientation
+      .resize({ width: ASSEMBLE_MAX_PIXELS, height: ASSEMBLE_MAX_PIXELS, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' }) // transparent PNGs on white
+      .jpeg({ quality: ASSEMBLE_JPEG_QUALITY, mozjpeg: true })
+      .toBuffer();
+
+    const embedded = await pdf.embedJpg(jpeg);
+    const [short, long] = A4_POINTS;
+    const [pageWidth, pageHeight] = embedded.width > embedded.height ? [long, short] : [short, long];
+
+    // Fit inside the page, centred
+    const scale  = Math.min(pageWidth / embedded.width, pageHeight / embedded.height);
+    const width  = embedded.width * scale;
+    const height = embedded.height * scale;
+    pdf.addPage([pageWidth, pageHeight]).drawImage(embedded, {
+      x: (pageWidth - width) / 2,
+      y: (pageHeight - height) / 2,
+      width,
+      height,
+    });
+  }
+
+  return Buffer.from(await pdf.save());
+}
+
+/** Number of pages, or null if pdf-lib cannot open the file (damaged or encrypted). */
+async function countPdfPages(buffer) {
+  const { PDFDocument } = require('pdf-lib');
+  try {
+    return (await PDFDocument.load(buffer, { updateMetadata: false })).getPageCount();
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * @param {Buffer}   buffer
+ * @param {number[]} pages  1-based page numbers to extract, in output order
+ * @returns {Promise<Buffer[]>} one single-page PDF per entry of `pages`
+ */
+async function splitPdf(buffer, pages) {
+  const { PDFDocument } = require('pdf-lib');
+  const source = await PDFDocument.load(buffer, { updateMetadata: false });
+
+  const results = [];
+  for (const pageNumber of pages) {
+    const out = await PDFDocument.create();
+    out.setProducer('SecureGov');
+    const [page] = await out.copyPages(source, [pageNumber - 1]);
+    out.addPage(page);
+    results.push(Buffer.from(await out.save()));
+  }
+  return results;
+}
+
+let queue = Promise.resolve();
+
+/** Run `task` once every earlier assemble / split has finished; resolves to its result. */
+function runSerially(task) {
+  const run = queue.then(task, task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+module.exports = {
+  assembleImagesPdf,
+  countPdfPages,
+  splitPdf,
+  runSerially,
+};
@@ -0,0 +1,231 @@
+'use strict';
+
+/**
+ * quotas.js
+ *
+ * Storage quotas. Each user has one (their plan's limit, config/plans.js, or
+ * User.quotaBytes), and each family group has one more for all its members'
+ * documents together. An upload must fit in every quota that applies.
+ *
+ * Usage counts every stored version of the owner's documents, trash included
+ * — trashed files are still stored, and restoring one must not take a user
+ * over their limit. A file shared by several versions or duplicate documents
+ * is stored once, so it counts once. An open resumable upload
+ * (models/UploadSession.js) holds its declared size from the moment it
+ * starts, since its chunks are stored as they arrive; once it is finalizing,
+ * the document it becomes is checked and counted instead. Thumbnails,
+ * previews and export archives are small or short-lived and not counted.
+ *
+ * Two uploads checked at the same moment both see the usage from before
+ * either of them, so routes check again once their file is recorded
+ * (checkQuota with stored: true) and undo the upload if it went over.
+ *
+ * Owners (and family admins) are emailed when usage first reaches each of
+ * QUOTA_WARNING_PERCENTS; a warning can be sent again after usage has dropped
+ * back below it.
+ */
+
+const Document        = require('../models/Document');
+const FamilyGroup     = require('../models/FamilyGroup');
+const UploadSession   = require('../models/UploadSession');
+const User            = require('../models/User');
+const { planLimitBytes } = require('../config/plans');
+const { recordAudit } = require('./auditLog');
+const { sendQuotaWarningEmail } = require('./emailService');
+
+const QUOTA_WARNING_PERCENTS = [80, 95];
+
+// The files a document holds in storage: one per version (legacy documents
+// without a history have only the top-level file)
+const STORED_FILES = {
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ['$versions', []] } }, 0] },
+    { $map: { input: '$versions', as: 'v', in: { path: '$$v.storagePath', bytes: '$$v.fileSize' } } },
+    [{ path: '$firebaseStoragePath', bytes: '$fileSize' }],
+  ],
+};
+
+/**
+ * @returns {Promise<Map<string, number>>} uid → bytes stored (each storage
+ *          path counted once) plus bytes reserved by open uploads
+ */
+async function usageByOwner(uids) {
+  const [stored, reserved] = await Promise.all([
+    Document.aggregate([
+      { $match: { uploadedBy: { $in: uids }, status: { $in: ['active', 'deleted'] } } },
+      { $project: { uploadedBy: 1, files: STORED_FILES } },
+      { $unwind: '$files' },
+      { $group: { _id: { owner: '$uploadedBy', path: '$files.path' }, bytes: { $max: '$files.bytes' } } },
+      { $group: { _id: '$_id.owner', bytes: { $sum: '$bytes' } } },
+    ]),
+    UploadSession.aggregate([
+      { $match: { ownerUid: { $in: uids }, status: 'open' } },
+      { $group: { _id: '$ownerUid', bytes: { $sum: '$totalSize' } } },
+    ]),
+  ]);
+
+  const usage = new Map();
+  for (const row of [...stored, ...reserved]) usage.set(row._id, (usage.get(row._id) || 0) + row.bytes);
+  return usage;
+}
+
+function describeQuota(account, scope, usedBytes) {
+  const plan       = (account && account.plan) || 'free';
+  const limitBytes = account && account.quotaBytes != null ? account.quotaBytes : planLimitBytes(plan, scope);
+  return {
+    plan,
+    limitBytes,
+    usedBytes,
+    remainingBytes: Math.max(0, limitBytes - usedBytes),
+    percent:        limitBytes ? Math.round((usedBytes / limitBytes) * 1000) / 10 : 100,
+  };
+}
+
+/**
+ * Every quota that applies to `uid`'s documents, with current usage.
+ *
+ * @returns {Promise<{
+ *   user:     { plan, limitBytes, usedBytes, remainingBytes, percent },
+ *   families: Array<{ groupId, name, plan, limitBytes, usedBytes, remainingBytes, percent }>
+ * }>}
+ */
+async function getQuotaUsage(uid) {
+  const [user, groups] = await Promise.all([
+    User.findOne({ firebaseUID: uid }).select('plan quotaBytes').lean(),
+    FamilyGroup.find({ 'members.uid': uid, status: 'active' }).select('name plan quotaBytes members.uid').lean(),
+  ]);
+
+  const uids  = [...new Set([uid, ...groups.flatMap((g) => g.members.map((m) => m.uid))])];
+  const usage = await usageByOwner(uids);
+
+  return {
+    user:     describeQuota(user, 'user', usage.get(uid) || 0),
+    families: groups.map((group) => ({
+      groupId: group._id,
+      name:    group.name,
+      ...describeQuota(group, 'family', group.members.reduce((sum, m) => sum + (usage.get(m.uid) || 0), 0)),
+    })),
+  };
+}
+
+/** "12.5 MB" */
+function formatMb(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Would storing `addBytes` more for `ownerUid` go over any quota?
+ *
+ * @param {string} ownerUid  whose quota the file counts against
+ * @param {number} addBytes
+ * @param {{ actorUid?: string, stored?: boolean }} [options]
+ *        actorUid: who is uploading, if not the owner (a write grantee adding
+ *        a version) — only changes the wording.
+ *        stored: the file is already recorded and counted in usage — the
+ *        re-check after an upload; the caller undoes it on an error
+ * @returns {Promise<null|{ status: 413, code: 'QUOTA_EXCEEDED', message: string, quota: object }>}
+ */
+async function checkQuota(ownerUid, addBytes, { actorUid = ownerUid, stored = false } = {}) {
+  const { user, families } = await getQuotaUsage(ownerUid);
+  const whose = actorUid === ownerUid ? 'your' : "the document owner's";
+
+  // Usage without this file, as the message describes it
+  const before = (quota) => {
+    const usedBytes = stored ? Math.max(0, quota.usedBytes - addBytes) : quota.usedBytes;
+    return { ...quota, usedBytes, remainingBytes: Math.max(0, quota.limitBytes - usedBytes) };
+  };
+
+  const over = [
+    { scope: 'user', ...before(user), label: `${whose} ${formatMb(user.limitBytes)} storage` },
+    ...families.map((f) => ({
+      scope: 'family', ...before(f), label: `the "${f.name}" family group's ${formatMb(f.limitBytes)} storage`,
+    })),
+  ].find((q) => q.usedBytes + addBytes > q.limitBytes);
+  if (!over) return null;
+
+  return {
+    status:  413,
+    code:    'QUOTA_EXCEEDED',
+    message: `This file needs ${formatMb(addBytes)}, but only ${formatMb(over.remainingBytes)} of ${over.label} `
+           + 'is left. Empty the trash or delete documents to make room.',
+    quota:   {
+      scope:          over.scope,
+      ...(over.groupId && { groupId: over.groupId }),
+      plan:           over.plan,
+      limitBytes:     over.limitBytes,
+      usedBytes:      over.usedBytes,
+      requestedBytes: addBytes,
+    },
+  };
+}
+
+/**
+ * Record which warning thresholds `quota` has reached on `Model` record `_id`
+ * and clear those it has dropped below. Resolves to the threshold to email
+ * about, or null — claimed atomically, so two uploads finishing together
+ * send one email.
+ */
+async function claimWarning(Model, _id, sent, quota) {
+  const reached = QUOTA_WARNING_PERCENTS.filter((p) => quota.percent >= p);
+  const due     = reached.filter((p) => !sent.includes(p));
+  const cleared = sent.filter((p) => !reached.includes(p));
+
+  if (cleared.length) await Model.updateOne({ _id }, { $pull: { quotaWarningsSent: { $in: cleared } } });
+  if (!due.length) return null;
+
+  const top = Math.max(...due);
+  const { modifiedCount } = await Model.updateOne(
+    { _id, quotaWarningsSent: { $ne: top } },
+    { $addToSet: { quotaWarningsSent: { $each: due } } }
+  );
+  return modifiedCount ? top : null;
+}
+
+/** Email the owner, and the admins of their family groups, about any threshold newly reached. */
+async function notifyQuotaUsage(uid) {
+  const { user, families } = await getQuotaUsage(uid);
+
+  const account = await User.findOne({ firebaseUID: uid }).select('email quotaWarningsSent').lean();
+  if (account) {
+    const percent = await claimWarning(User, account._id, account.quotaWarningsSent || [], user);
+    if (percent) {
+      await sendQuotaWarningEmail({ to: account.email, percent, ...user });
+      await recordAudit(null, {
+        action:     'vault.quota_warning',
+        targetType: 'user',
+        targetId:   uid,
+        metadata:   { percent, usedBytes: user.usedBytes, limitBytes: user.limitBytes },
+      });
+    }
+  }
+
+  for (const family of families) {
+    const group   = await FamilyGroup.findById(family.groupId).select('members quotaWarningsSent').lean();
+    const percent = group && await claimWarning(FamilyGroup, group._id, group.quotaWarningsSent || [], family);
+    if (!percent) continue;
+
+    for (const admin of group.members.filter((m) => m.role === 'admin')) {
+      await sendQuotaWarningEmail({ to: admin.email, percent, ...family, groupName: family.name });
+    }
+    await recordAudit(null, {
+      action:   'family.quota_warning',
+      groupId:  group._id,
+      metadata: { percent, usedBytes: family.usedBytes, limitBytes: family.limitBytes },
+    });
+  }
+}
+
+/** notifyQuotaUsage in the background — called after every upload, never delays it. */
+function queueQuotaWarnings(uid) {
+  notifyQuotaUsage(uid).catch((err) => {
+    console.error(`[quotas] warning for ${uid} failed: ${err.message}`);
+  });
+}
+
+module.exports = {
+  QUOTA_WARNING_PERCENTS,
+  getQuotaUsage,
+  checkQuota,
+  notifyQuotaUsage,
+  queueQuotaWarnings,
+};
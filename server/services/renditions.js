@@ -0,0 +1,187 @@
+'use strict';
+
+/**
+ * renditions.js
+ *
+ * Small images of each document version, so lists and previews never have
+ * to fetch the full-resolution original:
+ *
+ *   thumbnail — fits 320×320, for the document list and dashboard
+ *   preview   — fits 1280×1280, for the preview modal
+ *
+ * Images are resized with sharp (EXIF orientation applied); PDFs have their
+ * first page rendered with pdf-parse first. Renditions are WebP, encrypted
+ * like the original (services/documentFiles.js) and stored next to it under
+ * documents/<owner>/<docId>/. They are generated in the background after
+ * upload, one version at a time, from the file as stored; jobs/renditions.js
+ * backfills the rest.
+ */
+
+const Document = require('../models/Document');
+const { storeDocumentFile, readDocumentFile } = require('./documentFiles');
+const { deleteFile } = require('./storage');
+
+const RENDITION_SIZES = { thumbnail: 320, preview: 1280 };
+const RENDITION_MIME  = 'image/webp';
+const WEBP_QUALITY    = 75;
+
+const IMAGE_MIME_TYPES = new Set(['image/jpeg', 'image/jpg', 'image/png']);
+
+/** First page of a PDF as a PNG, wide enough for the preview rendition. */
+async function renderFirstPdfPage(buffer) {
+  const { PDFParse } = require('pdf-parse');
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const { pages } = await parser.getScreenshot({
+      partial:      [1],
+      desiredWidth: RENDITION_SIZES.preview,
+      imageBuffer:  true,
+      imageDataUrl: false,
+    });
+    if (!pages.length) throw new Error('PDF has no pages.');
+    return Buffer.from(pages[0].data);
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * Render every rendition size for a file.
+ *
+ * @param {Buffer} buffer
+ * @param {string} mimeType
+ * @returns {Promise<{ [kind: string]: { data: Buffer, width: number, height: number } }|null>}
+ *          null for types that are not rendered
+ */
+async function renderRenditions(buffer, mimeType) {
+  let source;
+  if (IMAGE_MIME_TYPES.has(mimeType)) {
+    source = buffer;
+  } else if (mimeType === 'application/pdf') {
+    source = await renderFirstPdfPage(buffer);
+  } else {
+    return null;
+  }
+
+  const sharp   = require('sharp');
+  const results = {};
+  for (const [kind, size] of Object.entries(RENDITION_SIZES)) {
+    const { data, info } = await sharp(source)
+      .rotate() // honour EXIF orientation
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' }) // transparent PNGs and PDF pages on white
+      .webp({ quality: WEBP_QUALITY })
+      .toBuffer({ resolveWithObject: true });
+    results[kind] = { data, width: info.width, height: info.height };
+  }
+  return results;
+}
+
+/** Storage path for one rendition: documents/<owner>/<docId>/v<n>-<kind>-<timestamp>.webp */
+function renditionDestination(doc, version, kind) {
+  return `documents/${doc.uploadedBy}/${doc._id}/v${version}-${kind}-${Date.now()}.webp`;
+}
+
+/**
+ * Generate, store and record the renditions of one version.
+ * The version entry always gets them; the top-level mirror only while that
+ * version is still current. A document purged meanwhile gets neither, and
+ * the stored images are deleted again.
+ *
+ * @param {{ _id: any, uploadedBy: string }} doc
+ * @param {object} entry  Version entry (version, mimeType, storagePath, encryption)
+ * @returns {Promise<'done'|'failed'|'skipped'>}
+ */
+async function generateRenditions(doc, entry) {
+  const { version } = entry;
+  let renditions;
+  try {
+    const data     = await readDocumentFile(entry.storagePath, entry.encryption);
+    const rendered = await renderRenditions(data, entry.mimeType);
+
+    renditions = { status: rendered ? 'done' : 'skipped', error: null, generatedAt: new Date() };
+    for (const [kind, image] of Object.entries(rendered || {})) {
+      const { storagePath, encryption } = await storeDocumentFile(image.data, renditionDestination(doc, version, kind));
+      renditions[kind] = { storagePath, encryption, mimeType: RENDITION_MIME, width: image.width, height: image.height };
+    }
+  } catch (err) {
+    console.error(`[renditions] ${doc._id} v${version}: ${err.message}`);
+    renditions = { status: 'failed', error: err.message, generatedAt: new Date() };
+  }
+
+  // The document may have been purged while this version rendered — its files
+  // are gone by then, so drop the renditions rather than record them on it
+  const recorded = await Document.updateOne(
+    { _id: doc._id, status: { $ne: 'purged' }, 'versions.version': version },
+    { $set: { 'versions.$.renditions': renditions } }
+  );
+  if (!recorded.matchedCount) {
+    await discardRenditions(renditions);
+    return 'skipped';
+  }
+
+  const current = await Document.updateOne(
+    { _id: doc._id, status: { $ne: 'purged' }, currentVersion: version },
+    { $set: { renditions } }
+  );
+  // Not current any more is fine (the version entry keeps them); purged is not
+  if (!current.matchedCount && await Document.exists({ _id: doc._id, status: 'purged' })) {
+    await discardRenditions(renditions);
+    return 'skipped';
+  }
+  return renditions.status;
+}
+
+/** Delete rendition objects stored for a document that no longer holds them. */
+async function discardRenditions(renditions) {
+  for (const kind of Object.keys(RENDITION_SIZES)) {
+    if (renditions[kind]) await deleteFile(renditions[kind].storagePath);
+  }
+}
+
+// Versions waiting or rendering at once. Past this, new ones are left
+// 'pending' for jobs/renditions.js rather than growing the queue
+const MAX_QUEUED_RENDITIONS = Number(process.env.MAX_QUEUED_RENDITIONS) || 100;
+
+// One version at a time, in arrival order — rendering is CPU- and memory-heavy
+let queue  = Promise.resolve();
+let queued = 0;
+
+/**
+ * Render `version` of a document. Skipped if the document was purged while
+ * queued; generateRenditions() covers a purge during rendering.
+ */
+async function renderVersion(documentId, version) {
+  const doc   = await Document.findOne({ _id: documentId, status: { $ne: 'purged' } });
+  const entry = doc && doc.getVersion(version);
+  if (!entry) return 'skipped';
+  return generateRenditions(doc, entry);
+}
+
+/**
+ * Schedule generation without waiting for it — used by the upload, version
+ * and restore routes. Only ids are queued; the worker reads the file itself.
+ * Failures are recorded on the Document, never thrown.
+ *
+ * @returns {boolean} false if the queue was full and the backfill job will do it
+ */
+function queueRenditions(documentId, version) {
+  if (queued >= MAX_QUEUED_RENDITIONS) {
+    console.warn(`[renditions] queue full, leaving ${documentId} v${version} to the backfill job`);
+    return false;
+  }
+  queued += 1;
+  queue = queue
+    .then(() => renderVersion(documentId, version))
+    .catch((err) => console.error(`[renditions] ${documentId}: ${err.message}`))
+    .finally(() => { queued -= 1; });
+  return true;
+}
+
+module.exports = {
+  RENDITION_SIZES,
+  MAX_QUEUED_RENDITIONS,
+  renderRenditions,
+  generateRenditions,
+  queueRenditions,
+};
@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * storage.js
+ *
+ * Storage driver selector. Routes import from here instead of a concrete
+ * backend, so the same code runs against Firebase or the local disk.
+ *
+ * ENV:
+ *   STORAGE_DRIVER = "firebase" (default) | "local"
+ *
+ * Every driver exposes the same async functions:
+ *   uploadFile(buffer, destination, mimeType)   → { path }
+ *   uploadStream(source, destination, mimeType) → { path }  (source: a readable or async iterable of Buffers)
+ *   downloadFile(storagePath)                   → Buffer
+ *   deleteFile(storagePath)                     → void (idempotent)
+ */
+
+const DRIVERS = {
+  firebase: () => require('./firebaseStorage'),
+  local:    () => require('./localDiskStorage'),
+};
+
+let _driver     = null;
+let _driverName = null;
+
+/** Resolve the configured driver once, on first use (after dotenv has loaded). */
+function getDriverName() {
+  if (_driverName) return _driverName;
+
+  const name = (process.env.STORAGE_DRIVER || 'firebase').trim().toLowerCase();
+  if (!DRIVERS[name]) {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${name}". Expected one of: ${Object.keys(DRIVERS).join(', ')}`
+    );
+  }
+  _driverName = name;
+  return _driverName;
+}
+
+function getDriver() {
+  if (!_driver) _driver = DRIVERS[getDriverName()]();
+  return _driver;
+}
+
+module.exports = {
+  uploadFile:   (...args) => getDriver().uploadFile(...args),
+  uploadStream: (...args) => getDriver().uploadStream(...args),
+  downloadFile: (...args) => getDriver().downloadFile(...args),
+  deleteFile:   (...args) => getDriver().deleteFile(...args),
+  getDriverName,
+};
@@ -0,0 +1,186 @@
+'use strict';
+
+/**
+ * textExtraction.js
+ *
+ * Pulls searchable text out of uploaded files so GET /api/documents?search=
+ * can match what a document says, not just its title.
+ *
+ *   PDF       — the embedded text layer (pdf-parse). Scanned PDFs with no
+ *               text layer come back empty; they are not OCR'd.
+ *   JPG / PNG — OCR with tesseract.js, fully offline: trained data is read
+ *               from OCR_LANG_PATH and never fetched from a CDN.
+ *
+ * Extraction runs in the background after the upload response has been sent,
+ * one file at a time (OCR is CPU-heavy), reading the file back from storage.
+ * Results land on the Document as extractedText + textExtraction;
+ * jobs/extractText.js picks up anything that was missed (legacy documents, a
+ * full queue, a crash mid-queue).
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const Document             = require('../models/Document');
+const { readDocumentFile } = require('./documentFiles');
+
+// Tesseract language codes joined with "+", e.g. eng+hin+ben+tam+tel+mar
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'eng+hin';
+// Directory holding <lang>.traineddata files (uncompressed, e.g. from tessdata_fast)
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH || path.join(__dirname, '..', 'ocr-data');
+
+// Plenty for search; keeps the Document and its text index entries bounded
+const MAX_EXTRACTED_CHARS = 100 * 1000;
+
+const OCR_MIME_TYPES = new Set(['image/jpeg', 'image/jpg', 'image/png']);
+
+let ocrWorker = null;
+
+/** Lazily start one shared tesseract worker with every configured language loaded. */
+async function getOcrWorker() {
+  if (!ocrWorker) {
+    // tesseract.js never settles createWorker() when a language fails to load,
+    // so check for the trained data up front and fail with a useful message
+    const missing = OCR_LANGUAGES.split('+')
+      .filter((lang) => !fs.existsSync(path.join(OCR_LANG_PATH, `${lang}.traineddata`)));
+    if (missing.length) {
+      throw new Error(`OCR trained data missing in ${OCR_LANG_PATH}: ${missing.join(', ')}`);
+    }
+
+    const { createWorker } = require('tesseract.js');
+    ocrWorker = createWorker(OCR_LANGUAGES, 1, {
+      langPath:    OCR_LANG_PATH,
+      gzip:        false,
+      cacheMethod: 'none', // read straight from OCR_LANG_PATH, write nothing
+      // Without a handler tesseract.js rethrows worker errors outside any promise,
+      // crashing the server; the failing call still rejects either way
+      errorHandler: () => {},
+    }).catch((err) => {
+      ocrWorker = null; // let the next file retry
+      throw err;
+    });
+  }
+  return ocrWorker;
+}
+
+/** Stop the OCR worker, if one was started (lets scripts exit cleanly). */
+async function shutdownOcr() {
+  if (!ocrWorker) return;
+  const worker = await ocrWorker.catch(() => null);
+  ocrWorker = null;
+  if (worker) await worker.terminate();
+}
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_EXTRACTED_CHARS);
+}
+
+/**
+ * Extract text from a plaintext file buffer.
+ *
+ * @param {Buffer} buffer
+ * @param {string} mimeType
+ * @returns {Promise<{ text: string, method: 'pdf'|'ocr'|null }>}
+ *          method is null for types we do not extract from
+ */
+async function extractText(buffer, mimeType) {
+  if (mimeType === 'application/pdf') {
+    const { PDFParse } = require('pdf-parse');
+    const parser = new PDFParse({ data: buffer });
+    try {
+      const result = await parser.getText({ pageJoiner: '' });
+      return { text: normalizeText(result.text), method: 'pdf' };
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  if (OCR_MIME_TYPES.has(mimeType)) {
+    const worker = await getOcrWorker();
+    const { data } = await worker.recognize(buffer);
+    return { text: normalizeText(data.text), method: 'ocr' };
+  }
+
+  return { text: '', method: null };
+}
+
+/**
+ * Extract text for one version of a document and save it.
+ * The update only applies while that version is still current, so a slow
+ * extraction can never overwrite text from a newer upload or restore, nor
+ * put text back on a document purged meanwhile.
+ *
+ * @param {import('mongoose').Types.ObjectId} documentId
+ * @param {object} entry  Version entry (version, mimeType, storagePath, encryption)
+ * @returns {Promise<'done'|'failed'|'skipped'>}
+ */
+async function extractAndStore(documentId, entry) {
+  const { version } = entry;
+  let update;
+  try {
+    const data = await readDocumentFile(entry.storagePath, entry.encryption);
+    const { text, method } = await extractText(data, entry.mimeType);
+    update = {
+      extractedText:  text,
+      textExtraction: { status: method ? 'done' : 'skipped', method, version, error: null, extractedAt: new Date() },
+    };
+  } catch (err) {
+    console.error(`[textExtraction] ${documentId} v${version}: ${err.message}`);
+    update = {
+      extractedText:  '',
+      textExtraction: { status: 'failed', method: null, version, error: err.message, extractedAt: new Date() },
+    };
+  }
+
+  await Document.updateOne(
+    { _id: documentId, currentVersion: version, status: { $ne: 'purged' } },
+    { $set: update }
+  );
+  return update.textExtraction.status;
+}
+
+// Extractions waiting or running at once. Past this, new ones are left
+// 'pending' for jobs/extractText.js rather than growing the queue
+const MAX_QUEUED_EXTRACTIONS = Number(process.env.MAX_QUEUED_EXTRACTIONS) || 100;
+
+// One extraction at a time, in arrival order
+let queue  = Promise.resolve();
+let queued = 0;
+
+/** Extract `version` of a document if it is still the current one. */
+async function extractVersion(documentId, version) {
+  const doc   = await Document.findOne({ _id: documentId, currentVersion: version, status: { $ne: 'purged' } });
+  const entry = doc && doc.getVersion(version);
+  if (!entry) return 'skipped'; // replaced, restored over or purged while queued
+  return extractAndStore(documentId, entry);
+}
+
+/**
+ * Schedule extraction without waiting for it — used by the upload, version
+ * and restore routes. Only ids are queued; the worker reads the file itself.
+ * Failures are recorded on the Document, never thrown.
+ *
+ * @returns {boolean} false if the queue was full and the backfill job will do it
+ */
+function queueTextExtraction(documentId, version) {
+  if (queued >= MAX_QUEUED_EXTRACTIONS) {
+    console.warn(`[textExtraction] queue full, leaving ${documentId} v${version} to the backfill job`);
+    return false;
+  }
+  queued += 1;
+  queue = queue
+    .then(() => extractVersion(documentId, version))
+    .catch((err) => console.error(`[textExtraction] ${documentId}: ${err.message}`))
+    .finally(() => { queued -= 1; });
+  return true;
+}
+
+module.exports = {
+  OCR_LANGUAGES,
+  MAX_EXTRACTED_CHARS,
+  MAX_QUEUED_EXTRACTIONS,
+  extractText,
+  extractAndStore,
+  queueTextExtraction,
+  shutdownOcr,
+};
@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+ * uploadInspection.js
+ *
+ * The checks every uploaded file passes before it is hashed, encrypted and
+ * stored, in order:
+ *
+ *   1. Type     — the real type from the file signature (utils/fileSignatures.js);
+ *                 the client-declared MIME type is ignored
+ *   2. PDFs     — refused if they contain scripts, launch actions or
+ *                 embedded files (utils/pdfSafety.js)
+ *   3. Images   — EXIF / XMP / IPTC metadata removed (utils/imageMetadata.js)
+ *   4. Scanner  — the configured malware scanner (services/malwareScanner.js)
+ *
+ * Used through middleware/inspectUpload.js on multipart routes. Resumable
+ * uploads are inspected as they are read back from storage, one chunk at a
+ * time (inspectChunks), and stored from sanitizedChunks — the file is never
+ * held whole.
+ */
+
+const crypto = require('crypto');
+
+const { detectMimeType }              = require('../utils/fileSignatures');
+const { createPdfSafetyScanner }      = require('../utils/pdfSafety');
+const { createImageMetadataStripper } = require('../utils/imageMetadata');
+const { openScan }                    = require('./malwareScanner');
+
+// Enough leading bytes for every signature fileSignatures.js knows
+const SIGNATURE_BYTES = 8;
+
+const UNSUPPORTED_FILE_TYPE = {
+  status:  415,
+  code:    'UNSUPPORTED_FILE_TYPE',
+  message: 'The file contents are not a PDF, JPG or PNG.',
+};
+const MALFORMED_IMAGE = { status: 422, code: 'MALFORMED_IMAGE', message: 'The image file is damaged or incomplete.' };
+
+/**
+ * Inspect a file read in pieces.
+ *
+ * @param {AsyncIterable<Buffer>|Iterable<Buffer>} chunks  The file as uploaded, in order
+ * @param {{ maxFileBytes: number, onData?: (data: Buffer) => void }} options
+ *        maxFileBytes is the largest file the upload accepts (bounds PDF
+ *        inflation); onData receives the bytes to store, as they are produced
+ * @returns {Promise<
+ *   { error: { status: number, code: string, message: string, details?: object } } |
+ *   { mimeType: string, metadataRemoved: string[], scan: object, size: number, contentHash: string }
+ * >}  size and contentHash are of the bytes to store (metadata stripped);
+ *     scan is the verdict to persist on the document version
+ */
+async function inspectChunks(chunks, { maxFileBytes, onData }) {
+  const hash    = crypto.createHash('sha256');
+  const scanner = openScan();
+  let size      = 0;
+  let mimeType  = null;
+  let pdf       = null;
+  let stripper  = null;
+  let head      = []; // leading chunks, until there are enough bytes to detect the type
+
+  const keep = (strip) => {
+    let parts;
+    try {
+      parts = strip();
+    } catch (err) {
+      throw Object.assign(err, { malformedImage: true });
+    }
+    for (const data of parts) {
+      hash.update(data);
+      size += data.length;
+      if (onData) onData(data);
+    }
+  };
+  const feed = async (chunk) => {
+    if (pdf) await pdf.write(chunk);
+    keep(() => stripper.write(chunk));
+    await scanner.write(chunk);
+  };
+  const start = () => {
+    const leading = Buffer.concat(head);
+    head     = null;
+    mimeType = detectMimeType(leading);
+    if (!mimeType) return null;
+    if (mimeType === 'application/pdf') pdf = createPdfSafetyScanner({ maxFileBytes });
+    stripper = createImageMetadataStripper(mimeType);
+    return leading;
+  };
+
+  /** Read every chunk through the checks; resolves to an error to report, or null. */
+  const readAll = async () => {
+    for await (const chunk of chunks) {
+      if (!head) {
+        await feed(chunk);
+        continue;
+      }
+      head.push(chunk);
+      if (head.reduce((n, c) => n + c.length, 0) < SIGNATURE_BYTES) continue;
+      const leading = start();
+      if (!leading) return UNSUPPORTED_FILE_TYPE;
+      await feed(leading);
+    }
+    if (head) {
+      const leading = start(); // a file shorter than SIGNATURE_BYTES
+      if (!leading) return UNSUPPORTED_FILE_TYPE;
+      await feed(leading);
+    }
+    keep(() => stripper.end());
+    return null;
+  };
+
+  let error;
+  try {
+    error = await readAll();
+  } catch (err) {
+    if (!err.malformedImage) {
+      scanner.abort();
+      throw err;
+    }
+    error = MALFORMED_IMAGE;
+  }
+  if (error) {
+    scanner.abort();
+    return { error };
+  }
+
+  const features = pdf ? await pdf.finish() : [];
+  if (features.length) {
+    scanner.abort();
+    return {
+      error: {
+        status:  422,
+        code:    'UNSAFE_PDF',
+        message: `PDFs with active content are not accepted (found: ${features.join(', ')}). `
+               + 'Print or export it to a plain PDF and upload that instead.',
+        details: { features },
+      },
+    };
+  }
+
+  let scan;
+  try {
+    scan = await scanner.finish();
+  } catch (_) {
+    return {
+      error: {
+        status:  503,
+        code:    'SCAN_UNAVAILABLE',
+        message: 'Uploads cannot be virus-checked right now. Please try again in a few minutes.',
+      },
+    };
+  }
+  if (scan.status === 'infected') {
+    return {
+      error: {
+        status:  422,
+        code:    'MALWARE_DETECTED',
+        message: 'This file was flagged by the virus scanner and was not uploaded.',
+        details: { engine: scan.engine, signature: scan.signature },
+      },
+    };
+  }
+
+  return {
+    mimeType,
+    metadataRemoved: [...stripper.removed],
+    scan,
+    size,
+    contentHash:     hash.digest('hex'),
+  };
+}
+
+/**
+ * The bytes to store for a file inspectChunks() accepted, produced again
+ * from the original chunks. Throws at the end if they do not hash to
+ * `contentHash` — the source changed between the two reads.
+ *
+ * @param {AsyncIterable<Buffer>} chunks  The file as uploaded, in order
+ * @param {{ mimeType: string, contentHash: string }} inspected
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* sanitizedChunks(chunks, { mimeType, contentHash }) {
+  const hash     = crypto.createHash('sha256');
+  const stripper = createImageMetadataStripper(mimeType);
+
+  for await (const chunk of chunks) {
+    for (const data of stripper.write(chunk)) {
+      hash.update(data);
+      yield data;
+    }
+  }
+  for (const data of stripper.end()) {
+    hash.update(data);
+    yield data;
+  }
+  if (hash.digest('hex') !== contentHash) throw new Error('The file changed while it was being stored.');
+}
+
+/**
+ * @param {Buffer} buffer  The file as uploaded
+ * @param {{ maxFileBytes?: number }} [options]  see inspectChunks(); defaults
+ *        to the size of `buffer`
+ * @returns {Promise<
+ *   { error: { status: number, code: string, message: string, details?: object } } |
+ *   { buffer: Buffer, mimeType: string, metadataRemoved: string[], scan: object }
+ * >}  buffer is what should be stored (metadata stripped); scan is the
+ *     verdict to persist on the document version
+ */
+async function inspectFile(buffer, { maxFileBytes = buffer.length } = {}) {
+  const parts  = [];
+  const result = await inspectChunks([buffer], { maxFileBytes, onData: (data) => parts.push(data) });
+  if (result.error) return result;
+
+  const { mimeType, metadataRemoved, scan } = result;
+  return { buffer: metadataRemoved.length ? Buffer.concat(parts, result.size) : buffer, mimeType, metadataRemoved, scan };
+}
+
+module.exports = { inspectFile, inspectChunks, sanitizedChunks };
@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * uploadSessions.js
+ *
+ * Storage side of resumable uploads (models/UploadSession.js, routes under
+ * POST /api/documents/upload/sessions). Each chunk is encrypted like a
+ * document file and written to storage under uploads/<owner>/<sessionId>/
+ * as soon as it arrives; finalizing reads them back in order, one at a time.
+ *
+ * Size limits are per category — ID cards are small, medical and financial
+ * records can be long scanned PDFs. Override any of them with
+ * UPLOAD_MAX_MB_<CATEGORY>, e.g. UPLOAD_MAX_MB_MEDICAL=200.
+ */
+
+const crypto = require('crypto');
+
+const UploadSession = require('../models/UploadSession');
+const { storeDocumentFile, readDocumentFile } = require('./documentFiles');
+const { deleteFile } = require('./storage');
+
+const MB = 1024 * 1024;
+
+const DEFAULT_CATEGORY_LIMITS_MB = {
+  aadhaar:         10,
+  pan:             10,
+  driving_license: 10,
+  passport:        25,
+  marksheet:       25,
+  certificate:     25,
+  medical:         100,
+  financial:       100,
+  other:           50,
+};
+
+const UPLOAD_CHUNK_MAX_BYTES   = Number(process.env.UPLOAD_CHUNK_MAX_BYTES) || 8 * MB;
+const UPLOAD_SESSION_TTL_HOURS = Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+const MAX_OPEN_SESSIONS        = 10; // per user — unfinished uploads hold storage
+
+/** Largest file a resumable upload of `category` may declare, in bytes. */
+function maxUploadBytes(category) {
+  const override = Number(process.env[`UPLOAD_MAX_MB_${String(category).toUpperCase()}`]);
+  return (override || DEFAULT_CATEGORY_LIMITS_MB[category] || DEFAULT_CATEGORY_LIMITS_MB.other) * MB;
+}
+
+/** Expiry for a session created now. */
+function computeSessionExpiry(from = new Date()) {
+  return new Date(from.getTime() + UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Store a chunk and record it, as long as it still starts exactly at the
+ * session's receivedBytes — two racing requests for the same offset cannot
+ * both be recorded.
+ *
+ * @returns {Promise<{ session: object }|{ conflict: number }>}
+ *          conflict = the session's receivedBytes when the chunk was not
+ *          accepted (the stored object is removed again)
+ */
+async function appendChunk(session, offset, buffer) {
+  // Unique per request — a racing chunk for the same offset removes only its own object
+  const destination = `uploads/${session.ownerUid}/${session._id}/${offset}-${crypto.randomBytes(8).toString('hex')}`;
+  const { storagePath, encryption } = await storeDocumentFile(buffer, destination);
+
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'open', receivedBytes: offset },
+    {
+      $push: { chunks: { offset, size: buffer.length, storagePath, encryption } },
+      $inc:  { receivedBytes: buffer.length },
+    },
+    { new: true }
+  );
+  if (updated) return { session: updated };
+
+  await deleteFile(storagePath);
+  const current = await UploadSession.findById(session._id).select('receivedBytes').lean();
+  return { conflict: current ? current.receivedBytes : 0 };
+}
+
+/**
+ * The uploaded file, decrypted one stored chunk at a time, in order — never
+ * the whole file at once. Throws before yielding anything if the chunks do
+ * not cover the declared size exactly, and part-way if a chunk reads back at
+ * the wrong length.
+ *
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* readUploadChunks(session) {
+  const chunks = [...session.chunks].sort((a, b) => a.offset - b.offset);
+  let expected = 0;
+
+  for (const chunk of chunks) {
+    if (chunk.offset !== expected) throw new Error(`Upload ${session._id} is missing bytes at ${expected}.`);
+    expected += chunk.size;
+  }
+  if (expected !== session.totalSize) throw new Error(`Upload ${session._id} is incomplete.`);
+
+  for (const chunk of chunks) {
+    const data = await readDocumentFile(chunk.storagePath, chunk.encryption);
+    if (data.length !== chunk.size) throw new Error(`Upload ${session._id} chunk at ${chunk.offset} is damaged.`);
+    yield data;
+  }
+}
+
+/** Delete a session's stored chunks (idempotent). */
+async function discardChunks(session) {
+  for (const chunk of session.chunks) await deleteFile(chunk.storagePath);
+}
+
+// Finalizing reads every chunk twice (inspection, then storing) and runs the
+// malware scanner — one at a time keeps that load steady, however many
+// uploads complete together
+let finalizing = Promise.resolve();
+
+/** Run `task` once every earlier finalize has finished; resolves to its result. */
+function runFinalize(task) {
+  const run = finalizing.then(task, task);
+  finalizing = run.catch(() => {});
+  return run;
+}
+
+module.exports = {
+  UPLOAD_CHUNK_MAX_BYTES,
+  MAX_OPEN_SESSIONS,
+  maxUploadBytes,
+  computeSessionExpiry,
+  appendChunk,
+  readUploadChunks,
+  discardChunks,
+  runFinalize,
+};
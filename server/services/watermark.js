@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * watermark.js
+ *
+ * Stamps who a copy was made for across the file itself, so a scan that
+ * leaks from a share can be traced back to it:
+ *
+ *   "Shared with asha@example.com on 19 Oct 2026 for KYC at HDFC Bank"
+ *
+ * Applied on the fly to each download by someone other than the owner
+ * (routes/documents.js, and share links in routes/public.js) — the stored
+ * original never changes.
+ *
+ *   images — repeated diagonally across the whole image, and once along
+ *            the bottom edge; re-encoded in the original format
+ *   PDFs   — once diagonally across every page, and as a footer line
+ *
+ * PDFs that pdf-lib cannot open (damaged, or password-protected) cannot be
+ * stamped; applyWatermark throws and the caller refuses the download.
+ */
+
+const crypto = require('crypto');
+
+const MAX_PURPOSE_LENGTH = 100;
+
+const IMAGE_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/jpg':  'jpeg',
+  'image/png':  'png',
+  'image/webp': 'webp',
+};
+
+/** "19 Oct 2026" — UTC, so a copy's text does not depend on the server's zone */
+function formatStampDate(date) {
+  return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * @param {{ recipient: string, purpose?: string, verb?: string, date?: Date }} parts
+ *        verb — "Shared with" (default), "Shared by" for an owner's own copy
+ * @returns {string}
+ */
+function watermarkText({ recipient, purpose, verb = 'Shared with', date = new Date() }) {
+  const reason = purpose && String(purpose).trim();
+  return `${verb} ${recipient} on ${formatStampDate(date)}${reason ? ` for ${reason}` : ''}`;
+}
+
+/**
+ * The purpose the owner gave for the grant this user reads through: their
+ * direct grant first, then any group grant that applies. '' if none.
+ *
+ * @param {object} doc
+ * @param {{ grant: object|null, via: object[] }} access  from resolveAccess()
+ */
+function sharePurpose(doc, access) {
+  if (access.grant && access.grant.purpose) return access.grant.purpose;
+  const groupIds = new Set(access.via.filter((v) => v.type === 'group').map((v) => String(v.groupId)));
+  const grant = (doc.sharedWithGroups || []).find((g) => groupIds.has(String(g.groupId)) && g.purpose);
+  return grant ? grant.purpose : '';
+}
+
+/** ETag for a stamped copy — the original's, plus the stamp, so a new day or purpose is a new copy. */
+function watermarkEtag(etag, text) {
+  const stamp = crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+  return `${etag.replace(/"$/, '')}-wm-${stamp}"`;
+}
+
+// ─── Images ──────────────────────────────────────────────────────────────────
+
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+/** SVG overlay the size of the image: diagonal repeats plus a footer band. */
+function imageOverlay(width, height, text) {
+  const fontSize   = Math.max(12, Math.round(Math.min(width, height) / 30));
+  const footerSize = Math.max(10, Math.round(fontSize * 0.6));
+  const tileWidth  = Math.round(text.length * fontSize * 0.62);
+  const tileHeight = fontSize * 5;
+  const escaped    = escapeXml(text);
+
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <defs>
+    <pattern id="wm" width="${tileWidth}" height="${tileHeight}" patternUnits="userSpaceOnUse"
+             patternTransform="rotate(-30)">
+      <text x="0" y="${fontSize}" font-family="DejaVu Sans, Arial, Helvetica, sans-serif"
+            font-size="${fontSize}" font-weight="bold" fill="#b00020" fill-opacity="0.22">${escaped}</text>
+    </pattern>
+  </defs>
+  <rect width="100%" height="100%" fill="url(#wm)"/>
+  <rect x="0" y="${height - footerSize * 2}" width="100%" height="${footerSize * 2}" fill="#000" fill-opacity="0.55"/>
+  <text x="${footerSize}" y="${height - Math.round(footerSize * 0.6)}" font-family="DejaVu Sans, Arial, Helvetica, sans-serif"
+        font-size="${footerSize}" fill="#fff">${escaped}</text>
+</svg>`);
+}
+
+async function watermarkImage(buffer, mimeType, text) {
+  const sharp  = require('sharp');
+  const format = IMAGE_FORMATS[mimeType];
+
+  // Turn it upright first, so the text runs the way the image is viewed
+  const { data, info } = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true });
+  return sharp(data)
+    .composite([{ input: imageOverlay(info.width, info.height, text), top: 0, left: 0 }])
+    .toFormat(format, format === 'jpeg' ? { quality: 90 } : {})
+    .toBuffer();
+}
+
+// ─── PDFs ────────────────────────────────────────────────────────────────────
+
+/** The standard PDF fonts only cover WinAnsi (Latin-1 and a few more) — replace the rest. */
+function toWinAnsi(text) {
+  return text.replace(/[^\x20-\x7e\xa0-\xff\u2013\u2014\u2018\u2019\u201c\u201d\u2022\u2026\u20ac]/g, '?');
+}
+
+/**
+ * Draw `text` on `page` at a point given in viewing coordinates — as the
+ * page appears once its /Rotate is applied — at `angle` degrees as seen.
+ */
+function drawVisualText(page, text, { x, y, angle, ...options }) {
+  const { degrees } = require('pdf-lib');
+  const box      = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+
+  // Viewing → page coordinates for a page shown rotated clockwise by `rotation`
+  const toPage = {
+    0:   () => [x, y],
+    90:  () => [box.width - y, x],
+    180: () => [box.width - x, box.height - y],
+    270: () => [y, box.height - x],
+  }[rotation] || (() => [x, y]);
+
+  const [px, py] = toPage();
+  page.drawText(text, { ...options, x: box.x + px, y: box.y + py, rotate: degrees(angle + rotation) });
+}
+
+async function watermarkPdf(buffer, text) {
+  const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+
+  const pdf  = await PDFDocument.load(buffer, { updateMetadata: false });
+  const font = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const line = toWinAnsi(text);
+
+  for (const page of pdf.getPages()) {
+    const box      = page.getCropBox();
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+    const [width, height] = rotation % 180 ? [box.height, box.width] : [box.width, box.height];
+
+    // Diagonal, corner to corner, at most 80% of the diagonal long
+    const angle    = Math.atan2(height, width);
+    const size     = Math.min(36, (0.8 * Math.hypot(width, height)) / font.widthOfTextAtSize(line, 1));
+    const length   = font.widthOfTextAtSize(line, size);
+    const cos      = Math.cos(angle);
+    const sin      = Math.sin(angle);
+    drawVisualText(page, line, {
+      x:       width / 2 - (length / 2) * cos + (size / 3) * sin,
+      y:       height / 2 - (length / 2) * sin - (size / 3) * cos,
+      angle:   (angle * 180) / Math.PI,
+      size,
+      font,
+      color:   rgb(0.69, 0, 0.13),
+      opacity: 0.22,
+    });
+
+    const footerSize = Math.min(8, (width - 36) / font.widthOfTextAtSize(line, 1));
+    drawVisualText(page, line, {
+      x:       18,
+      y:       12,
+      angle:   0,
+      size:    footerSize,
+      font,
+      color:   rgb(0.3, 0.3, 0.3),
+      opacity: 0.8,
+    });
+  }
+
+  return Buffer.from(await pdf.save());
+}
+
+/**
+ * @param {Buffer} buffer    The file as stored (decrypted)
+ * @param {string} mimeType
+ * @param {string} text      from watermarkText()
+ * @returns {Promise<Buffer>} the stamped copy, same type as the original
+ */
+async function applyWatermark(buffer, mimeType, text) {
+  if (mimeType === 'application/pdf') return watermarkPdf(buffer, text);
+  if (IMAGE_FORMATS[mimeType]) return watermarkImage(buffer, mimeType, text);
+  throw new Error(`Cannot watermark ${mimeType}.`);
+}
+
+module.exports = {
+  MAX_PURPOSE_LENGTH,
+  watermarkText,
+  sharePurpose,
+  watermarkEtag,
+  applyWatermark,
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * fileResponse.js
+ *
+ * Sends a decrypted file from the server with the headers browsers and
+ * download managers expect:
+ *
+ *   Content-Disposition   inline or attachment, with a UTF-8 filename*
+ *   ETag / Last-Modified  so a repeat request can be answered 304 — still
+ *                         only after the route has re-checked access
+ *   Cache-Control         private, no-cache: never stored by shared caches,
+ *                         always revalidated, so a revoked share takes effect
+ *   Accept-Ranges / Range single byte ranges (206), for resuming downloads
+ *                         and seeking in PDF viewers
+ *
+ * Files are encrypted as a whole, so the range is cut from the decrypted
+ * buffer rather than read from storage.
+ *
+ * USAGE:
+ *   sendFile(req, res, buffer, { mimeType, filename, etag, lastModified, disposition: 'inline' });
+ */
+
+const EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'image/jpeg':      '.jpg',
+  'image/jpg':       '.jpg',
+  'image/png':       '.png',
+  'image/webp':      '.webp',
+  'application/zip': '.zip',
+};
+
+/** "Passport (old)" + application/pdf → "Passport (old).pdf" */
+function downloadFileName(title, mimeType) {
+  const ext  = EXTENSIONS[mimeType] || '';
+  const name = String(title || 'document').replace(/[\\/:*?"<>|\r\n]+/g, '_').trim() || 'document';
+  return ext && !name.toLowerCase().endsWith(ext) ? name + ext : name;
+}
+
+/**
+ * Content-Disposition value (RFC 6266): an ASCII fallback for old clients
+ * plus filename* with the real, UTF-8 name.
+ */
+function contentDisposition(filename, disposition = 'attachment') {
+  const ascii = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `${disposition}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/** Does the request's If-None-Match / If-Modified-Since still match? */
+function isNotModified(req, etag, lastModified) {
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').map((t) => t.trim()).some((t) => t === etag || t === '*');
+  }
+  const since = Date.parse(req.get('If-Modified-Since') || '');
+  return Boolean(lastModified) && !Number.isNaN(since)
+    && Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+}
+
+/**
+ * @param {import('express').Request}  req
+ * @param {import('express').Response} res
+ * @param {Buffer} buffer
+ * @param {{
+ *   mimeType:     string,
+ *   filename:     string,
+ *   etag?:        string,           // quoted, e.g. '"<sha256>"'
+ *   lastModified?: Date,
+ *   disposition?: 'inline'|'attachment',  // default attachment
+ *   ranges?:      boolean,          // default true
+ * }} options
+ */
+function sendFile(req, res, buffer, options) {
+  const { mimeType, filename, etag, lastModified, disposition = 'attachment', ranges = true } = options;
+
+  res.set({
+    'Content-Type':           mimeType,
+    'Content-Disposition':    contentDisposition(filename, disposition),
+    'Cache-Control':          'private, no-cache',
+    'X-Content-Type-Options': 'nosniff',
+  });
+  if (etag)         res.set('ETag', etag);
+  if (lastModified) res.set('Last-Modified', lastModified.toUTCString());
+  if (ranges)       res.set('Accept-Ranges', 'bytes');
+
+  if ((etag || lastModified) && isNotModified(req, etag, lastModified)) {
+    return res.status(304).end();
+  }
+
+  // If-Range: only honour the range if the client's copy is still current
+  const ifRange   = req.get('If-Range');
+  const useRange  = ranges && req.get('Range') && (!ifRange || ifRange === etag);
+  const requested = useRange ? req.range(buffer.length, { combine: true }) : undefined;
+
+  if (requested === -1) {
+    res.set('Content-Range', `bytes */${buffer.length}`);
+    return res.status(416).end();
+  }
+  // Malformed, non-byte or multiple ranges: send the whole file
+  if (Array.isArray(requested) && requested.type === 'bytes' && requested.length === 1) {
+    const { start, end } = requested[0];
+    res.status(206).set({
+      'Content-Range':  `bytes ${start}-${end}/${buffer.length}`,
+      'Content-Length': end - start + 1,
+    });
+    return res.end(buffer.subarray(start, end + 1));
+  }
+
+  res.set('Content-Length', buffer.length);
+  return res.end(buffer);
+}
+
+module.exports = { downloadFileName, contentDisposition, sendFile };
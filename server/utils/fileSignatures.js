@@ -0,0 +1,33 @@
+'use strict';
+
+/**
+ * fileSignatures.js
+ *
+ * Identifies uploads by their leading bytes ("magic numbers") instead of the
+ * client-declared Content-Type, which is whatever the browser guessed from
+ * the file extension — a renamed executable labelled image/png included.
+ *
+ * Only the types documents may have are recognized; anything else is null.
+ */
+
+const SIGNATURES = [
+  { mimeType: 'application/pdf', bytes: Buffer.from('%PDF-', 'latin1') },
+  { mimeType: 'image/png',       bytes: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mimeType: 'image/jpeg',      bytes: Buffer.from([0xff, 0xd8, 0xff]) },
+];
+
+/**
+ * The real MIME type of a file, from its signature.
+ * PDFs must start with the header at byte 0 — readers tolerate leading junk,
+ * but that is also how polyglot files hide a second format.
+ *
+ * @param {Buffer} buffer
+ * @returns {'application/pdf'|'image/png'|'image/jpeg'|null}
+ */
+function detectMimeType(buffer) {
+  const match = SIGNATURES.find(({ bytes }) =>
+    buffer.length >= bytes.length && buffer.subarray(0, bytes.length).equals(bytes));
+  return match ? match.mimeType : null;
+}
+
+module.exports = { detectMimeType };
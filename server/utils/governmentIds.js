@@ -0,0 +1,223 @@
+'use strict';
+
+/**
+ * governmentIds.js
+ *
+ * Validation and masking for Indian government ID numbers, shared by the
+ * user profile (models/UserProfile.js) and the structured fields on ID
+ * documents (Document.idFields).
+ *
+ *   Aadhaar          12 digits, never starting 0/1, Verhoeff check digit
+ *   PAN              AAAPA9999A — the 4th letter is the holder's entity type
+ *   Passport         one letter + 7 digits
+ *   Driving licence  SS RR YYYY NNNNNNN — state code, RTO, year of issue, serial
+ *
+ * Numbers are accepted with spaces or hyphens and normalized before checking.
+ */
+
+// ─── Verhoeff checksum (used by Aadhaar) ─────────────────────────────────────
+
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+
+/** True if a digit string (check digit last) passes the Verhoeff checksum. */
+function verhoeffValid(digits) {
+  let c = 0;
+  const reversed = String(digits).split('').reverse();
+  for (let i = 0; i < reversed.length; i += 1) {
+    c = VERHOEFF_D[c][VERHOEFF_P[i % 8][Number(reversed[i])]];
+  }
+  return c === 0;
+}
+
+// ─── Formats ─────────────────────────────────────────────────────────────────
+
+const AADHAAR_PATTERN  = /^[2-9][0-9]{11}$/;
+const PAN_PATTERN      = /^[A-Z]{3}[ABCFGHJLPT][A-Z][0-9]{4}[A-Z]$/;
+const PASSPORT_PATTERN = /^[A-Z][0-9]{7}$/;
+const DL_PATTERN       = /^([A-Z]{2})([0-9]{2})((?:19|20)[0-9]{2})([0-9]{7})$/;
+
+// 4th character of a PAN
+const PAN_ENTITY_TYPES = {
+  P: 'Individual',
+  C: 'Company',
+  H: 'Hindu Undivided Family',
+  F: 'Firm',
+  A: 'Association of Persons',
+  T: 'Trust',
+  B: 'Body of Individuals',
+  L: 'Local Authority',
+  J: 'Artificial Juridical Person',
+  G: 'Government',
+};
+
+// Vehicle registration state codes, as used at the start of DL numbers
+const STATE_CODES = {
+  AN: 'Andaman and Nicobar Islands', AP: 'Andhra Pradesh',    AR: 'Arunachal Pradesh',
+  AS: 'Assam',                       BR: 'Bihar',             CG: 'Chhattisgarh',
+  CH: 'Chandigarh',                  DD: 'Dadra and Nagar Haveli and Daman and Diu',
+  DL: 'Delhi',                       DN: 'Dadra and Nagar Haveli',
+  GA: 'Goa',                         GJ: 'Gujarat',           HP: 'Himachal Pradesh',
+  HR: 'Haryana',                     JH: 'Jharkhand',         JK: 'Jammu and Kashmir',
+  KA: 'Karnataka',                   KL: 'Kerala',            LA: 'Ladakh',
+  LD: 'Lakshadweep',                 MH: 'Maharashtra',       ML: 'Meghalaya',
+  MN: 'Manipur',                     MP: 'Madhya Pradesh',    MZ: 'Mizoram',
+  NL: 'Nagaland',                    OD: 'Odisha',            OR: 'Odisha',
+  PB: 'Punjab',                      PY: 'Puducherry',        RJ: 'Rajasthan',
+  SK: 'Sikkim',                      TN: 'Tamil Nadu',        TR: 'Tripura',
+  TS: 'Telangana',                   UK: 'Uttarakhand',       UA: 'Uttarakhand',
+  UP: 'Uttar Pradesh',               WB: 'West Bengal',
+};
+
+/** Upper-case and strip spaces / hyphens. */
+function normalizeIdNumber(value) {
+  return String(value || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+function isValidAadhaar(value) {
+  const n = normalizeIdNumber(value);
+  return AADHAAR_PATTERN.test(n) && verhoeffValid(n);
+}
+
+function isValidPan(value) {
+  return PAN_PATTERN.test(normalizeIdNumber(value));
+}
+
+function isValidPassport(value) {
+  return PASSPORT_PATTERN.test(normalizeIdNumber(value));
+}
+
+function isValidDrivingLicense(value) {
+  const m = DL_PATTERN.exec(normalizeIdNumber(value));
+  return Boolean(m && STATE_CODES[m[1]]);
+}
+
+/** Entity type named by a PAN's 4th letter, e.g. "Individual"; null if unknown. */
+function panEntityType(value) {
+  return PAN_ENTITY_TYPES[normalizeIdNumber(value)[3]] || null;
+}
+
+// ─── Masking ─────────────────────────────────────────────────────────────────
+
+/** "XXXX-XXXX-1234" — the format UIDAI uses on masked Aadhaar letters. */
+function maskAadhaar(value) {
+  return `XXXX-XXXX-${normalizeIdNumber(value).slice(-4)}`;
+}
+
+/** Everything but the last `visible` characters replaced with X. */
+function maskTail(value, visible = 4) {
+  const n = normalizeIdNumber(value);
+  return 'X'.repeat(Math.max(n.length - visible, 0)) + n.slice(-visible);
+}
+
+// ─── Structured fields per document category ─────────────────────────────────
+
+/**
+ * Validate the structured fields for an ID document category.
+ *
+ *   aadhaar          { number }
+ *   pan              { number }           → adds entityType
+ *   passport         { number }
+ *   driving_license  { number, state? }   → state defaults to the number's prefix
+ *
+ * Expiry dates are not part of these fields — they live in Document.expiryDate
+ * so renewal reminders apply to every category alike.
+ *
+ * @param {string} category
+ * @param {object} input
+ * @returns {{ error: string }|{ secret: object, display: object }}
+ *          secret holds the full values (to be encrypted); display is safe to
+ *          show without an explicit reveal
+ */
+function validateIdFields(category, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'idFields must be an object.' };
+  }
+  const number = normalizeIdNumber(input.number);
+  if (!number) return { error: 'idFields.number is required.' };
+
+  switch (category) {
+    case 'aadhaar':
+      if (!AADHAAR_PATTERN.test(number)) {
+        return { error: 'Aadhaar number must be 12 digits and cannot start with 0 or 1.' };
+      }
+      if (!verhoeffValid(number)) {
+        return { error: 'Aadhaar number is not valid — please check for typos.' };
+      }
+      return { secret: { number }, display: { number: maskAadhaar(number) } };
+
+    case 'pan':
+      if (!PAN_PATTERN.test(number)) {
+        return { error: 'PAN must look like ABCPE1234F (5 letters, 4 digits, 1 letter).' };
+      }
+      return {
+        secret:  { number },
+        display: { number: maskTail(number), entityType: panEntityType(number) },
+      };
+
+    case 'passport':
+      if (!PASSPORT_PATTERN.test(number)) {
+        return { error: 'Passport number must be one letter followed by 7 digits.' };
+      }
+      return { secret: { number }, display: { number: maskTail(number) } };
+
+    case 'driving_license': {
+      const m = DL_PATTERN.exec(number);
+      if (!m || !STATE_CODES[m[1]]) {
+        return { error: 'Driving licence number must look like MH12 20110012345 (state, RTO, year, serial).' };
+      }
+      const state = input.state ? normalizeIdNumber(input.state) : m[1];
+      if (!STATE_CODES[state]) return { error: 'idFields.state must be a state code such as MH or KA.' };
+      if (state !== m[1]) return { error: `Licence number does not belong to state ${state}.` };
+      return {
+        secret:  { number },
+        display: { number: maskTail(number), state, stateName: STATE_CODES[state] },
+      };
+    }
+
+    default:
+      return { error: `Category "${category}" has no structured ID fields.` };
+  }
+}
+
+const ID_CATEGORIES = new Set(['aadhaar', 'pan', 'passport', 'driving_license']);
+
+module.exports = {
+  ID_CATEGORIES,
+  AADHAAR_PATTERN,
+  PAN_PATTERN,
+  PASSPORT_PATTERN,
+  PAN_ENTITY_TYPES,
+  STATE_CODES,
+  verhoeffValid,
+  normalizeIdNumber,
+  isValidAadhaar,
+  isValidPan,
+  isValidPassport,
+  isValidDrivingLicense,
+  panEntityType,
+  maskAadhaar,
+  maskTail,
+  validateIdFields,
+};
@@ -0,0 +1,292 @@
+'use strict';
+
+/**
+ * imageMetadata.js
+ *
+ * Removes metadata from JPEG and PNG uploads before they are stored: EXIF
+ * (camera, timestamps, GPS location), XMP, IPTC and text comments. Phone
+ * photos of ID cards routinely carry the exact location they were taken at.
+ *
+ * Lossless — segments/chunks are dropped, pixel data is copied untouched.
+ * A JPEG's EXIF orientation is the one value kept (in a minimal EXIF block),
+ * since dropping it would show portrait photos sideways.
+ *
+ * createImageMetadataStripper() works on a file read in pieces (resumable
+ * uploads); stripImageMetadata() on a whole buffer. Both give the same bytes.
+ */
+
+// ─── JPEG ────────────────────────────────────────────────────────────────────
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+const XMP_HEADER  = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+
+const APP1  = 0xe1;
+const APP13 = 0xed; // Photoshop IRB / IPTC
+const COM   = 0xfe;
+const SOS   = 0xda;
+
+const ORIENTATION_TAG = 0x0112;
+
+const EMPTY = Buffer.alloc(0);
+
+/** The Orientation value (1–8) from an EXIF payload, or null. */
+function readOrientation(exif) {
+  try {
+    const tiff   = exif.subarray(EXIF_HEADER.length);
+    const little = tiff.toString('latin1', 0, 2) === 'II';
+    const u16    = (off) => (little ? tiff.readUInt16LE(off) : tiff.readUInt16BE(off));
+    const u32    = (off) => (little ? tiff.readUInt32LE(off) : tiff.readUInt32BE(off));
+
+    const ifd     = u32(4);
+    const entries = u16(ifd);
+    for (let i = 0; i < entries; i += 1) {
+      const entry = ifd + 2 + i * 12;
+      if (u16(entry) === ORIENTATION_TAG) {
+        const value = u16(entry + 8);
+        return value >= 1 && value <= 8 ? value : null;
+      }
+    }
+  } catch (_) {
+    // Truncated or malformed EXIF — treat as no orientation
+  }
+  return null;
+}
+
+/** An APP1 segment holding only an Orientation tag. */
+function orientationSegment(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);              // TIFF magic
+  tiff.writeUInt32BE(8, 4);               // IFD0 offset
+  tiff.writeUInt16BE(1, 8);               // one entry
+  tiff.writeUInt16BE(ORIENTATION_TAG, 10);
+  tiff.writeUInt16BE(3, 12);              // type SHORT
+  tiff.writeUInt32BE(1, 14);              // count
+  tiff.writeUInt16BE(orientation, 18);    // value (left-justified in 4 bytes)
+  tiff.writeUInt32BE(0, 22);              // no next IFD
+
+  const payload = Buffer.concat([EXIF_HEADER, tiff]);
+  const header  = Buffer.from([0xff, APP1, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * JPEG: metadata only lives in the segments before the image data (SOS), so
+ * those are collected and filtered, and everything from SOS on is passed
+ * through as it arrives.
+ */
+function jpegStripper() {
+  const removed = new Set();
+  let pending   = EMPTY; // header bytes not yet filtered
+  let started   = false; // SOI passed on
+  let scanning  = false; // reached SOS — the rest is entropy-coded image data
+
+  function filterSegment(marker, segment) {
+    const payload = segment.subarray(4);
+    if (marker === APP1 && payload.subarray(0, EXIF_HEADER.length).equals(EXIF_HEADER)) {
+      const orientation = readOrientation(payload);
+      const kept        = orientation && orientation !== 1 ? orientationSegment(orientation) : null;
+      if (!kept || !kept.equals(segment)) removed.add('exif'); // already minimal = nothing removed
+      return kept;
+    }
+    if (marker === APP1 && payload.subarray(0, XMP_HEADER.length).equals(XMP_HEADER)) {
+      removed.add('xmp');
+      return null;
+    }
+    if (marker === APP13) {
+      removed.add('iptc');
+      return null;
+    }
+    if (marker === COM) {
+      removed.add('comment');
+      return null;
+    }
+    return segment;
+  }
+
+  return {
+    removed,
+
+    write(chunk) {
+      if (scanning) return [chunk];
+      const buffer = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      const parts  = [];
+      let pos = 0;
+
+      if (!started) {
+        if (buffer.length < 2) {
+          pending = buffer;
+          return parts;
+        }
+        parts.push(buffer.subarray(0, 2)); // SOI
+        started = true;
+        pos     = 2;
+      }
+
+      while (pos + 4 <= buffer.length) {
+        if (buffer[pos] !== 0xff) throw new Error('Malformed JPEG.');
+        const marker = buffer[pos + 1];
+
+        // Fill bytes and markers without a length field
+        if (marker === 0xff) {
+          parts.push(buffer.subarray(pos, pos + 1));
+          pos += 1;
+          continue;
+        }
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+          parts.push(buffer.subarray(pos, pos + 2));
+          pos += 2;
+          continue;
+        }
+        // Start of scan: the rest is entropy-coded image data
+        if (marker === SOS) {
+          scanning = true;
+          parts.push(buffer.subarray(pos));
+          pending = EMPTY;
+          return parts;
+        }
+
+        const end = pos + 2 + buffer.readUInt16BE(pos + 2);
+        if (end > buffer.length) break; // the rest of the segment is still to come
+        const kept = filterSegment(marker, buffer.subarray(pos, end));
+        if (kept) parts.push(kept);
+        pos = end;
+      }
+
+      pending = buffer.subarray(pos);
+      return parts;
+    },
+
+    end() {
+      if (scanning) return [];
+      // Too short to hold a marker and length: trailing bytes, kept as they are
+      if (pending.length >= 4) throw new Error('Malformed JPEG.');
+      return [pending];
+    },
+  };
+}
+
+// ─── PNG ─────────────────────────────────────────────────────────────────────
+
+const PNG_SIGNATURE_LENGTH = 8;
+
+// Ancillary chunks that carry metadata rather than anything needed to render
+const PNG_METADATA_CHUNKS = {
+  eXIf: 'exif',
+  tEXt: 'text',
+  zTXt: 'text',
+  iTXt: 'text', // also where XMP lives
+  tIME: 'timestamp',
+};
+
+/** PNG: walked chunk by chunk, each metadata chunk skipped as it goes by. */
+function pngStripper() {
+  const removed = new Set();
+  let pending   = EMPTY; // the signature or a chunk header, not complete yet
+  let signed    = false; // signature passed on
+  let copy      = 0;     // bytes of the current chunk still to pass on
+  let skip      = 0;     // bytes of the current chunk still to drop
+  let ended     = false; // past IEND — anything after it is passed on as is
+
+  return {
+    removed,
+
+    write(chunk) {
+      const parts = [];
+      let rest    = chunk;
+
+      while (rest.length) {
+        if (skip) {
+          const n = Math.min(skip, rest.length);
+          skip -= n;
+          rest  = rest.subarray(n);
+          continue;
+        }
+        if (copy) {
+          const n = Math.min(copy, rest.length);
+          parts.push(rest.subarray(0, n));
+          copy -= n;
+          rest  = rest.subarray(n);
+          continue;
+        }
+        if (ended) {
+          parts.push(rest);
+          break;
+        }
+
+        const buffer = pending.length ? Buffer.concat([pending, rest]) : rest;
+        const need   = signed ? 8 : PNG_SIGNATURE_LENGTH; // chunk length + type
+        if (buffer.length < need) {
+          pending = buffer;
+          break;
+        }
+        pending = EMPTY;
+
+        if (!signed) {
+          parts.push(buffer.subarray(0, PNG_SIGNATURE_LENGTH));
+          signed = true;
+          rest   = buffer.subarray(PNG_SIGNATURE_LENGTH);
+          continue;
+        }
+
+        const length = buffer.readUInt32BE(0);
+        const type   = buffer.toString('latin1', 4, 8);
+        if (PNG_METADATA_CHUNKS[type]) {
+          removed.add(PNG_METADATA_CHUNKS[type]);
+          skip = 12 + length; // length + type + data + CRC
+        } else {
+          copy = 12 + length;
+        }
+        if (type === 'IEND') ended = true;
+        rest = buffer;
+      }
+
+      return parts;
+    },
+
+    end() {
+      if (copy || skip) throw new Error('Malformed PNG.');
+      return [pending];
+    },
+  };
+}
+
+/**
+ * Strip metadata from an image that is read in pieces.
+ *
+ *   const stripper = createImageMetadataStripper(mimeType);
+ *   for await (const chunk of file) output(stripper.write(chunk));
+ *   output(stripper.end());
+ *
+ * @param {string} mimeType  Detected type (utils/fileSignatures.js)
+ * @returns {{ write(chunk: Buffer): Buffer[], end(): Buffer[], removed: Set<string> }}
+ *          write() and end() return the bytes to keep, in order, and throw
+ *          when the image structure is malformed; removed fills in with what
+ *          was dropped. Non-images are passed through unchanged.
+ */
+function createImageMetadataStripper(mimeType) {
+  if (mimeType === 'image/jpeg') return jpegStripper();
+  if (mimeType === 'image/png')  return pngStripper();
+  return { write: (chunk) => [chunk], end: () => [], removed: new Set() };
+}
+
+/**
+ * Strip metadata from an image.
+ *
+ * @param {Buffer} buffer
+ * @param {string} mimeType  Detected type (utils/fileSignatures.js)
+ * @returns {{ buffer: Buffer, removed: string[] }}
+ *          removed lists what was found and dropped, e.g. ['exif', 'xmp'];
+ *          non-images come back unchanged
+ * @throws {Error} when the image structure is malformed
+ */
+function stripImageMetadata(buffer, mimeType) {
+  const stripper = createImageMetadataStripper(mimeType);
+  const parts    = [...stripper.write(buffer), ...stripper.end()];
+
+  if (stripper.removed.size === 0) return { buffer, removed: [] };
+  return { buffer: Buffer.concat(parts), removed: [...stripper.removed] };
+}
+
+module.exports = { createImageMetadataStripper, stripImageMetadata };
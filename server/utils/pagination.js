@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * pagination.js
+ *
+ * Keyset (cursor) pagination for document lists.
+ *
+ *   ?limit=20                      page size, 1–100
+ *   ?sort=uploadDate&order=desc    uploadDate | title | fileSize | category, asc | desc
+ *   ?from=2024-01-01&to=…          uploadDate range (ISO dates, inclusive)
+ *   ?mimeType=application/pdf      one type, or several comma-separated
+ *   ?cursor=…                      nextCursor from the previous page
+ *
+ * Cursors are opaque base64url JSON of the last row's sort value and _id, so a
+ * page never skips or repeats rows when documents are added in the meantime.
+ * Sorting always tie-breaks on _id, which is what makes the cursor unique.
+ */
+
+const mongoose = require('mongoose');
+
+const SORT_FIELDS   = ['uploadDate', 'title', 'fileSize', 'category'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT     = 100;
+
+/** Cursor pointing just past `doc` in a list sorted by `sortField`. */
+function encodeCursor(doc, sortField) {
+  const value = doc[sortField] instanceof Date ? doc[sortField].toISOString() : doc[sortField];
+  return Buffer.from(JSON.stringify({ s: sortField, v: value, id: String(doc._id) })).toString('base64url');
+}
+
+/** { value, id } of a cursor, or null if it is malformed or was made for another sort. */
+function decodeCursor(cursor, sortField) {
+  try {
+    const { s, v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (s !== sortField || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { value: sortField === 'uploadDate' ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+  } catch (_) {
+    return null;
+  }
+}
+
+function parseDate(value) {
+  if (value === undefined || value === '') return undefined;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Validate list query params.
+ *
+ * @param {object}      query       req.query
+ * @param {Set<string>} mimeTypes   Accepted values for ?mimeType
+ * @returns {{ error: string }|{
+ *   limit: number, sortField: string, sortDir: 1|-1,
+ *   cursor: { value: any, id: mongoose.Types.ObjectId }|null, filter: object
+ * }}  filter holds the date-range / MIME conditions to merge into the query
+ */
+function parseListQuery(query, mimeTypes) {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be a whole number from 1 to ${MAX_LIMIT}.` };
+  }
+
+  const sortField = query.sort || 'uploadDate';
+  if (!SORT_FIELDS.includes(sortField)) {
+    return { error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+  }
+  const order = query.order || (sortField === 'uploadDate' || sortField === 'fileSize' ? 'desc' : 'asc');
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc.' };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor, sortField);
+    if (!cursor) return { error: 'Invalid cursor — start again without one.' };
+  }
+
+  const filter = {};
+
+  const from = parseDate(query.from);
+  const to   = parseDate(query.to);
+  if (from === null || to === null) {
+    return { error: 'from and to must be valid dates.' };
+  }
+  if (from || to) {
+    filter.uploadDate = {};
+    if (from) filter.uploadDate.$gte = from;
+    if (to)   filter.uploadDate.$lte = to;
+  }
+
+  if (query.mimeType) {
+    const types = String(query.mimeType).split(',').map((t) => t.trim()).filter(Boolean);
+    const bad   = types.find((t) => !mimeTypes.has(t));
+    if (bad) return { error: `Unsupported mimeType filter "${bad}".` };
+    filter.mimeType = { $in: types };
+  }
+
+  return { limit, sortField, sortDir: order === 'asc' ? 1 : -1, cursor, filter };
+}
+
+/**
+ * Run one page of a list query.
+ *
+ * @param {import('mongoose').Model} Model
+ * @param {object} baseFilter  Ownership / status / search conditions
+ * @param {object} options     Result of parseListQuery(); callers may add a
+ *                             `select` projection, e.g. '+extractedText'
+ * @returns {Promise<{ docs: object[], total: number, nextCursor: string|null }>}
+ *          total counts every match, across all pages
+ */
+async function paginate(Model, baseFilter, { limit, sortField, sortDir, cursor, filter, select }) {
+  const match = { ...baseFilter, ...filter };
+
+  let pageFilter = match;
+  if (cursor) {
+    const op = sortDir === 1 ? '$gt' : '$lt';
+    pageFilter = {
+      $and: [
+        match,
+        {
+          $or: [
+            { [sortField]: { [op]: cursor.value } },
+            { [sortField]: cursor.value, _id: { [op]: cursor.id } },
+          ],
+        },
+      ],
+    };
+  }
+
+  // Fetch one extra row to learn whether another page exists
+  const [rows, total] = await Promise.all([
+    Model.find(pageFilter).select(select || {}).sort({ [sortField]: sortDir, _id: sortDir }).limit(limit + 1),
+    Model.countDocuments(match),
+  ]);
+
+  const docs       = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeCursor(docs[docs.length - 1], sortField) : null;
+
+  return { docs, total, nextCursor };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parseListQuery,
+  paginate,
+};
@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+ * pdfSafety.js
+ *
+ * Finds PDF features that run code or carry other files — things an ID scan
+ * or certificate never needs, and the usual way PDFs deliver malware:
+ *
+ *   /JavaScript, /JS         scripts (document-open, form or annotation actions)
+ *   /Launch                  actions that start an external program
+ *   /EmbeddedFile(s)         attachments carried inside the PDF
+ *   /RichMedia               embedded Flash / video players
+ *
+ * Works on the raw bytes, like pdfid: every name token outside stream data
+ * is decoded (so /J#61vaScript still counts), and compressed object streams
+ * (/ObjStm), where modern writers put most dictionaries, are inflated and
+ * scanned too. Other stream data (page content, images) is skipped — it holds
+ * no dictionaries, and random compressed bytes would look like names.
+ * Encrypted PDFs (often bank statements with an opening password) can only
+ * be checked outside their object streams, which are ciphertext to us.
+ *
+ * createPdfSafetyScanner() reads the file in pieces, as resumable uploads
+ * are finalized, so a large PDF is never held whole; object streams are
+ * inflated as they are read too.
+ */
+
+const zlib = require('zlib');
+
+const UNSAFE_NAMES = {
+  JavaScript:    'JavaScript',
+  JS:            'JavaScript',
+  Launch:        'launch action',
+  EmbeddedFile:  'embedded file',
+  EmbeddedFiles: 'embedded file',
+  RichMedia:     'embedded media',
+};
+
+// A name token: "/" followed by regular characters (PDF 32000-1 §7.3.5)
+const NAME_PATTERN = /\/([^\s/<>[\]()%{}]+)/g;
+
+// Where stream data starts, and the keyword that ends it
+const STREAM_START_PATTERN = /\bstream\r?\n/g;
+const STREAM_END           = 'endstream';
+
+// Text carried over from one piece of the file to the next, so a name or
+// keyword split between them is still seen whole (longer names are never
+// unsafe ones)
+const CARRY_CHARS = 256;
+
+// Object streams inflate to a few times their compressed size. Inflating up
+// to INFLATE_RATIO × the largest file the upload accepts, in total, stops
+// inflate bombs without refusing long scanned records — 50 MB for a 10 MB
+// ID card, 500 MB for a 100 MB medical file (services/uploadSessions.js)
+const INFLATE_RATIO = 5;
+
+const EMPTY = Buffer.alloc(0);
+
+function decodeName(raw) {
+  return raw.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function collectUnsafeNames(text, found) {
+  for (const [, raw] of text.matchAll(NAME_PATTERN)) {
+    const feature = UNSAFE_NAMES[decodeName(raw)];
+    if (feature) found.add(feature);
+  }
+}
+
+/**
+ * Check a PDF piece by piece.
+ *
+ *   const scanner = createPdfSafetyScanner({ maxFileBytes });
+ *   for await (const chunk of file) await scanner.write(chunk);
+ *   const features = await scanner.finish();
+ *
+ * @param {{ maxFileBytes: number }} options  largest file the upload accepts
+ *        — sets how much object stream data may be inflated
+ * @returns {{ write(chunk: Buffer): Promise<void>, finish(): Promise<string[]> }}
+ *          finish() resolves to the unsafe features found, as for
+ *          findUnsafePdfFeatures()
+ */
+function createPdfSafetyScanner({ maxFileBytes }) {
+  const maxInflatedBytes = INFLATE_RATIO * maxFileBytes;
+  const found            = new Set(); // outside stream data
+  const inObjectStreams  = new Set(); // not checkable if the PDF is encrypted
+  let encrypted          = false;
+  let inflatedBytes      = 0;
+
+  let carry  = '';                                // end of the outside text read so far
+  let dict   = { objectStream: false, flate: false }; // the object being read, since its "obj"
+  let stream = null;                              // { inflater, held } inside stream data
+
+  function checkOutside(text) {
+    collectUnsafeNames(text, found);
+    if (/\/Encrypt\b/.test(text)) encrypted = true;
+
+    const start = text.lastIndexOf('obj');
+    if (start !== -1) dict = { objectStream: false, flate: false };
+    const decoded = decodeName(start === -1 ? text : text.slice(start));
+    dict.objectStream = dict.objectStream || decoded.includes('/ObjStm');
+    dict.flate        = dict.flate || decoded.includes('/FlateDecode');
+  }
+
+  /** An object stream being inflated; its names land in inObjectStreams. */
+  function openObjectStream() {
+    const inflate = zlib.createInflate({
+      finishFlush: zlib.constants.Z_SYNC_FLUSH, // tolerate the EOL before "endstream"
+    });
+    let tail   = '';
+    let failed = false;
+
+    inflate.on('data', (data) => {
+      inflatedBytes += data.length;
+      if (inflatedBytes > maxInflatedBytes) {
+        failed = true;
+        inflate.destroy();
+        return;
+      }
+      const text = tail + data.toString('latin1');
+      collectUnsafeNames(text, inObjectStreams);
+      tail = text.slice(-CARRY_CHARS);
+    });
+    const done = new Promise((resolve) => {
+      inflate.on('error', () => { failed = true; resolve(); });
+      inflate.on('close', resolve);
+    });
+
+    return {
+      async write(data) {
+        if (failed || inflate.destroyed) return;
+        // A corrupt stream errors without calling back
+        await Promise.race([new Promise((resolve) => inflate.write(data, resolve)), done]);
+      },
+      async end() {
+        if (!inflate.destroyed) inflate.end();
+        await done;
+        if (failed) inObjectStreams.add('unreadable object stream');
+      },
+    };
+  }
+
+  /** Read outside text up to the next stream; returns the bytes after its "stream" keyword. */
+  function readOutside(buffer) {
+    const text = carry + buffer.toString('latin1');
+
+    // From 1: a match at 0 would start in text already searched
+    STREAM_START_PATTERN.lastIndex = 1;
+    const match = STREAM_START_PATTERN.exec(text);
+
+    checkOutside(match ? text.slice(0, match.index) : text);
+    if (!match) {
+      carry = text.slice(-CARRY_CHARS);
+      return EMPTY;
+    }
+
+    const inflater = dict.objectStream && dict.flate ? openObjectStream() : null;
+    stream = { inflater, held: EMPTY };
+    const consumed = match.index + match[0].length - carry.length;
+    carry = '';
+    return buffer.subarray(Math.max(0, consumed));
+  }
+
+  /** Read stream data up to "endstream"; returns the bytes from that keyword on. */
+  async function readStreamData(buffer) {
+    const data = stream.held.length ? Buffer.concat([stream.held, buffer]) : buffer;
+    const end  = data.indexOf(STREAM_END, 0, 'latin1');
+
+    // Hold back what could be the start of a split "endstream"
+    const body = data.subarray(0, end === -1 ? Math.max(0, data.length - STREAM_END.length + 1) : end);
+    if (stream.inflater) await stream.inflater.write(body);
+
+    if (end === -1) {
+      stream.held = data.subarray(body.length);
+      return EMPTY;
+    }
+    if (stream.inflater) await stream.inflater.end();
+    stream = null;
+    return data.subarray(end);
+  }
+
+  return {
+    async write(chunk) {
+      let rest = chunk;
+      while (rest.length) {
+        rest = stream ? await readStreamData(rest) : readOutside(rest);
+      }
+    },
+
+    async finish() {
+      // A stream never closed with "endstream": check what its data held
+      if (stream && stream.inflater) {
+        await stream.inflater.write(stream.held);
+        await stream.inflater.end();
+      }
+      stream = null;
+      return encrypted ? [...found] : [...new Set([...found, ...inObjectStreams])];
+    },
+  };
+}
+
+/**
+ * Unsafe features present in a PDF.
+ *
+ * @param {Buffer} buffer
+ * @param {{ maxFileBytes?: number }} [options]  see createPdfSafetyScanner();
+ *        defaults to the size of `buffer`
+ * @returns {Promise<string[]>}  e.g. ['JavaScript', 'embedded file']; empty = safe.
+ *          'unreadable object stream' means a compressed part could not be
+ *          checked, which is treated as unsafe too.
+ */
+async function findUnsafePdfFeatures(buffer, { maxFileBytes = buffer.length } = {}) {
+  const scanner = createPdfSafetyScanner({ maxFileBytes });
+  await scanner.write(buffer);
+  return scanner.finish();
+}
+
+module.exports = { INFLATE_RATIO, createPdfSafetyScanner, findUnsafePdfFeatures };
@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * searchSnippets.js
+ *
+ * Builds the short "…matching text…" excerpts shown under search results.
+ * Highlights are returned as [start, end) character offsets into the snippet
+ * rather than as markup, so the client escapes the text itself and wraps
+ * only those ranges in <mark>.
+ */
+
+const SNIPPET_RADIUS = 80; // characters of context on each side of the first match
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * The words and "quoted phrases" of a MongoDB $text search string, minus any
+ * -negated terms (they can never appear in a match).
+ *
+ * @param {string} search
+ * @returns {string[]}
+ */
+function parseSearchTerms(search) {
+  const terms = [];
+  const re = /(-?)"([^"]+)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(search))) !== null) {
+    if (m[2] !== undefined) {
+      if (!m[1]) terms.push(m[2].trim());
+    } else if (!m[3].startsWith('-')) {
+      terms.push(m[3].replace(/"/g, ''));
+    }
+  }
+  return [...new Set(terms.filter(Boolean))];
+}
+
+/**
+ * Excerpt `text` around the first occurrence of any term.
+ *
+ * @param {string}   text
+ * @param {string[]} terms  From parseSearchTerms()
+ * @returns {{ text: string, highlights: Array<[number, number]> }|null}
+ *          null when no term occurs in the text
+ */
+function buildSnippet(text, terms) {
+  if (!text || terms.length === 0) return null;
+
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'giu');
+  const first   = pattern.exec(text);
+  if (!first) return null;
+
+  let start = Math.max(0, first.index - SNIPPET_RADIUS);
+  let end   = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  // Avoid cutting words in half at either edge
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < first.index) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > first.index + first[0].length) end = space;
+  }
+
+  const prefix  = start > 0 ? '…' : '';
+  const excerpt = `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+  const highlights = [];
+  pattern.lastIndex = 0;
+  let m;
+  while ((m = pattern.exec(excerpt)) !== null) {
+    if (m[0].length === 0) { pattern.lastIndex += 1; continue; }
+    highlights.push([m.index, m.index + m[0].length]);
+  }
+
+  return { text: excerpt, highlights };
+}
+
+/**
+ * Best snippet for a search hit: extracted file text first, then the
+ * description. Title matches need no snippet — the title is already shown.
+ *
+ * @param {object}   doc    Document with extractedText selected
+ * @param {string[]} terms
+ */
+function snippetForDocument(doc, terms) {
+  return buildSnippet(doc.extractedText, terms) || buildSnippet(doc.description, terms);
+}
+
+module.exports = { parseSearchTerms, buildSnippet, snippetForDocument };
@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * signedUrl.js
+ *
+ * HMAC-SHA256 signing for expiring URLs served by this backend.
+ * The signature covers a caller-chosen resource string plus the expiry
+ * timestamp, so a URL cannot be re-pointed at another file or extended.
+ *
+ * USAGE:
+ *   const { signResource, verifyResource, getSigningSecret } = require('../utils/signedUrl');
+ *   const { expires, signature } = signResource('document:<id>:v1:<uid>', ttlMs, secret);
+ *   verifyResource('document:<id>:v1:<uid>', { expires, signature }, secret); // → { valid, reason }
+ */
+
+const crypto = require('crypto');
+
+const _devSecrets = new Map(); // envVar → random per-process fallback
+
+function computeSignature(resource, expires, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${resource}\n${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * Sign a resource for `ttlMs` milliseconds from now.
+ *
+ * @param {string} resource  Any stable identifier, e.g. a storage path
+ * @param {number} ttlMs
+ * @param {string} secret
+ * @returns {{ expires: number, signature: string }}
+ */
+function signResource(resource, ttlMs, secret) {
+  const expires = Date.now() + ttlMs;
+  return { expires, signature: computeSignature(resource, expires, secret) };
+}
+
+/**
+ * Check a signature produced by signResource().
+ * Uses a constant-time comparison so the signature cannot be guessed byte by byte.
+ *
+ * @param {string} resource
+ * @param {{ expires: string|number, signature: string }} params  Usually req.query
+ * @param {string} secret
+ * @returns {{ valid: boolean, reason?: 'missing'|'expired'|'invalid' }}
+ */
+function verifyResource(resource, { expires, signature } = {}, secret) {
+  const expiresAt = Number(expires);
+  if (!signature || !Number.isFinite(expiresAt)) {
+    return { valid: false, reason: 'missing' };
+  }
+  if (Date.now() > expiresAt) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  const expected = Buffer.from(computeSignature(resource, expiresAt, secret));
+  const actual   = Buffer.from(String(signature));
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'invalid' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Read an HMAC secret from the given env var.
+ * Throws in production when it is missing; in development falls back to a
+ * random per-process secret (URLs signed with it stop working after a restart).
+ *
+ * @param {string} envVar  e.g. "DOWNLOAD_URL_SECRET"
+ * @returns {string}
+ */
+function getSigningSecret(envVar) {
+  if (process.env[envVar]) return process.env[envVar];
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`${envVar} must be set in production.`);
+  }
+
+  if (!_devSecrets.has(envVar)) {
+    _devSecrets.set(envVar, crypto.randomBytes(32).toString('hex'));
+    console.warn(`[signedUrl] ${envVar} not set — using a random per-process secret`);
+  }
+  return _devSecrets.get(envVar);
+}
+
+/**
+ * Base URL clients use to reach this API — signed URLs that point back at the
+ * server are built on top of it.
+ *
+ * @returns {string}  e.g. "https://securegov.onrender.com" (no trailing slash)
+ */
+function getPublicBaseUrl() {
+  const base = process.env.SERVER_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return base.replace(/\/+$/, '');
+}
+
+module.exports = { signResource, verifyResource, getSigningSecret, getPublicBaseUrl };
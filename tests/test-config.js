@@ -1,10 +1,24 @@
 // Test configuration and setup
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 // Set test environment
 process.env.NODE_ENV = 'test';
 process.env.MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/secureGovDocs_test';
 
+// Stored files go to a scratch directory (created in beforeAll), encrypted
+// under a throwaway key
+let testStorageDir = null;
+process.env.STORAGE_DRIVER = 'local';
+process.env.DOCUMENT_MASTER_KEYS = `test:${crypto.randomBytes(32).toString('base64')}`;
+
+// Credentials for config/firebase.js to hand to the mock below
+process.env.FIREBASE_PROJECT_ID = 'test-project';
+process.env.FIREBASE_CLIENT_EMAIL = 'test@test-project.iam.gserviceaccount.com';
+process.env.FIREBASE_PRIVATE_KEY = 'test-key';
+
 // Global test timeout
 const originalTimeout = 5000;
 
@@ -32,20 +46,31 @@ const mockFirebaseAdmin = {
     }
 };
 
-// Setup global mocks before tests run
-before(() => {
-    // Mock Firebase Admin
-    const admin = require('firebase-admin');
-    Object.assign(admin, mockFirebaseAdmin);
-});
+// Global hooks — registered through mochaHooks, since this file is loaded
+// (.mocharc.json "require") before mocha's globals exist
+const mochaHooks = {
+    beforeAll() {
+        testStorageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securegov-test-'));
+        process.env.LOCAL_STORAGE_DIR = testStorageDir;
+
+        // Mock Firebase Admin — the server's copy, which the code under test loads
+        const admin = require(require.resolve('firebase-admin', { paths: [path.join(__dirname, '../server')] }));
+        // auth, storage etc. are getters on the namespace, so shadow them
+        // with own properties rather than assigning
+        for (const [key, value] of Object.entries(mockFirebaseAdmin)) {
+            Object.defineProperty(admin, key, { value, writable: true, configurable: true });
+        }
+    },
 
-// Cleanup after tests
-after(() => {
-    // Clean up any test data
-    console.log('Test cleanup completed');
-});
+    afterAll() {
+        // Clean up any test data
+        if (testStorageDir) fs.rmSync(testStorageDir, { recursive: true, force: true });
+        console.log('Test cleanup completed');
+    }
+};
 
 module.exports = {
     testTimeout: originalTimeout,
-    mockFirebaseAdmin
+    mockFirebaseAdmin,
+    mochaHooks
 };
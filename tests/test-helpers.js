@@ -0,0 +1,73 @@
+// Shared helpers for unit tests that stub mongoose models or call routes
+const path = require('path');
+const sinon = require('sinon');
+
+/**
+ * A mongoose query resolving to `result`, for stubbing Model.find/findOne/
+ * findById where the code under test chains sort, select, limit or lean,
+ * or awaits the query itself.
+ */
+function query(result) {
+    const chain = {
+        sort: () => chain,
+        select: () => chain,
+        limit: () => chain,
+        lean: async () => result,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return chain;
+}
+
+/**
+ * Stub what recording a new document touches besides storage and the
+ * Document lookups — quota usage (with nothing used), Document.create, the
+ * integrity ledger and the audit log — for routes that end in
+ * createUploadedDocument. Document.create builds (unsaved) documents.
+ */
+function stubDocumentCreation() {
+    const Document = require('../server/models/Document');
+    const FamilyGroup = require('../server/models/FamilyGroup');
+    const User = require('../server/models/User');
+    const UploadSession = require('../server/models/UploadSession');
+    const IntegrityEntry = require('../server/models/IntegrityEntry');
+    const AuditEvent = require('../server/models/AuditEvent');
+
+    sinon.stub(User, 'findOne').returns(query({ plan: 'free', quotaBytes: null, quotaWarningsSent: [] }));
+    sinon.stub(FamilyGroup, 'find').returns(query([]));
+    sinon.stub(Document, 'aggregate').resolves([]);
+    sinon.stub(UploadSession, 'aggregate').resolves([]);
+    sinon.stub(Document, 'create').callsFake(async (fields) => new Document(fields));
+    sinon.stub(IntegrityEntry, 'findOne').returns(query(null));
+    sinon.stub(IntegrityEntry, 'create').resolves();
+    sinon.stub(AuditEvent, 'create').resolves();
+}
+
+/** Load a package only the server depends on (express, sharp, …) — the copy the server uses. */
+function requireServerPackage(name) {
+    return require(require.resolve(name, { paths: [path.join(__dirname, '../server')] }));
+}
+
+/**
+ * An app serving one router the way server.js mounts it, for supertest.
+ * Requests authenticate with "Bearer valid-token" as test-user-id.
+ */
+function buildApp(mountPath, router) {
+    const express = requireServerPackage('express');
+    const app = express();
+    app.use(express.json());
+    app.use(mountPath, router);
+    // eslint-disable-next-line no-unused-vars
+    app.use((err, req, res, next) => {
+        res.status(err.status || 500).json({ success: false, message: err.message });
+    });
+    return app;
+}
+
+/** supertest parser keeping any response body as a Buffer: .buffer(true).parse(binaryParser) */
+function binaryParser(res, callback) {
+    const parts = [];
+    res.on('data', (part) => parts.push(part));
+    res.on('end', () => callback(null, Buffer.concat(parts)));
+}
+
+module.exports = { query, stubDocumentCreation, requireServerPackage, buildApp, binaryParser };
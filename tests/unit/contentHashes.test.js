@@ -0,0 +1,79 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const Document = require('../../server/models/Document');
+const { hashContent, storeDocumentFile } = require('../../server/services/documentFiles');
+const { backfillContentHashes } = require('../../server/jobs/contentHashes');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Content Hash Backfill Tests', () => {
+    const now = new Date('2026-03-02T12:00:00Z');
+    let docs;
+
+    beforeEach(() => {
+        docs = [];
+        sinon.stub(Document, 'find').callsFake(() => ({
+            sort: () => ({ limit: async () => docs })
+        }));
+        sinon.stub(Document, 'countDocuments').resolves(0);
+        sinon.stub(Document, 'updateOne').resolves({ matchedCount: 1 });
+        sinon.stub(Document.prototype, 'save').resolves();
+        sinon.stub(console, 'error');
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    /** A document from before version history and hashing, its file stored at `storagePath`. */
+    function legacyDocument(storagePath, encryption = null) {
+        return new Document({
+            title: 'Ration card',
+            category: 'other',
+            uploadedBy: 'owner-1',
+            firebaseStoragePath: storagePath,
+            encryption,
+            mimeType: 'application/pdf',
+            fileSize: 10
+        });
+    }
+
+    it('should hash each document from its stored file', async () => {
+        const plaintext = Buffer.from('ration card');
+        const { storagePath, encryption } = await storeDocumentFile(plaintext, 'documents/owner-1/legacy');
+        const doc = legacyDocument(storagePath, encryption);
+        docs = [doc];
+
+        const result = await backfillContentHashes(50, now);
+
+        expect(result).to.deep.equal({ hashed: 1, failed: 0, remaining: 0 });
+        expect(doc.contentHash).to.equal(hashContent(plaintext));
+        expect(doc.versions[0].contentHash).to.equal(hashContent(plaintext));
+    });
+
+    it('should mark a document whose file cannot be read and carry on', async () => {
+        const { storagePath, encryption } = await storeDocumentFile(Buffer.from('readable'), 'documents/owner-1/readable');
+        const unreadable = legacyDocument('documents/owner-1/missing');
+        const readable = legacyDocument(storagePath, encryption);
+        docs = [unreadable, readable];
+
+        const result = await backfillContentHashes(50, now);
+
+        expect(result).to.include({ hashed: 1, failed: 1 });
+        expect(Document.updateOne.calledOnceWith({ _id: unreadable._id }, { $set: { contentHashFailedAt: now } })).to.be.true;
+        expect(readable.contentHash).to.equal(hashContent(Buffer.from('readable')));
+    });
+
+    it('should leave recent failures out of the batch until a day has passed', async () => {
+        await backfillContentHashes(50, now);
+
+        expect(Document.find.firstCall.args[0]).to.deep.equal({
+            status: { $ne: 'purged' },
+            contentHash: null,
+            $or: [
+                { contentHashFailedAt: null },
+                { contentHashFailedAt: { $lt: new Date(now.getTime() - DAY) } }
+            ]
+        });
+    });
+});
@@ -0,0 +1,157 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const FamilyGroup = require('../../server/models/FamilyGroup');
+const {
+    isGrantActive,
+    activeGrantFilter,
+    describeAccess,
+    resolveAccess,
+    canRead,
+    canWrite
+} = require('../../server/services/documentAccess');
+
+const HOUR = 60 * 60 * 1000;
+
+function buildDoc(overrides = {}) {
+    return {
+        uploadedBy: 'owner-1',
+        sharedWith: [],
+        sharedWithGroups: [],
+        ...overrides
+    };
+}
+
+describe('Document Access Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('isGrantActive', () => {
+        it('should treat grants without an expiry as active', () => {
+            expect(isGrantActive({ expiresAt: null })).to.be.true;
+            expect(isGrantActive({})).to.be.true;
+        });
+
+        it('should end a grant at its expiry', () => {
+            const now = new Date();
+
+            expect(isGrantActive({ expiresAt: new Date(now.getTime() + 1) }, now)).to.be.true;
+            expect(isGrantActive({ expiresAt: now }, now)).to.be.false;
+        });
+
+        it('should match the query-side filter', () => {
+            const now = new Date();
+
+            expect(activeGrantFilter('user-2', now)).to.deep.equal({
+                sharedWith: { $elemMatch: { uid: 'user-2', $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] } }
+            });
+        });
+    });
+
+    describe('describeAccess', () => {
+        it('should give the owner full access', () => {
+            expect(describeAccess(buildDoc(), 'owner-1')).to.deep.equal({ level: 'owner', grant: null, via: [] });
+        });
+
+        it('should give a direct grantee its permission', () => {
+            const grant = { uid: 'user-2', email: 'two@example.com', permission: 'read', expiresAt: null };
+            const access = describeAccess(buildDoc({ sharedWith: [grant] }), 'user-2');
+
+            expect(access).to.deep.equal({ level: 'read', grant, via: [{ type: 'user' }] });
+        });
+
+        it('should ignore an expired direct grant', () => {
+            const grant = { uid: 'user-2', permission: 'write', expiresAt: new Date(Date.now() - HOUR) };
+
+            expect(describeAccess(buildDoc({ sharedWith: [grant] }), 'user-2').level).to.be.null;
+        });
+
+        it('should give no access to anyone else', () => {
+            const doc = buildDoc({ sharedWith: [{ uid: 'user-2', permission: 'write' }] });
+
+            expect(describeAccess(doc, 'user-3')).to.deep.equal({ level: null, grant: null, via: [] });
+        });
+
+        it('should give group members the group permission', () => {
+            const doc = buildDoc({
+                sharedWithGroups: [{ groupId: 'g1', groupName: 'Sharma family', permission: 'read', expiresAt: null }]
+            });
+
+            expect(describeAccess(doc, 'user-2', ['g1'])).to.deep.equal({
+                level: 'read',
+                grant: null,
+                via: [{ type: 'group', groupId: 'g1', groupName: 'Sharma family' }]
+            });
+            expect(describeAccess(doc, 'user-2', ['g2']).level).to.be.null;
+        });
+
+        it('should let the most generous active grant win', () => {
+            const doc = buildDoc({
+                sharedWith: [{ uid: 'user-2', permission: 'read' }],
+                sharedWithGroups: [
+                    { groupId: 'g1', groupName: 'Family', permission: 'write', expiresAt: null },
+                    { groupId: 'g2', groupName: 'Flatmates', permission: 'read', expiresAt: null }
+                ]
+            });
+
+            const access = describeAccess(doc, 'user-2', ['g1', 'g2']);
+
+            expect(access.level).to.equal('write');
+            expect(access.via.map((v) => v.type)).to.deep.equal(['user', 'group', 'group']);
+        });
+
+        it('should drop an expired group grant even when a direct grant remains', () => {
+            const doc = buildDoc({
+                sharedWith: [{ uid: 'user-2', permission: 'read' }],
+                sharedWithGroups: [{ groupId: 'g1', groupName: 'Family', permission: 'write', expiresAt: new Date(Date.now() - HOUR) }]
+            });
+
+            expect(describeAccess(doc, 'user-2', ['g1']).level).to.equal('read');
+        });
+
+        it('should compare group IDs as strings', () => {
+            const groupId = { toString: () => '64f0c0ffee0000000000abcd' };
+            const doc = buildDoc({ sharedWithGroups: [{ groupId, groupName: 'Family', permission: 'read' }] });
+
+            expect(describeAccess(doc, 'user-2', ['64f0c0ffee0000000000abcd']).level).to.equal('read');
+        });
+    });
+
+    describe('resolveAccess', () => {
+        it('should resolve group grants against current membership', async () => {
+            const distinct = sinon.stub().resolves(['g1']);
+            sinon.stub(FamilyGroup, 'find').returns({ distinct });
+            const doc = buildDoc({ sharedWithGroups: [{ groupId: 'g1', groupName: 'Family', permission: 'write' }] });
+
+            expect((await resolveAccess(doc, 'user-2')).level).to.equal('write');
+            expect(FamilyGroup.find.firstCall.args[0]).to.deep.equal({ 'members.uid': 'user-2', status: 'active' });
+
+            // Removed from the group: the same document no longer grants anything
+            distinct.resolves([]);
+            expect((await resolveAccess(doc, 'user-2')).level).to.be.null;
+        });
+
+        it('should not look up groups when the document has no group grants', async () => {
+            sinon.stub(FamilyGroup, 'find');
+            const doc = buildDoc({ sharedWith: [{ uid: 'user-2', permission: 'read' }] });
+
+            expect((await resolveAccess(doc, 'user-2')).level).to.equal('read');
+            expect(FamilyGroup.find.called).to.be.false;
+        });
+
+        it('should not look up groups for the owner', async () => {
+            sinon.stub(FamilyGroup, 'find');
+            const doc = buildDoc({ sharedWithGroups: [{ groupId: 'g1', groupName: 'Family', permission: 'read' }] });
+
+            expect((await resolveAccess(doc, 'owner-1')).level).to.equal('owner');
+            expect(FamilyGroup.find.called).to.be.false;
+        });
+    });
+
+    describe('canRead / canWrite', () => {
+        it('should follow the access levels', () => {
+            expect(['owner', 'write', 'read', null].map(canRead)).to.deep.equal([true, true, true, false]);
+            expect(['owner', 'write', 'read', null].map(canWrite)).to.deep.equal([true, true, false, false]);
+        });
+    });
+});
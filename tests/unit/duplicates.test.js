@@ -0,0 +1,196 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const fs = require('fs/promises');
+const path = require('path');
+const Document = require('../../server/models/Document');
+const AuditEvent = require('../../server/models/AuditEvent');
+const { storeDocumentFile, hashContent } = require('../../server/services/documentFiles');
+const { purgeDocument } = require('../../server/jobs/purgeTrash');
+const documentsRouter = require('../../server/routes/documents');
+const { query, stubDocumentCreation, buildApp, requireServerPackage } = require('../test-helpers');
+
+const { PDFDocument } = requireServerPackage('pdf-lib');
+
+const GB = 1024 * 1024 * 1024;
+
+/** A real one-page PDF, `width` points wide so each one hashes differently. */
+async function pdfBytes(width) {
+    const pdf = await PDFDocument.create();
+    pdf.addPage([width, 842]);
+    return Buffer.from(await pdf.save());
+}
+
+/** Whether the local storage driver still holds `storagePath`. */
+async function stored(storagePath) {
+    return fs.access(path.join(process.env.LOCAL_STORAGE_DIR, storagePath)).then(() => true, () => false);
+}
+
+describe('Duplicate Content Tests', () => {
+    const app = buildApp('/api/documents', documentsRouter);
+    let docs, scan;
+
+    /** An active document of the test user's holding `contents` as version 1. */
+    async function storedDocument(title, contents) {
+        const doc = new Document({
+            title,
+            category: 'other',
+            uploadedBy: 'test-user-id',
+            firebaseStoragePath: 'placeholder',
+            mimeType: 'application/pdf',
+            fileSize: contents.length
+        });
+        const { storagePath, encryption } = await storeDocumentFile(contents, `documents/test-user-id/${doc._id}-v1`);
+        doc.versions.push({
+            version: 1,
+            storagePath,
+            encryption,
+            mimeType: 'application/pdf',
+            fileSize: contents.length,
+            contentHash: hashContent(contents),
+            title,
+            uploadedBy: 'test-user-id'
+        });
+        Object.assign(doc, { firebaseStoragePath: storagePath, encryption, contentHash: hashContent(contents) });
+        docs.push(doc);
+        return doc;
+    }
+
+    /**
+     * Document.find over `docs`, for the two lookups involved: duplicates of
+     * an upload (by contentHash) and other documents holding a file being
+     * deleted (deleteDocumentFiles).
+     */
+    function find(filter) {
+        if (filter.contentHash) {
+            return docs.filter((doc) => doc.uploadedBy === filter.uploadedBy
+                && doc.status === filter.status && doc.contentHash === filter.contentHash);
+        }
+        const paths = filter.$or[0].firebaseStoragePath.$in;
+        return docs.filter((doc) => String(doc._id) !== String(filter._id.$ne) && doc.status !== 'purged'
+            && doc.getStoragePaths().some((storagePath) => paths.includes(storagePath)));
+    }
+
+    beforeEach(async () => {
+        docs = [];
+        scan = await pdfBytes(595);
+
+        sinon.stub(Document, 'find').callsFake((filter) => query(find(filter).map((doc) => doc.toObject())));
+        sinon.stub(Document, 'findOne').callsFake(async (filter) =>
+            docs.find((doc) => String(doc._id) === String(filter._id) && doc.status === filter.status) || null);
+        sinon.stub(Document.prototype, 'save').callsFake(async function save() {
+            return this;
+        });
+        stubDocumentCreation();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const upload = (file, fields = {}) => {
+        const req = request(app)
+            .post('/api/documents/upload')
+            .set('Authorization', 'Bearer valid-token')
+            .field('title', 'Marksheet copy')
+            .field('category', 'marksheet');
+        Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+        return req.attach('file', file, { filename: 'marksheet.pdf', contentType: 'application/pdf' });
+    };
+
+    /** Record the document the last upload created, as the database would. */
+    async function keepCreated() {
+        const doc = await Document.create.lastCall.returnValue;
+        docs.push(doc);
+        return doc;
+    }
+
+    describe('POST /api/documents/upload', () => {
+        it('should refuse a file the owner already has, naming the document', async () => {
+            const original = await storedDocument('Marksheet', scan);
+
+            const res = await upload(scan);
+
+            expect(res.status).to.equal(409);
+            expect(res.body.code).to.equal('DUPLICATE_CONTENT');
+            expect(res.body.duplicates.map((d) => [String(d.id), d.title])).to.deep.equal([[String(original._id), 'Marksheet']]);
+            expect(Document.create.called).to.be.false;
+        });
+
+        it('should share the stored copy of a confirmed duplicate, even with no quota left', async () => {
+            const original = await storedDocument('Marksheet', scan);
+            Document.aggregate.resolves([{ _id: 'test-user-id', bytes: 2 * GB }]);
+
+            const res = await upload(scan, { allowDuplicate: 'true' });
+
+            expect(res.status).to.equal(201);
+            expect(Document.create.firstCall.args[0]).to.include({
+                firebaseStoragePath: original.firebaseStoragePath, contentHash: original.contentHash
+            });
+            expect(Document.create.firstCall.args[0].encryption).to.deep.equal(original.encryption.toObject());
+            const [audit] = AuditEvent.create.args.find(([event]) => event.action === 'document.upload');
+            expect(audit.metadata).to.deep.include({ duplicateOf: original._id });
+        });
+    });
+
+    describe('POST /api/documents/:id/versions', () => {
+        it('should share the stored copy when an older version is uploaded again', async () => {
+            const doc = await storedDocument('Marksheet', scan);
+            await request(app)
+                .post(`/api/documents/${doc._id}/versions`)
+                .set('Authorization', 'Bearer valid-token')
+                .attach('file', await pdfBytes(612), { filename: 'corrected.pdf', contentType: 'application/pdf' });
+
+            const res = await request(app)
+                .post(`/api/documents/${doc._id}/versions`)
+                .set('Authorization', 'Bearer valid-token')
+                .attach('file', scan, { filename: 'marksheet.pdf', contentType: 'application/pdf' });
+
+            expect(res.status).to.equal(201);
+            expect(doc.currentVersion).to.equal(3);
+            expect(doc.versions[2].storagePath).to.equal(doc.versions[0].storagePath);
+            expect(doc.getStoragePaths()).to.have.lengthOf(2);
+        });
+    });
+
+    describe('purging a document that shares its file', () => {
+        it('should keep the stored copy while another document still uses it', async () => {
+            const original = await storedDocument('Marksheet', scan);
+            await upload(scan, { allowDuplicate: 'true' });
+            const copy = await keepCreated();
+            original.status = 'deleted';
+
+            await purgeDocument(original);
+
+            expect(original.status).to.equal('purged');
+            expect(await stored(copy.firebaseStoragePath)).to.be.true;
+        });
+
+        it('should delete the stored copy with the last document using it', async () => {
+            const original = await storedDocument('Marksheet', scan);
+            await upload(scan, { allowDuplicate: 'true' });
+            const copy = await keepCreated();
+
+            await purgeDocument(original);
+            await purgeDocument(copy);
+
+            expect(await stored(original.firebaseStoragePath)).to.be.false;
+        });
+
+        it('should delete only the files no other document uses', async () => {
+            const original = await storedDocument('Marksheet', scan);
+            await upload(scan, { allowDuplicate: 'true' });
+            const copy = await keepCreated();
+            await request(app)
+                .post(`/api/documents/${original._id}/versions`)
+                .set('Authorization', 'Bearer valid-token')
+                .attach('file', await pdfBytes(612), { filename: 'corrected.pdf', contentType: 'application/pdf' });
+            const corrected = original.firebaseStoragePath;
+
+            await purgeDocument(original);
+
+            expect(await stored(corrected)).to.be.false;
+            expect(await stored(copy.firebaseStoragePath)).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,253 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const crypto = require('crypto');
+
+const ENCRYPTION = require.resolve('../../server/services/encryption');
+const ROTATE_KEYS = require.resolve('../../server/scripts/rotate-keys');
+
+const OLD_KEY = `2025-01:${crypto.randomBytes(32).toString('base64')}`;
+const NEW_KEY = `2026-01:${crypto.randomBytes(32).toString('base64')}`;
+
+// encryption.js reads its keyring once, so each key setup needs a fresh copy
+function loadEncryption(masterKeys, activeKeyId) {
+    process.env.DOCUMENT_MASTER_KEYS = masterKeys;
+    if (activeKeyId) process.env.DOCUMENT_MASTER_KEY_ID = activeKeyId;
+    else delete process.env.DOCUMENT_MASTER_KEY_ID;
+
+    delete require.cache[ENCRYPTION];
+    return require(ENCRYPTION);
+}
+
+describe('Document Encryption Tests', () => {
+    const savedEnv = {
+        keys: process.env.DOCUMENT_MASTER_KEYS,
+        keyId: process.env.DOCUMENT_MASTER_KEY_ID
+    };
+
+    after(() => {
+        if (savedEnv.keys === undefined) delete process.env.DOCUMENT_MASTER_KEYS;
+        else process.env.DOCUMENT_MASTER_KEYS = savedEnv.keys;
+        if (savedEnv.keyId === undefined) delete process.env.DOCUMENT_MASTER_KEY_ID;
+        else process.env.DOCUMENT_MASTER_KEY_ID = savedEnv.keyId;
+        delete require.cache[ENCRYPTION];
+    });
+
+    describe('Key configuration', () => {
+        it('should fail without DOCUMENT_MASTER_KEYS', () => {
+            const { encryptBuffer } = loadEncryption('');
+
+            expect(() => encryptBuffer(Buffer.from('x')))
+                .to.throw(/DOCUMENT_MASTER_KEYS is not set/)
+                .with.property('code', 'DOCUMENT_ENCRYPTION_FAILED');
+        });
+
+        it('should reject keys that are not 32 bytes', () => {
+            const { getActiveKeyId } = loadEncryption(`short:${Buffer.alloc(16).toString('base64')}`);
+
+            expect(() => getActiveKeyId()).to.throw(/must be 32 bytes/);
+        });
+
+        it('should reject an active key ID that is not listed', () => {
+            const { getActiveKeyId } = loadEncryption(OLD_KEY, 'missing');
+
+            expect(() => getActiveKeyId()).to.throw(/"missing" is not in DOCUMENT_MASTER_KEYS/);
+        });
+
+        it('should default to the first listed key', () => {
+            const { getActiveKeyId } = loadEncryption(`${NEW_KEY},${OLD_KEY}`);
+
+            expect(getActiveKeyId()).to.equal('2026-01');
+        });
+    });
+
+    describe('encryptBuffer / decryptBuffer', () => {
+        let encryption;
+
+        beforeEach(() => {
+            encryption = loadEncryption(NEW_KEY);
+        });
+
+        it('should round-trip a file', () => {
+            const plaintext = Buffer.from('scanned passport page');
+            const { ciphertext, envelope } = encryption.encryptBuffer(plaintext);
+
+            expect(ciphertext.equals(plaintext)).to.be.false;
+            expect(envelope).to.include({ algorithm: 'aes-256-gcm', keyId: '2026-01' });
+            expect(encryption.decryptBuffer(ciphertext, envelope).equals(plaintext)).to.be.true;
+        });
+
+        it('should use a fresh data key and IV per file', () => {
+            const a = encryption.encryptBuffer(Buffer.from('same'));
+            const b = encryption.encryptBuffer(Buffer.from('same'));
+
+            expect(a.envelope.wrappedKey).to.not.equal(b.envelope.wrappedKey);
+            expect(a.envelope.iv).to.not.equal(b.envelope.iv);
+        });
+
+        it('should reject tampered ciphertext', () => {
+            const { ciphertext, envelope } = encryption.encryptBuffer(Buffer.from('aadhaar card'));
+            ciphertext[0] ^= 1;
+
+            expect(() => encryption.decryptBuffer(ciphertext, envelope))
+                .to.throw(/decryption failed/)
+                .with.property('code', 'DOCUMENT_ENCRYPTION_FAILED');
+        });
+
+        it('should reject an envelope whose key ID was swapped', () => {
+            encryption = loadEncryption(`${NEW_KEY},${OLD_KEY}`);
+            const { ciphertext, envelope } = encryption.encryptBuffer(Buffer.from('pan card'));
+
+            expect(() => encryption.decryptBuffer(ciphertext, { ...envelope, keyId: '2025-01' }))
+                .to.throw(/decryption failed/);
+        });
+
+        it('should decrypt a file encrypted in pieces through createEncryptor', () => {
+            const { cipher, envelope } = encryption.createEncryptor();
+            const ciphertext = Buffer.concat([
+                cipher.update(Buffer.from('first half, ')),
+                cipher.update(Buffer.from('second half')),
+                cipher.final()
+            ]);
+
+            expect(encryption.decryptBuffer(ciphertext, envelope()).toString())
+                .to.equal('first half, second half');
+        });
+    });
+
+    describe('rewrapEnvelope', () => {
+        it('should leave an envelope under the active key unchanged', () => {
+            const encryption = loadEncryption(NEW_KEY);
+            const { envelope } = encryption.encryptBuffer(Buffer.from('x'));
+
+            expect(encryption.rewrapEnvelope(envelope)).to.equal(envelope);
+        });
+
+        it('should move the data key to the active key without touching the file', () => {
+            const plaintext = Buffer.from('marksheet');
+            const { ciphertext, envelope } = loadEncryption(OLD_KEY).encryptBuffer(plaintext);
+
+            const rotated = loadEncryption(`${NEW_KEY},${OLD_KEY}`, '2026-01').rewrapEnvelope(envelope);
+
+            expect(rotated.keyId).to.equal('2026-01');
+            expect(rotated).to.include({ iv: envelope.iv, authTag: envelope.authTag });
+
+            // The old key can be retired once everything is re-wrapped
+            const { decryptBuffer } = loadEncryption(NEW_KEY);
+            expect(decryptBuffer(ciphertext, rotated).equals(plaintext)).to.be.true;
+            expect(() => decryptBuffer(ciphertext, envelope)).to.throw(/"2025-01" is not configured/);
+        });
+
+        it('should fail when the old key is no longer configured', () => {
+            const { envelope } = loadEncryption(OLD_KEY).encryptBuffer(Buffer.from('x'));
+
+            expect(() => loadEncryption(NEW_KEY).rewrapEnvelope(envelope))
+                .to.throw(/"2025-01" is not configured/);
+        });
+    });
+
+    describe('rotate-keys script', () => {
+        let Document, ExportJob, UploadSession, db, finished;
+
+        // A mongoose subdocument as far as the script is concerned
+        const subdoc = (value) => ({ ...value, toObject: () => value });
+        const cursorOf = (items) => ({
+            async *[Symbol.asyncIterator]() {
+                yield* items;
+            }
+        });
+
+        // The script runs as soon as it is required; resolves once it has finished
+        function runRotateKeys() {
+            delete require.cache[ROTATE_KEYS];
+            require(ROTATE_KEYS);
+            return finished;
+        }
+
+        beforeEach(() => {
+            Document = require('../../server/models/Document');
+            ExportJob = require('../../server/models/ExportJob');
+            UploadSession = require('../../server/models/UploadSession');
+            db = require('../../server/db/mongoose');
+
+            sinon.stub(db, 'connectDB').resolves();
+            finished = new Promise((resolve) => {
+                sinon.stub(Document.base, 'disconnect').callsFake(async () => setImmediate(resolve));
+            });
+            sinon.stub(console, 'log');
+        });
+
+        afterEach(() => {
+            sinon.restore();
+            process.exitCode = undefined;
+        });
+
+        it('should re-wrap every envelope a document holds and keep the top level in step', async () => {
+            const old = loadEncryption(OLD_KEY);
+            const plaintext = Buffer.from('version 2');
+            const v1 = old.encryptBuffer(Buffer.from('version 1'));
+            const v2 = old.encryptBuffer(plaintext);
+            const thumb = old.encryptBuffer(Buffer.from('thumbnail'));
+            const ids = old.encryptBuffer(Buffer.from('{}'));
+
+            const doc = {
+                _id: 'doc1',
+                currentVersion: 2,
+                encryption: subdoc(v2.envelope),
+                versions: [
+                    { version: 1, encryption: subdoc(v1.envelope) },
+                    { version: 2, encryption: subdoc(v2.envelope), renditions: { thumbnail: { encryption: subdoc(thumb.envelope) } } }
+                ],
+                idFields: { encryption: subdoc(ids.envelope) },
+                save: sinon.stub().resolves()
+            };
+            const job = { _id: 'job1', encryption: subdoc(old.encryptBuffer(Buffer.from('zip')).envelope), save: sinon.stub().resolves() };
+            const session = {
+                _id: 'upload1',
+                chunks: [{ encryption: subdoc(old.encryptBuffer(Buffer.from('chunk')).envelope) }],
+                save: sinon.stub().resolves()
+            };
+
+            const { decryptBuffer } = loadEncryption(`${NEW_KEY},${OLD_KEY}`, '2026-01');
+            sinon.stub(Document, 'find').returns({ select: () => ({ cursor: () => cursorOf([doc]) }) });
+            sinon.stub(ExportJob, 'find').returns({ cursor: () => cursorOf([job]) });
+            sinon.stub(UploadSession, 'find').returns({ cursor: () => cursorOf([session]) });
+
+            await runRotateKeys();
+
+            expect(doc.save.calledOnce).to.be.true;
+            expect(doc.versions.map((v) => v.encryption.keyId)).to.deep.equal(['2026-01', '2026-01']);
+            expect(doc.versions[1].renditions.thumbnail.encryption.keyId).to.equal('2026-01');
+            expect(doc.idFields.encryption.keyId).to.equal('2026-01');
+            expect(doc.encryption).to.equal(doc.versions[1].encryption);
+            expect(decryptBuffer(v2.ciphertext, doc.encryption).equals(plaintext)).to.be.true;
+
+            expect(job.encryption.keyId).to.equal('2026-01');
+            expect(session.chunks[0].encryption.keyId).to.equal('2026-01');
+            expect(process.exitCode).to.be.undefined;
+        });
+
+        it('should count a document it cannot re-wrap as failed and go on', async () => {
+            const { envelope } = loadEncryption(OLD_KEY).encryptBuffer(Buffer.from('x'));
+            const broken = {
+                _id: 'broken',
+                versions: [{ version: 1, encryption: subdoc({ ...envelope, keyId: 'gone' }) }],
+                save: sinon.stub().resolves()
+            };
+            const legacy = { _id: 'legacy', versions: [], encryption: subdoc(envelope), save: sinon.stub().resolves() };
+
+            loadEncryption(`${NEW_KEY},${OLD_KEY}`, '2026-01');
+            sinon.stub(Document, 'find').returns({ select: () => ({ cursor: () => cursorOf([broken, legacy]) }) });
+            sinon.stub(ExportJob, 'find').returns({ cursor: () => cursorOf([]) });
+            sinon.stub(UploadSession, 'find').returns({ cursor: () => cursorOf([]) });
+            sinon.stub(console, 'error');
+
+            await runRotateKeys();
+
+            expect(broken.save.called).to.be.false;
+            expect(legacy.save.calledOnce).to.be.true;
+            expect(legacy.encryption.keyId).to.equal('2026-01');
+            expect(console.log.lastCall.args[0]).to.match(/1 document\(s\).* 1 failed/);
+            expect(process.exitCode).to.equal(1);
+        });
+    });
+});
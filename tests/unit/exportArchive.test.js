@@ -0,0 +1,361 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const Document = require('../../server/models/Document');
+const ExportJob = require('../../server/models/ExportJob');
+const Folder = require('../../server/models/Folder');
+const AuditEvent = require('../../server/models/AuditEvent');
+const { storeDocumentFile } = require('../../server/services/documentFiles');
+const { sealIdFields } = require('../../server/services/idFields');
+const {
+    EXPORT_STALE_MINUTES,
+    writeExportArchive,
+    readExportArchive,
+    queueExport
+} = require('../../server/services/exportArchive');
+const exportsRouter = require('../../server/routes/exports');
+const documentsRouter = require('../../server/routes/documents');
+const { query, stubDocumentCreation, buildApp, binaryParser, requireServerPackage } = require('../test-helpers');
+
+const zip = requireServerPackage('@zip.js/zip.js');
+const { PDFDocument } = requireServerPackage('pdf-lib');
+
+const PASSPHRASE = 'correct horse battery';
+
+describe('Export Archive Tests', () => {
+    let tmpDir, folder, docs;
+
+    before(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'securegov-export-test-'));
+    });
+
+    after(async () => {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    /** An active document of the test user's holding `contents`. */
+    async function storedDocument(title, contents, extra = {}) {
+        contents = Buffer.from(contents);
+        const doc = new Document({
+            title,
+            category: 'other',
+            uploadedBy: 'test-user-id',
+            firebaseStoragePath: 'placeholder',
+            mimeType: 'application/pdf',
+            fileSize: contents.length,
+            ...extra
+        });
+        const { storagePath, encryption } = await storeDocumentFile(contents, `documents/test-user-id/${doc._id}-v1`);
+        doc.versions.push({
+            version: 1,
+            storagePath,
+            encryption,
+            mimeType: 'application/pdf',
+            fileSize: contents.length,
+            originalName: `${title}.pdf`,
+            title,
+            uploadedBy: 'test-user-id'
+        });
+        Object.assign(doc, { firebaseStoragePath: storagePath, encryption });
+        return doc;
+    }
+
+    /** Write an archive of `docs` to a file and return its path. */
+    async function exportToFile(passphrase) {
+        const { data } = await writeExportArchive(docs, new zip.Uint8ArrayWriter(), { ownerUid: 'test-user-id', passphrase });
+        const file = path.join(tmpDir, `export-${Date.now()}-${Math.random()}.zip`);
+        await fs.writeFile(file, data);
+        return file;
+    }
+
+    /** A ZIP holding `files` (name → text), as a path on disk. */
+    async function archiveOf(files) {
+        const writer = new zip.ZipWriter(new zip.Uint8ArrayWriter());
+        for (const [name, text] of Object.entries(files)) await writer.add(name, new zip.TextReader(text));
+        const file = path.join(tmpDir, `crafted-${Date.now()}-${Math.random()}.zip`);
+        await fs.writeFile(file, await writer.close());
+        return file;
+    }
+
+    beforeEach(async () => {
+        folder = { _id: new Document()._id, name: 'Taxes', parentId: null };
+        docs = [
+            await storedDocument('PAN card', 'pan card scan', {
+                category: 'pan',
+                folderId: folder._id,
+                tags: ['kyc'],
+                idFields: sealIdFields('pan', { secret: { number: 'ABCPE1234F' }, display: { number: 'XXXXXX234F' } })
+            }),
+            await storedDocument('PAN card', 'second scan with the same title')
+        ];
+        sinon.stub(Folder, 'find').returns(query([folder]));
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('writeExportArchive / readExportArchive', () => {
+        it('should read back a plain export with its metadata and files', async () => {
+            const archive = await readExportArchive(await exportToFile());
+
+            const { manifest } = archive;
+            expect(manifest).to.include({ format: 'securegov-export', version: 1 });
+            expect(manifest.documents.map((d) => d.path)).to.deep.equal([
+                'documents/0001-PAN card.pdf',
+                'documents/0002-PAN card.pdf'
+            ]);
+            expect(manifest.documents[0]).to.include({ id: String(docs[0]._id), title: 'PAN card', category: 'pan', originalName: 'PAN card.pdf' });
+            expect(manifest.documents[0].folder).to.deep.equal(['Taxes']);
+            expect(manifest.documents[0].tags).to.deep.equal(['kyc']);
+            expect((await archive.readFile(manifest.documents[1].path, 1024)).toString()).to.equal('second scan with the same title');
+            expect(await archive.readFile('documents/missing.pdf', 1024)).to.be.null;
+            await archive.close();
+        });
+
+        it('should leave full ID numbers out of a plain export', async () => {
+            const archive = await readExportArchive(await exportToFile());
+
+            expect(archive.manifest.documents[0]).to.not.have.property('idFields');
+            await archive.close();
+        });
+
+        it('should encrypt every entry with a passphrase and carry the ID numbers', async () => {
+            const file = await exportToFile(PASSPHRASE);
+            const raw = await fs.readFile(file);
+
+            expect(raw.includes('pan card scan')).to.be.false;
+            expect(raw.includes('ABCPE1234F')).to.be.false;
+
+            const archive = await readExportArchive(file, PASSPHRASE);
+            const [first] = archive.manifest.documents;
+            expect(first.idFields).to.deep.equal({ number: 'ABCPE1234F' });
+            expect((await archive.readFile(first.path, 1024)).toString()).to.equal('pan card scan');
+            await archive.close();
+        });
+
+        it('should ask for the passphrase of an encrypted archive', async () => {
+            const result = await readExportArchive(await exportToFile(PASSPHRASE));
+
+            expect(result.error).to.include({ status: 400, code: 'PASSPHRASE_REQUIRED' });
+        });
+
+        it('should refuse the wrong passphrase', async () => {
+            const result = await readExportArchive(await exportToFile(PASSPHRASE), 'not the passphrase');
+
+            expect(result.error).to.include({ status: 400, code: 'WRONG_PASSPHRASE' });
+        });
+
+        it('should refuse files that are not export archives', async () => {
+            const notZip = path.join(tmpDir, 'not-a-zip.zip');
+            await fs.writeFile(notZip, 'hello');
+
+            expect((await readExportArchive(notZip)).error.code).to.equal('INVALID_ARCHIVE');
+            expect((await readExportArchive(await archiveOf({ 'notes.txt': 'hi' }))).error.message)
+                .to.contain('no manifest.json');
+            expect((await readExportArchive(await archiveOf({ 'manifest.json': '{"format":"other","documents":[]}' }))).error.code)
+                .to.equal('INVALID_ARCHIVE');
+        });
+
+        it('should refuse a manifest over 5 MB without reading all of it', async () => {
+            const manifest = JSON.stringify({ format: 'securegov-export', version: 1, documents: [], padding: 'x'.repeat(5 * 1024 * 1024) });
+
+            const result = await readExportArchive(await archiveOf({ 'manifest.json': manifest }));
+
+            expect(result.error).to.deep.equal({
+                status: 400, code: 'INVALID_ARCHIVE', message: 'The archive manifest could not be read.'
+            });
+        });
+
+        it('should refuse more than 500 documents', async () => {
+            const documents = Array.from({ length: 501 }, (_, i) => ({ path: `documents/${i}.pdf` }));
+            const manifest = JSON.stringify({ format: 'securegov-export', version: 1, documents });
+
+            const result = await readExportArchive(await archiveOf({ 'manifest.json': manifest }));
+
+            expect(result.error).to.include({ code: 'TOO_MANY_DOCUMENTS' });
+        });
+
+        it('should refuse a manifest from a newer version', async () => {
+            const manifest = JSON.stringify({ format: 'securegov-export', version: 2, documents: [] });
+
+            expect((await readExportArchive(await archiveOf({ 'manifest.json': manifest }))).error.code)
+                .to.equal('UNSUPPORTED_VERSION');
+        });
+
+        it('should refuse to read an entry past the size it is allowed', async () => {
+            const archive = await readExportArchive(await exportToFile());
+
+            const err = await archive.readFile(archive.manifest.documents[0].path, 4).then(() => null, (e) => e);
+
+            expect(err.message).to.contain('is too large');
+            await archive.close();
+        });
+    });
+
+    describe('queueExport', () => {
+        it('should keep jobs waiting in the queue from looking stale', async () => {
+            const clock = sinon.useFakeTimers({ toFake: ['setInterval', 'clearInterval'] });
+            let release;
+            const first = { _id: new ExportJob()._id };
+            const second = { _id: new ExportJob()._id };
+            sinon.stub(ExportJob, 'findOneAndUpdate')
+                .onFirstCall().returns(new Promise((resolve) => { release = resolve; }))
+                .resolves(null);
+            sinon.stub(ExportJob, 'updateMany').resolves({ modifiedCount: 1 });
+
+            queueExport(first, null);
+            queueExport(second, null);
+            await new Promise(setImmediate); // the first job starts running
+            clock.tick((EXPORT_STALE_MINUTES * 60 * 1000) / 3);
+
+            expect(ExportJob.updateMany.calledOnceWith(
+                { _id: { $in: [second._id] }, status: 'queued' },
+                sinon.match({ $set: { updatedAt: sinon.match.date } })
+            )).to.be.true;
+
+            release(null);
+            await new Promise(setImmediate);
+            clock.tick((EXPORT_STALE_MINUTES * 60 * 1000) / 3);
+            expect(ExportJob.updateMany.calledOnce).to.be.true;
+        });
+    });
+
+    describe('POST /api/exports/stream', () => {
+        const app = buildApp('/api/exports', exportsRouter);
+        const stream = (body) => request(app)
+            .post('/api/exports/stream')
+            .set('Authorization', 'Bearer valid-token')
+            .send(body)
+            .buffer(true)
+            .parse(binaryParser);
+
+        beforeEach(() => {
+            sinon.stub(Document, 'aggregate').resolves([{ count: 2, bytes: 44 }]);
+            sinon.stub(Document, 'find').returns({ sort: async () => docs });
+            sinon.stub(AuditEvent, 'create').resolves();
+        });
+
+        it('should stream an archive that imports back with the passphrase', async () => {
+            const res = await stream({ passphrase: PASSPHRASE });
+            const file = path.join(tmpDir, 'streamed.zip');
+            await fs.writeFile(file, res.body);
+
+            expect(res.status).to.equal(200);
+            expect(res.headers['content-type']).to.equal('application/zip');
+
+            const archive = await readExportArchive(file, PASSPHRASE);
+            expect(archive.manifest.documents).to.have.lengthOf(2);
+            expect((await archive.readFile(archive.manifest.documents[0].path, 1024)).toString()).to.equal('pan card scan');
+            await archive.close();
+            expect(AuditEvent.create.firstCall.args[0]).to.deep.include({
+                action: 'vault.export',
+                metadata: { documentCount: 2, encrypted: true, mode: 'stream' }
+            });
+        });
+
+        it('should refuse a passphrase that is too short', async () => {
+            const res = await stream({ passphrase: 'short' });
+
+            expect(res.status).to.equal(400);
+            expect(Document.find.called).to.be.false;
+        });
+
+        it('should send large exports to the background job', async () => {
+            Document.aggregate.resolves([{ count: 900, bytes: 60 * 1024 * 1024 }]);
+
+            const res = await stream({});
+
+            expect(res.status).to.equal(413);
+            expect(JSON.parse(res.body.toString()).code).to.equal('EXPORT_TOO_LARGE_TO_STREAM');
+        });
+    });
+
+    describe('POST /api/documents/import', () => {
+        const app = buildApp('/api/documents', documentsRouter);
+        const importArchive = (file, passphrase) => {
+            const req = request(app)
+                .post('/api/documents/import')
+                .set('Authorization', 'Bearer valid-token')
+                .attach('archive', file);
+            return passphrase ? req.field('passphrase', passphrase) : req;
+        };
+        let createdFolders;
+
+        /** A real one-page PDF, `width` points wide so each one hashes differently. */
+        async function pdfBytes(width) {
+            const pdf = await PDFDocument.create();
+            pdf.addPage([width, 842]);
+            return Buffer.from(await pdf.save());
+        }
+
+        beforeEach(async () => {
+            docs[0] = await storedDocument('PAN card', await pdfBytes(595), {
+                category: 'pan', folderId: folder._id, tags: ['kyc'], idFields: docs[0].idFields
+            });
+            docs[1] = await storedDocument('Rent agreement', await pdfBytes(612));
+            createdFolders = [];
+
+            // Folders: none exist yet, so the archive's are created by name
+            sinon.stub(Folder, 'findOne').callsFake((filter) => {
+                const chain = {
+                    collation: () => chain,
+                    select: () => chain,
+                    lean: async () => (filter.name ? null : { _id: filter._id })
+                };
+                return chain;
+            });
+            sinon.stub(Folder, 'create').callsFake(async (fields) => {
+                createdFolders.push(fields.name);
+                return { _id: folder._id, ...fields };
+            });
+            sinon.stub(Document, 'find').returns(query([])); // no duplicates
+            sinon.stub(Document, 'findOne').resolves(null); // background text and renditions
+            stubDocumentCreation();
+        });
+
+        it('should import a plain export back as new documents, without ID numbers', async () => {
+            const res = await importArchive(await exportToFile());
+
+            expect(res.status).to.equal(201);
+            expect(res.body).to.include({ imported: 2, failed: 0 });
+            const [pan, rent] = Document.create.args.map(([fields]) => fields);
+            expect(pan).to.include({ title: 'PAN card', category: 'pan', uploadedBy: 'test-user-id', idFields: null });
+            expect(pan.tags).to.deep.equal(['kyc']);
+            expect(String(pan.folderId)).to.equal(String(folder._id));
+            expect(pan._id).to.not.deep.equal(docs[0]._id);
+            expect(rent).to.include({ title: 'Rent agreement', category: 'other' });
+            expect(createdFolders).to.deep.equal(['Taxes']);
+        });
+
+        it('should restore ID numbers from an encrypted export', async () => {
+            const res = await importArchive(await exportToFile(PASSPHRASE), PASSPHRASE);
+
+            expect(res.status).to.equal(201);
+            expect(Document.create.firstCall.args[0].idFields.display).to.deep.include({ number: 'XXXXXX234F' });
+        });
+
+        it('should refuse an encrypted export without its passphrase', async () => {
+            const res = await importArchive(await exportToFile(PASSPHRASE));
+
+            expect(res.status).to.equal(400);
+            expect(res.body.code).to.equal('PASSPHRASE_REQUIRED');
+            expect(Document.create.called).to.be.false;
+        });
+    });
+
+    describe('POST /api/exports', () => {
+        const app = buildApp('/api/exports', exportsRouter);
+
+        it('should allow one export at a time', async () => {
+            sinon.stub(ExportJob, 'exists').resolves({ _id: 'running-job' });
+
+            const res = await request(app).post('/api/exports').set('Authorization', 'Bearer valid-token').send({});
+
+            expect(res.status).to.equal(409);
+        });
+    });
+});
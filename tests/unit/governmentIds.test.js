@@ -0,0 +1,155 @@
+const { expect } = require('chai');
+const {
+    verhoeffValid,
+    normalizeIdNumber,
+    isValidAadhaar,
+    isValidPan,
+    isValidPassport,
+    isValidDrivingLicense,
+    panEntityType,
+    maskAadhaar,
+    maskTail,
+    validateIdFields
+} = require('../../server/utils/governmentIds');
+
+describe('Government ID Tests', () => {
+    describe('Verhoeff checksum', () => {
+        it('should accept numbers with a correct check digit', () => {
+            expect(verhoeffValid('2363')).to.be.true;
+            expect(verhoeffValid('234123412346')).to.be.true;
+        });
+
+        it('should reject a wrong check digit', () => {
+            expect(verhoeffValid('2364')).to.be.false;
+            expect(verhoeffValid('234123412347')).to.be.false;
+        });
+
+        it('should catch adjacent digits swapped', () => {
+            expect(verhoeffValid('243123412346')).to.be.false;
+        });
+    });
+
+    describe('Aadhaar', () => {
+        it('should accept a valid number with spaces or hyphens', () => {
+            expect(isValidAadhaar('2341 2341 2346')).to.be.true;
+            expect(isValidAadhaar('2341-2341-2346')).to.be.true;
+        });
+
+        it('should reject numbers starting with 0 or 1', () => {
+            expect(isValidAadhaar('034123412346')).to.be.false;
+            expect(isValidAadhaar('134123412346')).to.be.false;
+        });
+
+        it('should reject the wrong length or a failing checksum', () => {
+            expect(isValidAadhaar('23412341234')).to.be.false;
+            expect(isValidAadhaar('234123412347')).to.be.false;
+        });
+
+        it('should mask all but the last four digits', () => {
+            expect(maskAadhaar('2341 2341 2346')).to.equal('XXXX-XXXX-2346');
+        });
+    });
+
+    describe('PAN', () => {
+        it('should accept a valid PAN in any case', () => {
+            expect(isValidPan('ABCPE1234F')).to.be.true;
+            expect(isValidPan('abcpe1234f')).to.be.true;
+        });
+
+        it('should reject an unknown entity type letter', () => {
+            expect(isValidPan('ABCXE1234F')).to.be.false;
+        });
+
+        it('should reject the wrong shape', () => {
+            expect(isValidPan('ABCPE12345')).to.be.false;
+            expect(isValidPan('ABCP1234F')).to.be.false;
+        });
+
+        it('should name the entity type from the 4th letter', () => {
+            expect(panEntityType('ABCPE1234F')).to.equal('Individual');
+            expect(panEntityType('ABCCE1234F')).to.equal('Company');
+            expect(panEntityType('ABCXE1234F')).to.be.null;
+        });
+    });
+
+    describe('Passport', () => {
+        it('should accept one letter followed by 7 digits', () => {
+            expect(isValidPassport('J8369854')).to.be.true;
+        });
+
+        it('should reject other shapes', () => {
+            expect(isValidPassport('J836985')).to.be.false;
+            expect(isValidPassport('18369854')).to.be.false;
+            expect(isValidPassport('JK369854')).to.be.false;
+        });
+    });
+
+    describe('Driving licence', () => {
+        it('should accept state, RTO, year and serial', () => {
+            expect(isValidDrivingLicense('MH12 20110012345')).to.be.true;
+            expect(isValidDrivingLicense('KA-01-1999-0000001')).to.be.true;
+        });
+
+        it('should reject an unknown state code', () => {
+            expect(isValidDrivingLicense('XX1220110012345')).to.be.false;
+        });
+
+        it('should reject an implausible year or short serial', () => {
+            expect(isValidDrivingLicense('MH1218110012345')).to.be.false;
+            expect(isValidDrivingLicense('MH122011001234')).to.be.false;
+        });
+    });
+
+    describe('Masking', () => {
+        it('should normalize before masking', () => {
+            expect(normalizeIdNumber(' abcpe-1234 f ')).to.equal('ABCPE1234F');
+            expect(maskTail('abcpe 1234f')).to.equal('XXXXXX234F');
+        });
+
+        it('should not pad values shorter than the visible part', () => {
+            expect(maskTail('AB')).to.equal('AB');
+        });
+    });
+
+    describe('validateIdFields', () => {
+        it('should require an object with a number', () => {
+            expect(validateIdFields('pan', null)).to.have.property('error');
+            expect(validateIdFields('pan', [])).to.have.property('error');
+            expect(validateIdFields('pan', {})).to.deep.equal({ error: 'idFields.number is required.' });
+        });
+
+        it('should keep the full Aadhaar secret and display it masked', () => {
+            const result = validateIdFields('aadhaar', { number: '2341 2341 2346' });
+
+            expect(result.secret).to.deep.equal({ number: '234123412346' });
+            expect(result.display).to.deep.equal({ number: 'XXXX-XXXX-2346' });
+        });
+
+        it('should report a typo in an Aadhaar number separately from a bad shape', () => {
+            expect(validateIdFields('aadhaar', { number: '234123412347' }).error).to.match(/typos/);
+            expect(validateIdFields('aadhaar', { number: '134123412346' }).error).to.match(/12 digits/);
+        });
+
+        it('should add the entity type to a PAN', () => {
+            const result = validateIdFields('pan', { number: 'ABCPE1234F' });
+
+            expect(result.display).to.deep.equal({ number: 'XXXXXX234F', entityType: 'Individual' });
+        });
+
+        it('should default the licence state to the number prefix', () => {
+            const result = validateIdFields('driving_license', { number: 'MH1220110012345' });
+
+            expect(result.display).to.include({ state: 'MH', stateName: 'Maharashtra' });
+        });
+
+        it('should reject a licence state that does not match the number', () => {
+            const result = validateIdFields('driving_license', { number: 'MH1220110012345', state: 'KA' });
+
+            expect(result.error).to.equal('Licence number does not belong to state KA.');
+        });
+
+        it('should reject categories without ID fields', () => {
+            expect(validateIdFields('medical', { number: '123' }).error).to.match(/no structured ID fields/);
+        });
+    });
+});
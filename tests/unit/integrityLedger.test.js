@@ -0,0 +1,278 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const Document = require('../../server/models/Document');
+const IntegrityEntry = require('../../server/models/IntegrityEntry');
+const { hashContent, storeDocumentFile } = require('../../server/services/documentFiles');
+const {
+    appendIntegrityEntry,
+    verifyChain,
+    verifyDocumentIntegrity,
+    recordBaseline,
+    getReceiptPublicKey,
+    buildIntegrityReceipt,
+    checkIntegrityReceipt
+} = require('../../server/services/integrityLedger');
+const { query } = require('../test-helpers');
+
+describe('Integrity Ledger Tests', () => {
+    let ledger;
+
+    before(() => {
+        // Ed25519 key as it would sit in .env, newlines escaped
+        const { privateKey } = crypto.generateKeyPairSync('ed25519');
+        process.env.INTEGRITY_SIGNING_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' }).replace(/\n/g, '\\n');
+    });
+
+    after(() => {
+        delete process.env.INTEGRITY_SIGNING_KEY;
+    });
+
+    // IntegrityEntry backed by an in-memory array
+    beforeEach(() => {
+        ledger = [];
+        const chainOf = (documentId) => ledger
+            .filter((e) => String(e.documentId) === String(documentId))
+            .sort((a, b) => a.seq - b.seq);
+
+        sinon.stub(IntegrityEntry, 'findOne').callsFake(({ documentId, seq }) => {
+            const chain = chainOf(documentId);
+            return query(seq === undefined ? chain[chain.length - 1] || null : chain.find((e) => e.seq === seq) || null);
+        });
+        sinon.stub(IntegrityEntry, 'find').callsFake(({ documentId }) => query(chainOf(documentId).map((e) => ({ ...e }))));
+        sinon.stub(IntegrityEntry, 'exists').callsFake(async ({ documentId }) => chainOf(documentId).length > 0);
+        sinon.stub(IntegrityEntry, 'create').callsFake(async (entry) => {
+            if (chainOf(entry.documentId).some((e) => e.seq === entry.seq)) {
+                throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+            }
+            ledger.push({ ...entry });
+            return entry;
+        });
+        sinon.stub(Document, 'updateOne').resolves();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    /** A document with one stored file per content, versions numbered from 1. */
+    async function createDocument(contents) {
+        const doc = new Document({
+            title: 'Birth certificate',
+            category: 'certificate',
+            uploadedBy: 'owner-1',
+            firebaseStoragePath: 'placeholder',
+            mimeType: 'application/pdf',
+            fileSize: 1
+        });
+        for (const [i, content] of contents.entries()) {
+            const plaintext = Buffer.from(content);
+            const { storagePath, encryption } = await storeDocumentFile(plaintext, `documents/owner-1/${doc._id}-v${i + 1}`);
+            doc.versions.push({
+                version: i + 1,
+                storagePath,
+                encryption,
+                mimeType: 'application/pdf',
+                fileSize: plaintext.length,
+                contentHash: hashContent(plaintext),
+                title: doc.title,
+                uploadedBy: 'owner-1'
+            });
+        }
+        const current = doc.versions[doc.versions.length - 1];
+        Object.assign(doc, {
+            currentVersion: current.version,
+            firebaseStoragePath: current.storagePath,
+            encryption: current.encryption,
+            contentHash: current.contentHash
+        });
+        return doc;
+    }
+
+    async function recordUploads(doc) {
+        for (const entry of doc.versions) {
+            await appendIntegrityEntry(doc._id, {
+                event: entry.version === 1 ? 'upload' : 'version_add',
+                version: entry.version,
+                contentHash: entry.contentHash,
+                actorUid: 'owner-1'
+            });
+        }
+    }
+
+    const storedFile = (entry) => path.join(process.env.LOCAL_STORAGE_DIR, entry.storagePath);
+
+    describe('Chain', () => {
+        it('should link each entry to the one before it', async () => {
+            const documentId = new Document()._id;
+            const first = await appendIntegrityEntry(documentId, { event: 'upload', version: 1, contentHash: 'a'.repeat(64) });
+            const second = await appendIntegrityEntry(documentId, { event: 'version_add', version: 2, contentHash: 'b'.repeat(64) });
+
+            expect(first).to.include({ seq: 1, prevHash: '0'.repeat(64) });
+            expect(second).to.include({ seq: 2, prevHash: first.hash });
+            expect(verifyChain(ledger)).to.deep.equal([]);
+        });
+
+        it('should retry when another append took the same position', async () => {
+            const documentId = new Document()._id;
+            await appendIntegrityEntry(documentId, { event: 'upload', version: 1 });
+
+            // This append reads the head before the first one was written
+            IntegrityEntry.findOne.onCall(IntegrityEntry.findOne.callCount).returns(query(null));
+            const entry = await appendIntegrityEntry(documentId, { event: 'version_add', version: 2 });
+
+            expect(IntegrityEntry.create.callCount).to.equal(3);
+            expect(entry.seq).to.equal(2);
+        });
+
+        it('should detect an altered or removed entry', async () => {
+            const documentId = new Document()._id;
+            for (const version of [1, 2, 3]) {
+                await appendIntegrityEntry(documentId, { event: 'version_add', version, contentHash: String(version).repeat(64) });
+            }
+
+            const altered = ledger.map((e) => ({ ...e }));
+            altered[1].contentHash = 'f'.repeat(64);
+            expect(verifyChain(altered)).to.deep.equal(['Ledger entry 2 has been altered.']);
+
+            expect(verifyChain([ledger[0], ledger[2]])).to.deep.equal([
+                'Ledger entry 2 is missing (found entry 3 in its place).',
+                'Ledger entry 3 does not follow on from the entry before it.'
+            ]);
+        });
+    });
+
+    describe('verifyDocumentIntegrity', () => {
+        it('should verify a document whose files match the ledger', async () => {
+            const doc = await createDocument(['first scan', 'second scan']);
+            await recordUploads(doc);
+
+            const report = await verifyDocumentIntegrity(doc);
+
+            expect(report.status).to.equal('verified');
+            expect(report.failures).to.deep.equal([]);
+            expect(report.versions.map((v) => v.status)).to.deep.equal(['match', 'match']);
+            expect(report.ledger).to.deep.equal({ entries: 2, headHash: ledger[1].hash });
+            expect(Document.updateOne.firstCall.args[1].$set.integrity.status).to.equal('verified');
+        });
+
+        it('should report a document without a ledger as unrecorded', async () => {
+            const doc = await createDocument(['only scan']);
+
+            expect((await verifyDocumentIntegrity(doc)).status).to.equal('unrecorded');
+        });
+
+        it('should detect a stored file altered in the bucket', async () => {
+            const doc = await createDocument(['first scan', 'second scan']);
+            await recordUploads(doc);
+            const file = await fs.readFile(storedFile(doc.versions[0]));
+            file[0] ^= 1;
+            await fs.writeFile(storedFile(doc.versions[0]), file);
+
+            const report = await verifyDocumentIntegrity(doc);
+
+            expect(report.status).to.equal('mismatch');
+            expect(report.versions[0].status).to.equal('mismatch');
+            expect(report.failures).to.deep.equal(['Version 1: the stored file fails decryption — it has been altered.']);
+        });
+
+        it('should detect a content hash edited in the database', async () => {
+            const doc = await createDocument(['only scan']);
+            await recordUploads(doc);
+            doc.contentHash = doc.versions[0].contentHash = hashContent(Buffer.from('something else'));
+
+            const report = await verifyDocumentIntegrity(doc);
+
+            expect(report.status).to.equal('mismatch');
+            expect(report.failures).to.include("The document's current hash differs from the ledger.");
+        });
+
+        it('should detect a current version that does not match the ledger', async () => {
+            const doc = await createDocument(['first scan', 'second scan']);
+            await recordUploads(doc);
+            doc.currentVersion = 1;
+
+            const report = await verifyDocumentIntegrity(doc);
+
+            expect(report.failures).to.include('The ledger has version 2 as current, the document has version 1.');
+        });
+
+        it('should report a missing file as unreadable rather than altered', async () => {
+            const doc = await createDocument(['only scan']);
+            await recordUploads(doc);
+            await fs.rm(storedFile(doc.versions[0]));
+
+            const report = await verifyDocumentIntegrity(doc);
+
+            expect(report.status).to.equal('unreadable');
+            expect(report.versions[0].status).to.equal('unreadable');
+        });
+    });
+
+    describe('recordBaseline', () => {
+        it('should record every version with the current one last, once', async () => {
+            const doc = await createDocument(['first scan', 'second scan', 'third scan']);
+            doc.currentVersion = 2;
+            doc.contentHash = doc.versions[1].contentHash;
+
+            expect(await recordBaseline(doc)).to.be.true;
+            expect(await recordBaseline(doc)).to.be.false;
+
+            expect(ledger.map((e) => [e.event, e.version])).to.deep.equal([['baseline', 1], ['baseline', 3], ['baseline', 2]]);
+            expect((await verifyDocumentIntegrity(doc)).status).to.equal('verified');
+        });
+    });
+
+    describe('Receipts', () => {
+        async function issueReceipt() {
+            const doc = await createDocument(['first scan', 'second scan']);
+            await recordUploads(doc);
+            return buildIntegrityReceipt(doc, await verifyDocumentIntegrity(doc));
+        }
+
+        it('should sign a receipt anyone can check with the public key', async () => {
+            const { receipt, signature } = await issueReceipt();
+            const { publicKey, keyId } = getReceiptPublicKey();
+
+            expect(receipt).to.include({ currentVersion: 2, contentHash: hashContent(Buffer.from('second scan')) });
+            expect(receipt.ledger).to.deep.equal({ entries: 2, headSeq: 2, headHash: ledger[1].hash });
+            expect(signature.keyId).to.equal(keyId);
+
+            // The same check an outside verifier makes, with nothing but the published key
+            const verified = crypto.verify(
+                null, Buffer.from(JSON.stringify(receipt)), crypto.createPublicKey(publicKey), Buffer.from(signature.value, 'base64')
+            );
+            expect(verified).to.be.true;
+        });
+
+        it('should confirm a genuine receipt against the ledger', async () => {
+            const { receipt, signature } = await issueReceipt();
+            const sent = JSON.parse(JSON.stringify(receipt));
+
+            expect(await checkIntegrityReceipt(sent, signature)).to.deep.equal({ signatureValid: true, ledgerMatches: true });
+        });
+
+        it('should reject an edited receipt without looking it up', async () => {
+            const { receipt, signature } = await issueReceipt();
+            const edited = { ...JSON.parse(JSON.stringify(receipt)), contentHash: 'f'.repeat(64) };
+            IntegrityEntry.findOne.resetHistory();
+
+            expect(await checkIntegrityReceipt(edited, signature)).to.deep.equal({ signatureValid: false, ledgerMatches: null });
+            expect(await checkIntegrityReceipt(receipt, { ...signature, keyId: 'someone-else' })).to.deep.equal({
+                signatureValid: false,
+                ledgerMatches: null
+            });
+            expect(IntegrityEntry.findOne.called).to.be.false;
+        });
+
+        it('should report a ledger that no longer matches the receipt', async () => {
+            const { receipt, signature } = await issueReceipt();
+            ledger[1].hash = 'f'.repeat(64);
+
+            expect(await checkIntegrityReceipt(JSON.parse(JSON.stringify(receipt)), signature))
+                .to.deep.equal({ signatureValid: true, ledgerMatches: false });
+        });
+    });
+});
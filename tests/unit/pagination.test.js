@@ -0,0 +1,204 @@
+const { expect } = require('chai');
+const {
+    SORT_FIELDS,
+    encodeCursor,
+    decodeCursor,
+    parseListQuery,
+    paginate
+} = require('../../server/utils/pagination');
+const { requireServerPackage } = require('../test-helpers');
+
+const mongoose = requireServerPackage('mongoose');
+
+const MIME_TYPES = new Set(['application/pdf', 'image/jpeg', 'image/png']);
+
+/** Compare two field values the way MongoDB orders them for these fields. */
+function compare(a, b) {
+    if (a instanceof mongoose.Types.ObjectId) [a, b] = [String(a), String(b)];
+    if (a instanceof Date) [a, b] = [a.getTime(), b.getTime()];
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/** Whether `row` matches the equality, $gt / $lt, $and and $or conditions paginate builds. */
+function matches(row, filter) {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$and') return condition.every((part) => matches(row, part));
+        if (key === '$or') return condition.some((part) => matches(row, part));
+        if (condition && condition.$gt !== undefined) return compare(row[key], condition.$gt) > 0;
+        if (condition && condition.$lt !== undefined) return compare(row[key], condition.$lt) < 0;
+        return compare(row[key], condition) === 0;
+    });
+}
+
+/** A Model answering find and countDocuments from `rows`. */
+function modelOf(rows) {
+    return {
+        find: (filter) => ({
+            select: () => ({
+                sort: (sort) => ({
+                    limit: async (n) => rows
+                        .filter((row) => matches(row, filter))
+                        .sort((a, b) => {
+                            for (const [field, dir] of Object.entries(sort)) {
+                                const order = compare(a[field], b[field]) * dir;
+                                if (order) return order;
+                            }
+                            return 0;
+                        })
+                        .slice(0, n)
+                })
+            })
+        }),
+        countDocuments: async (filter) => rows.filter((row) => matches(row, filter)).length
+    };
+}
+
+describe('Pagination Tests', () => {
+    // Several rows share each sort value, so only the _id tie-break keeps pages apart
+    const rows = [
+        ['Aadhaar', 'aadhaar', 1000, '2026-01-03'],
+        ['Aadhaar', 'aadhaar', 2000, '2026-01-01'],
+        ['Bank statement', 'other', 1000, '2026-01-02'],
+        ['Bank statement', 'other', 3000, '2026-01-02'],
+        ['Bank statement', 'medical', 2000, '2026-01-02'],
+        ['PAN card', 'pan', 1000, '2026-01-01'],
+        ['PAN card', 'pan', 3000, '2026-01-03']
+    ].map(([title, category, fileSize, day]) => ({
+        _id: new mongoose.Types.ObjectId(),
+        title,
+        category,
+        fileSize,
+        uploadDate: new Date(`${day}T10:00:00Z`)
+    }));
+
+    describe('encodeCursor / decodeCursor', () => {
+        it('should round-trip the sort value and _id for every sort field', () => {
+            const row = rows[0];
+
+            SORT_FIELDS.forEach((field) => {
+                const { value, id } = decodeCursor(encodeCursor(row, field), field);
+
+                expect(value).to.deep.equal(row[field]);
+                expect(id).to.be.an.instanceOf(mongoose.Types.ObjectId);
+                expect(String(id)).to.equal(String(row._id));
+            });
+        });
+
+        it('should refuse a cursor made for a different sort', () => {
+            expect(decodeCursor(encodeCursor(rows[0], 'title'), 'fileSize')).to.be.null;
+        });
+
+        it('should refuse a cursor that is not one', () => {
+            const badId = Buffer.from(JSON.stringify({ s: 'title', v: 'Aadhaar', id: 'nope' })).toString('base64url');
+
+            expect(decodeCursor('not-a-cursor', 'title')).to.be.null;
+            expect(decodeCursor(badId, 'title')).to.be.null;
+        });
+    });
+
+    describe('paginate', () => {
+        /** The _ids of every page of the list, following nextCursor, in page order. */
+        async function allPages(query) {
+            const Model = modelOf(rows);
+            const seen = [];
+            let cursor;
+            for (let page = 0; page < rows.length; page++) {
+                const options = parseListQuery({ limit: '2', ...query, cursor }, MIME_TYPES);
+                const { docs, total, nextCursor } = await paginate(Model, {}, options);
+                expect(total).to.equal(rows.length);
+                seen.push(...docs.map((doc) => doc._id));
+                if (!nextCursor) return seen;
+                cursor = nextCursor;
+            }
+            throw new Error('nextCursor never ran out');
+        }
+
+        SORT_FIELDS.forEach((sort) => {
+            ['asc', 'desc'].forEach((order) => {
+                it(`should visit every row once sorted by ${sort} ${order}`, async () => {
+                    const dir = order === 'asc' ? 1 : -1;
+                    const expected = [...rows]
+                        .sort((a, b) => (compare(a[sort], b[sort]) || compare(a._id, b._id)) * dir)
+                        .map((row) => row._id);
+
+                    expect(await allPages({ sort, order })).to.deep.equal(expected);
+                });
+            });
+        });
+
+        it('should not return a cursor after the last page', async () => {
+            const options = parseListQuery({ limit: String(rows.length) }, MIME_TYPES);
+
+            const { docs, nextCursor } = await paginate(modelOf(rows), {}, options);
+
+            expect(docs).to.have.lengthOf(rows.length);
+            expect(nextCursor).to.be.null;
+        });
+    });
+
+    describe('parseListQuery', () => {
+        it('should default to the newest 20 uploads', () => {
+            expect(parseListQuery({}, MIME_TYPES)).to.deep.equal({
+                limit: 20, sortField: 'uploadDate', sortDir: -1, cursor: null, filter: {}
+            });
+        });
+
+        it('should sort titles and categories A to Z by default', () => {
+            expect(parseListQuery({ sort: 'title' }, MIME_TYPES).sortDir).to.equal(1);
+            expect(parseListQuery({ sort: 'fileSize' }, MIME_TYPES).sortDir).to.equal(-1);
+        });
+
+        it('should refuse a limit outside 1 to 100', () => {
+            ['0', '101', '2.5', 'ten'].forEach((limit) => {
+                expect(parseListQuery({ limit }, MIME_TYPES)).to.deep.equal({
+                    error: 'limit must be a whole number from 1 to 100.'
+                });
+            });
+            expect(parseListQuery({ limit: '100' }, MIME_TYPES).limit).to.equal(100);
+        });
+
+        it('should refuse an unknown sort or order', () => {
+            expect(parseListQuery({ sort: 'owner' }, MIME_TYPES).error)
+                .to.equal('sort must be one of: uploadDate, title, fileSize, category');
+            expect(parseListQuery({ order: 'up' }, MIME_TYPES).error).to.equal('order must be asc or desc.');
+        });
+
+        it('should refuse a cursor from a list sorted differently', () => {
+            const cursor = encodeCursor(rows[0], 'uploadDate');
+
+            expect(parseListQuery({ sort: 'title', cursor }, MIME_TYPES)).to.deep.equal({
+                error: 'Invalid cursor — start again without one.'
+            });
+            expect(parseListQuery({ cursor }, MIME_TYPES).cursor).to.deep.equal({
+                value: rows[0].uploadDate, id: rows[0]._id
+            });
+        });
+
+        it('should filter on an inclusive upload date range', () => {
+            expect(parseListQuery({ from: '2026-01-01', to: '2026-01-31' }, MIME_TYPES).filter).to.deep.equal({
+                uploadDate: { $gte: new Date('2026-01-01'), $lte: new Date('2026-01-31') }
+            });
+            expect(parseListQuery({ from: '2026-01-01' }, MIME_TYPES).filter).to.deep.equal({
+                uploadDate: { $gte: new Date('2026-01-01') }
+            });
+        });
+
+        it('should refuse dates it cannot read', () => {
+            expect(parseListQuery({ to: 'last week' }, MIME_TYPES)).to.deep.equal({
+                error: 'from and to must be valid dates.'
+            });
+        });
+
+        it('should filter on one or several MIME types', () => {
+            expect(parseListQuery({ mimeType: 'application/pdf, image/png' }, MIME_TYPES).filter).to.deep.equal({
+                mimeType: { $in: ['application/pdf', 'image/png'] }
+            });
+        });
+
+        it('should refuse a MIME type it does not accept', () => {
+            expect(parseListQuery({ mimeType: 'application/pdf,text/html' }, MIME_TYPES)).to.deep.equal({
+                error: 'Unsupported mimeType filter "text/html".'
+            });
+        });
+    });
+});
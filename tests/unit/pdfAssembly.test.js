@@ -0,0 +1,363 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const Document = require('../../server/models/Document');
+const { storeDocumentFile, readDocumentFile, hashContent } = require('../../server/services/documentFiles');
+const {
+    assembleImagesPdf,
+    countPdfPages,
+    splitPdf,
+    runSerially
+} = require('../../server/services/pdfAssembly');
+const documentsRouter = require('../../server/routes/documents');
+const { query, stubDocumentCreation, buildApp, requireServerPackage } = require('../test-helpers');
+
+const sharp = requireServerPackage('sharp');
+const { PDFDocument, PDFName } = requireServerPackage('pdf-lib');
+
+const A4_PORTRAIT = [595.28, 841.89];
+const A4_LANDSCAPE = [841.89, 595.28];
+
+/** A solid-colour image, `width` × `height` pixels. */
+function image(width, height, format = 'jpeg', metadata = {}) {
+    return sharp({ create: { width, height, channels: 3, background: '#3366cc' } })
+        .withMetadata(metadata)
+        .toFormat(format)
+        .toBuffer();
+}
+
+/** A PDF whose pages are `widths` points wide, so each page can be told apart. */
+async function pdfOfWidths(widths) {
+    const pdf = await PDFDocument.create();
+    for (const width of widths) pdf.addPage([width, 842]);
+    return Buffer.from(await pdf.save());
+}
+
+/** [width, height] of every page, rounded to the point. */
+async function pageSizes(buffer) {
+    const pdf = await PDFDocument.load(buffer);
+    return pdf.getPages().map((page) => [page.getWidth(), page.getHeight()].map((n) => Math.round(n)));
+}
+
+const rounded = (size) => size.map((n) => Math.round(n));
+
+describe('PDF Assembly Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    /** An active document of `uploadedBy`'s holding `contents`. */
+    async function storedDocument(title, contents, mimeType, extra = {}) {
+        const doc = new Document({
+            title,
+            category: 'medical',
+            uploadedBy: 'test-user-id',
+            firebaseStoragePath: 'placeholder',
+            mimeType,
+            fileSize: contents.length,
+            tags: ['hospital'],
+            ...extra
+        });
+        const { storagePath, encryption } = await storeDocumentFile(contents, `documents/${doc.uploadedBy}/${doc._id}-v1`);
+        doc.versions.push({
+            version: 1,
+            storagePath,
+            encryption,
+            mimeType,
+            fileSize: contents.length,
+            contentHash: hashContent(contents),
+            title,
+            uploadedBy: doc.uploadedBy
+        });
+        Object.assign(doc, { firebaseStoragePath: storagePath, encryption, contentHash: hashContent(contents) });
+        return doc;
+    }
+
+    /** The stored file of the n-th document the route created. */
+    function createdFile(n) {
+        const fields = Document.create.args[n][0];
+        return readDocumentFile(fields.firebaseStoragePath, fields.encryption);
+    }
+
+    describe('assembleImagesPdf', () => {
+        it('should put one image on each page, in the order given', async () => {
+            const pdf = await assembleImagesPdf([await image(300, 200), await image(200, 300, 'png'), await image(320, 240)]);
+
+            expect(await pageSizes(pdf)).to.deep.equal([A4_LANDSCAPE, A4_PORTRAIT, A4_LANDSCAPE].map(rounded));
+        });
+
+        it('should turn photos upright from their EXIF orientation', async () => {
+            // Stored 300 × 200, but taken holding the phone upright
+            const photo = await image(300, 200, 'jpeg', { orientation: 6 });
+
+            const pdf = await assembleImagesPdf([photo]);
+
+            expect(await pageSizes(pdf)).to.deep.equal([rounded(A4_PORTRAIT)]);
+        });
+
+        it('should scale large images down to fit the page', async () => {
+            const pdf = await PDFDocument.load(await assembleImagesPdf([await image(4000, 3000)]));
+            const [embedded] = pdf.context.enumerateIndirectObjects()
+                .map(([, object]) => object)
+                .filter((object) => object.dict && object.dict.get(PDFName.of('Subtype')) === PDFName.of('Image'));
+
+            expect(embedded.dict.get(PDFName.of('Width')).asNumber()).to.equal(2000);
+            expect(embedded.dict.get(PDFName.of('Height')).asNumber()).to.equal(1500);
+        });
+    });
+
+    describe('countPdfPages', () => {
+        it('should count the pages of a PDF', async () => {
+            expect(await countPdfPages(await pdfOfWidths([300, 400, 500]))).to.equal(3);
+        });
+
+        it('should give null for a file pdf-lib cannot open', async () => {
+            expect(await countPdfPages(Buffer.from('%PDF-1.7 not really'))).to.be.null;
+        });
+    });
+
+    describe('splitPdf', () => {
+        it('should give one single-page PDF per page asked for, in that order', async () => {
+            const parts = await splitPdf(await pdfOfWidths([300, 400, 500]), [3, 1]);
+
+            expect(await Promise.all(parts.map(pageSizes))).to.deep.equal([[[500, 842]], [[300, 842]]]);
+        });
+    });
+
+    describe('runSerially', () => {
+        it('should run tasks one at a time, after a failed one too', async () => {
+            const order = [];
+            const slow = () => new Promise((resolve) => setTimeout(() => {
+                order.push('first');
+                resolve();
+            }, 20));
+
+            const results = await Promise.allSettled([
+                runSerially(slow),
+                runSerially(async () => {
+                    order.push('second');
+                    throw new Error('damaged');
+                }),
+                runSerially(async () => {
+                    order.push('third');
+                    return 'done';
+                })
+            ]);
+
+            expect(order).to.deep.equal(['first', 'second', 'third']);
+            expect(results.map((r) => r.status)).to.deep.equal(['fulfilled', 'rejected', 'fulfilled']);
+            expect(results[2].value).to.equal('done');
+        });
+    });
+
+    describe('POST /api/documents/assemble', () => {
+        const app = buildApp('/api/documents', documentsRouter);
+        let sources;
+
+        const assemble = () => request(app)
+            .post('/api/documents/assemble')
+            .set('Authorization', 'Bearer valid-token')
+            .field('title', 'Discharge summary')
+            .field('category', 'medical');
+
+        beforeEach(() => {
+            sources = [];
+            // Duplicate lookups find nothing; source lookups find the caller's image documents
+            sinon.stub(Document, 'find').callsFake((filter) => query(filter.contentHash
+                ? []
+                : sources.filter((doc) => filter._id.$in.includes(String(doc._id)))));
+            sinon.stub(Document, 'findOne').resolves(null); // background text and renditions
+            sinon.stub(Document.prototype, 'save').callsFake(async function save() {
+                return this;
+            });
+            stubDocumentCreation();
+        });
+
+        it('should assemble the uploaded pages in upload order by default', async () => {
+            const res = await assemble()
+                .attach('files', await image(300, 200), { filename: 'page-1.jpg', contentType: 'image/jpeg' })
+                .attach('files', await image(200, 300, 'png'), { filename: 'page-2.png', contentType: 'image/png' });
+
+            expect(res.status).to.equal(201);
+            expect(res.body).to.include({ pageCount: 2 });
+            expect(Document.create.firstCall.args[0]).to.include({
+                title: 'Discharge summary', category: 'medical', mimeType: 'application/pdf'
+            });
+            expect(await pageSizes(await createdFile(0))).to.deep.equal([A4_LANDSCAPE, A4_PORTRAIT].map(rounded));
+        });
+
+        it('should follow pages, mixing uploads with the caller\'s image documents', async () => {
+            const scan = await storedDocument('Old scan', await image(200, 300), 'image/jpeg');
+            sources.push(scan);
+
+            const res = await assemble()
+                .field('pages', JSON.stringify([{ file: 1 }, { documentId: String(scan._id) }, { file: 0 }]))
+                .attach('files', await image(300, 200), { filename: 'wide.jpg', contentType: 'image/jpeg' })
+                .attach('files', await image(200, 300), { filename: 'tall.jpg', contentType: 'image/jpeg' });
+
+            expect(res.status).to.equal(201);
+            expect(res.body.trashed).to.deep.equal([]);
+            expect(await pageSizes(await createdFile(0)))
+                .to.deep.equal([A4_PORTRAIT, A4_PORTRAIT, A4_LANDSCAPE].map(rounded));
+            expect(scan.status).to.equal('active');
+        });
+
+        it('should move the documents used as pages to trash when asked', async () => {
+            const scan = await storedDocument('Old scan', await image(200, 300), 'image/jpeg');
+            sources.push(scan);
+
+            const res = await assemble()
+                .field('pages', JSON.stringify([{ documentId: String(scan._id) }]))
+                .field('trashSources', 'true');
+
+            expect(res.status).to.equal(201);
+            expect(res.body.trashed).to.deep.equal([String(scan._id)]);
+            expect(scan.status).to.equal('deleted');
+        });
+
+        it('should refuse pages that leave out an uploaded file', async () => {
+            const res = await assemble()
+                .field('pages', JSON.stringify([{ file: 0 }]))
+                .attach('files', await image(300, 200), { filename: 'a.jpg', contentType: 'image/jpeg' })
+                .attach('files', await image(300, 200), { filename: 'b.jpg', contentType: 'image/jpeg' });
+
+            expect(res.status).to.equal(400);
+            expect(res.body.message).to.equal('Every uploaded file must appear in pages.');
+            expect(Document.create.called).to.be.false;
+        });
+
+        it('should refuse pages that are not a list of files and documents', async () => {
+            const res = await assemble()
+                .field('pages', JSON.stringify([{ file: 3 }]))
+                .attach('files', await image(300, 200), { filename: 'a.jpg', contentType: 'image/jpeg' });
+
+            expect(res.status).to.equal(400);
+            expect(res.body.message).to.match(/^pages must be a JSON array/);
+        });
+
+        it('should refuse a file that is not an image', async () => {
+            const res = await assemble()
+                .attach('files', await image(300, 200), { filename: 'a.jpg', contentType: 'image/jpeg' })
+                .attach('files', await pdfOfWidths([595]), { filename: 'b.pdf', contentType: 'application/pdf' });
+
+            expect(res.status).to.equal(415);
+            expect(res.body.fileName).to.equal('b.pdf');
+            expect(Document.create.called).to.be.false;
+        });
+
+        it('should refuse a source document that is not the caller\'s', async () => {
+            const res = await assemble()
+                .field('pages', JSON.stringify([{ documentId: '64f0c0ffee0000000000abcd' }]));
+
+            expect(res.status).to.equal(404);
+            expect(Document.find.firstCall.args[0]).to.include({ uploadedBy: 'test-user-id', status: 'active' });
+        });
+    });
+
+    describe('POST /api/documents/:id/split', () => {
+        const app = buildApp('/api/documents', documentsRouter);
+        let original;
+
+        const split = (body = {}) => request(app)
+            .post(`/api/documents/${original._id}/split`)
+            .set('Authorization', 'Bearer valid-token')
+            .send(body);
+
+        beforeEach(async () => {
+            original = await storedDocument('Lab reports', await pdfOfWidths([300, 400, 500]), 'application/pdf');
+            sinon.stub(Document, 'find').returns(query([])); // no duplicates
+            // Only the original is found; the background queues look up the new documents
+            sinon.stub(Document, 'findOne').callsFake(async (filter) =>
+                (String(filter._id) === String(original._id) && filter.status === 'active' ? original : null));
+            sinon.stub(Document.prototype, 'save').callsFake(async function save() {
+                return this;
+            });
+            stubDocumentCreation();
+        });
+
+        it('should save every page as its own document with the original\'s details', async () => {
+            const res = await split();
+
+            expect(res.status).to.equal(201);
+            expect(res.body).to.include({ success: true, created: 3, failed: 0, trashed: false });
+            const created = Document.create.args.map(([fields]) => fields);
+            expect(created.map((fields) => fields.title))
+                .to.deep.equal(['Lab reports — page 1', 'Lab reports — page 2', 'Lab reports — page 3']);
+            expect(created.map((fields) => fields.versions[0].originalName))
+                .to.deep.equal(['Lab_reports-page-1.pdf', 'Lab_reports-page-2.pdf', 'Lab_reports-page-3.pdf']);
+            created.forEach((fields) => {
+                expect(fields).to.include({ category: 'medical', mimeType: 'application/pdf', uploadedBy: 'test-user-id' });
+                expect(fields.tags).to.deep.equal(['hospital']);
+            });
+            expect(await pageSizes(await createdFile(2))).to.deep.equal([[500, 842]]);
+            expect(original.status).to.equal('active');
+        });
+
+        it('should split off only the pages asked for, in that order, with the details given', async () => {
+            const res = await split({ pages: [3, 1], category: 'other', tags: ['2026'] });
+
+            expect(res.status).to.equal(201);
+            expect(res.body.results.map((r) => r.page)).to.deep.equal([3, 1]);
+            expect(Document.create.args.map(([fields]) => fields.title))
+                .to.deep.equal(['Lab reports — page 3', 'Lab reports — page 1']);
+            expect(Document.create.firstCall.args[0]).to.include({ category: 'other' });
+            expect(Document.create.firstCall.args[0].tags).to.deep.equal(['2026']);
+            expect(await pageSizes(await createdFile(0))).to.deep.equal([[500, 842]]);
+            expect(await pageSizes(await createdFile(1))).to.deep.equal([[300, 842]]);
+        });
+
+        it('should move the original to trash once every page is saved', async () => {
+            const res = await split({ trashSource: true });
+
+            expect(res.body.trashed).to.be.true;
+            expect(original.status).to.equal('deleted');
+            expect(original.purgeAfter).to.be.an.instanceOf(Date);
+        });
+
+        it('should keep the original when a page could not be saved', async () => {
+            Document.find.onSecondCall().returns(query([{ _id: original._id, title: 'Lab reports', category: 'medical' }]));
+
+            const res = await split({ pages: [1, 2], trashSource: true });
+
+            expect(res.status).to.equal(201);
+            expect(res.body).to.include({ success: false, created: 1, failed: 1, trashed: false });
+            expect(res.body.results[1]).to.include({ page: 2, success: false, code: 'DUPLICATE_CONTENT' });
+            expect(original.status).to.equal('active');
+        });
+
+        it('should refuse page numbers the PDF does not have', async () => {
+            const res = await split({ pages: [1, 4] });
+
+            expect(res.status).to.equal(400);
+            expect(res.body.message).to.equal('pages must be an array of page numbers from 1 to 3.');
+            expect(Document.create.called).to.be.false;
+        });
+
+        it('should refuse anyone but the owner, even with access', async () => {
+            original.uploadedBy = 'owner-2';
+            original.sharedWith.push({ uid: 'test-user-id', email: 'test@example.com', permission: 'write' });
+
+            const res = await split();
+
+            expect(res.status).to.equal(403);
+            expect(Document.create.called).to.be.false;
+        });
+
+        it('should refuse a PDF it cannot open', async () => {
+            original = await storedDocument('Scanned form', Buffer.from('%PDF-1.7 damaged'), 'application/pdf');
+
+            const res = await split();
+
+            expect(res.status).to.equal(422);
+            expect(res.body.message).to.equal('This PDF cannot be split — it is damaged or password-protected.');
+        });
+
+        it('should refuse a document that is not a PDF', async () => {
+            original = await storedDocument('Photo', await image(300, 200), 'image/jpeg');
+
+            const res = await split();
+
+            expect(res.status).to.equal(400);
+        });
+    });
+});
@@ -0,0 +1,232 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const Document = require('../../server/models/Document');
+const FamilyGroup = require('../../server/models/FamilyGroup');
+const User = require('../../server/models/User');
+const AuditEvent = require('../../server/models/AuditEvent');
+const UploadSession = require('../../server/models/UploadSession');
+const { getQuotaUsage, checkQuota, notifyQuotaUsage } = require('../../server/services/quotas');
+const { query } = require('../test-helpers');
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+describe('Storage Quota Tests', () => {
+    let account, groups, usage, reserved;
+
+    beforeEach(() => {
+        account = { _id: 'u1', plan: 'free', quotaBytes: null, email: 'owner@example.com', quotaWarningsSent: [] };
+        groups = [];
+        usage = {};
+        reserved = {};
+
+        sinon.stub(User, 'findOne').callsFake(() => query(account));
+        sinon.stub(FamilyGroup, 'find').callsFake(() => query(groups));
+        sinon.stub(Document, 'aggregate').callsFake(async () =>
+            Object.entries(usage).map(([uid, bytes]) => ({ _id: uid, bytes })));
+        sinon.stub(UploadSession, 'aggregate').callsFake(async () =>
+            Object.entries(reserved).map(([uid, bytes]) => ({ _id: uid, bytes })));
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('getQuotaUsage', () => {
+        it('should apply the plan limit to a user without one of their own', async () => {
+            usage = { 'owner-1': 256 * MB };
+
+            const { user, families } = await getQuotaUsage('owner-1');
+
+            expect(user).to.deep.equal({
+                plan: 'free',
+                limitBytes: GB,
+                usedBytes: 256 * MB,
+                remainingBytes: 768 * MB,
+                percent: 25
+            });
+            expect(families).to.deep.equal([]);
+        });
+
+        it('should prefer a limit set on the user', async () => {
+            account.plan = 'plus';
+            account.quotaBytes = 3 * GB;
+
+            const { user } = await getQuotaUsage('owner-1');
+
+            expect(user).to.include({ plan: 'plus', limitBytes: 3 * GB, usedBytes: 0 });
+        });
+
+        it('should add up every member of a family group', async () => {
+            groups = [{ _id: 'g1', name: 'Sharma family', plan: 'free', quotaBytes: null, members: [{ uid: 'owner-1' }, { uid: 'member-2' }] }];
+            usage = { 'owner-1': GB, 'member-2': 2 * GB, 'stranger': 4 * GB };
+
+            const { families } = await getQuotaUsage('owner-1');
+
+            expect(families).to.deep.equal([{
+                groupId: 'g1',
+                name: 'Sharma family',
+                plan: 'free',
+                limitBytes: 5 * GB,
+                usedBytes: 3 * GB,
+                remainingBytes: 2 * GB,
+                percent: 60
+            }]);
+            expect(Document.aggregate.firstCall.args[0][0].$match.uploadedBy.$in).to.have.members(['owner-1', 'member-2']);
+        });
+
+        it('should count trashed documents and each stored file once', async () => {
+            await getQuotaUsage('owner-1');
+            const pipeline = Document.aggregate.firstCall.args[0];
+
+            expect(pipeline[0].$match.status).to.deep.equal({ $in: ['active', 'deleted'] });
+            expect(pipeline.find((stage) => stage.$group)).to.deep.equal({
+                $group: { _id: { owner: '$uploadedBy', path: '$files.path' }, bytes: { $max: '$files.bytes' } }
+            });
+        });
+
+        it('should count the declared size of open resumable uploads', async () => {
+            usage = { 'owner-1': 256 * MB };
+            reserved = { 'owner-1': 512 * MB, 'member-2': 100 * MB };
+
+            const { user } = await getQuotaUsage('owner-1');
+
+            expect(user.usedBytes).to.equal(768 * MB);
+            expect(UploadSession.aggregate.firstCall.args[0][0]).to.deep.equal({
+                $match: { ownerUid: { $in: ['owner-1'] }, status: 'open' }
+            });
+        });
+    });
+
+    describe('checkQuota', () => {
+        it('should allow a file that fits', async () => {
+            usage = { 'owner-1': GB - 10 * MB };
+
+            expect(await checkQuota('owner-1', 10 * MB)).to.be.null;
+        });
+
+        it('should refuse a file that would go over the user quota', async () => {
+            usage = { 'owner-1': GB - 10 * MB };
+
+            const error = await checkQuota('owner-1', 10 * MB + 1);
+
+            expect(error).to.include({ status: 413, code: 'QUOTA_EXCEEDED' });
+            expect(error.message).to.equal(
+                'This file needs 10.0 MB, but only 10.0 MB of your 1024.0 MB storage is left. '
+                + 'Empty the trash or delete documents to make room.'
+            );
+            expect(error.quota).to.deep.equal({
+                scope: 'user', plan: 'free', limitBytes: GB, usedBytes: GB - 10 * MB, requestedBytes: 10 * MB + 1
+            });
+        });
+
+        it('should refuse a file that would go over a family group quota', async () => {
+            groups = [{ _id: 'g1', name: 'Sharma family', plan: 'free', quotaBytes: null, members: [{ uid: 'owner-1' }, { uid: 'member-2' }] }];
+            usage = { 'owner-1': 100 * MB, 'member-2': 5 * GB - 100 * MB };
+
+            const error = await checkQuota('owner-1', MB);
+
+            expect(error.quota).to.include({ scope: 'family', groupId: 'g1' });
+            expect(error.message).to.contain('the "Sharma family" family group\'s 5120.0 MB storage');
+        });
+
+        it('should word the message for someone uploading to another owner\'s document', async () => {
+            usage = { 'owner-1': GB };
+
+            const error = await checkQuota('owner-1', MB, { actorUid: 'editor-2' });
+
+            expect(error.message).to.contain("of the document owner's 1024.0 MB storage");
+        });
+
+        it('should refuse a file that only fits without the open uploads', async () => {
+            usage = { 'owner-1': 512 * MB };
+            reserved = { 'owner-1': 500 * MB };
+
+            expect(await checkQuota('owner-1', 20 * MB)).to.include({ code: 'QUOTA_EXCEEDED' });
+        });
+
+        it('should not count a file twice once it is recorded', async () => {
+            usage = { 'owner-1': GB }; // includes the 10 MB just stored
+
+            expect(await checkQuota('owner-1', 10 * MB, { stored: true })).to.be.null;
+        });
+
+        it('should refuse a recorded file that took usage over, describing usage without it', async () => {
+            usage = { 'owner-1': GB + MB }; // another upload finished at the same time
+
+            const error = await checkQuota('owner-1', 10 * MB, { stored: true });
+
+            expect(error.quota.usedBytes).to.equal(GB - 9 * MB);
+            expect(error.message).to.contain('only 9.0 MB of your 1024.0 MB storage is left');
+        });
+    });
+
+    describe('notifyQuotaUsage', () => {
+        beforeEach(() => {
+            sinon.stub(User, 'updateOne').resolves({ modifiedCount: 1 });
+            sinon.stub(FamilyGroup, 'findById');
+            sinon.stub(AuditEvent, 'create').resolves();
+            sinon.stub(console, 'log'); // emails fall back to the console without SMTP settings
+        });
+
+        const emailsTo = () => console.log.args.map(([line]) => line).filter((line) => /^\s+To:/.test(line));
+
+        it('should email once the highest threshold reached is first crossed', async () => {
+            usage = { 'owner-1': 0.96 * GB };
+
+            await notifyQuotaUsage('owner-1');
+
+            expect(User.updateOne.calledWith(
+                { _id: 'u1', quotaWarningsSent: { $ne: 95 } },
+                { $addToSet: { quotaWarningsSent: { $each: [80, 95] } } }
+            )).to.be.true;
+            expect(emailsTo()).to.have.lengthOf(1);
+            expect(AuditEvent.create.firstCall.args[0]).to.include({ action: 'vault.quota_warning', targetId: 'owner-1' });
+        });
+
+        it('should not email again for a threshold already sent', async () => {
+            usage = { 'owner-1': 0.85 * GB };
+            account.quotaWarningsSent = [80];
+
+            await notifyQuotaUsage('owner-1');
+
+            expect(User.updateOne.called).to.be.false;
+            expect(emailsTo()).to.deep.equal([]);
+        });
+
+        it('should not email when another upload claimed the warning first', async () => {
+            usage = { 'owner-1': 0.85 * GB };
+            User.updateOne.resolves({ modifiedCount: 0 });
+
+            await notifyQuotaUsage('owner-1');
+
+            expect(emailsTo()).to.deep.equal([]);
+        });
+
+        it('should clear thresholds usage has dropped back below', async () => {
+            usage = { 'owner-1': 0.5 * GB };
+            account.quotaWarningsSent = [80, 95];
+
+            await notifyQuotaUsage('owner-1');
+
+            expect(User.updateOne.calledOnceWith({ _id: 'u1' }, { $pull: { quotaWarningsSent: { $in: [80, 95] } } })).to.be.true;
+            expect(emailsTo()).to.deep.equal([]);
+        });
+
+        it('should email the admins of a family group that reached a threshold', async () => {
+            const members = [
+                { uid: 'owner-1', role: 'admin', email: 'owner@example.com' },
+                { uid: 'member-2', role: 'member', email: 'member@example.com' }
+            ];
+            groups = [{ _id: 'g1', name: 'Sharma family', plan: 'free', quotaBytes: null, members }];
+            usage = { 'owner-1': 0.1 * GB, 'member-2': 4.2 * GB };
+            FamilyGroup.findById.returns(query({ _id: 'g1', members, quotaWarningsSent: [] }));
+            sinon.stub(FamilyGroup, 'updateOne').resolves({ modifiedCount: 1 });
+
+            await notifyQuotaUsage('owner-1');
+
+            expect(emailsTo()).to.deep.equal(['    To:          owner@example.com']);
+            expect(AuditEvent.create.firstCall.args[0]).to.include({ action: 'family.quota_warning', groupId: 'g1' });
+        });
+    });
+});
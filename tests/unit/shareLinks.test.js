@@ -0,0 +1,269 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const Document = require('../../server/models/Document');
+const ShareLink = require('../../server/models/ShareLink');
+const AuditEvent = require('../../server/models/AuditEvent');
+const { hashContent, storeDocumentFile } = require('../../server/services/documentFiles');
+const publicRouter = require('../../server/routes/public');
+const { buildApp, binaryParser, requireServerPackage } = require('../test-helpers');
+
+const { PDFDocument } = requireServerPackage('pdf-lib');
+const { PDFParse } = requireServerPackage('pdf-parse');
+
+const HOUR = 60 * 60 * 1000;
+const TOKEN = 'link-token';
+
+describe('Share Link Tests', () => {
+    describe('ShareLink model', () => {
+        it('should store only a hash of the token', () => {
+            const { token, tokenHash } = ShareLink.generateToken();
+
+            expect(token).to.match(/^[A-Za-z0-9_-]{43}$/);
+            expect(tokenHash).to.equal(ShareLink.hashToken(token));
+            expect(tokenHash).to.not.contain(token);
+        });
+
+        it('should check a passcode against its salted hash', async () => {
+            const link = new ShareLink({ passcodeHash: await ShareLink.hashPasscode('4321') });
+
+            expect(link.passcodeHash).to.match(/^[0-9a-f]{32}:[0-9a-f]{64}$/);
+            expect(await link.checkPasscode('4321')).to.be.true;
+            expect(await link.checkPasscode('1234')).to.be.false;
+            expect(await link.checkPasscode('')).to.be.false;
+            expect(await new ShareLink({}).checkPasscode(undefined)).to.be.true;
+        });
+
+        it('should salt each passcode differently', async () => {
+            expect(await ShareLink.hashPasscode('4321')).to.not.equal(await ShareLink.hashPasscode('4321'));
+        });
+
+        it('should say why a link cannot be used', () => {
+            const now = new Date('2026-03-01T10:00:00Z');
+            const link = (fields) => new ShareLink({ expiresAt: new Date(now.getTime() + HOUR), ...fields });
+
+            expect(link({}).unavailableReason(now)).to.be.null;
+            expect(link({ status: 'revoked' }).unavailableReason(now)).to.equal('revoked');
+            expect(link({ status: 'locked' }).unavailableReason(now)).to.equal('locked');
+            expect(link({ expiresAt: now }).unavailableReason(now)).to.equal('expired');
+            expect(link({ maxDownloads: 2, downloadCount: 2 }).unavailableReason(now)).to.equal('exhausted');
+            expect(link({ maxDownloads: 2, downloadCount: 1 }).unavailableReason(now)).to.be.null;
+        });
+    });
+
+    describe('Public link routes', () => {
+        const app = buildApp('/api/public', publicRouter);
+        let doc, link;
+
+        const download = (passcode) => {
+            const req = request(app).get(`/api/public/links/${TOKEN}`);
+            return passcode === undefined ? req : req.set('X-Link-Passcode', passcode);
+        };
+        const deniedReasons = () => AuditEvent.create.args
+            .map(([event]) => event)
+            .filter((event) => event.result === 'denied')
+            .map((event) => event.metadata.reason);
+
+        before(async () => {
+            const pdf = await PDFDocument.create();
+            pdf.addPage([595, 842]);
+            const plaintext = Buffer.from(await pdf.save());
+
+            doc = new Document({
+                title: 'Salary slip',
+                category: 'financial',
+                uploadedBy: 'owner-1',
+                firebaseStoragePath: 'placeholder',
+                mimeType: 'application/pdf',
+                fileSize: plaintext.length
+            });
+            const { storagePath, encryption } = await storeDocumentFile(plaintext, `documents/owner-1/${doc._id}-v1`);
+            doc.versions.push({
+                version: 1,
+                storagePath,
+                encryption,
+                mimeType: 'application/pdf',
+                fileSize: plaintext.length,
+                contentHash: hashContent(plaintext),
+                title: doc.title,
+                uploadedBy: 'owner-1'
+            });
+            Object.assign(doc, { firebaseStoragePath: storagePath, encryption });
+        });
+
+        beforeEach(() => {
+            link = new ShareLink({
+                documentId: doc._id,
+                createdBy: 'owner-1',
+                label: 'Home loan',
+                tokenHash: ShareLink.hashToken(TOKEN),
+                expiresAt: new Date(Date.now() + HOUR)
+            });
+
+            sinon.stub(ShareLink, 'findOne').callsFake(async ({ tokenHash }) => (tokenHash === link.tokenHash ? link : null));
+            sinon.stub(Document, 'findOne').resolves(doc);
+            sinon.stub(ShareLink.prototype, 'save').resolves();
+            sinon.stub(AuditEvent, 'create').resolves();
+            // One in-memory link, applying the conditional updates the route relies on
+            sinon.stub(ShareLink, 'findOneAndUpdate').callsFake(async (filter, update) => {
+                if (filter.status && link.status !== filter.status) return null;
+                if (filter.expiresAt && !(link.expiresAt > filter.expiresAt.$gt)) return null;
+                if (filter.$or && link.maxDownloads !== null && link.downloadCount >= link.maxDownloads) return null;
+                for (const [field, by] of Object.entries(update.$inc || {})) link[field] += by;
+                Object.assign(link, update.$set);
+                return link;
+            });
+        });
+
+        afterEach(() => {
+            sinon.restore();
+        });
+
+        describe('GET /api/public/links/:token', () => {
+            it('should send the file stamped with the link label', async () => {
+                const res = await download().buffer(true).parse(binaryParser);
+
+                expect(res.status).to.equal(200);
+                expect(res.headers['content-type']).to.equal('application/pdf');
+                expect(res.headers['accept-ranges']).to.not.equal('bytes');
+                const parser = new PDFParse({ data: res.body });
+                const { text } = await parser.getText();
+                await parser.destroy();
+                expect(text).to.match(/Shared via link on \d+ \w+ \d{4} for Home loan/);
+                expect(link.downloadCount).to.equal(1);
+            });
+
+            it('should refuse an unknown token', async () => {
+                const res = await request(app).get('/api/public/links/not-a-token');
+
+                expect(res.status).to.equal(404);
+                expect(deniedReasons()).to.deep.equal(['unknown_token']);
+            });
+
+            it('should refuse a revoked link', async () => {
+                link.status = 'revoked';
+
+                const res = await download();
+
+                expect(res.status).to.equal(410);
+                expect(res.body).to.include({ reason: 'revoked', message: 'This link has been revoked by its owner.' });
+            });
+
+            it('should refuse an expired link', async () => {
+                link.expiresAt = new Date(Date.now() - 1);
+
+                const res = await download();
+
+                expect(res.status).to.equal(410);
+                expect(res.body.reason).to.equal('expired');
+            });
+
+            it('should refuse a link whose document was deleted', async () => {
+                Document.findOne.resolves(null);
+
+                const res = await download();
+
+                expect(res.status).to.equal(410);
+                expect(res.body.reason).to.equal('document_unavailable');
+            });
+
+            it('should stop at maxDownloads', async () => {
+                link.maxDownloads = 2;
+
+                const statuses = [];
+                for (let i = 0; i < 3; i += 1) statuses.push((await download()).status);
+
+                expect(statuses).to.deep.equal([200, 200, 410]);
+                expect(link.downloadCount).to.equal(2);
+            });
+
+            it('should let only maxDownloads of several simultaneous downloads through', async () => {
+                link.maxDownloads = 2;
+
+                const responses = await Promise.all([download(), download(), download(), download()]);
+
+                expect(responses.map((r) => r.status).sort()).to.deep.equal([200, 200, 410, 410]);
+                expect(link.downloadCount).to.equal(2);
+                // All four passed the first check; the claim is what stopped two
+                expect(ShareLink.findOneAndUpdate.callCount).to.equal(4);
+                expect(ShareLink.findOneAndUpdate.firstCall.args[0].$or).to.deep.equal([
+                    { maxDownloads: null }, { $expr: { $lt: ['$downloadCount', '$maxDownloads'] } }
+                ]);
+            });
+
+            describe('with a passcode', () => {
+                beforeEach(async () => {
+                    link.passcodeHash = await ShareLink.hashPasscode('4321');
+                });
+
+                it('should ask for the passcode', async () => {
+                    const res = await download();
+
+                    expect(res.status).to.equal(401);
+                    expect(res.body).to.include({ requiresPasscode: true, message: 'This link requires a passcode.' });
+                    expect(deniedReasons()).to.deep.equal(['passcode_required']);
+                    expect(link.downloadCount).to.equal(0);
+                });
+
+                it('should accept the passcode in the header or the query', async () => {
+                    expect((await download('4321')).status).to.equal(200);
+                    expect((await request(app).get(`/api/public/links/${TOKEN}?passcode=4321`)).status).to.equal(200);
+                });
+
+                it('should reset the count of wrong passcodes after a right one', async () => {
+                    await download('0000');
+                    await download('1111');
+                    expect(link.failedAttempts).to.equal(2);
+
+                    await download('4321');
+
+                    expect(link.failedAttempts).to.equal(0);
+                });
+
+                it('should lock the link after 10 wrong passcodes', async () => {
+                    for (let i = 0; i < 9; i += 1) {
+                        expect((await download(`00${i}0`)).status).to.equal(401);
+                    }
+                    expect(link.status).to.equal('active');
+
+                    const tenth = await download('0099');
+                    const right = await download('4321');
+
+                    expect(tenth.status).to.equal(401);
+                    expect(link.status).to.equal('locked');
+                    expect(right.status).to.equal(410);
+                    expect(right.body.reason).to.equal('locked');
+                    expect(link.downloadCount).to.equal(0);
+                });
+            });
+        });
+
+        describe('GET /api/public/links/:token/info', () => {
+            it('should describe the link without sending the file', async () => {
+                link.maxDownloads = 5;
+                link.downloadCount = 2;
+                link.passcodeHash = await ShareLink.hashPasscode('4321');
+
+                const res = await request(app).get(`/api/public/links/${TOKEN}/info`);
+
+                expect(res.status).to.equal(200);
+                expect(res.body.link).to.include({
+                    title: 'Salary slip',
+                    mimeType: 'application/pdf',
+                    requiresPasscode: true,
+                    downloadsRemaining: 3
+                });
+                expect(link.downloadCount).to.equal(2);
+            });
+
+            it('should report a revoked link as unavailable', async () => {
+                link.status = 'revoked';
+
+                const res = await request(app).get(`/api/public/links/${TOKEN}/info`);
+
+                expect(res.status).to.equal(410);
+                expect(res.body.reason).to.equal('revoked');
+            });
+        });
+    });
+});
@@ -0,0 +1,137 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+    signResource,
+    verifyResource,
+    getSigningSecret,
+    getPublicBaseUrl
+} = require('../../server/utils/signedUrl');
+
+const SECRET = 'test-download-secret';
+const RESOURCE = 'document:64f0c0ffee0000000000abcd:v2:user-1';
+
+describe('Signed URL Tests', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({ now: new Date('2026-03-01T10:00:00Z'), toFake: ['Date'] });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('signResource / verifyResource', () => {
+        it('should accept a signature until it expires', () => {
+            const params = signResource(RESOURCE, 5 * 60 * 1000, SECRET);
+
+            expect(params.expires).to.equal(Date.now() + 5 * 60 * 1000);
+            expect(verifyResource(RESOURCE, params, SECRET)).to.deep.equal({ valid: true });
+
+            clock.tick(5 * 60 * 1000);
+            expect(verifyResource(RESOURCE, params, SECRET).valid).to.be.true;
+
+            clock.tick(1);
+            expect(verifyResource(RESOURCE, params, SECRET)).to.deep.equal({ valid: false, reason: 'expired' });
+        });
+
+        it('should accept the parameters as query strings', () => {
+            const { expires, signature } = signResource(RESOURCE, 60000, SECRET);
+
+            expect(verifyResource(RESOURCE, { expires: String(expires), signature }, SECRET).valid).to.be.true;
+        });
+
+        it('should reject a link issued for another user or version', () => {
+            const params = signResource(RESOURCE, 60000, SECRET);
+
+            expect(verifyResource('document:64f0c0ffee0000000000abcd:v2:user-2', params, SECRET).reason)
+                .to.equal('invalid');
+            expect(verifyResource('document:64f0c0ffee0000000000abcd:v1:user-1', params, SECRET).reason)
+                .to.equal('invalid');
+        });
+
+        it('should reject an extended expiry', () => {
+            const { expires, signature } = signResource(RESOURCE, 60000, SECRET);
+
+            expect(verifyResource(RESOURCE, { expires: expires + 60000, signature }, SECRET).reason)
+                .to.equal('invalid');
+        });
+
+        it('should reject a signature made with another secret', () => {
+            const params = signResource(RESOURCE, 60000, 'other-secret');
+
+            expect(verifyResource(RESOURCE, params, SECRET).reason).to.equal('invalid');
+        });
+
+        it('should reject a truncated signature without throwing', () => {
+            const { expires, signature } = signResource(RESOURCE, 60000, SECRET);
+
+            expect(verifyResource(RESOURCE, { expires, signature: signature.slice(1) }, SECRET).reason)
+                .to.equal('invalid');
+        });
+
+        it('should report missing parameters', () => {
+            expect(verifyResource(RESOURCE, {}, SECRET).reason).to.equal('missing');
+            expect(verifyResource(RESOURCE, undefined, SECRET).reason).to.equal('missing');
+            expect(verifyResource(RESOURCE, { expires: 'soon', signature: 'x' }, SECRET).reason).to.equal('missing');
+        });
+    });
+
+    describe('getSigningSecret', () => {
+        const ENV_VAR = 'SIGNED_URL_TEST_SECRET';
+        let nodeEnv;
+
+        beforeEach(() => {
+            nodeEnv = process.env.NODE_ENV;
+            sinon.stub(console, 'warn');
+        });
+
+        afterEach(() => {
+            process.env.NODE_ENV = nodeEnv;
+            delete process.env[ENV_VAR];
+        });
+
+        it('should read the secret from the environment', () => {
+            process.env[ENV_VAR] = 'from-env';
+
+            expect(getSigningSecret(ENV_VAR)).to.equal('from-env');
+        });
+
+        it('should refuse to run without a secret in production', () => {
+            process.env.NODE_ENV = 'production';
+
+            expect(() => getSigningSecret(ENV_VAR)).to.throw(`${ENV_VAR} must be set in production.`);
+        });
+
+        it('should fall back to one random secret per process in development', () => {
+            const first = getSigningSecret(ENV_VAR);
+
+            expect(first).to.have.lengthOf(64);
+            expect(getSigningSecret(ENV_VAR)).to.equal(first);
+        });
+    });
+
+    describe('getPublicBaseUrl', () => {
+        const saved = { url: process.env.SERVER_PUBLIC_URL, port: process.env.PORT };
+
+        afterEach(() => {
+            if (saved.url === undefined) delete process.env.SERVER_PUBLIC_URL;
+            else process.env.SERVER_PUBLIC_URL = saved.url;
+            if (saved.port === undefined) delete process.env.PORT;
+            else process.env.PORT = saved.port;
+        });
+
+        it('should strip trailing slashes from SERVER_PUBLIC_URL', () => {
+            process.env.SERVER_PUBLIC_URL = 'https://vault.example.in//';
+
+            expect(getPublicBaseUrl()).to.equal('https://vault.example.in');
+        });
+
+        it('should default to localhost on PORT', () => {
+            delete process.env.SERVER_PUBLIC_URL;
+            process.env.PORT = '5050';
+
+            expect(getPublicBaseUrl()).to.equal('http://localhost:5050');
+        });
+    });
+});
@@ -0,0 +1,230 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const fs = require('fs/promises');
+const path = require('path');
+const Document = require('../../server/models/Document');
+const IntegrityEntry = require('../../server/models/IntegrityEntry');
+const AuditEvent = require('../../server/models/AuditEvent');
+const { storeDocumentFile, deleteDocumentFiles } = require('../../server/services/documentFiles');
+const { TRASH_RETENTION_DAYS, computePurgeAfter, purgeExpiredTrash } = require('../../server/jobs/purgeTrash');
+const documentsRouter = require('../../server/routes/documents');
+const { query, buildApp } = require('../test-helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/** Whether the local storage driver still holds `storagePath`. */
+async function stored(storagePath) {
+    return fs.access(path.join(process.env.LOCAL_STORAGE_DIR, storagePath)).then(() => true, () => false);
+}
+
+describe('Trash Tests', () => {
+    const app = buildApp('/api/documents', documentsRouter);
+    let docs;
+
+    /** A document of `uploadedBy`'s with two versions, the first with a thumbnail. */
+    async function storedDocument(title, uploadedBy = 'test-user-id', extra = {}) {
+        const doc = new Document({
+            title,
+            category: 'other',
+            uploadedBy,
+            firebaseStoragePath: 'placeholder',
+            mimeType: 'application/pdf',
+            fileSize: 10,
+            ...extra
+        });
+        const [v1, v2, thumbnail] = await Promise.all(['v1', 'v2', 'v1-thumbnail'].map((name) =>
+            storeDocumentFile(Buffer.from(`${title} ${name}`), `documents/${uploadedBy}/${doc._id}/${name}`)));
+        doc.versions.push(
+            {
+                version: 1,
+                ...v1,
+                mimeType: 'application/pdf',
+                fileSize: 10,
+                title,
+                uploadedBy,
+                renditions: {
+                    status: 'done',
+                    thumbnail: { ...thumbnail, mimeType: 'image/webp', width: 160, height: 226 }
+                }
+            },
+            { version: 2, ...v2, mimeType: 'application/pdf', fileSize: 10, title, uploadedBy }
+        );
+        Object.assign(doc, { currentVersion: 2, firebaseStoragePath: v2.storagePath, encryption: v2.encryption });
+        return doc;
+    }
+
+    const storagePaths = (doc) => [...doc.versions.map((v) => v.storagePath), doc.versions[0].renditions.thumbnail.storagePath];
+
+    beforeEach(() => {
+        docs = [];
+        sinon.stub(Document, 'findOne').callsFake(async (filter) =>
+            docs.find((doc) => String(doc._id) === String(filter._id) && doc.status === filter.status) || null);
+        // Other documents holding the same files, as deleteDocumentFiles looks them up
+        sinon.stub(Document, 'find').returns(query([]));
+        sinon.stub(Document.prototype, 'save').callsFake(async function save() {
+            return this;
+        });
+        sinon.stub(IntegrityEntry, 'findOne').returns(query(null));
+        sinon.stub(IntegrityEntry, 'create').resolves();
+        sinon.stub(AuditEvent, 'create').resolves();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const call = (method, url) => request(app)[method](`/api/documents${url}`).set('Authorization', 'Bearer valid-token');
+
+    describe('computePurgeAfter', () => {
+        it('should keep trashed documents for the retention period', () => {
+            const from = new Date('2026-03-01T10:00:00Z');
+
+            expect(TRASH_RETENTION_DAYS).to.equal(30);
+            expect(computePurgeAfter(from)).to.deep.equal(new Date('2026-03-31T10:00:00Z'));
+        });
+    });
+
+    describe('DELETE /api/documents/:id', () => {
+        it('should move the document to trash and keep its files', async () => {
+            const doc = await storedDocument('Electricity bill');
+            docs.push(doc);
+
+            const res = await call('delete', `/${doc._id}`);
+
+            expect(res.status).to.equal(200);
+            expect(doc.status).to.equal('deleted');
+            expect(doc.purgeAfter.getTime() - doc.deletedAt.getTime()).to.equal(TRASH_RETENTION_DAYS * DAY);
+            expect(new Date(res.body.purgeAfter)).to.deep.equal(doc.purgeAfter);
+            for (const storagePath of storagePaths(doc)) expect(await stored(storagePath)).to.be.true;
+        });
+
+        it('should refuse anyone but the owner', async () => {
+            const doc = await storedDocument('Electricity bill', 'owner-2', {
+                sharedWith: [{ uid: 'test-user-id', email: 'test@example.com', permission: 'write' }]
+            });
+            docs.push(doc);
+
+            const res = await call('delete', `/${doc._id}`);
+
+            expect(res.status).to.equal(403);
+            expect(doc.status).to.equal('active');
+        });
+    });
+
+    describe('GET /api/documents/trash', () => {
+        it('should list the caller\'s trashed documents with the retention period', async () => {
+            const doc = await storedDocument('Electricity bill', 'test-user-id', { status: 'deleted', deletedAt: new Date() });
+            Document.find.returns(query([doc]));
+
+            const res = await call('get', '/trash');
+
+            expect(res.status).to.equal(200);
+            expect(res.body).to.include({ total: 1, retentionDays: TRASH_RETENTION_DAYS });
+            expect(res.body.documents.map((d) => d.title)).to.deep.equal(['Electricity bill']);
+            expect(Document.find.firstCall.args[0]).to.deep.equal({ uploadedBy: 'test-user-id', status: 'deleted' });
+        });
+    });
+
+    describe('POST /api/documents/:id/restore', () => {
+        it('should bring a trashed document back', async () => {
+            const doc = await storedDocument('Electricity bill', 'test-user-id', {
+                status: 'deleted', deletedAt: new Date(), purgeAfter: computePurgeAfter()
+            });
+            docs.push(doc);
+
+            const res = await call('post', `/${doc._id}/restore`);
+
+            expect(res.status).to.equal(200);
+            expect(doc).to.include({ status: 'active', deletedAt: null, purgeAfter: null });
+        });
+
+        it('should only restore documents in the trash, and only for the owner', async () => {
+            const active = await storedDocument('Electricity bill');
+            const others = await storedDocument('Gas bill', 'owner-2', { status: 'deleted' });
+            docs.push(active, others);
+
+            expect((await call('post', `/${active._id}/restore`)).status).to.equal(404);
+            expect((await call('post', `/${others._id}/restore`)).status).to.equal(403);
+            expect(others.status).to.equal('deleted');
+        });
+    });
+
+    describe('DELETE /api/documents/:id/purge', () => {
+        it('should delete every file of every version and keep the record as purged', async () => {
+            const doc = await storedDocument('Electricity bill', 'test-user-id', { status: 'deleted' });
+            docs.push(doc);
+
+            const res = await call('delete', `/${doc._id}/purge`);
+
+            expect(res.status).to.equal(200);
+            expect(doc.status).to.equal('purged');
+            expect(doc.purgedAt).to.be.an.instanceOf(Date);
+            for (const storagePath of storagePaths(doc)) expect(await stored(storagePath)).to.be.false;
+            expect(IntegrityEntry.create.firstCall.args[0]).to.include({ event: 'purge', actorUid: 'test-user-id' });
+        });
+
+        it('should only purge documents in the trash, and only for the owner', async () => {
+            const active = await storedDocument('Electricity bill');
+            const others = await storedDocument('Gas bill', 'owner-2', { status: 'deleted' });
+            docs.push(active, others);
+
+            expect((await call('delete', `/${active._id}/purge`)).status).to.equal(404);
+            expect((await call('delete', `/${others._id}/purge`)).status).to.equal(403);
+            for (const storagePath of [...storagePaths(active), ...storagePaths(others)]) {
+                expect(await stored(storagePath)).to.be.true;
+            }
+        });
+    });
+
+    describe('purgeExpiredTrash', () => {
+        const now = new Date('2026-03-31T12:00:00Z');
+
+        beforeEach(() => {
+            Document.find.callsFake((filter) => (filter.purgeAfter
+                ? { cursor: () => docs }
+                : query([])));
+            sinon.stub(console, 'error');
+        });
+
+        it('should purge documents past their retention date', async () => {
+            const doc = await storedDocument('Electricity bill', 'owner-1', { status: 'deleted' });
+            docs.push(doc);
+
+            const result = await purgeExpiredTrash(now);
+
+            expect(result).to.deep.equal({ purged: 1, failed: 0 });
+            expect(Document.find.firstCall.args[0]).to.deep.equal({ status: 'deleted', purgeAfter: { $lte: now } });
+            expect(doc.status).to.equal('purged');
+            for (const storagePath of storagePaths(doc)) expect(await stored(storagePath)).to.be.false;
+            expect(AuditEvent.create.firstCall.args[0]).to.deep.include({
+                action: 'document.purge',
+                metadata: { reason: 'retention_expired', owner: 'owner-1' }
+            });
+        });
+
+        it('should carry on after a document it could not purge, leaving it for the next run', async () => {
+            const stuck = await storedDocument('Electricity bill', 'owner-1', { status: 'deleted' });
+            const next = await storedDocument('Gas bill', 'owner-1', { status: 'deleted' });
+            docs.push(stuck, next);
+            Document.prototype.save.onFirstCall().rejects(new Error('connection reset'));
+
+            const result = await purgeExpiredTrash(now);
+
+            expect(result).to.deep.equal({ purged: 1, failed: 1 });
+            expect(next.status).to.equal('purged');
+            expect(console.error.calledWithMatch(`[purgeTrash] ${stuck._id}: connection reset`)).to.be.true;
+        });
+    });
+
+    describe('deleteDocumentFiles', () => {
+        it('should delete every file, more than once without failing', async () => {
+            const doc = await storedDocument('Electricity bill');
+
+            await deleteDocumentFiles(doc);
+            await deleteDocumentFiles(doc);
+
+            for (const storagePath of storagePaths(doc)) expect(await stored(storagePath)).to.be.false;
+        });
+    });
+});
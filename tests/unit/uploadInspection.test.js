@@ -0,0 +1,321 @@
+const { expect } = require('chai');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { detectMimeType } = require('../../server/utils/fileSignatures');
+const { INFLATE_RATIO, createPdfSafetyScanner, findUnsafePdfFeatures } = require('../../server/utils/pdfSafety');
+const { stripImageMetadata } = require('../../server/utils/imageMetadata');
+const { inspectFile, inspectChunks, sanitizedChunks } = require('../../server/services/uploadInspection');
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+/** A PDF whose objects are the given dictionaries, plus raw stream objects. */
+function buildPdf(objects, streams = []) {
+    const parts = ['%PDF-1.7\n'];
+    objects.forEach((dict, i) => parts.push(Buffer.from(`${i + 1} 0 obj\n${dict}\nendobj\n`, 'latin1')));
+    streams.forEach(({ dict, data }, i) => {
+        parts.push(Buffer.from(`${objects.length + i + 1} 0 obj\n${dict}\nstream\n`, 'latin1'));
+        parts.push(data);
+        parts.push(Buffer.from('\nendstream\nendobj\n', 'latin1'));
+    });
+    parts.push('trailer\n<< /Root 1 0 R >>\n%%EOF\n');
+    return Buffer.concat(parts.map((p) => (Buffer.isBuffer(p) ? p : Buffer.from(p, 'latin1'))));
+}
+
+const CATALOG = '<< /Type /Catalog /Pages 2 0 R >>';
+const PAGES = '<< /Type /Pages /Kids [] /Count 0 >>';
+
+/** A compressed object stream holding `content`. */
+function objectStream(content) {
+    const data = zlib.deflateSync(Buffer.from(content, 'latin1'));
+    return { dict: `<< /Type /ObjStm /N 1 /First 4 /Filter /FlateDecode /Length ${data.length} >>`, data };
+}
+
+function jpegSegment(marker, payload) {
+    const header = Buffer.from([0xff, marker, 0, 0]);
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([header, payload]);
+}
+
+/** EXIF payload (big-endian TIFF) with an Orientation tag and a camera Make tag. */
+function exifPayload(orientation) {
+    const tiff = Buffer.alloc(38);
+    tiff.write('MM', 0, 'latin1');
+    tiff.writeUInt16BE(42, 2);
+    tiff.writeUInt32BE(8, 4);
+    tiff.writeUInt16BE(2, 8);
+    tiff.writeUInt16BE(0x010f, 10); // Make
+    tiff.writeUInt16BE(2, 12);
+    tiff.writeUInt32BE(4, 14);
+    tiff.write('Foo', 18, 'latin1');
+    tiff.writeUInt16BE(0x0112, 22); // Orientation
+    tiff.writeUInt16BE(3, 24);
+    tiff.writeUInt32BE(1, 26);
+    tiff.writeUInt16BE(orientation, 30);
+    return Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+}
+
+function buildJpeg(segments) {
+    const sos = jpegSegment(0xda, Buffer.from([1, 1, 0, 0, 63, 0]));
+    return Buffer.concat([
+        Buffer.from([0xff, 0xd8]),
+        ...segments,
+        jpegSegment(0xdb, Buffer.alloc(65, 1)),
+        sos,
+        crypto.randomBytes(200).map((b) => (b === 0xff ? 0 : b)),
+        Buffer.from([0xff, 0xd9])
+    ]);
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+}
+
+function buildPng(extraChunks = []) {
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', Buffer.alloc(13, 1)),
+        ...extraChunks,
+        pngChunk('IDAT', crypto.randomBytes(64)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/** `buffer` cut into pieces of `size` bytes. */
+function chunksOf(buffer, size) {
+    const pieces = [];
+    for (let i = 0; i < buffer.length; i += size) pieces.push(buffer.subarray(i, i + size));
+    return pieces;
+}
+
+async function scanInPieces(buffer, size, options = { maxFileBytes: buffer.length }) {
+    const scanner = createPdfSafetyScanner(options);
+    for (const piece of chunksOf(buffer, size)) await scanner.write(piece);
+    return scanner.finish();
+}
+
+async function collect(iterable) {
+    const parts = [];
+    for await (const part of iterable) parts.push(part);
+    return Buffer.concat(parts);
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+describe('Upload Inspection Tests', () => {
+    describe('File signatures', () => {
+        it('should detect PDF, PNG and JPEG from their leading bytes', () => {
+            expect(detectMimeType(buildPdf([CATALOG]))).to.equal('application/pdf');
+            expect(detectMimeType(buildPng())).to.equal('image/png');
+            expect(detectMimeType(buildJpeg([]))).to.equal('image/jpeg');
+        });
+
+        it('should not recognize other formats or truncated signatures', () => {
+            expect(detectMimeType(Buffer.from('MZ\x90\x00', 'latin1'))).to.be.null;
+            expect(detectMimeType(Buffer.from('PK\x03\x04', 'latin1'))).to.be.null;
+            expect(detectMimeType(Buffer.from([0x89, 0x50, 0x4e]))).to.be.null;
+            expect(detectMimeType(Buffer.alloc(0))).to.be.null;
+        });
+
+        it('should not accept a PDF header after leading junk', () => {
+            expect(detectMimeType(Buffer.from('junk%PDF-1.7', 'latin1'))).to.be.null;
+        });
+    });
+
+    describe('PDF safety', () => {
+        it('should pass a plain PDF', async () => {
+            expect(await findUnsafePdfFeatures(buildPdf([CATALOG, PAGES]))).to.deep.equal([]);
+        });
+
+        it('should find scripts, launch actions, attachments and media', async () => {
+            const pdf = buildPdf([
+                `<< /Type /Catalog /OpenAction 3 0 R /Names << /EmbeddedFiles 4 0 R >> >>`,
+                PAGES,
+                '<< /S /JavaScript /JS (app.alert(1)) >>',
+                '<< /S /Launch /F (cmd.exe) >>',
+                '<< /Type /RichMedia >>'
+            ]);
+
+            expect(await findUnsafePdfFeatures(pdf)).to.have.members(
+                ['JavaScript', 'launch action', 'embedded file', 'embedded media']
+            );
+        });
+
+        it('should decode hex escapes in names', async () => {
+            const pdf = buildPdf([CATALOG, '<< /S /J#61va#53cript /JS (x) >>']);
+
+            expect(await findUnsafePdfFeatures(pdf)).to.deep.equal(['JavaScript']);
+        });
+
+        it('should find a script inside a compressed object stream', async () => {
+            const pdf = buildPdf([CATALOG, PAGES], [objectStream('3 0 << /S /JavaScript /JS (app.alert(1)) >>')]);
+
+            expect(await findUnsafePdfFeatures(pdf)).to.deep.equal(['JavaScript']);
+        });
+
+        it('should ignore names in other stream data', async () => {
+            const content = Buffer.from('BT /JavaScript Tj ET', 'latin1');
+            const pdf = buildPdf([CATALOG], [{ dict: `<< /Length ${content.length} >>`, data: content }]);
+
+            expect(await findUnsafePdfFeatures(pdf)).to.deep.equal([]);
+        });
+
+        it('should skip object streams of encrypted PDFs but still check the rest', async () => {
+            const pdf = buildPdf(
+                [CATALOG, '<< /Filter /Standard /V 2 >>', '<< /S /Launch /F (x) >>'],
+                [{ dict: '<< /Type /ObjStm /Filter /FlateDecode >>', data: crypto.randomBytes(64) }]
+            );
+            const withEncrypt = Buffer.concat([pdf, Buffer.from('trailer\n<< /Encrypt 2 0 R >>\n', 'latin1')]);
+
+            expect(await findUnsafePdfFeatures(withEncrypt)).to.deep.equal(['launch action']);
+        });
+
+        it('should report an object stream that cannot be inflated', async () => {
+            const pdf = buildPdf(
+                [CATALOG],
+                [{ dict: '<< /Type /ObjStm /Filter /FlateDecode >>', data: Buffer.from('not deflate data', 'latin1') }]
+            );
+
+            expect(await findUnsafePdfFeatures(pdf)).to.deep.equal(['unreadable object stream']);
+        });
+
+        it('should stop inflating past INFLATE_RATIO times the upload limit', async () => {
+            const pdf = buildPdf([CATALOG], [objectStream(' '.repeat(200000))]);
+
+            expect(await findUnsafePdfFeatures(pdf, { maxFileBytes: 200000 / INFLATE_RATIO - 1 }))
+                .to.deep.equal(['unreadable object stream']);
+            expect(await findUnsafePdfFeatures(pdf, { maxFileBytes: 200000 / INFLATE_RATIO })).to.deep.equal([]);
+        });
+
+        it('should give the same result however the file is split', async () => {
+            const pdf = buildPdf(
+                [CATALOG, '<< /S /Launch /F (x) >>'],
+                [objectStream('3 0 << /Names << /EmbeddedFiles 4 0 R >> >>')]
+            );
+
+            for (const size of [1, 3, 7, 64, 1000]) {
+                expect(await scanInPieces(pdf, size), `pieces of ${size}`)
+                    .to.have.members(['launch action', 'embedded file']);
+            }
+        });
+    });
+
+    describe('Image metadata', () => {
+        it('should drop EXIF, XMP and comments from a JPEG but keep its orientation', () => {
+            const jpeg = buildJpeg([
+                jpegSegment(0xe1, exifPayload(6)),
+                jpegSegment(0xe1, Buffer.from('http://ns.adobe.com/xap/1.0/\0<x:xmpmeta/>', 'latin1')),
+                jpegSegment(0xfe, Buffer.from('taken at home', 'latin1'))
+            ]);
+
+            const { buffer, removed } = stripImageMetadata(jpeg, 'image/jpeg');
+
+            expect(removed).to.have.members(['exif', 'xmp', 'comment']);
+            expect(buffer.includes('Foo')).to.be.false;
+            expect(buffer.includes('taken at home')).to.be.false;
+            expect(buffer.includes('Exif\0\0')).to.be.true;
+            expect(buffer.subarray(-202).equals(jpeg.subarray(-202))).to.be.true;
+        });
+
+        it('should drop text and timestamp chunks from a PNG', () => {
+            const png = buildPng([
+                pngChunk('tEXt', Buffer.from('Author\0someone', 'latin1')),
+                pngChunk('tIME', Buffer.alloc(7))
+            ]);
+
+            const { buffer, removed } = stripImageMetadata(png, 'image/png');
+
+            expect(removed).to.have.members(['text', 'timestamp']);
+            expect(buffer.includes('Author')).to.be.false;
+            expect(buffer.length).to.equal(png.length - (12 + 14) - (12 + 7));
+        });
+
+        it('should return an image without metadata unchanged', () => {
+            const png = buildPng();
+
+            expect(stripImageMetadata(png, 'image/png')).to.deep.equal({ buffer: png, removed: [] });
+        });
+    });
+
+    describe('inspectFile / inspectChunks', () => {
+        it('should refuse files that are not a PDF, JPG or PNG', async () => {
+            const { error } = await inspectFile(Buffer.from('MZ\x90\x00 executable', 'latin1'));
+
+            expect(error).to.include({ status: 415, code: 'UNSUPPORTED_FILE_TYPE' });
+        });
+
+        it('should refuse PDFs with active content', async () => {
+            const { error } = await inspectFile(buildPdf([CATALOG, '<< /S /JavaScript /JS (x) >>']));
+
+            expect(error).to.include({ status: 422, code: 'UNSAFE_PDF' });
+            expect(error.details.features).to.deep.equal(['JavaScript']);
+        });
+
+        it('should refuse a damaged image', async () => {
+            const jpeg = buildJpeg([jpegSegment(0xfe, Buffer.from('comment', 'latin1'))]);
+            jpeg[13] = 0x00; // the marker after the comment
+
+            const { error } = await inspectFile(jpeg);
+
+            expect(error).to.include({ status: 422, code: 'MALFORMED_IMAGE' });
+        });
+
+        it('should return the stripped image and the scan verdict', async () => {
+            const jpeg = buildJpeg([jpegSegment(0xfe, Buffer.from('comment', 'latin1'))]);
+
+            const result = await inspectFile(jpeg);
+
+            expect(result.mimeType).to.equal('image/jpeg');
+            expect(result.metadataRemoved).to.deep.equal(['comment']);
+            expect(result.buffer.length).to.equal(jpeg.length - 11);
+            expect(result.scan.status).to.equal('skipped');
+        });
+
+        it('should hash and size the stored bytes when read in pieces', async () => {
+            const png = buildPng([pngChunk('tEXt', Buffer.from('GPS\0somewhere', 'latin1'))]);
+            const stored = stripImageMetadata(png, 'image/png').buffer;
+
+            const result = await inspectChunks(chunksOf(png, 5), { maxFileBytes: png.length });
+
+            expect(result).to.include({
+                mimeType: 'image/png',
+                size: stored.length,
+                contentHash: crypto.createHash('sha256').update(stored).digest('hex')
+            });
+        });
+
+        it('should detect the type even when the first piece is shorter than a signature', async () => {
+            const pdf = buildPdf([CATALOG, PAGES]);
+
+            const result = await inspectChunks(chunksOf(pdf, 3), { maxFileBytes: pdf.length });
+
+            expect(result.mimeType).to.equal('application/pdf');
+            expect(result.size).to.equal(pdf.length);
+        });
+
+        it('should produce the inspected bytes again through sanitizedChunks', async () => {
+            const png = buildPng([pngChunk('iTXt', Buffer.from('XML:com.adobe.xmp\0', 'latin1'))]);
+            const result = await inspectChunks(chunksOf(png, 16), { maxFileBytes: png.length });
+
+            const stored = await collect(sanitizedChunks(chunksOf(png, 9), result));
+
+            expect(stored.equals(stripImageMetadata(png, 'image/png').buffer)).to.be.true;
+        });
+
+        it('should fail sanitizedChunks when the file changed after inspection', async () => {
+            const pdf = buildPdf([CATALOG]);
+            const result = await inspectChunks([pdf], { maxFileBytes: pdf.length });
+            const changed = Buffer.concat([pdf, Buffer.from('% appended', 'latin1')]);
+
+            let error;
+            try {
+                await collect(sanitizedChunks([changed], result));
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error).to.be.an('error').with.property('message', 'The file changed while it was being stored.');
+        });
+    });
+});
@@ -0,0 +1,337 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const fs = require('fs/promises');
+const path = require('path');
+const UploadSession = require('../../server/models/UploadSession');
+const documentsRouter = require('../../server/routes/documents');
+const { expireUploadSessions } = require('../../server/jobs/uploadSessions');
+const { buildApp } = require('../test-helpers');
+const {
+    maxUploadBytes,
+    computeSessionExpiry,
+    appendChunk,
+    readUploadChunks,
+    discardChunks,
+    runFinalize
+} = require('../../server/services/uploadSessions');
+
+const MB = 1024 * 1024;
+
+async function collect(iterable) {
+    const parts = [];
+    for await (const part of iterable) parts.push(part);
+    return Buffer.concat(parts);
+}
+
+async function rejection(promise) {
+    try {
+        await promise;
+    } catch (err) {
+        return err;
+    }
+    return null;
+}
+
+describe('Resumable Upload Tests', () => {
+    let stored;
+
+    // UploadSession backed by one in-memory record, applying the conditional update the service relies on
+    beforeEach(() => {
+        stored = new UploadSession({
+            ownerUid: 'owner-1',
+            fileName: 'medical-report.pdf',
+            category: 'medical',
+            totalSize: 12,
+            expiresAt: computeSessionExpiry()
+        });
+
+        sinon.stub(UploadSession, 'findOneAndUpdate').callsFake(async (filter, update) => {
+            if (filter.status !== stored.status) return null;
+            if ('receivedBytes' in filter && filter.receivedBytes !== stored.receivedBytes) return null;
+            if (update.$push) {
+                stored.chunks.push(update.$push.chunks);
+                stored.receivedBytes += update.$inc.receivedBytes;
+            }
+            if (update.$set) Object.assign(stored, update.$set);
+            return stored;
+        });
+        sinon.stub(UploadSession, 'findById').callsFake(() => ({
+            select: () => ({ lean: async () => ({ _id: stored._id, receivedBytes: stored.receivedBytes }) })
+        }));
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const sessionDir = () => path.join(process.env.LOCAL_STORAGE_DIR, 'uploads', stored.ownerUid, String(stored._id));
+    const storedObjects = async () => (await fs.readdir(sessionDir())).filter((name) => !name.endsWith('.meta.json'));
+
+    describe('Limits', () => {
+        afterEach(() => {
+            delete process.env.UPLOAD_MAX_MB_MEDICAL;
+        });
+
+        it('should size limits by category', () => {
+            expect(maxUploadBytes('aadhaar')).to.equal(10 * MB);
+            expect(maxUploadBytes('medical')).to.equal(100 * MB);
+            expect(maxUploadBytes('unknown')).to.equal(50 * MB);
+        });
+
+        it('should let the environment override a category limit', () => {
+            process.env.UPLOAD_MAX_MB_MEDICAL = '200';
+
+            expect(maxUploadBytes('medical')).to.equal(200 * MB);
+        });
+
+        it('should expire sessions a day after they start', () => {
+            const from = new Date('2026-03-01T10:00:00Z');
+
+            expect(computeSessionExpiry(from)).to.deep.equal(new Date('2026-03-02T10:00:00Z'));
+        });
+    });
+
+    describe('appendChunk', () => {
+        it('should store chunks encrypted and advance the offset', async () => {
+            const { session } = await appendChunk(stored, 0, Buffer.from('first '));
+            await appendChunk(session, 6, Buffer.from('second'));
+
+            expect(stored.receivedBytes).to.equal(12);
+            expect(stored.chunks.map((c) => [c.offset, c.size])).to.deep.equal([[0, 6], [6, 6]]);
+
+            const raw = await fs.readFile(path.join(process.env.LOCAL_STORAGE_DIR, stored.chunks[0].storagePath));
+            expect(raw.includes('first')).to.be.false;
+        });
+
+        it('should refuse a chunk that does not start at the received offset', async () => {
+            await appendChunk(stored, 0, Buffer.from('first '));
+
+            const result = await appendChunk(stored, 0, Buffer.from('again '));
+
+            expect(result).to.deep.equal({ conflict: 6 });
+            expect(stored.chunks).to.have.lengthOf(1);
+            expect(await storedObjects()).to.have.lengthOf(1);
+        });
+
+        it('should record only one of two chunks racing for the same offset', async () => {
+            const results = await Promise.all([
+                appendChunk(stored, 0, Buffer.from('from tab 1 ')),
+                appendChunk(stored, 0, Buffer.from('from tab 2 '))
+            ]);
+
+            expect(results.filter((r) => r.session)).to.have.lengthOf(1);
+            expect(results.filter((r) => r.conflict === 11)).to.have.lengthOf(1);
+            expect(await storedObjects()).to.have.lengthOf(1);
+        });
+
+        it('should report the offset to resume from after a dropped connection', async () => {
+            await appendChunk(stored, 0, Buffer.from('first '));
+
+            // The client lost the response and retries from where it thinks it was
+            const retry = await appendChunk({ _id: stored._id, ownerUid: 'owner-1' }, 0, Buffer.from('first '));
+            const resumed = await appendChunk(stored, retry.conflict, Buffer.from('second'));
+
+            expect(retry.conflict).to.equal(6);
+            expect(resumed.session.receivedBytes).to.equal(12);
+            expect((await collect(readUploadChunks(stored))).toString()).to.equal('first second');
+        });
+
+        it('should refuse chunks once the session is no longer open', async () => {
+            stored.status = 'finalizing';
+
+            expect(await appendChunk(stored, 0, Buffer.from('late'))).to.deep.equal({ conflict: 0 });
+        });
+    });
+
+    describe('readUploadChunks', () => {
+        it('should read the chunks back in offset order', async () => {
+            await appendChunk(stored, 0, Buffer.from('first '));
+            await appendChunk(stored, 6, Buffer.from('second'));
+            stored.chunks.reverse();
+
+            const parts = [];
+            for await (const part of readUploadChunks(stored)) parts.push(part.toString());
+
+            expect(parts).to.deep.equal(['first ', 'second']);
+        });
+
+        it('should refuse an upload with a gap before reading anything', async () => {
+            await appendChunk(stored, 0, Buffer.from('first '));
+            await appendChunk(stored, 6, Buffer.from('second'));
+            stored.chunks.shift();
+
+            const err = await rejection(collect(readUploadChunks(stored)));
+
+            expect(err.message).to.equal(`Upload ${stored._id} is missing bytes at 0.`);
+        });
+
+        it('should refuse an upload shorter than declared', async () => {
+            await appendChunk(stored, 0, Buffer.from('first '));
+
+            const err = await rejection(collect(readUploadChunks(stored)));
+
+            expect(err.message).to.equal(`Upload ${stored._id} is incomplete.`);
+        });
+
+        it('should refuse a chunk that reads back at the wrong length', async () => {
+            await appendChunk(stored, 0, Buffer.from('first '));
+            await appendChunk(stored, 6, Buffer.from('second'));
+            stored.chunks[1].size = 5;
+            stored.totalSize = 11;
+
+            const err = await rejection(collect(readUploadChunks(stored)));
+
+            expect(err.message).to.equal(`Upload ${stored._id} chunk at 6 is damaged.`);
+        });
+    });
+
+    describe('discardChunks', () => {
+        it('should delete every stored chunk, more than once without failing', async () => {
+            await appendChunk(stored, 0, Buffer.from('first '));
+            await appendChunk(stored, 6, Buffer.from('second'));
+
+            await discardChunks(stored);
+            await discardChunks(stored);
+
+            expect(await storedObjects()).to.deep.equal([]);
+        });
+    });
+
+    describe('DELETE /upload/sessions/:sessionId', () => {
+        const app = buildApp('/api/documents', documentsRouter);
+        const cancel = () => request(app)
+            .delete(`/api/documents/upload/sessions/${stored._id}`)
+            .set('Authorization', 'Bearer valid-token');
+
+        beforeEach(() => {
+            stored.ownerUid = 'test-user-id';
+            sinon.stub(UploadSession, 'findOne').callsFake(async (filter) =>
+                (filter.ownerUid === stored.ownerUid ? stored : null));
+            sinon.stub(UploadSession, 'updateOne').callsFake(async (filter, update) => {
+                Object.assign(stored, update.$set);
+                return { matchedCount: 1 };
+            });
+        });
+
+        it('should close the session before deleting its chunks', async () => {
+            await appendChunk(stored, 0, Buffer.from('first '));
+
+            const res = await cancel();
+
+            expect(res.status).to.equal(200);
+            expect(stored.status).to.equal('aborted');
+            expect(stored.chunks).to.deep.equal([]);
+            expect(await storedObjects()).to.deep.equal([]);
+            expect(UploadSession.findOneAndUpdate.lastCall.args[0]).to.include({ status: 'open' });
+        });
+
+        it('should leave nothing behind from a chunk arriving while it cancels', async () => {
+            await appendChunk(stored, 0, Buffer.from('first '));
+
+            const [, res] = await Promise.all([
+                appendChunk(stored, 6, Buffer.from('second')),
+                cancel()
+            ]);
+
+            expect(res.status).to.equal(200);
+            expect(await storedObjects()).to.deep.equal([]);
+        });
+
+        it('should refuse to cancel a session that started finalizing', async () => {
+            stored.status = 'finalizing';
+
+            const res = await cancel();
+
+            expect(res.status).to.equal(409);
+            expect(stored.status).to.equal('finalizing');
+        });
+
+        it('should refuse when the session stopped being open while it cancelled', async () => {
+            UploadSession.findOneAndUpdate.resolves(null);
+
+            const res = await cancel();
+
+            expect(res.status).to.equal(409);
+            expect(res.body.message).to.equal('This upload is no longer open.');
+        });
+    });
+
+    describe('expireUploadSessions', () => {
+        const now = new Date('2026-03-02T12:00:00Z');
+        const staleBefore = new Date('2026-03-02T11:30:00Z');
+        let closed;
+
+        beforeEach(() => {
+            closed = [];
+            sinon.stub(UploadSession, 'updateMany').resolves({ modifiedCount: 1 });
+            sinon.stub(UploadSession, 'find').callsFake(() => ({ cursor: () => closed }));
+            sinon.stub(UploadSession, 'updateOne').resolves({ matchedCount: 1 });
+            sinon.stub(console, 'error');
+        });
+
+        it('should close expired sessions before deleting chunks, except ones finalizing now', async () => {
+            await expireUploadSessions(now);
+
+            expect(UploadSession.updateMany.firstCall.args).to.deep.equal([
+                {
+                    expiresAt: { $lte: now },
+                    $or: [{ status: 'open' }, { status: 'finalizing', updatedAt: { $lte: staleBefore } }]
+                },
+                { $set: { status: 'expired' } }
+            ]);
+            expect(UploadSession.updateMany.calledBefore(UploadSession.find)).to.be.true;
+        });
+
+        it('should delete the chunks of closed sessions and keep failures for the next run', async () => {
+            await appendChunk(stored, 0, Buffer.from('first '));
+            stored.status = 'expired';
+            const broken = { _id: 'broken', chunks: [{ storagePath: '../outside' }] };
+            closed = [broken, stored];
+
+            const result = await expireUploadSessions(now);
+
+            expect(result).to.deep.equal({ expired: 1, reopened: 1, failed: 1 });
+            expect(await storedObjects()).to.deep.equal([]);
+            expect(UploadSession.updateOne.calledOnceWith({ _id: stored._id }, { $set: { chunks: [] } })).to.be.true;
+            expect(UploadSession.find.firstCall.args[0]).to.deep.equal({
+                status: { $in: ['aborted', 'expired'] }, 'chunks.0': { $exists: true }
+            });
+        });
+
+        it('should reopen sessions stuck finalizing', async () => {
+            await expireUploadSessions(now);
+
+            expect(UploadSession.updateMany.secondCall.args).to.deep.equal([
+                { status: 'finalizing', updatedAt: { $lte: staleBefore } },
+                { $set: { status: 'open' } }
+            ]);
+        });
+    });
+
+    describe('runFinalize', () => {
+        it('should run finalizes one at a time, after a failed one too', async () => {
+            const order = [];
+            const slow = () => new Promise((resolve) => setTimeout(() => {
+                order.push('first');
+                resolve();
+            }, 20));
+
+            const results = await Promise.allSettled([
+                runFinalize(slow),
+                runFinalize(async () => {
+                    order.push('second');
+                    throw new Error('refused');
+                }),
+                runFinalize(async () => {
+                    order.push('third');
+                    return 'done';
+                })
+            ]);
+
+            expect(order).to.deep.equal(['first', 'second', 'third']);
+            expect(results.map((r) => r.status)).to.deep.equal(['fulfilled', 'rejected', 'fulfilled']);
+            expect(results[2].value).to.equal('done');
+        });
+    });
+});
@@ -0,0 +1,181 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const fs = require('fs/promises');
+const path = require('path');
+const Document = require('../../server/models/Document');
+const IntegrityEntry = require('../../server/models/IntegrityEntry');
+const { storeDocumentFile, readDocumentFile, hashContent } = require('../../server/services/documentFiles');
+const documentsRouter = require('../../server/routes/documents');
+const { stubDocumentCreation, buildApp, requireServerPackage } = require('../test-helpers');
+
+const { PDFDocument } = requireServerPackage('pdf-lib');
+
+const GB = 1024 * 1024 * 1024;
+
+/** A real one-page PDF, `width` points wide so each one hashes differently. */
+async function pdfBytes(width) {
+    const pdf = await PDFDocument.create();
+    pdf.addPage([width, 842]);
+    return Buffer.from(await pdf.save());
+}
+
+/** Whether the local storage driver still holds `storagePath`. */
+async function stored(storagePath) {
+    return fs.access(path.join(process.env.LOCAL_STORAGE_DIR, storagePath)).then(() => true, () => false);
+}
+
+describe('Document Version Tests', () => {
+    const app = buildApp('/api/documents', documentsRouter);
+    let doc, original;
+
+    beforeEach(async () => {
+        original = await pdfBytes(595);
+        doc = new Document({
+            title: 'Passport',
+            category: 'passport',
+            uploadedBy: 'test-user-id',
+            firebaseStoragePath: 'placeholder',
+            mimeType: 'application/pdf',
+            fileSize: original.length
+        });
+        const { storagePath, encryption } = await storeDocumentFile(original, `documents/test-user-id/${doc._id}-v1`);
+        doc.versions.push({
+            version: 1,
+            storagePath,
+            encryption,
+            mimeType: 'application/pdf',
+            fileSize: original.length,
+            contentHash: hashContent(original),
+            title: 'Passport',
+            category: 'passport',
+            uploadedBy: 'test-user-id'
+        });
+        Object.assign(doc, { firebaseStoragePath: storagePath, encryption, contentHash: hashContent(original) });
+
+        // Only the document itself is found; the background queues look it up by other filters
+        sinon.stub(Document, 'findOne').callsFake(async (filter) =>
+            (String(filter._id) === String(doc._id) && filter.status === doc.status ? doc : null));
+        sinon.stub(Document.prototype, 'save').callsFake(async function save() {
+            return this;
+        });
+        stubDocumentCreation();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const addVersion = (file, fields = {}) => {
+        const req = request(app)
+            .post(`/api/documents/${doc._id}/versions`)
+            .set('Authorization', 'Bearer valid-token');
+        Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+        return req.attach('file', file, { filename: 'passport-renewed.pdf', contentType: 'application/pdf' });
+    };
+
+    const restore = (version) => request(app)
+        .post(`/api/documents/${doc._id}/versions/${version}/restore`)
+        .set('Authorization', 'Bearer valid-token');
+
+    describe('POST /api/documents/:id/versions', () => {
+        it('should store the new file as the current version and keep the old one', async () => {
+            const renewed = await pdfBytes(612);
+
+            const res = await addVersion(renewed, { note: 'Renewed in 2026', title: 'Passport (renewed)' });
+
+            expect(res.status).to.equal(201);
+            expect(res.body.version).to.include({ version: 2, note: 'Renewed in 2026' });
+            expect(doc).to.include({ currentVersion: 2, title: 'Passport (renewed)', contentHash: hashContent(renewed) });
+            expect(doc.versions.map((v) => v.version)).to.deep.equal([1, 2]);
+            expect((await readDocumentFile(doc.firebaseStoragePath, doc.encryption)).equals(renewed)).to.be.true;
+            expect(await stored(doc.versions[0].storagePath)).to.be.true;
+            expect(doc.versions[0].title).to.equal('Passport');
+            expect(IntegrityEntry.create.firstCall.args[0]).to.include({ event: 'version_add', version: 2 });
+        });
+
+        it('should let a write grantee add a version, on the owner\'s quota', async () => {
+            doc.uploadedBy = 'owner-2';
+            doc.sharedWith.push({ uid: 'test-user-id', email: 'test@example.com', permission: 'write' });
+
+            const res = await addVersion(await pdfBytes(612));
+
+            expect(res.status).to.equal(201);
+            expect(doc.versions[1].uploadedBy).to.equal('test-user-id');
+            expect(doc.firebaseStoragePath).to.match(new RegExp(`^documents/owner-2/${doc._id}/v2-`));
+            expect(Document.aggregate.firstCall.args[0][0].$match.uploadedBy.$in).to.deep.equal(['owner-2']);
+        });
+
+        it('should refuse a read-only grantee', async () => {
+            doc.uploadedBy = 'owner-2';
+            doc.sharedWith.push({ uid: 'test-user-id', email: 'test@example.com', permission: 'read' });
+
+            const res = await addVersion(await pdfBytes(612));
+
+            expect(res.status).to.equal(403);
+            expect(doc.versions).to.have.lengthOf(1);
+        });
+
+        it('should refuse a file identical to the current version', async () => {
+            const res = await addVersion(original);
+
+            expect(res.status).to.equal(409);
+            expect(res.body.code).to.equal('DUPLICATE_CONTENT');
+            expect(doc.currentVersion).to.equal(1);
+        });
+
+        it('should undo the version and delete its file when it took the owner over quota', async () => {
+            // Another upload finished while this one was stored
+            Document.aggregate.onSecondCall().resolves([{ _id: 'test-user-id', bytes: 2 * GB }]);
+
+            const res = await addVersion(await pdfBytes(612), { title: 'Passport (renewed)' });
+
+            expect(res.status).to.equal(413);
+            expect(res.body.code).to.equal('QUOTA_EXCEEDED');
+            expect(doc).to.include({ currentVersion: 1, title: 'Passport', contentHash: hashContent(original) });
+            expect(doc.versions).to.have.lengthOf(1);
+            const versionDir = path.join(process.env.LOCAL_STORAGE_DIR, 'documents/test-user-id', String(doc._id));
+            const left = await fs.readdir(versionDir).catch(() => []);
+            expect(left.filter((name) => !name.endsWith('.meta.json'))).to.deep.equal([]);
+            expect(await stored(doc.firebaseStoragePath)).to.be.true;
+        });
+    });
+
+    describe('POST /api/documents/:id/versions/:version/restore', () => {
+        it('should make an older version current again, keeping the newer one', async () => {
+            await addVersion(await pdfBytes(612));
+
+            const res = await restore(1);
+
+            expect(res.status).to.equal(200);
+            expect(doc).to.include({ currentVersion: 1, contentHash: hashContent(original) });
+            expect(doc.versions.map((v) => v.version)).to.deep.equal([1, 2]);
+            expect((await readDocumentFile(doc.firebaseStoragePath, doc.encryption)).equals(original)).to.be.true;
+            expect(doc.textExtraction).to.include({ status: 'pending', version: 1 });
+            expect(IntegrityEntry.create.lastCall.args[0]).to.include({ event: 'version_restore', version: 1 });
+        });
+
+        it('should refuse to restore the current version', async () => {
+            const res = await restore(1);
+
+            expect(res.status).to.equal(409);
+            expect(res.body.message).to.equal('This version is already current.');
+        });
+
+        it('should report a version the document does not have', async () => {
+            expect((await restore(3)).status).to.equal(404);
+            expect((await restore('latest')).status).to.equal(400);
+        });
+
+        it('should refuse anyone but the owner, even with write access', async () => {
+            await addVersion(await pdfBytes(612));
+            doc.uploadedBy = 'owner-2';
+            doc.sharedWith.push({ uid: 'test-user-id', email: 'test@example.com', permission: 'write' });
+
+            const res = await restore(1);
+
+            expect(res.status).to.equal(403);
+            expect(doc.currentVersion).to.equal(2);
+        });
+    });
+});
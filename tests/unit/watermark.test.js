@@ -0,0 +1,266 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const Document = require('../../server/models/Document');
+const ShareLink = require('../../server/models/ShareLink');
+const AuditEvent = require('../../server/models/AuditEvent');
+const { hashContent, storeDocumentFile } = require('../../server/services/documentFiles');
+const {
+    watermarkText,
+    sharePurpose,
+    watermarkEtag,
+    applyWatermark
+} = require('../../server/services/watermark');
+const documentsRouter = require('../../server/routes/documents');
+const publicRouter = require('../../server/routes/public');
+const { buildApp, binaryParser, requireServerPackage } = require('../test-helpers');
+
+const sharp = requireServerPackage('sharp');
+const { PDFDocument, degrees } = requireServerPackage('pdf-lib');
+const { PDFParse } = requireServerPackage('pdf-parse');
+
+const STAMP = 'Shared with asha@example.com on 2 Mar 2026 for KYC at HDFC Bank';
+
+/** Text of each page of a PDF. */
+async function pageTexts(buffer) {
+    const parser = new PDFParse({ data: buffer });
+    try {
+        return (await parser.getText()).pages.map((page) => page.text);
+    } finally {
+        await parser.destroy();
+    }
+}
+
+/** A blank PDF with one page per [width, height, rotation]. */
+async function buildPdf(pages) {
+    const pdf = await PDFDocument.create();
+    for (const [width, height, rotation = 0] of pages) {
+        pdf.addPage([width, height]).setRotation(degrees(rotation));
+    }
+    return Buffer.from(await pdf.save());
+}
+
+const whiteImage = (width, height) => sharp({
+    create: { width, height, channels: 3, background: { r: 255, g: 255, b: 255 } }
+});
+
+describe('Watermark Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('watermarkText', () => {
+        it('should name the recipient, the day and the purpose', () => {
+            const text = watermarkText({
+                recipient: 'asha@example.com',
+                purpose: ' KYC at HDFC Bank ',
+                date: new Date('2026-03-02T23:30:00Z')
+            });
+
+            expect(text).to.equal(STAMP);
+        });
+
+        it('should leave out an empty purpose and take another verb', () => {
+            const text = watermarkText({ verb: 'Shared by', recipient: 'owner@example.com', purpose: '  ', date: new Date('2026-03-02') });
+
+            expect(text).to.equal('Shared by owner@example.com on 2 Mar 2026');
+        });
+    });
+
+    describe('sharePurpose', () => {
+        it('should prefer the direct grant, then a group grant the user reads through', () => {
+            const doc = { sharedWithGroups: [{ groupId: 'g1', purpose: 'Family records' }] };
+            const viaGroup = { grant: null, via: [{ type: 'group', groupId: 'g1' }] };
+
+            expect(sharePurpose(doc, { grant: { purpose: 'Visa' }, via: viaGroup.via })).to.equal('Visa');
+            expect(sharePurpose(doc, viaGroup)).to.equal('Family records');
+            expect(sharePurpose(doc, { grant: null, via: [{ type: 'group', groupId: 'g2' }] })).to.equal('');
+        });
+    });
+
+    describe('watermarkEtag', () => {
+        it('should give each stamp its own ETag, derived from the original', () => {
+            const original = '"abc123"';
+            const first = watermarkEtag(original, STAMP);
+
+            expect(first).to.match(/^"abc123-wm-[0-9a-f]{16}"$/);
+            expect(watermarkEtag(original, STAMP)).to.equal(first);
+            expect(watermarkEtag(original, STAMP.replace('KYC', 'Loan'))).to.not.equal(first);
+            expect(watermarkEtag('"def456"', STAMP)).to.not.equal(first);
+        });
+    });
+
+    describe('applyWatermark — images', () => {
+        it('should stamp an image and keep its format and size', async () => {
+            const original = await whiteImage(400, 300).png().toBuffer();
+
+            const stamped = await applyWatermark(original, 'image/png', STAMP);
+            const { width, height, format } = await sharp(stamped).metadata();
+            const { channels } = await sharp(stamped).stats();
+
+            expect({ width, height, format }).to.deep.equal({ width: 400, height: 300, format: 'png' });
+            // White everywhere before; the red diagonal and dark footer pull the minimum down
+            expect(channels[0].min).to.be.below(255);
+            expect(channels[2].min).to.be.below(100);
+        });
+
+        it('should turn a photo upright before stamping it', async () => {
+            const sideways = await whiteImage(400, 200).jpeg().withMetadata({ orientation: 6 }).toBuffer();
+
+            const stamped = await applyWatermark(sideways, 'image/jpeg', STAMP);
+            const { width, height, format, orientation } = await sharp(stamped).metadata();
+
+            expect({ width, height, format, orientation }).to.deep.equal({ width: 200, height: 400, format: 'jpeg', orientation: undefined });
+        });
+    });
+
+    describe('applyWatermark — PDFs', () => {
+        it('should stamp every page, rotated ones included', async () => {
+            const original = await buildPdf([[595, 842], [842, 595, 90], [595, 842, 270]]);
+
+            const stamped = await applyWatermark(original, 'application/pdf', STAMP);
+            const texts = await pageTexts(stamped);
+
+            expect(texts).to.have.lengthOf(3);
+            for (const text of texts) {
+                // Once across the page, once as the footer
+                expect(text.split(STAMP)).to.have.lengthOf(3);
+            }
+        });
+
+        it('should replace characters the PDF fonts cannot draw', async () => {
+            const stamped = await applyWatermark(await buildPdf([[595, 842]]), 'application/pdf', 'Shared with अशा on 2 Mar 2026');
+
+            expect((await pageTexts(stamped))[0]).to.contain('Shared with ??? on 2 Mar 2026');
+        });
+
+        it('should refuse a PDF it cannot open', async () => {
+            const err = await applyWatermark(Buffer.from('%PDF-1.7\nnot really a pdf'), 'application/pdf', STAMP)
+                .then(() => null, (e) => e);
+
+            expect(err).to.be.an('error');
+        });
+
+        it('should refuse other file types', async () => {
+            const err = await applyWatermark(Buffer.from('hello'), 'text/plain', STAMP).then(() => null, (e) => e);
+
+            expect(err.message).to.equal('Cannot watermark text/plain.');
+        });
+    });
+
+    describe('Downloads', () => {
+        let doc;
+
+        /** An active document of owner-1's whose only version holds `plaintext`. */
+        async function storedDocument(plaintext, mimeType) {
+            const created = new Document({
+                title: 'PAN card',
+                category: 'pan',
+                uploadedBy: 'owner-1',
+                firebaseStoragePath: 'placeholder',
+                mimeType,
+                fileSize: plaintext.length
+            });
+            const { storagePath, encryption } = await storeDocumentFile(plaintext, `documents/owner-1/${created._id}-v1`);
+            created.versions.push({
+                version: 1,
+                storagePath,
+                encryption,
+                mimeType,
+                fileSize: plaintext.length,
+                contentHash: hashContent(plaintext),
+                title: created.title,
+                uploadedBy: 'owner-1'
+            });
+            Object.assign(created, { firebaseStoragePath: storagePath, encryption, contentHash: hashContent(plaintext) });
+            return created;
+        }
+
+        beforeEach(() => {
+            sinon.stub(AuditEvent, 'create').resolves();
+            sinon.stub(console, 'error');
+        });
+
+        describe('GET /api/documents/:id/file', () => {
+            const app = buildApp('/api/documents', documentsRouter);
+            const download = () => request(app)
+                .get(`/api/documents/${doc._id}/file`)
+                .set('Authorization', 'Bearer valid-token');
+
+            beforeEach(async () => {
+                doc = await storedDocument(await buildPdf([[595, 842], [595, 842]]), 'application/pdf');
+                doc.sharedWith.push({ uid: 'test-user-id', email: 'test@example.com', permission: 'read', purpose: 'KYC' });
+                sinon.stub(Document, 'findOne').callsFake(async () => doc);
+            });
+
+            it('should send a grantee a copy stamped on every page', async () => {
+                const res = await download().buffer(true).parse(binaryParser);
+
+                expect(res.status).to.equal(200);
+                for (const text of await pageTexts(res.body)) {
+                    expect(text).to.match(/Shared with test@example\.com on \d+ \w+ \d{4} for KYC/);
+                }
+            });
+
+            it('should change the ETag when the stamp changes, and not send the owner one', async () => {
+                const kyc = (await download()).headers.etag;
+                doc.sharedWith[0].purpose = 'Home loan';
+                const loan = (await download()).headers.etag;
+                doc.uploadedBy = 'test-user-id';
+                const own = (await download()).headers.etag;
+
+                expect(kyc).to.match(new RegExp(`^"${doc.contentHash}-wm-`));
+                expect(loan).to.match(new RegExp(`^"${doc.contentHash}-wm-`));
+                expect(loan).to.not.equal(kyc);
+                expect(own).to.equal(`"${doc.contentHash}"`);
+            });
+
+            it('should refuse a grantee a file that cannot be stamped', async () => {
+                doc = await storedDocument(Buffer.from('%PDF-1.7\nencrypted'), 'application/pdf');
+                doc.sharedWith.push({ uid: 'test-user-id', email: 'test@example.com', permission: 'read' });
+
+                const res = await download();
+
+                expect(res.status).to.equal(422);
+                expect(res.body).to.include({ success: false, code: 'WATERMARK_FAILED' });
+            });
+
+            it('should still send the owner a file that cannot be stamped', async () => {
+                doc = await storedDocument(Buffer.from('%PDF-1.7\nencrypted'), 'application/pdf');
+                doc.uploadedBy = 'test-user-id';
+
+                const res = await download();
+
+                expect(res.status).to.equal(200);
+            });
+        });
+
+        describe('GET /api/public/links/:token', () => {
+            const app = buildApp('/api/public', publicRouter);
+            let link;
+
+            beforeEach(async () => {
+                doc = await storedDocument(Buffer.from('%PDF-1.7\nencrypted'), 'application/pdf');
+                link = new ShareLink({
+                    documentId: doc._id,
+                    createdBy: 'owner-1',
+                    label: 'Bank KYC',
+                    tokenHash: ShareLink.hashToken('link-token'),
+                    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+                    maxDownloads: 1
+                });
+                sinon.stub(ShareLink, 'findOne').resolves(link);
+                sinon.stub(Document, 'findOne').resolves(doc);
+                sinon.stub(ShareLink, 'findOneAndUpdate').resolves(link);
+            });
+
+            it('should refuse a file that cannot be stamped without using up a download', async () => {
+                const res = await request(app).get('/api/public/links/link-token');
+
+                expect(res.status).to.equal(422);
+                expect(res.body).to.include({ success: false, code: 'WATERMARK_FAILED' });
+                expect(ShareLink.findOneAndUpdate.called).to.be.false;
+            });
+        });
+    });
+});